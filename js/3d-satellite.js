@@ -92,6 +92,7 @@ class Satellite3DVisualization {
         
         // Setup fallback telemetry listener
         window.addEventListener('telemetryUpdate', (event) => {
+            if (!window.fleetManager.isSelected(event.detail.spacecraftId)) return;
             this.updateFallbackVisualization(event.detail);
         });
         
@@ -271,6 +272,7 @@ class Satellite3DVisualization {
         const earth = new THREE.Mesh(earthGeometry, earthMaterial);
         earth.position.set(-50, -30, -100);
         this.scene.add(earth);
+        this.earth = earth;
         
         // Add Earth atmosphere glow
         const glowGeometry = new THREE.SphereGeometry(22, 32, 32);
@@ -621,11 +623,14 @@ class Satellite3DVisualization {
     }
     
     setupTelemetryListener() {
+        // The model shows the spacecraft selected in the fleet overview
         window.addEventListener('telemetryUpdate', (event) => {
+            if (!window.fleetManager.isSelected(event.detail.spacecraftId)) return;
             this.updateSatelliteVisualization(event.detail);
         });
         
         window.addEventListener('anomalyDetected', (event) => {
+            if (!window.fleetManager.isSelected(event.detail.spacecraftId)) return;
             this.handleAnomalyVisualization(event.detail);
         });
     }
@@ -654,6 +659,11 @@ class Satellite3DVisualization {
         // Update communication antenna
         this.updateCommunicationVisualization(telemetryData.communication);
         
+        // Ground track
+        if (telemetryData.orbit) {
+            this.updateSubSatellitePoint(telemetryData.orbit);
+        }
+        
         // Eclipse effect
         if (telemetryData.power.eclipse) {
             this.activateEclipseMode();
@@ -662,6 +672,28 @@ class Satellite3DVisualization {
         }
     }
     
+    updateSubSatellitePoint(orbit) {
+        if (!this.earth) return;
+        
+        if (!this.subSatelliteMarker) {
+            const markerGeometry = new THREE.SphereGeometry(0.8, 12, 12);
+            const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xff3366 });
+            this.subSatelliteMarker = new THREE.Mesh(markerGeometry, markerMaterial);
+            this.earth.add(this.subSatelliteMarker);
+        }
+        
+        // Place the marker on the Earth sphere (radius 20) at the ground track position
+        const latitude = orbit.latitude * Math.PI / 180;
+        const longitude = orbit.longitude * Math.PI / 180;
+        const radius = 20.3;
+        
+        this.subSatelliteMarker.position.set(
+            radius * Math.cos(latitude) * Math.cos(longitude),
+            radius * Math.sin(latitude),
+            -radius * Math.cos(latitude) * Math.sin(longitude)
+        );
+    }
+    
     updateComponentStatus(componentType, status) {
         let component = null;
         let color = this.statusColors.normal;
@@ -791,8 +823,9 @@ class Satellite3DVisualization {
     updateCommunicationVisualization(commData) {
         if (!this.components.antenna) return;
         
-        // Signal strength visualization
-        const signalStrength = Math.max(0, (commData.signalStrength + 120) / 40); // -120 to -80 dBm range
+        // Signal strength visualization (no waves between passes)
+        const signalStrength = commData.signalStrength === null ? 0 :
+            Math.max(0, (commData.signalStrength + 120) / 40); // -120 to -80 dBm range
         
         // Create signal waves
         this.createSignalWaves(signalStrength);
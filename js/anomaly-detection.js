@@ -5,69 +5,108 @@
 
 class AnomalyDetector {
     constructor() {
-        this.thresholds = {
-            battery: {
-                voltage: { min: 20, max: 28, critical_min: 18, critical_max: 30 },
-                current: { min: -8, max: 5, critical_min: -12, critical_max: 8 },
-                temperature: { max: 45, critical_max: 55 },
-                capacity: { min: 60, critical_min: 40 }
-            },
-            solar: {
-                power: { min: 1200, critical_min: 800 },
-                temperature: { max: 85, critical_max: 100 }
-            },
-            thermal: {
-                processor: { max: 70, critical_max: 85 },
-                battery: { max: 45, critical_max: 55 },
-                solar: { max: 85, critical_max: 100 }
-            },
-            communication: {
-                signalStrength: { min: -110, critical_min: -120 },
-                errorRate: { max: 0.1, critical_max: 0.2 }
-            }
-        };
+        // Base limits come from the data dictionary (js/data-dictionary.js), as do the per mission phase limit sets
+        this.dictionary = window.dataDictionary;
+        this.thresholds = this.dictionary.getLimits();
         
         this.anomalies = [];
         this.anomalyHistory = [];
-        this.isolationForest = new IsolationForest();
-        this.lstmDetector = new LSTMTimeSeriesDetector();
-        
-        // Statistical models for each parameter
-        this.statisticalModels = {
-            battery_voltage: new StatisticalModel(),
-            battery_current: new StatisticalModel(),
-            battery_temperature: new StatisticalModel(),
-            solar_power: new StatisticalModel(),
-            processor_temp: new StatisticalModel(),
-            signal_strength: new StatisticalModel()
-        };
+        
+        // Latest telemetry time per spacecraft. Detection windows are measured on the data's own time base:
+        // simulation time from the simulator, recorded or re-stamped time from replay and live sources.
+        this.latestTimestamps = {};
+        
+        // Each spacecraft learns its own baseline
+        this.vehicleModels = {};
+        
+        // Seeded stream for ML model construction and anomaly IDs
+        this.random = window.simulationRandom.fork('anomaly-detection');
         
         this.isTraining = false;
         this.trainingComplete = false;
+        this.trainingSamples = 20; // Points a vehicle collects before the ML models are first trained
         this.detectionEnabled = true;
         
-        // Listen for telemetry updates
+        // Onboard events (js/event-log.js) this close to an anomaly are reported with it, ms
+        this.eventCorrelation = { before: 300000, after: 30000, limit: 5 };
+        
+        // Listen for telemetry updates; the data-quality monitor screens each point before detection
         window.addEventListener('telemetryUpdate', (event) => {
-            if (this.detectionEnabled) {
-                this.processTelemetry(event.detail);
+            const screened = window.dataQualityMonitor.screen(event.detail);
+            if (this.detectionEnabled && screened.accepted) {
+                this.processTelemetry(screened.point);
+            }
+        });
+        
+        // A new source brings its own time base
+        window.addEventListener('telemetrySourceChange', () => {
+            this.latestTimestamps = {};
+        });
+        
+        // Loads and noise change with the mission phase, so the statistical baseline starts over
+        window.addEventListener('missionPhaseChange', (event) => {
+            const { spacecraftId, phase, previous } = event.detail;
+            const orbital = ['nominal', 'eclipse'];
+            if (!orbital.includes(phase) || !orbital.includes(previous)) {
+                this.resetStatisticalModels(spacecraftId);
             }
         });
     }
     
+    // Limit set for a mission phase: the base thresholds with the phase's overrides applied
+    getThresholds(phase = 'nominal') {
+        return this.dictionary.getLimits(phase);
+    }
+    
+    // Statistical and ML models for one spacecraft, created on first telemetry
+    getVehicleModels(spacecraftId) {
+        if (!this.vehicleModels[spacecraftId]) {
+            this.vehicleModels[spacecraftId] = {
+                isolationForest: new IsolationForest(10, 50, this.random.fork(spacecraftId)),
+                lstmDetector: new LSTMTimeSeriesDetector(),
+                
+                // Statistical models for each parameter
+                statisticalModels: {
+                    battery_voltage: new StatisticalModel(),
+                    battery_current: new StatisticalModel(),
+                    battery_temperature: new StatisticalModel(),
+                    solar_power: new StatisticalModel(),
+                    processor_temp: new StatisticalModel(),
+                    signal_strength: new StatisticalModel()
+                }
+            };
+        }
+        
+        return this.vehicleModels[spacecraftId];
+    }
+    
+    resetStatisticalModels(spacecraftId) {
+        const models = this.vehicleModels[spacecraftId];
+        if (!models) return;
+        
+        Object.keys(models.statisticalModels).forEach(param => {
+            models.statisticalModels[param] = new StatisticalModel();
+        });
+    }
+    
     processTelemetry(telemetryData) {
+        const { spacecraftId, timestamp } = telemetryData;
+        this.latestTimestamps[spacecraftId] = Math.max(this.latestTimestamps[spacecraftId] ?? -Infinity, timestamp);
+        
         const anomalies = [];
+        const models = this.getVehicleModels(telemetryData.spacecraftId);
         
         // Threshold-based detection
         const thresholdAnomalies = this.detectThresholdAnomalies(telemetryData);
         anomalies.push(...thresholdAnomalies);
         
         // Statistical anomaly detection
-        const statisticalAnomalies = this.detectStatisticalAnomalies(telemetryData);
+        const statisticalAnomalies = this.detectStatisticalAnomalies(telemetryData, models);
         anomalies.push(...statisticalAnomalies);
         
         // ML-based detection (if trained)
         if (this.trainingComplete) {
-            const mlAnomalies = this.detectMLAnomalies(telemetryData);
+            const mlAnomalies = this.detectMLAnomalies(telemetryData, models);
             anomalies.push(...mlAnomalies);
         }
         
@@ -77,93 +116,176 @@ class AnomalyDetector {
         
         // Process and broadcast anomalies
         if (anomalies.length > 0) {
-            this.processDetectedAnomalies(anomalies, telemetryData.timestamp);
+            this.processDetectedAnomalies(anomalies, timestamp, spacecraftId,
+                telemetryData.missionPhase);
         }
         
         // Update models with new data
-        this.updateModels(telemetryData);
+        this.updateModels(telemetryData, models);
+        
+        // Counted in samples so training starts at the same point of the data at any clock rate
+        if (!this.trainingComplete && models.isolationForest.trainingData.length >= this.trainingSamples) {
+            this.trainMLModels();
+        }
     }
     
     detectThresholdAnomalies(data) {
         const anomalies = [];
+        const limits = this.getThresholds(data.missionPhase);
         
         // Battery anomalies
         const battery = data.power.battery;
-        if (battery.voltage < this.thresholds.battery.voltage.critical_min ||
-            battery.voltage > this.thresholds.battery.voltage.critical_max) {
+        if (battery.voltage < limits.battery.voltage.critical_min ||
+            battery.voltage > limits.battery.voltage.critical_max) {
             anomalies.push({
                 type: 'threshold',
                 severity: 'critical',
                 subsystem: 'battery',
                 parameter: 'voltage',
                 value: battery.voltage,
-                threshold: battery.voltage < this.thresholds.battery.voltage.critical_min ? 
-                    this.thresholds.battery.voltage.critical_min : 
-                    this.thresholds.battery.voltage.critical_max,
+                threshold: battery.voltage < limits.battery.voltage.critical_min ? 
+                    limits.battery.voltage.critical_min : 
+                    limits.battery.voltage.critical_max,
                 message: `Battery voltage ${battery.voltage}V is outside critical limits`,
                 recommendation: 'Activate emergency power management protocol'
             });
-        } else if (battery.voltage < this.thresholds.battery.voltage.min ||
-                   battery.voltage > this.thresholds.battery.voltage.max) {
+        } else if (battery.voltage < limits.battery.voltage.min ||
+                   battery.voltage > limits.battery.voltage.max) {
             anomalies.push({
                 type: 'threshold',
                 severity: 'warning',
                 subsystem: 'battery',
                 parameter: 'voltage',
                 value: battery.voltage,
-                threshold: battery.voltage < this.thresholds.battery.voltage.min ? 
-                    this.thresholds.battery.voltage.min : 
-                    this.thresholds.battery.voltage.max,
+                threshold: battery.voltage < limits.battery.voltage.min ? 
+                    limits.battery.voltage.min : 
+                    limits.battery.voltage.max,
                 message: `Battery voltage ${battery.voltage}V is outside normal range`,
                 recommendation: 'Monitor battery health closely'
             });
         }
         
-        if (battery.temperature > this.thresholds.battery.temperature.critical_max) {
+        if (battery.temperature > limits.battery.temperature.critical_max) {
             anomalies.push({
                 type: 'threshold',
                 severity: 'critical',
                 subsystem: 'battery',
                 parameter: 'temperature',
                 value: battery.temperature,
-                threshold: this.thresholds.battery.temperature.critical_max,
+                threshold: limits.battery.temperature.critical_max,
                 message: `Battery temperature ${battery.temperature}°C exceeds critical limit`,
                 recommendation: 'Activate thermal management system immediately'
             });
-        } else if (battery.temperature > this.thresholds.battery.temperature.max) {
+        } else if (battery.temperature > limits.battery.temperature.max) {
             anomalies.push({
                 type: 'threshold',
                 severity: 'warning',
                 subsystem: 'battery',
                 parameter: 'temperature',
                 value: battery.temperature,
-                threshold: this.thresholds.battery.temperature.max,
+                threshold: limits.battery.temperature.max,
                 message: `Battery temperature ${battery.temperature}°C is elevated`,
                 recommendation: 'Increase thermal monitoring frequency'
             });
         }
         
+        // Discharge current limits depend on the phase's bus load
+        if (battery.current < limits.battery.current.critical_min) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'critical',
+                subsystem: 'battery',
+                parameter: 'current',
+                value: battery.current,
+                threshold: limits.battery.current.critical_min,
+                message: `Battery discharge current ${battery.current}A exceeds critical limit`,
+                recommendation: 'Shed non-essential loads immediately'
+            });
+        } else if (battery.current < limits.battery.current.min) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'warning',
+                subsystem: 'battery',
+                parameter: 'current',
+                value: battery.current,
+                threshold: limits.battery.current.min,
+                message: `Battery discharge current ${battery.current}A is high`,
+                recommendation: 'Review active loads against the power budget'
+            });
+        }
+        
+        if (battery.capacity < limits.battery.capacity.critical_min) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'critical',
+                subsystem: 'battery',
+                parameter: 'capacity',
+                value: battery.capacity,
+                threshold: limits.battery.capacity.critical_min,
+                message: `Battery capacity ${battery.capacity}% critically low`,
+                recommendation: 'Enter safe mode to recharge'
+            });
+        } else if (battery.capacity < limits.battery.capacity.min) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'warning',
+                subsystem: 'battery',
+                parameter: 'capacity',
+                value: battery.capacity,
+                threshold: limits.battery.capacity.min,
+                message: `Battery capacity ${battery.capacity}% below expected`,
+                recommendation: 'Reduce depth of discharge'
+            });
+        }
+        
+        // State of charge is left out of recordings made before the battery model
+        if (battery.stateOfCharge !== undefined) {
+            if (battery.stateOfCharge < limits.battery.stateOfCharge.critical_min) {
+                anomalies.push({
+                    type: 'threshold',
+                    severity: 'critical',
+                    subsystem: 'battery',
+                    parameter: 'stateOfCharge',
+                    value: battery.stateOfCharge,
+                    threshold: limits.battery.stateOfCharge.critical_min,
+                    message: `Battery state of charge ${battery.stateOfCharge}% critically low`,
+                    recommendation: 'Enter safe mode to recharge'
+                });
+            } else if (battery.stateOfCharge < limits.battery.stateOfCharge.min) {
+                anomalies.push({
+                    type: 'threshold',
+                    severity: 'warning',
+                    subsystem: 'battery',
+                    parameter: 'stateOfCharge',
+                    value: battery.stateOfCharge,
+                    threshold: limits.battery.stateOfCharge.min,
+                    message: `Battery state of charge ${battery.stateOfCharge}% is low`,
+                    recommendation: 'Shed non-essential loads until the battery recharges'
+                });
+            }
+        }
+        
         // Solar panel anomalies
         const solar = data.power.solar;
-        if (!data.power.eclipse && solar.power < this.thresholds.solar.power.critical_min) {
+        if (!data.power.eclipse && solar.power < limits.solar.power.critical_min) {
             anomalies.push({
                 type: 'threshold',
                 severity: 'critical',
                 subsystem: 'solar',
                 parameter: 'power',
                 value: solar.power,
-                threshold: this.thresholds.solar.power.critical_min,
+                threshold: limits.solar.power.critical_min,
                 message: `Solar power ${solar.power}W critically low outside eclipse`,
                 recommendation: 'Check solar panel alignment and condition'
             });
-        } else if (!data.power.eclipse && solar.power < this.thresholds.solar.power.min) {
+        } else if (!data.power.eclipse && solar.power < limits.solar.power.min) {
             anomalies.push({
                 type: 'threshold',
                 severity: 'warning',
                 subsystem: 'solar',
                 parameter: 'power',
                 value: solar.power,
-                threshold: this.thresholds.solar.power.min,
+                threshold: limits.solar.power.min,
                 message: `Solar power ${solar.power}W below expected range`,
                 recommendation: 'Verify solar panel orientation'
             });
@@ -171,38 +293,364 @@ class AnomalyDetector {
         
         // Thermal anomalies
         const thermal = data.thermal;
-        if (thermal.processor > this.thresholds.thermal.processor.critical_max) {
+        if (thermal.processor > limits.thermal.processor.critical_max) {
             anomalies.push({
                 type: 'threshold',
                 severity: 'critical',
                 subsystem: 'thermal',
                 parameter: 'processor',
                 value: thermal.processor,
-                threshold: this.thresholds.thermal.processor.critical_max,
+                threshold: limits.thermal.processor.critical_max,
                 message: `Processor temperature ${thermal.processor}°C exceeds critical limit`,
                 recommendation: 'Reduce computational load immediately'
             });
         }
         
-        // Communication anomalies
+        // Communication anomalies (no signal to assess between passes)
         const comm = data.communication;
-        if (comm.signalStrength < this.thresholds.communication.signalStrength.critical_min) {
+        if (comm.signalStrength !== null && comm.signalStrength < limits.communication.signalStrength.critical_min) {
             anomalies.push({
                 type: 'threshold',
                 severity: 'critical',
                 subsystem: 'communication',
                 parameter: 'signalStrength',
                 value: comm.signalStrength,
-                threshold: this.thresholds.communication.signalStrength.critical_min,
+                threshold: limits.communication.signalStrength.critical_min,
                 message: `Signal strength ${comm.signalStrength}dBm critically weak`,
                 recommendation: 'Switch to backup antenna or adjust orientation'
             });
         }
         
+        // Attitude control anomalies (older recordings carry angles only)
+        const attitude = data.attitude;
+        if (attitude?.wheels) {
+            anomalies.push(...this.detectAttitudeAnomalies(attitude, limits.attitude));
+        }
+        
+        // Propulsion anomalies (sources without propulsion housekeeping skip these)
+        if (data.propulsion?.thrusters) {
+            anomalies.push(...this.detectPropulsionAnomalies(data.propulsion, limits.propulsion));
+        }
+        
+        // Payload anomalies
+        if (data.payload) {
+            anomalies.push(...this.detectPayloadAnomalies(data.payload, limits.payload));
+        }
+        
+        // Derived channels carry their limits in the data dictionary
+        if (data.derived) {
+            anomalies.push(...this.detectDerivedAnomalies(data, limits));
+        }
+        
+        return anomalies;
+    }
+    
+    detectAttitudeAnomalies(attitude, limits = this.thresholds.attitude) {
+        const anomalies = [];
+        
+        Object.entries(attitude.wheels).forEach(([axis, wheel]) => {
+            const speed = Math.abs(wheel.speed);
+            if (speed > limits.wheelSpeed.critical_max) {
+                anomalies.push({
+                    type: 'threshold',
+                    severity: 'critical',
+                    subsystem: 'attitude',
+                    parameter: `wheel_${axis}_speed`,
+                    value: wheel.speed,
+                    threshold: limits.wheelSpeed.critical_max,
+                    message: `Reaction wheel ${axis.toUpperCase()} at ${wheel.speed} rpm is near saturation`,
+                    recommendation: 'Perform momentum desaturation immediately'
+                });
+            } else if (speed > limits.wheelSpeed.max) {
+                anomalies.push({
+                    type: 'threshold',
+                    severity: 'warning',
+                    subsystem: 'attitude',
+                    parameter: `wheel_${axis}_speed`,
+                    value: wheel.speed,
+                    threshold: limits.wheelSpeed.max,
+                    message: `Reaction wheel ${axis.toUpperCase()} speed ${wheel.speed} rpm is high`,
+                    recommendation: 'Schedule momentum desaturation'
+                });
+            }
+            
+            if (wheel.current > limits.wheelCurrent.critical_max) {
+                anomalies.push({
+                    type: 'threshold',
+                    severity: 'critical',
+                    subsystem: 'attitude',
+                    parameter: `wheel_${axis}_current`,
+                    value: wheel.current,
+                    threshold: limits.wheelCurrent.critical_max,
+                    message: `Reaction wheel ${axis.toUpperCase()} current ${wheel.current}A exceeds critical limit`,
+                    recommendation: 'Reduce wheel torque demand and check bearing health'
+                });
+            } else if (wheel.current > limits.wheelCurrent.max) {
+                anomalies.push({
+                    type: 'threshold',
+                    severity: 'warning',
+                    subsystem: 'attitude',
+                    parameter: `wheel_${axis}_current`,
+                    value: wheel.current,
+                    threshold: limits.wheelCurrent.max,
+                    message: `Reaction wheel ${axis.toUpperCase()} current ${wheel.current}A is elevated`,
+                    recommendation: 'Trend wheel friction for bearing wear'
+                });
+            }
+        });
+        
+        if (attitude.pointingError > limits.pointingError.critical_max) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'critical',
+                subsystem: 'attitude',
+                parameter: 'pointingError',
+                value: attitude.pointingError,
+                threshold: limits.pointingError.critical_max,
+                message: `Pointing error ${attitude.pointingError}° exceeds critical limit`,
+                recommendation: 'Suspend payload operations and verify attitude control mode'
+            });
+        } else if (attitude.pointingError > limits.pointingError.max) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'warning',
+                subsystem: 'attitude',
+                parameter: 'pointingError',
+                value: attitude.pointingError,
+                threshold: limits.pointingError.max,
+                message: `Pointing error ${attitude.pointingError}° outside requirement`,
+                recommendation: 'Check star tracker and wheel performance'
+            });
+        }
+        
+        if (limits.starTracker.required && attitude.starTracker && !attitude.starTracker.valid) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'warning',
+                subsystem: 'attitude',
+                parameter: 'starTracker',
+                value: 0,
+                message: 'Star tracker solution invalid, attitude propagated on gyros',
+                recommendation: 'Expect gyro drift until the star tracker reacquires'
+            });
+        }
+        
+        return anomalies;
+    }
+    
+    detectPropulsionAnomalies(propulsion, limits = this.thresholds.propulsion) {
+        const anomalies = [];
+        
+        const pressure = propulsion.tankPressure;
+        if (pressure < limits.tankPressure.critical_min || pressure > limits.tankPressure.critical_max) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'critical',
+                subsystem: 'propulsion',
+                parameter: 'tankPressure',
+                value: pressure,
+                threshold: pressure < limits.tankPressure.critical_min ?
+                    limits.tankPressure.critical_min :
+                    limits.tankPressure.critical_max,
+                message: `Propellant tank pressure ${pressure} bar is outside critical limits`,
+                recommendation: pressure > limits.tankPressure.critical_max ?
+                    'Inhibit tank heaters and verify pressure transducer' :
+                    'Close latch valve and check for leaks'
+            });
+        } else if (pressure < limits.tankPressure.min || pressure > limits.tankPressure.max) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'warning',
+                subsystem: 'propulsion',
+                parameter: 'tankPressure',
+                value: pressure,
+                threshold: pressure < limits.tankPressure.min ?
+                    limits.tankPressure.min :
+                    limits.tankPressure.max,
+                message: `Propellant tank pressure ${pressure} bar is outside normal range`,
+                recommendation: 'Trend tank pressure against temperature'
+            });
+        }
+        
+        const tankTemp = propulsion.tankTemperature;
+        if (tankTemp < limits.tankTemperature.critical_min || tankTemp > limits.tankTemperature.critical_max) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'critical',
+                subsystem: 'propulsion',
+                parameter: 'tankTemperature',
+                value: tankTemp,
+                threshold: tankTemp < limits.tankTemperature.critical_min ?
+                    limits.tankTemperature.critical_min :
+                    limits.tankTemperature.critical_max,
+                message: `Propellant tank temperature ${tankTemp}°C is outside critical limits`,
+                recommendation: tankTemp < limits.tankTemperature.critical_min ?
+                    'Switch to redundant tank heater before propellant freezes' :
+                    'Inhibit tank heaters'
+            });
+        } else if (tankTemp < limits.tankTemperature.min || tankTemp > limits.tankTemperature.max) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'warning',
+                subsystem: 'propulsion',
+                parameter: 'tankTemperature',
+                value: tankTemp,
+                threshold: tankTemp < limits.tankTemperature.min ?
+                    limits.tankTemperature.min :
+                    limits.tankTemperature.max,
+                message: `Propellant tank temperature ${tankTemp}°C is outside normal range`,
+                recommendation: 'Check tank heater thermostat'
+            });
+        }
+        
+        if (propulsion.propellantMass < limits.propellantMass.critical_min) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'critical',
+                subsystem: 'propulsion',
+                parameter: 'propellantMass',
+                value: propulsion.propellantMass,
+                threshold: limits.propellantMass.critical_min,
+                message: `Propellant remaining ${propulsion.propellantMass} kg is below the disposal reserve`,
+                recommendation: 'Plan end-of-life disposal with the remaining propellant'
+            });
+        } else if (propulsion.propellantMass < limits.propellantMass.min) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'warning',
+                subsystem: 'propulsion',
+                parameter: 'propellantMass',
+                value: propulsion.propellantMass,
+                threshold: limits.propellantMass.min,
+                message: `Propellant remaining ${propulsion.propellantMass} kg is low`,
+                recommendation: 'Restrict maneuvers to essential orbit maintenance'
+            });
+        }
+        
+        Object.entries(propulsion.thrusters).forEach(([thruster, state]) => {
+            const bedTemp = state.catalystBedTemperature;
+            const name = thruster.toUpperCase();
+            if (bedTemp > limits.catalystBedTemperature.critical_max) {
+                anomalies.push({
+                    type: 'threshold',
+                    severity: 'critical',
+                    subsystem: 'propulsion',
+                    parameter: `${thruster}_catalystBed`,
+                    value: bedTemp,
+                    threshold: limits.catalystBedTemperature.critical_max,
+                    message: `Thruster ${name} catalyst bed at ${bedTemp}°C exceeds critical limit`,
+                    recommendation: 'Terminate the burn and close the thruster valve'
+                });
+            } else if (bedTemp > limits.catalystBedTemperature.max) {
+                anomalies.push({
+                    type: 'threshold',
+                    severity: 'warning',
+                    subsystem: 'propulsion',
+                    parameter: `${thruster}_catalystBed`,
+                    value: bedTemp,
+                    threshold: limits.catalystBedTemperature.max,
+                    message: `Thruster ${name} catalyst bed at ${bedTemp}°C is running hot`,
+                    recommendation: 'Shorten burn segments on this thruster'
+                });
+            } else if (state.valveOpen && bedTemp < limits.catalystBedTemperature.min) {
+                // Firing onto a cold bed cracks the catalyst pellets
+                anomalies.push({
+                    type: 'threshold',
+                    severity: 'warning',
+                    subsystem: 'propulsion',
+                    parameter: `${thruster}_catalystBed`,
+                    value: bedTemp,
+                    threshold: limits.catalystBedTemperature.min,
+                    message: `Thruster ${name} fired with its catalyst bed at ${bedTemp}°C`,
+                    recommendation: 'Preheat catalyst beds before burns'
+                });
+            }
+        });
+        
+        return anomalies;
+    }
+    
+    detectPayloadAnomalies(payload, limits = this.thresholds.payload) {
+        const anomalies = [];
+        const detectorTemp = payload.detectorTemperature;
+        
+        if (detectorTemp > limits.detectorTemperature.survival_max ||
+            (payload.on && detectorTemp > limits.detectorTemperature.critical_max)) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'critical',
+                subsystem: 'payload',
+                parameter: 'detectorTemperature',
+                value: detectorTemp,
+                threshold: payload.on ?
+                    limits.detectorTemperature.critical_max :
+                    limits.detectorTemperature.survival_max,
+                message: `Payload detector at ${detectorTemp}°C is outside critical limits`,
+                recommendation: payload.on ?
+                    'End the imaging session and check the cryocooler' :
+                    'Power the payload to standby to restart the cryocooler'
+            });
+        } else if (payload.on && detectorTemp > limits.detectorTemperature.max) {
+            anomalies.push({
+                type: 'threshold',
+                severity: 'warning',
+                subsystem: 'payload',
+                parameter: 'detectorTemperature',
+                value: detectorTemp,
+                threshold: limits.detectorTemperature.max,
+                message: `Payload detector at ${detectorTemp}°C is too warm for imaging`,
+                recommendation: 'Flag the session data and verify cryocooler power'
+            });
+        }
+        
+        return anomalies;
+    }
+    
+    detectDerivedAnomalies(data, limits) {
+        const anomalies = [];
+        
+        this.dictionary.getChannels()
+            .filter(channel => channel.expression && limits[channel.subsystem]?.[channel.parameter])
+            .forEach(channel => {
+                const value = data.derived[channel.parameter];
+                const limit = limits[channel.subsystem][channel.parameter];
+                if (typeof value !== 'number' || !Number.isFinite(value)) return;
+                
+                const valueText = this.dictionary.formatValue(value, channel.unit);
+                const critical = value < limit.critical_min ? limit.critical_min :
+                    value > limit.critical_max ? limit.critical_max : undefined;
+                const warning = value < limit.min ? limit.min :
+                    value > limit.max ? limit.max : undefined;
+                
+                if (critical !== undefined) {
+                    anomalies.push({
+                        type: 'threshold',
+                        severity: 'critical',
+                        subsystem: channel.subsystem,
+                        parameter: channel.parameter,
+                        value,
+                        threshold: critical,
+                        message: `${channel.name} ${valueText} is outside critical limits`,
+                        recommendation: `Check the inputs of ${channel.expression}`
+                    });
+                } else if (warning !== undefined) {
+                    anomalies.push({
+                        type: 'threshold',
+                        severity: 'warning',
+                        subsystem: channel.subsystem,
+                        parameter: channel.parameter,
+                        value,
+                        threshold: warning,
+                        message: `${channel.name} ${valueText} is outside normal range`,
+                        recommendation: `Monitor the inputs of ${channel.expression}`
+                    });
+                }
+            });
+        
         return anomalies;
     }
     
-    detectStatisticalAnomalies(data) {
+    detectStatisticalAnomalies(data, models) {
         const anomalies = [];
         const parameters = {
             battery_voltage: data.power.battery.voltage,
@@ -214,8 +662,8 @@ class AnomalyDetector {
         };
         
         for (const [param, value] of Object.entries(parameters)) {
-            const model = this.statisticalModels[param];
-            if (model.hasEnoughData()) {
+            const model = models.statisticalModels[param];
+            if (value !== null && model.hasEnoughData()) {
                 const anomalyScore = model.calculateAnomalyScore(value);
                 
                 if (anomalyScore > 0.95) { // 95% confidence
@@ -237,22 +685,10 @@ class AnomalyDetector {
         return anomalies;
     }
     
-    detectMLAnomalies(data) {
+    detectMLAnomalies(data, models) {
         const anomalies = [];
         
-        // Prepare feature vector for isolation forest
-        const features = [
-            data.power.battery.voltage,
-            data.power.battery.current,
-            data.power.battery.temperature,
-            data.power.solar.power,
-            data.thermal.processor,
-            data.thermal.battery,
-            data.communication.signalStrength,
-            data.communication.errorRate
-        ];
-        
-        const isolationScore = this.isolationForest.predict(features);
+        const isolationScore = models.isolationForest.predict(this.getFeatureVector(data));
         if (isolationScore > 0.7) { // Anomaly threshold
             anomalies.push({
                 type: 'ml_isolation',
@@ -267,7 +703,7 @@ class AnomalyDetector {
         }
         
         // LSTM time series anomaly detection
-        const lstmScore = this.lstmDetector.detectAnomaly(data);
+        const lstmScore = models.lstmDetector.detectAnomaly(data);
         if (lstmScore > 0.8) {
             anomalies.push({
                 type: 'ml_lstm',
@@ -287,12 +723,18 @@ class AnomalyDetector {
     detectPatternAnomalies(data) {
         const anomalies = [];
         
-        // Detect rapid changes in key parameters
-        const history = window.telemetrySimulator.getHistoricalData('power', 0.5); // Last 30 seconds
-        if (history.length < 10) return anomalies;
+        // Leaks and catalyst wear show up as trends well before any limit is crossed
+        if (data.propulsion?.thrusters) {
+            anomalies.push(...this.detectPropulsionPatterns(data));
+        }
         
-        const recent = history.slice(-5);
-        const previous = history.slice(-10, -5);
+        // Detect rapid changes in key parameters, comparing the last 5 s of telemetry time with the 5 s before.
+        // When samples are further apart than that, one window stays empty and the rate can't be resolved.
+        const history = window.telemetrySourceManager.getHistoricalData('power', 0.5, data.spacecraftId); // Last 30 seconds
+        const recent = history.filter(point => point.timestamp > data.timestamp - 5000);
+        const previous = history.filter(point =>
+            point.timestamp > data.timestamp - 10000 && point.timestamp <= data.timestamp - 5000);
+        if (recent.length === 0 || previous.length === 0) return anomalies;
         
         // Battery voltage rapid change
         const recentBatteryVoltage = recent.map(d => d.power.battery.voltage);
@@ -331,12 +773,71 @@ class AnomalyDetector {
         return anomalies;
     }
     
-    processDetectedAnomalies(anomalies, timestamp) {
+    detectPropulsionPatterns(data) {
+        const anomalies = [];
+        const limits = this.getThresholds(data.missionPhase).propulsion;
+        const propulsion = data.propulsion;
+        
+        // A sealed tank holds its temperature-compensated pressure between burns, so any decay is a leak
+        const history = window.telemetrySourceManager.getHistoricalData('propulsion', 5, data.spacecraftId)
+            .filter(point => point.propulsion?.thrusters);
+        const lastBurn = history.map(point => point.propulsion.burnDuration > 0).lastIndexOf(true);
+        const coast = history.slice(lastBurn + 1);
+        
+        if (coast.length >= 60 && coast[coast.length - 1].timestamp - coast[0].timestamp >= 240000) {
+            const times = coast.map(point => (point.timestamp - coast[0].timestamp) / 3600000); // h
+            const pressures = coast.map(point =>
+                point.propulsion.tankPressure * 293.15 / (point.propulsion.tankTemperature + 273.15));
+            const decay = -this.linearTrend(times, pressures); // bar/h at 20°C
+            
+            if (decay > limits.pressureDecay.max) {
+                anomalies.push({
+                    type: 'pattern',
+                    severity: decay > limits.pressureDecay.critical_max ? 'critical' : 'warning',
+                    subsystem: 'propulsion',
+                    parameter: 'pressureDecay',
+                    value: Number(decay.toFixed(3)),
+                    threshold: decay > limits.pressureDecay.critical_max ?
+                        limits.pressureDecay.critical_max :
+                        limits.pressureDecay.max,
+                    message: `Tank pressure decaying at ${decay.toFixed(2)} bar/h with all thruster valves closed`,
+                    recommendation: 'Close the latch valve to isolate the suspected leak',
+                    explanation: 'Temperature-compensated tank pressure should stay constant between burns'
+                });
+            }
+        }
+        
+        // Decomposition should heat a firing bed well above its preheat temperature
+        if (propulsion.burnDuration >= 30) {
+            Object.entries(propulsion.thrusters).forEach(([thruster, state]) => {
+                if (state.valveOpen && state.catalystBedTemperature < limits.catalystBedTemperature.firing_min) {
+                    anomalies.push({
+                        type: 'pattern',
+                        severity: 'warning',
+                        subsystem: 'propulsion',
+                        parameter: `${thruster}_catalystActivity`,
+                        value: state.catalystBedTemperature,
+                        threshold: limits.catalystBedTemperature.firing_min,
+                        message: `Thruster ${thruster.toUpperCase()} catalyst bed only ${state.catalystBedTemperature}°C after ${propulsion.burnDuration}s of firing`,
+                        recommendation: 'Switch the burn to the redundant thruster branch',
+                        explanation: 'A degraded catalyst bed decomposes less propellant and loses thrust'
+                    });
+                }
+            });
+        }
+        
+        return anomalies;
+    }
+    
+    processDetectedAnomalies(anomalies, timestamp, spacecraftId, missionPhase = 'nominal') {
         for (const anomaly of anomalies) {
             // Add metadata
-            anomaly.id = this.generateAnomalyId();
+            anomaly.id = this.generateAnomalyId(timestamp);
+            anomaly.spacecraftId = spacecraftId;
+            anomaly.missionPhase = missionPhase;
             anomaly.timestamp = timestamp;
             anomaly.acknowledged = false;
+            anomaly.relatedEvents = this.correlateEvents(anomaly);
             
             // Check if this is a duplicate or similar recent anomaly
             if (!this.isDuplicateAnomaly(anomaly)) {
@@ -359,12 +860,39 @@ class AnomalyDetector {
         }
     }
     
+    // Onboard events near an anomaly, most relevant first: same subsystem, then higher severity, then closest in time.
+    // Called again later, it also picks up events reported after detection.
+    correlateEvents(anomaly) {
+        const { before, after, limit } = this.eventCorrelation;
+        const severities = window.eventLog.severities;
+        const rank = event => [
+            event.subsystem === anomaly.subsystem ? 0 : 1,
+            -severities.indexOf(event.severity),
+            Math.abs(event.timestamp - anomaly.timestamp)
+        ];
+        
+        return window.eventLog.getNearby(anomaly.spacecraftId, anomaly.timestamp, before, after)
+            .map(event => ({ event, rank: rank(event) }))
+            .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.rank[2] - b.rank[2])
+            .slice(0, limit)
+            .map(({ event }) => ({
+                id: event.id,
+                type: event.type,
+                severity: event.severity,
+                subsystem: event.subsystem,
+                message: event.message,
+                timestamp: event.timestamp,
+                offset: Math.round((event.timestamp - anomaly.timestamp) / 1000) // s, negative before the anomaly
+            }));
+    }
+    
     isDuplicateAnomaly(newAnomaly) {
         const recentAnomalies = this.anomalies.filter(a => 
-            (Date.now() - a.timestamp) < 30000 // Last 30 seconds
+            (this.now(a.spacecraftId) - a.timestamp) < 30000 // Last 30 s of telemetry
         );
         
         return recentAnomalies.some(existing => 
+            existing.spacecraftId === newAnomaly.spacecraftId &&
             existing.subsystem === newAnomaly.subsystem &&
             existing.parameter === newAnomaly.parameter &&
             existing.type === newAnomaly.type &&
@@ -373,8 +901,8 @@ class AnomalyDetector {
     }
     
     cleanupOldAnomalies() {
-        const now = Date.now();
         this.anomalies = this.anomalies.filter(anomaly => {
+            const now = this.now(anomaly.spacecraftId);
             // Auto-acknowledge anomalies older than 5 minutes
             if ((now - anomaly.timestamp) > 300000) {
                 if (!anomaly.acknowledged) {
@@ -388,28 +916,34 @@ class AnomalyDetector {
         });
     }
     
-    updateModels(data) {
+    updateModels(data, models) {
         // Update statistical models with new data points
-        this.statisticalModels.battery_voltage.addDataPoint(data.power.battery.voltage);
-        this.statisticalModels.battery_current.addDataPoint(data.power.battery.current);
-        this.statisticalModels.battery_temperature.addDataPoint(data.power.battery.temperature);
-        this.statisticalModels.solar_power.addDataPoint(data.power.solar.power);
-        this.statisticalModels.processor_temp.addDataPoint(data.thermal.processor);
-        this.statisticalModels.signal_strength.addDataPoint(data.communication.signalStrength);
+        models.statisticalModels.battery_voltage.addDataPoint(data.power.battery.voltage);
+        models.statisticalModels.battery_current.addDataPoint(data.power.battery.current);
+        models.statisticalModels.battery_temperature.addDataPoint(data.power.battery.temperature);
+        models.statisticalModels.solar_power.addDataPoint(data.power.solar.power);
+        models.statisticalModels.processor_temp.addDataPoint(data.thermal.processor);
+        if (data.communication.signalStrength !== null) {
+            models.statisticalModels.signal_strength.addDataPoint(data.communication.signalStrength);
+        }
         
         // Update ML models
-        this.isolationForest.addTrainingData([
+        models.isolationForest.addTrainingData(this.getFeatureVector(data));
+        
+        models.lstmDetector.addSequencePoint(data);
+    }
+    
+    // Feature vector for the isolation forest. Link values follow pass geometry and are
+    // absent between passes, so they are left to the threshold and statistical checks.
+    getFeatureVector(data) {
+        return [
             data.power.battery.voltage,
             data.power.battery.current,
             data.power.battery.temperature,
             data.power.solar.power,
             data.thermal.processor,
-            data.thermal.battery,
-            data.communication.signalStrength,
-            data.communication.errorRate
-        ]);
-        
-        this.lstmDetector.addSequencePoint(data);
+            data.thermal.battery
+        ];
     }
     
     // Utility methods
@@ -422,25 +956,42 @@ class AnomalyDetector {
         return arr.reduce((sum, val) => sum + Math.pow(val - avg, 2), 0) / arr.length;
     }
     
-    generateAnomalyId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    // Least-squares slope of ys against xs
+    linearTrend(xs, ys) {
+        const meanX = this.average(xs);
+        const meanY = this.average(ys);
+        const spread = xs.reduce((sum, x) => sum + Math.pow(x - meanX, 2), 0);
+        if (spread === 0) return 0;
+        
+        return xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / spread;
+    }
+    
+    // Time of a spacecraft's latest telemetry; the simulation clock before any has arrived
+    now(spacecraftId) {
+        return this.latestTimestamps[spacecraftId] ?? window.simulationClock.now();
     }
     
-    // Public API methods
-    getActiveAnomalies() {
-        return this.anomalies.filter(a => !a.acknowledged);
+    generateAnomalyId(timestamp = window.simulationClock.now()) {
+        return timestamp.toString(36) + this.random.next().toString(36).substr(2, 5);
     }
     
-    getAnomalyHistory(hours = 24) {
-        const cutoff = Date.now() - (hours * 60 * 60 * 1000);
-        return this.anomalyHistory.filter(a => a.timestamp > cutoff);
+    // Public API methods; omit spacecraftId for fleet-wide results
+    getActiveAnomalies(spacecraftId = null) {
+        return this.anomalies.filter(a => !a.acknowledged &&
+            (spacecraftId === null || a.spacecraftId === spacecraftId));
+    }
+    
+    getAnomalyHistory(hours = 24, spacecraftId = null) {
+        const span = hours * 60 * 60 * 1000;
+        return this.anomalyHistory.filter(a => a.timestamp > this.now(a.spacecraftId) - span &&
+            (spacecraftId === null || a.spacecraftId === spacecraftId));
     }
     
     acknowledgeAnomaly(anomalyId, acknowledgedBy = 'operator') {
         const anomaly = this.anomalies.find(a => a.id === anomalyId);
         if (anomaly) {
             anomaly.acknowledged = true;
-            anomaly.acknowledgedAt = Date.now();
+            anomaly.acknowledgedAt = this.now(anomaly.spacecraftId);
             anomaly.acknowledgedBy = acknowledgedBy;
             
             // Remove from active list
@@ -456,16 +1007,15 @@ class AnomalyDetector {
         this.isTraining = true;
         console.log('Training ML models...');
         
-        // Simulate ML training process
-        setTimeout(() => {
-            this.isolationForest.train();
-            this.lstmDetector.train();
-            this.trainingComplete = true;
-            this.isTraining = false;
-            console.log('ML model training completed');
-            
-            window.dispatchEvent(new CustomEvent('mlTrainingComplete'));
-        }, 3000);
+        Object.values(this.vehicleModels).forEach(models => {
+            models.isolationForest.train();
+            models.lstmDetector.train();
+        });
+        this.trainingComplete = true;
+        this.isTraining = false;
+        console.log('ML model training completed');
+        
+        window.dispatchEvent(new CustomEvent('mlTrainingComplete'));
         
         return true;
     }
@@ -516,9 +1066,10 @@ class StatisticalModel {
 
 // Simplified Isolation Forest implementation
 class IsolationForest {
-    constructor(numTrees = 10, subsampleSize = 50) {
+    constructor(numTrees = 10, subsampleSize = 50, random = window.simulationRandom.fork('isolation-forest')) {
         this.numTrees = numTrees;
         this.subsampleSize = subsampleSize;
+        this.random = random;
         this.trees = [];
         this.trainingData = [];
         this.trained = false;
@@ -553,7 +1104,7 @@ class IsolationForest {
     }
     
     createSubsample() {
-        const shuffled = [...this.trainingData].sort(() => Math.random() - 0.5);
+        const shuffled = [...this.trainingData].sort(() => this.random.next() - 0.5);
         return shuffled.slice(0, Math.min(this.subsampleSize, shuffled.length));
     }
     
@@ -563,7 +1114,7 @@ class IsolationForest {
         }
         
         // Randomly select feature and split point
-        const featureIndex = Math.floor(Math.random() * data[0].length);
+        const featureIndex = Math.floor(this.random.next() * data[0].length);
         const featureValues = data.map(point => point[featureIndex]);
         const minVal = Math.min(...featureValues);
         const maxVal = Math.max(...featureValues);
@@ -572,7 +1123,7 @@ class IsolationForest {
             return { size: data.length };
         }
         
-        const splitValue = minVal + Math.random() * (maxVal - minVal);
+        const splitValue = minVal + this.random.next() * (maxVal - minVal);
         
         const leftData = data.filter(point => point[featureIndex] < splitValue);
         const rightData = data.filter(point => point[featureIndex] >= splitValue);
@@ -631,8 +1182,7 @@ class LSTMTimeSeriesDetector {
             telemetryData.power.battery.voltage,
             telemetryData.power.battery.current,
             telemetryData.power.solar.power,
-            telemetryData.thermal.processor,
-            telemetryData.communication.signalStrength
+            telemetryData.thermal.processor
         ];
         
         this.sequences.push(features);
@@ -0,0 +1,406 @@
+/**
+ * Telemetry Archive
+ * Long-term store of every telemetry point in IndexedDB, with min/max/mean rollups for long time ranges
+ */
+
+// IndexedDB backend: one object store keyed by [spacecraftId, resolution, timestamp]
+class IndexedDBArchiveStore {
+    constructor(name = 'satellite-telemetry-archive') {
+        this.name = name;
+        this.db = null;
+    }
+    
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, 1);
+            
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('records', { keyPath: ['spacecraftId', 'resolution', 'timestamp'] });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    put(records) {
+        return this.transaction('readwrite', store => {
+            records.forEach(record => store.put(record));
+        });
+    }
+    
+    // Visits records in time order through a cursor, so a range is never loaded all at once
+    getRange(spacecraftId, resolution, from, to, visit) {
+        return this.transaction('readonly', store => {
+            const request = store.openCursor(this.keyRange(spacecraftId, resolution, from, to));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    visit(cursor.value);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+    
+    deleteRange(spacecraftId, resolution, from, to) {
+        return this.transaction('readwrite', store => {
+            store.delete(this.keyRange(spacecraftId, resolution, from, to));
+        });
+    }
+    
+    clear() {
+        return this.transaction('readwrite', store => {
+            store.clear();
+        });
+    }
+    
+    keyRange(spacecraftId, resolution, from, to) {
+        return IDBKeyRange.bound([spacecraftId, resolution, from], [spacecraftId, resolution, to]);
+    }
+    
+    // Resolves once the transaction has committed
+    transaction(mode, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction('records', mode);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+            work(transaction.objectStore('records'));
+        });
+    }
+}
+
+// Fallback with the same interface when IndexedDB is unavailable (private browsing, some file:// pages)
+class MemoryArchiveStore {
+    constructor() {
+        this.series = new Map(); // `${spacecraftId}|${resolution}` -> records in time order
+    }
+    
+    open() {
+        return Promise.resolve(this);
+    }
+    
+    put(records) {
+        records.forEach(record => {
+            const key = `${record.spacecraftId}|${record.resolution}`;
+            if (!this.series.has(key)) {
+                this.series.set(key, []);
+            }
+            
+            const series = this.series.get(key);
+            const index = this.findIndex(series, record.timestamp);
+            if (series[index]?.timestamp === record.timestamp) {
+                series[index] = record;
+            } else {
+                series.splice(index, 0, record);
+            }
+        });
+        return Promise.resolve();
+    }
+    
+    getRange(spacecraftId, resolution, from, to, visit) {
+        const series = this.series.get(`${spacecraftId}|${resolution}`) || [];
+        for (let i = this.findIndex(series, from); i < series.length && series[i].timestamp <= to; i++) {
+            visit(series[i]);
+        }
+        return Promise.resolve();
+    }
+    
+    deleteRange(spacecraftId, resolution, from, to) {
+        const series = this.series.get(`${spacecraftId}|${resolution}`) || [];
+        const start = this.findIndex(series, from);
+        let end = this.findIndex(series, to);
+        if (series[end]?.timestamp === to) end++;
+        series.splice(start, end - start);
+        return Promise.resolve();
+    }
+    
+    clear() {
+        this.series.clear();
+        return Promise.resolve();
+    }
+    
+    // First index whose timestamp is not below the one given
+    findIndex(series, timestamp) {
+        let low = 0;
+        let high = series.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (series[middle].timestamp < timestamp) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+}
+
+class TelemetryArchive {
+    constructor() {
+        // Whole points are kept as 'raw'; the rollups keep min, max and mean of every channel per interval
+        this.resolutions = {
+            raw: { interval: 1000, retention: 2 * 3600000 },
+            '1m': { interval: 60000, retention: 2 * 86400000 },
+            '10m': { interval: 600000, retention: 14 * 86400000 },
+            '1h': { interval: 3600000, retention: 365 * 86400000 }
+        };
+        // Shorter retention for the in-memory fallback
+        this.memoryRetention = { raw: 1800000, '1m': 6 * 3600000, '10m': 2 * 86400000, '1h': 30 * 86400000 };
+        this.excludedChannels = ['timestamp', 'missionTime', 'recordedTimestamp', 'frameCount', 'fdir.lastAction.timestamp'];
+        
+        this.store = null;
+        this.buckets = {}; // spacecraftId -> resolution -> rollup being accumulated
+        this.pending = []; // Records waiting for the next write
+        this.latest = {}; // spacecraftId -> newest archived timestamp
+        this.lastPruned = {}; // spacecraftId -> newest timestamp at the last retention pass
+        this.pruneInterval = 600000;
+        
+        // Points are written in batches
+        this.flushDelay = 1000;
+        this.flushLimit = 500;
+        this.flushTimer = null;
+        
+        this.ready = this.openStore();
+        
+        window.addEventListener('telemetryUpdate', (event) => {
+            this.archivePoint(event.detail);
+        });
+        
+        // A new source has its own timeline: its points would count as late against the old rollups,
+        // and retention measured from the old source's newest point would delete them
+        window.addEventListener('telemetrySourceChange', () => {
+            this.flush();
+            this.buckets = {};
+            this.latest = {};
+            this.lastPruned = {};
+        });
+    }
+    
+    async openStore() {
+        if (typeof indexedDB !== 'undefined' && indexedDB) {
+            try {
+                const store = await new IndexedDBArchiveStore().open();
+                
+                // Seeded runs restart their timeline at the same epoch, so earlier runs would overlap this one.
+                // A database that opens but rejects the clear (quota, blocked, private mode) falls back to memory.
+                if (window.simulationConfig?.deterministic) {
+                    await store.clear();
+                }
+                this.store = store;
+            } catch (error) {
+                console.warn('IndexedDB unavailable, keeping the telemetry archive in memory:', error);
+            }
+        }
+        if (!this.store) {
+            // Starts empty, so seeded runs need no clear
+            this.store = await new MemoryArchiveStore().open();
+            Object.entries(this.memoryRetention).forEach(([resolution, retention]) => {
+                this.resolutions[resolution].retention = retention;
+            });
+        }
+        
+        console.log(`Telemetry archive ready (${this.store instanceof IndexedDBArchiveStore ? 'IndexedDB' : 'memory'})`);
+        return this.store;
+    }
+    
+    archivePoint(point) {
+        const { spacecraftId, timestamp } = point;
+        const values = this.flatten(point);
+        
+        this.pending.push({ spacecraftId, resolution: 'raw', timestamp, point });
+        
+        const buckets = this.buckets[spacecraftId] || (this.buckets[spacecraftId] = {});
+        Object.entries(this.resolutions).forEach(([resolution, { interval }]) => {
+            if (resolution === 'raw') return;
+            
+            const start = Math.floor(timestamp / interval) * interval;
+            let bucket = buckets[resolution];
+            if (bucket && start < bucket.timestamp) return; // Late point; the raw record still keeps it
+            
+            if (bucket && start > bucket.timestamp) {
+                this.pending.push(this.getRollup(bucket));
+                bucket = null;
+            }
+            if (!bucket) {
+                bucket = buckets[resolution] = { spacecraftId, resolution, timestamp: start, count: 0, channels: {} };
+            }
+            
+            bucket.count++;
+            Object.entries(values).forEach(([channel, value]) => {
+                const stats = bucket.channels[channel];
+                if (stats) {
+                    stats.min = Math.min(stats.min, value);
+                    stats.max = Math.max(stats.max, value);
+                    stats.sum += value;
+                    stats.count++;
+                } else {
+                    bucket.channels[channel] = { min: value, max: value, sum: value, count: 1 };
+                }
+            });
+        });
+        
+        this.latest[spacecraftId] = Math.max(this.latest[spacecraftId] ?? -Infinity, timestamp);
+        
+        if (this.pending.length >= this.flushLimit) {
+            this.flush();
+        } else if (this.flushTimer === null) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+        }
+    }
+    
+    // Numeric and boolean leaves keyed by dotted path; booleans count as 0/1 so their mean is a duty cycle
+    flatten(object, prefix = '', values = {}) {
+        Object.entries(object).forEach(([key, value]) => {
+            const path = prefix + key;
+            if (this.excludedChannels.includes(path)) return;
+            
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                values[path] = value;
+            } else if (typeof value === 'boolean') {
+                values[path] = value ? 1 : 0;
+            } else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                this.flatten(value, `${path}.`, values);
+            }
+        });
+        return values;
+    }
+    
+    // Stored form of a rollup bucket
+    getRollup(bucket) {
+        const channels = {};
+        Object.entries(bucket.channels).forEach(([channel, stats]) => {
+            channels[channel] = { min: stats.min, max: stats.max, mean: stats.sum / stats.count, count: stats.count };
+        });
+        
+        return {
+            spacecraftId: bucket.spacecraftId,
+            resolution: bucket.resolution,
+            timestamp: bucket.timestamp,
+            count: bucket.count,
+            channels
+        };
+    }
+    
+    // Rollups still accumulating are written too, so a closed page loses at most one batch
+    async flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        
+        const records = this.pending;
+        this.pending = [];
+        Object.values(this.buckets).forEach(buckets => {
+            Object.values(buckets).forEach(bucket => records.push(this.getRollup(bucket)));
+        });
+        
+        const store = await this.ready;
+        try {
+            await store.put(records);
+        } catch (error) {
+            console.error('Telemetry archive write failed:', error);
+        }
+        
+        await this.prune();
+    }
+    
+    // Retention is measured back from each vehicle's newest point, so simulated time is honoured
+    async prune() {
+        const store = await this.ready;
+        
+        for (const [spacecraftId, latest] of Object.entries(this.latest)) {
+            if (latest - (this.lastPruned[spacecraftId] ?? -Infinity) < this.pruneInterval) continue;
+            this.lastPruned[spacecraftId] = latest;
+            
+            for (const [resolution, { retention }] of Object.entries(this.resolutions)) {
+                try {
+                    await store.deleteRange(spacecraftId, resolution, -Infinity, latest - retention);
+                } catch (error) {
+                    console.error('Telemetry archive retention pass failed:', error);
+                }
+            }
+        }
+    }
+    
+    // Finest resolution that covers the range within its retention and needs no more than maxPoints samples
+    chooseResolution(spacecraftId, from, to, maxPoints) {
+        const age = (this.latest[spacecraftId] ?? to) - from;
+        const names = Object.keys(this.resolutions);
+        
+        return names.find(name => {
+            const { interval, retention } = this.resolutions[name];
+            return (to - from) / interval <= maxPoints && age <= retention;
+        }) || names[names.length - 1];
+    }
+    
+    // Samples of each channel between from and to, as { timestamp, min, max, mean, count };
+    // raw samples have min = max = mean
+    async query(spacecraftId, channels, from, to, { resolution = 'auto', maxPoints = 500 } = {}) {
+        const store = await this.ready;
+        const chosen = resolution === 'auto' ? this.chooseResolution(spacecraftId, from, to, maxPoints) : resolution;
+        if (!this.resolutions[chosen]) {
+            throw new Error(`Unknown archive resolution ${chosen}`);
+        }
+        
+        const samples = new Map(); // timestamp -> channel -> sample
+        const collect = (record) => {
+            const values = {};
+            if (chosen === 'raw') {
+                const flat = this.flatten(record.point);
+                channels.forEach(channel => {
+                    if (flat[channel] !== undefined) {
+                        const value = flat[channel];
+                        values[channel] = { min: value, max: value, mean: value, count: 1 };
+                    }
+                });
+            } else {
+                channels.forEach(channel => {
+                    if (record.channels[channel]) {
+                        values[channel] = record.channels[channel];
+                    }
+                });
+            }
+            samples.set(record.timestamp, values);
+        };
+        
+        await store.getRange(spacecraftId, chosen, from, to, collect);
+        
+        // Records not yet written, and the rollup still accumulating, are newer than anything stored
+        this.pending
+            .filter(record => record.spacecraftId === spacecraftId && record.resolution === chosen &&
+                record.timestamp >= from && record.timestamp <= to)
+            .forEach(collect);
+        const bucket = this.buckets[spacecraftId]?.[chosen];
+        if (bucket && bucket.timestamp >= from && bucket.timestamp <= to) {
+            collect(this.getRollup(bucket));
+        }
+        
+        const series = {};
+        channels.forEach(channel => { series[channel] = []; });
+        Array.from(samples.keys()).sort((a, b) => a - b).forEach(timestamp => {
+            Object.entries(samples.get(timestamp)).forEach(([channel, sample]) => {
+                series[channel].push({ timestamp, min: sample.min, max: sample.max, mean: sample.mean, count: sample.count });
+            });
+        });
+        
+        return { spacecraftId, resolution: chosen, from, to, series };
+    }
+    
+    getLatestTimestamp(spacecraftId) {
+        return this.latest[spacecraftId] ?? null;
+    }
+    
+    async clear() {
+        const store = await this.ready;
+        this.pending = [];
+        this.buckets = {};
+        this.latest = {};
+        this.lastPruned = {};
+        await store.clear();
+    }
+}
+
+// Global telemetry archive instance
+window.telemetryArchive = new TelemetryArchive();
@@ -0,0 +1,550 @@
+/**
+ * CCSDS Telemetry Decoder
+ * Unpacks TM transfer frames and Space Packets into dashboard telemetry points
+ */
+
+class CCSDSDecoder {
+    constructor() {
+        // Per-APID packet layouts; fields follow the secondary header in order, big-endian.
+        // A field with a null raw value carries null (no measurement) as that reserved code.
+        this.packetDefinitions = this.initializePacketDefinitions();
+        
+        this.config = {
+            inputMode: 'packets', // packets: one or more Space Packets per message; frames: TM transfer frames
+            timeEpoch: Date.UTC(1970, 0, 1), // Mission epoch for the CUC secondary header time
+            hasFECF: true, // Frame Error Control Field (CRC-16) at the end of each transfer frame
+            idleApid: 0x7FF
+        };
+        
+        this.typeSizes = {
+            uint8: 1, int8: 1, bool: 1,
+            uint16: 2, int16: 2,
+            uint32: 4, int32: 4, float32: 4,
+            float64: 8
+        };
+        
+        // Raw limits of the integer types; the encoder clamps values outside them
+        this.typeRanges = {
+            uint8: [0, 0xFF], int8: [-0x80, 0x7F],
+            uint16: [0, 0xFFFF], int16: [-0x8000, 0x7FFF],
+            uint32: [0, 0xFFFFFFFF], int32: [-0x80000000, 0x7FFFFFFF]
+        };
+        
+        // Sequence tracking
+        this.lastSequenceCount = {}; // apid -> 14-bit packet sequence count
+        this.lastFrameCount = { master: null, virtual: {} };
+        this.sequenceGaps = [];
+        
+        // Partial packets spanning frame boundaries, per virtual channel
+        this.virtualChannelBuffers = {};
+        
+        // Packets with the same secondary header time are merged into one telemetry point
+        this.pendingPoint = null;
+        
+        this.stats = {
+            packets: 0,
+            frames: 0,
+            lostPackets: 0,
+            lostFrames: 0,
+            unknownApid: 0,
+            crcErrors: 0,
+            malformed: 0,
+            clamped: 0 // Encoded values outside their field's range
+        };
+    }
+    
+    initializePacketDefinitions() {
+        return {
+            0x101: {
+                name: 'POWER_HK',
+                fields: [
+                    { path: 'power.battery.voltage', type: 'uint16', scale: 0.01 },
+                    { path: 'power.battery.current', type: 'int16', scale: 0.01 },
+                    { path: 'power.battery.temperature', type: 'int16', scale: 0.1 },
+                    { path: 'power.battery.capacity', type: 'uint16', scale: 0.1 },
+                    { path: 'power.battery.stateOfCharge', type: 'uint16', scale: 0.1 },
+                    { path: 'power.battery.cycles', type: 'uint16', scale: 1 },
+                    { path: 'power.battery.cycleDepth', type: 'uint16', scale: 0.1 },
+                    { path: 'power.battery.resistance', type: 'uint16', scale: 0.1 },
+                    { path: 'power.solar.power', type: 'uint16', scale: 0.1 },
+                    { path: 'power.solar.voltage', type: 'uint16', scale: 0.01 },
+                    { path: 'power.solar.current', type: 'uint16', scale: 0.01 },
+                    { path: 'power.solar.temperature', type: 'int16', scale: 0.1 },
+                    { path: 'power.eclipse', type: 'bool' }
+                ]
+            },
+            0x102: {
+                name: 'THERMAL_HK',
+                fields: [
+                    { path: 'thermal.processor', type: 'int16', scale: 0.1 },
+                    { path: 'thermal.battery', type: 'int16', scale: 0.1 },
+                    { path: 'thermal.solar', type: 'int16', scale: 0.1 },
+                    { path: 'thermal.radiator', type: 'int16', scale: 0.1 },
+                    { path: 'thermal.heaters.battery.enabled', type: 'bool' },
+                    { path: 'thermal.heaters.battery.on', type: 'bool' }
+                ]
+            },
+            0x103: {
+                name: 'COMMS_HK',
+                fields: [
+                    { path: 'communication.contact', type: 'bool' },
+                    { path: 'communication.elevation', type: 'int16', scale: 0.1, null: -0x8000 },
+                    { path: 'communication.range', type: 'uint16', scale: 1, null: 0xFFFF },
+                    { path: 'communication.signalStrength', type: 'int16', scale: 0.1, null: -0x8000 },
+                    { path: 'communication.dataRate', type: 'uint32', scale: 1, null: 0xFFFFFFFF },
+                    { path: 'communication.errorRate', type: 'uint32', scale: 0.000001, null: 0xFFFFFFFF },
+                    { path: 'communication.antennaTemperature', type: 'int16', scale: 0.1 }
+                ]
+            },
+            0x104: {
+                name: 'ATTITUDE_HK',
+                fields: [
+                    { path: 'attitude.roll', type: 'float32' },
+                    { path: 'attitude.pitch', type: 'float32' },
+                    { path: 'attitude.yaw', type: 'float32' },
+                    { path: 'attitude.angularVelocity', type: 'float32' }
+                ]
+            },
+            0x105: {
+                name: 'ADCS_HK',
+                fields: [
+                    { path: 'attitude.target.roll', type: 'float32' },
+                    { path: 'attitude.target.pitch', type: 'float32' },
+                    { path: 'attitude.target.yaw', type: 'float32' },
+                    { path: 'attitude.pointingError', type: 'uint32', scale: 0.000001 }, // Up to 180° when tumbling
+                    { path: 'attitude.wheels.x.speed', type: 'int16', scale: 1 },
+                    { path: 'attitude.wheels.x.current', type: 'uint16', scale: 0.001 },
+                    { path: 'attitude.wheels.y.speed', type: 'int16', scale: 1 },
+                    { path: 'attitude.wheels.y.current', type: 'uint16', scale: 0.001 },
+                    { path: 'attitude.wheels.z.speed', type: 'int16', scale: 1 },
+                    { path: 'attitude.wheels.z.current', type: 'uint16', scale: 0.001 },
+                    { path: 'attitude.magnetorquer.dutyCycle', type: 'uint16', scale: 0.1 },
+                    { path: 'attitude.starTracker.valid', type: 'bool' }
+                ]
+            },
+            0x106: {
+                name: 'PROP_HK',
+                fields: [
+                    { path: 'propulsion.tankPressure', type: 'uint16', scale: 0.001 },
+                    { path: 'propulsion.tankTemperature', type: 'int16', scale: 0.01 },
+                    { path: 'propulsion.propellantMass', type: 'uint16', scale: 0.01 },
+                    { path: 'propulsion.burnDuration', type: 'uint32', scale: 1 },
+                    { path: 'propulsion.thrusters.t1.valveOpen', type: 'bool' },
+                    { path: 'propulsion.thrusters.t1.catalystBedTemperature', type: 'int16', scale: 0.1 },
+                    { path: 'propulsion.thrusters.t2.valveOpen', type: 'bool' },
+                    { path: 'propulsion.thrusters.t2.catalystBedTemperature', type: 'int16', scale: 0.1 },
+                    { path: 'propulsion.thrusters.t3.valveOpen', type: 'bool' },
+                    { path: 'propulsion.thrusters.t3.catalystBedTemperature', type: 'int16', scale: 0.1 },
+                    { path: 'propulsion.thrusters.t4.valveOpen', type: 'bool' },
+                    { path: 'propulsion.thrusters.t4.catalystBedTemperature', type: 'int16', scale: 0.1 }
+                ]
+            },
+            0x107: {
+                name: 'PAYLOAD_HK',
+                fields: [
+                    { path: 'payload.on', type: 'bool' },
+                    { path: 'payload.power', type: 'uint16', scale: 0.1 },
+                    { path: 'payload.detectorTemperature', type: 'int16', scale: 0.1 },
+                    { path: 'payload.dataRate', type: 'uint32', scale: 0.1 },
+                    { path: 'payload.dataVolume', type: 'uint32', scale: 1 }
+                ]
+            }
+        };
+    }
+    
+    setPacketDefinition(apid, definition) {
+        this.packetDefinitions[apid] = definition;
+    }
+    
+    // Entry point for binary messages; returns completed telemetry points
+    decode(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const packets = this.config.inputMode === 'frames' ?
+            this.decodeTransferFrame(bytes) :
+            this.extractPackets(bytes).packets;
+        
+        const points = [];
+        packets.forEach(packet => {
+            const completed = this.ingestPacket(packet);
+            if (completed) points.push(completed);
+        });
+        
+        return points;
+    }
+    
+    // TM Transfer Frame (CCSDS 132.0-B): 6-byte primary header, data field, optional OCF and FECF
+    decodeTransferFrame(bytes) {
+        if (bytes.length < 8) {
+            this.stats.malformed++;
+            return [];
+        }
+        
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const word0 = view.getUint16(0);
+        const header = {
+            version: (word0 >> 14) & 0x3,
+            spacecraftId: (word0 >> 4) & 0x3FF,
+            virtualChannelId: (word0 >> 1) & 0x7,
+            ocfFlag: (word0 & 0x1) === 1,
+            masterFrameCount: bytes[2],
+            virtualFrameCount: bytes[3],
+            firstHeaderPointer: view.getUint16(4) & 0x7FF
+        };
+        
+        let dataEnd = bytes.length;
+        if (this.config.hasFECF) {
+            dataEnd -= 2;
+            const expected = view.getUint16(dataEnd);
+            if (this.crc16(bytes.subarray(0, dataEnd)) !== expected) {
+                this.stats.crcErrors++;
+                console.warn(`TM frame CRC error (VC ${header.virtualChannelId}, count ${header.virtualFrameCount})`);
+                return [];
+            }
+        }
+        if (header.ocfFlag) {
+            dataEnd -= 4;
+        }
+        
+        this.stats.frames++;
+        const vcid = header.virtualChannelId;
+        
+        // A lost frame on this virtual channel breaks any packet spanning it
+        if (this.checkFrameCounts(header)) {
+            this.virtualChannelBuffers[vcid] = null;
+        }
+        
+        const dataField = bytes.subarray(6, dataEnd);
+        let packetBytes;
+        
+        if (header.firstHeaderPointer === 0x7FE) {
+            return []; // Only idle data
+        } else if (header.firstHeaderPointer === 0x7FF) {
+            // No packet starts here: the whole data field continues the pending packet
+            if (!this.virtualChannelBuffers[vcid]) return [];
+            packetBytes = this.concatBytes(this.virtualChannelBuffers[vcid], dataField);
+            this.virtualChannelBuffers[vcid] = null;
+        } else {
+            const continuation = dataField.subarray(0, header.firstHeaderPointer);
+            const fresh = dataField.subarray(header.firstHeaderPointer);
+            
+            packetBytes = this.virtualChannelBuffers[vcid] ?
+                this.concatBytes(this.virtualChannelBuffers[vcid], continuation) :
+                new Uint8Array(0);
+            this.virtualChannelBuffers[vcid] = null;
+            
+            packetBytes = this.concatBytes(packetBytes, fresh);
+        }
+        
+        const { packets, remaining } = this.extractPackets(packetBytes);
+        if (remaining.length > 0) {
+            this.virtualChannelBuffers[vcid] = remaining;
+        }
+        
+        return packets;
+    }
+    
+    checkFrameCounts(header) {
+        let virtualGap = false;
+        
+        if (this.lastFrameCount.master !== null) {
+            const missing = (header.masterFrameCount - this.lastFrameCount.master - 1 + 256) % 256;
+            if (missing > 0) {
+                this.stats.lostFrames += missing;
+            }
+        }
+        this.lastFrameCount.master = header.masterFrameCount;
+        
+        const lastVirtual = this.lastFrameCount.virtual[header.virtualChannelId];
+        if (lastVirtual !== undefined) {
+            const missing = (header.virtualFrameCount - lastVirtual - 1 + 256) % 256;
+            if (missing > 0) {
+                virtualGap = true;
+                this.reportGap({
+                    kind: 'frame',
+                    virtualChannelId: header.virtualChannelId,
+                    expected: (lastVirtual + 1) % 256,
+                    received: header.virtualFrameCount,
+                    missing
+                });
+            }
+        }
+        this.lastFrameCount.virtual[header.virtualChannelId] = header.virtualFrameCount;
+        
+        return virtualGap;
+    }
+    
+    // Split a byte stream into Space Packets, keeping the bytes of any incomplete trailing packet
+    extractPackets(bytes) {
+        const packets = [];
+        let offset = 0;
+        
+        while (bytes.length - offset >= 6) {
+            const dataLength = ((bytes[offset + 4] << 8) | bytes[offset + 5]) + 1;
+            const totalLength = 6 + dataLength;
+            if (bytes.length - offset < totalLength) break;
+            
+            const packet = this.decodePacket(bytes.subarray(offset, offset + totalLength));
+            if (packet) packets.push(packet);
+            
+            offset += totalLength;
+        }
+        
+        return { packets, remaining: bytes.subarray(offset) };
+    }
+    
+    // Space Packet (CCSDS 133.0-B): primary header, CUC time secondary header, user data
+    decodePacket(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const word0 = view.getUint16(0);
+        const word1 = view.getUint16(2);
+        
+        const packet = {
+            version: (word0 >> 13) & 0x7,
+            type: (word0 >> 12) & 0x1,
+            hasSecondaryHeader: ((word0 >> 11) & 0x1) === 1,
+            apid: word0 & 0x7FF,
+            sequenceFlags: (word1 >> 14) & 0x3,
+            sequenceCount: word1 & 0x3FFF,
+            dataLength: view.getUint16(4) + 1,
+            time: null,
+            fields: {}
+        };
+        
+        if (packet.apid === this.config.idleApid) return null;
+        
+        this.stats.packets++;
+        this.checkSequenceCount(packet);
+        
+        const definition = this.packetDefinitions[packet.apid];
+        if (!definition) {
+            this.stats.unknownApid++;
+            return null;
+        }
+        
+        let offset = 6;
+        if (packet.hasSecondaryHeader) {
+            // CUC: 4 bytes coarse seconds, 2 bytes fine (1/65536 s)
+            const coarse = view.getUint32(offset);
+            const fine = view.getUint16(offset + 4);
+            packet.time = Math.round(this.config.timeEpoch + (coarse + fine / 65536) * 1000);
+            offset += 6;
+        }
+        
+        for (const field of definition.fields) {
+            const size = this.typeSizes[field.type];
+            if (offset + size > bytes.length) {
+                this.stats.malformed++;
+                console.warn(`${definition.name} packet too short for ${field.path}`);
+                return null;
+            }
+            
+            packet.fields[field.path] = this.readField(view, offset, field);
+            offset += size;
+        }
+        
+        packet.name = definition.name;
+        return packet;
+    }
+    
+    readField(view, offset, field) {
+        let raw;
+        switch (field.type) {
+            case 'uint8': raw = view.getUint8(offset); break;
+            case 'int8': raw = view.getInt8(offset); break;
+            case 'bool': return view.getUint8(offset) !== 0;
+            case 'uint16': raw = view.getUint16(offset); break;
+            case 'int16': raw = view.getInt16(offset); break;
+            case 'uint32': raw = view.getUint32(offset); break;
+            case 'int32': raw = view.getInt32(offset); break;
+            case 'float32': raw = view.getFloat32(offset); break;
+            case 'float64': raw = view.getFloat64(offset); break;
+        }
+        
+        if (field.null !== undefined && raw === field.null) return null;
+        
+        const value = raw * (field.scale ?? 1) + (field.offset ?? 0);
+        return Number(value.toFixed(6));
+    }
+    
+    checkSequenceCount(packet) {
+        const last = this.lastSequenceCount[packet.apid];
+        this.lastSequenceCount[packet.apid] = packet.sequenceCount;
+        
+        if (last === undefined) return;
+        
+        const expected = (last + 1) & 0x3FFF;
+        const missing = (packet.sequenceCount - expected + 0x4000) & 0x3FFF;
+        
+        // A jump of more than half the counter range is a repeat or reorder, not a loss
+        if (missing > 0 && missing < 0x2000) {
+            this.stats.lostPackets += missing;
+            this.reportGap({
+                kind: 'packet',
+                apid: packet.apid,
+                expected,
+                received: packet.sequenceCount,
+                missing
+            });
+        }
+    }
+    
+    reportGap(gap) {
+        gap.timestamp = Date.now();
+        this.sequenceGaps.push(gap);
+        
+        if (this.sequenceGaps.length > 200) {
+            this.sequenceGaps.shift();
+        }
+        
+        console.warn(`CCSDS ${gap.kind} sequence gap: ${gap.missing} missing`, gap);
+        window.dispatchEvent(new CustomEvent('packetSequenceGap', {
+            detail: gap
+        }));
+    }
+    
+    // Merge packets sharing a timestamp; a newer timestamp completes the pending point
+    ingestPacket(packet) {
+        const time = packet.time ?? Date.now();
+        let completed = null;
+        
+        if (this.pendingPoint && time > this.pendingPoint.timestamp) {
+            completed = this.pendingPoint;
+            this.pendingPoint = null;
+        }
+        
+        if (!this.pendingPoint) {
+            this.pendingPoint = { timestamp: time, sources: [] };
+        }
+        
+        Object.entries(packet.fields).forEach(([path, value]) => {
+            this.setPath(this.pendingPoint, path, value);
+        });
+        this.pendingPoint.sources.push({ apid: packet.apid, sequenceCount: packet.sequenceCount });
+        
+        return completed;
+    }
+    
+    flush() {
+        const point = this.pendingPoint;
+        this.pendingPoint = null;
+        return point;
+    }
+    
+    setPath(target, path, value) {
+        const keys = path.split('.');
+        let node = target;
+        
+        keys.slice(0, -1).forEach(key => {
+            node[key] = node[key] || {};
+            node = node[key];
+        });
+        
+        node[keys[keys.length - 1]] = value;
+    }
+    
+    // Encoder counterpart, used by the mock server and for loopback testing
+    encodePacket(apid, sequenceCount, time, point) {
+        const definition = this.packetDefinitions[apid];
+        const dataSize = 6 + definition.fields.reduce((sum, field) => sum + this.typeSizes[field.type], 0);
+        const bytes = new Uint8Array(6 + dataSize);
+        const view = new DataView(bytes.buffer);
+        
+        view.setUint16(0, (1 << 11) | (apid & 0x7FF)); // Version 0, TM, secondary header present
+        view.setUint16(2, (0x3 << 14) | (sequenceCount & 0x3FFF)); // Unsegmented
+        view.setUint16(4, dataSize - 1);
+        
+        const seconds = (time - this.config.timeEpoch) / 1000;
+        view.setUint32(6, Math.floor(seconds));
+        view.setUint16(10, Math.floor((seconds % 1) * 65536));
+        
+        let offset = 12;
+        for (const field of definition.fields) {
+            const value = field.path.split('.').reduce((node, key) => node?.[key], point);
+            this.writeField(view, offset, field, value);
+            offset += this.typeSizes[field.type];
+        }
+        
+        return bytes;
+    }
+    
+    writeField(view, offset, field, value) {
+        if (field.type === 'bool') {
+            view.setUint8(offset, value ? 1 : 0);
+            return;
+        }
+        
+        if (value === null && field.null !== undefined) {
+            this.writeRaw(view, offset, field.type, field.null);
+            return;
+        }
+        
+        const raw = ((Number(value) || 0) - (field.offset ?? 0)) / (field.scale ?? 1);
+        if (field.type.startsWith('float')) {
+            this.writeRaw(view, offset, field.type, raw);
+            return;
+        }
+        
+        // Out-of-range values are sent as the nearest code that is not the null code, rather than wrapping
+        let [min, max] = this.typeRanges[field.type];
+        if (field.null === min) min++;
+        if (field.null === max) max--;
+        const rounded = Math.round(raw);
+        const clamped = Math.min(max, Math.max(min, rounded));
+        if (clamped !== rounded) {
+            this.stats.clamped++;
+            console.warn(`CCSDS ${field.path} = ${value} does not fit its ${field.type} field, ` +
+                `sent as ${clamped * (field.scale ?? 1) + (field.offset ?? 0)}`);
+        }
+        this.writeRaw(view, offset, field.type, clamped);
+    }
+    
+    writeRaw(view, offset, type, raw) {
+        switch (type) {
+            case 'uint8': view.setUint8(offset, raw); break;
+            case 'int8': view.setInt8(offset, raw); break;
+            case 'uint16': view.setUint16(offset, raw); break;
+            case 'int16': view.setInt16(offset, raw); break;
+            case 'uint32': view.setUint32(offset, raw); break;
+            case 'int32': view.setInt32(offset, raw); break;
+            case 'float32': view.setFloat32(offset, raw); break;
+            case 'float64': view.setFloat64(offset, raw); break;
+        }
+    }
+    
+    concatBytes(a, b) {
+        const result = new Uint8Array(a.length + b.length);
+        result.set(a, 0);
+        result.set(b, a.length);
+        return result;
+    }
+    
+    // CRC-16-CCITT (poly 0x1021, init 0xFFFF) as specified for the FECF
+    crc16(bytes) {
+        let crc = 0xFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc ^= bytes[i] << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+            }
+        }
+        return crc;
+    }
+    
+    getSequenceReport() {
+        return {
+            ...this.stats,
+            recentGaps: this.sequenceGaps.slice(-10),
+            lastSequenceCount: { ...this.lastSequenceCount }
+        };
+    }
+    
+    reset() {
+        this.lastSequenceCount = {};
+        this.lastFrameCount = { master: null, virtual: {} };
+        this.virtualChannelBuffers = {};
+        this.pendingPoint = null;
+    }
+}
+
+// Global CCSDS decoder instance
+window.ccsdsDecoder = new CCSDSDecoder();
@@ -0,0 +1,156 @@
+/**
+ * Simulation Clock
+ * Mission time source with play, pause, single-step and time acceleration
+ */
+
+class SimulationClock {
+    constructor(config = window.simulationConfig) {
+        // Seeded runs start at the configured epoch so orbit geometry repeats exactly
+        this.startTime = config.deterministic ? config.epoch : Date.now();
+        this.time = this.startTime;
+        
+        this.rate = 1;
+        this.minRate = 1;
+        this.maxRate = 1000;
+        this.running = true;
+        
+        this.tickInterval = 100; // Wall-clock ms between ticks
+        this.stepSize = 1000; // Simulation ms per single step when the caller gives none
+        this.lastWallTime = null;
+        this.ticker = null;
+        
+        // Timers that fire on simulation time rather than wall time
+        this.timers = [];
+        this.nextTimerId = 1;
+    }
+    
+    start() {
+        if (this.ticker) return;
+        
+        this.lastWallTime = Date.now();
+        this.ticker = setInterval(() => this.tick(), this.tickInterval);
+        console.log('Simulation clock started');
+    }
+    
+    stop() {
+        clearInterval(this.ticker);
+        this.ticker = null;
+    }
+    
+    tick() {
+        const wallTime = Date.now();
+        const elapsed = wallTime - this.lastWallTime;
+        this.lastWallTime = wallTime;
+        
+        if (this.running) {
+            this.advance(elapsed * this.rate);
+        }
+    }
+    
+    advance(ms) {
+        const previous = this.time;
+        this.time += ms;
+        
+        window.dispatchEvent(new CustomEvent('simulationTick', {
+            detail: { time: this.time, previous, rate: this.rate }
+        }));
+        
+        this.runDueTimers();
+    }
+    
+    // Controls
+    play() {
+        if (this.running) return;
+        
+        this.running = true;
+        this.lastWallTime = Date.now();
+        this.broadcastChange();
+    }
+    
+    pause() {
+        if (!this.running) return;
+        
+        this.running = false;
+        this.broadcastChange();
+    }
+    
+    toggle() {
+        if (this.running) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+    
+    // Single-stepping only makes sense while paused; callers pass the sample period so a step yields one sample
+    step(ms = this.stepSize) {
+        this.pause();
+        this.advance(ms);
+    }
+    
+    setRate(rate) {
+        const value = Number(rate);
+        if (!Number.isFinite(value)) return;
+        
+        this.rate = Math.max(this.minRate, Math.min(this.maxRate, value));
+        this.broadcastChange();
+    }
+    
+    broadcastChange() {
+        window.dispatchEvent(new CustomEvent('simulationClockChange', {
+            detail: { running: this.running, rate: this.rate, time: this.time }
+        }));
+    }
+    
+    // Time access
+    now() {
+        return this.time;
+    }
+    
+    getElapsed() {
+        return this.time - this.startTime;
+    }
+    
+    isRunning() {
+        return this.running;
+    }
+    
+    // Simulation-time timers
+    setTimeout(callback, delay) {
+        return this.addTimer(callback, delay, null);
+    }
+    
+    setInterval(callback, interval) {
+        return this.addTimer(callback, interval, interval);
+    }
+    
+    clearTimer(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+    
+    addTimer(callback, delay, interval) {
+        const timer = { id: this.nextTimerId++, callback, due: this.time + delay, interval };
+        this.timers.push(timer);
+        return timer.id;
+    }
+    
+    runDueTimers() {
+        const due = this.timers
+            .filter(timer => timer.due <= this.time)
+            .sort((a, b) => a.due - b.due || a.id - b.id);
+        
+        due.forEach(timer => {
+            if (timer.interval) {
+                // At high rates an interval fires once per tick and skips the periods it missed
+                const missed = Math.floor((this.time - timer.due) / timer.interval);
+                timer.due += (missed + 1) * timer.interval;
+            } else {
+                this.clearTimer(timer.id);
+            }
+            timer.callback();
+        });
+    }
+}
+
+// Global simulation clock instance
+window.simulationClock = new SimulationClock();
@@ -23,9 +23,38 @@ class DashboardController {
         this.chartData = {
             power: { labels: [], datasets: [] },
             thermal: { labels: [], datasets: [] },
+            attitude: { labels: [], datasets: [] },
+            propulsion: { labels: [], datasets: [] },
+            derived: { labels: [], datasets: [] },
             anomaly: { labels: [], datasets: [] }
         };
         
+        // 'live' follows the last minute; a range in ms redraws the charts from the telemetry archive
+        this.chartRange = 'live';
+        this.archiveLoadedAt = null;
+        this.lastChartedFrame = null; // Frame counter of the newest live chart point
+        
+        // Archive channels behind each chart's datasets; a list plots the highest of its channels
+        this.archiveChannels = {
+            power: ['power.battery.voltage', 'power.solar.power', 'power.battery.current'],
+            thermal: ['thermal.processor', 'thermal.battery', 'thermal.solar', 'thermal.radiator'],
+            attitude: ['attitude.pointingError', 'attitude.wheels.x.speed', 'attitude.wheels.y.speed', 'attitude.wheels.z.speed'],
+            propulsion: [
+                'propulsion.tankPressure',
+                ['t1', 't2', 't3', 't4'].map(thruster => `propulsion.thrusters.${thruster}.catalystBedTemperature`)
+            ],
+            derived: ['derived.batteryPower'] // The channel picked in the Derived Channels card
+        };
+        
+        // Data dictionary channel behind each KPI value, explained in its tooltip
+        this.kpiChannels = {
+            'battery-level': 'BATT_CAPACITY',
+            'solar-power': 'SOLAR_POWER',
+            'temperature': 'PROC_TEMP',
+            'signal-strength': 'SIGNAL_STRENGTH',
+            'payload-detail': 'DETECTOR_TEMP'
+        };
+        
         // Initialize when DOM is ready
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => this.initialize());
@@ -46,22 +75,90 @@ class DashboardController {
         // Start mission timer
         this.startMissionTimer();
         
-        // Start telemetry simulation
-        window.telemetrySimulator.start();
+        // Build fleet overview tiles
+        this.renderFleetTiles();
+        this.updateSelectedSpacecraft();
+        this.renderSensorFaultChannels();
+        this.renderTelecommands();
+        this.renderDerivedChannels();
         
-        // Train ML models after some data collection
-        setTimeout(() => {
-            window.anomalyDetector.trainMLModels();
-        }, 5000);
+        // Start the active telemetry source (simulator by default)
+        window.telemetrySourceManager.start();
         
         this.isInitialized = true;
         console.log('Dashboard initialized successfully');
     }
     
     setupEventListeners() {
-        // Listen for telemetry updates
+        // Listen for telemetry updates; detail panels follow the selected spacecraft only
         window.addEventListener('telemetryUpdate', (event) => {
-            this.updateDashboard(event.detail);
+            this.updateFleetTile(event.detail);
+            
+            if (window.fleetManager.isSelected(event.detail.spacecraftId)) {
+                this.updateDashboard(event.detail);
+                this.updateRedundantUnits(event.detail);
+                this.updateFdirStatus(event.detail);
+                this.updateInjectionList();
+                this.updatePayloadTimeline();
+                this.updateThermalNetwork();
+                this.updateDataQuality();
+            }
+        });
+        
+        // Stale streams are raised between updates, so quality changes redraw the panel themselves
+        window.addEventListener('dataQualityEvent', (event) => {
+            if (window.fleetManager.isSelected(event.detail.spacecraftId)) {
+                this.updateDataQuality();
+            }
+        });
+        
+        // Fleet membership and drill-down selection
+        window.addEventListener('fleetChange', () => {
+            this.renderFleetTiles();
+        });
+        
+        window.addEventListener('spacecraftSelected', () => {
+            this.updateSelectedSpacecraft();
+        });
+        
+        window.selectSpacecraft = (spacecraftId) => {
+            window.fleetManager.selectVehicle(spacecraftId);
+        };
+        
+        window.setChartRange = (range) => {
+            this.setChartRange(range);
+        };
+        
+        window.setDerivedChannel = (channelId) => {
+            this.setDerivedChannel(channelId);
+        };
+        
+        window.addEventListener('derivedChannelsChange', () => {
+            this.renderDerivedChannels();
+        });
+        
+        window.setMissionPhase = (phase) => {
+            const spacecraftId = window.fleetManager.getSelectedId();
+            if (!window.missionPhaseManager.transition(spacecraftId, phase)) {
+                const current = window.missionPhaseManager.getProfile(spacecraftId).name;
+                this.showNotification('Phase Change Rejected', `${spacecraftId} cannot go from ${current} to ${phase}`, 'warning');
+                this.updateMissionPhase();
+            }
+        };
+        
+        // Routine shadow transitions update the display without a notification
+        window.addEventListener('missionPhaseChange', (event) => {
+            const { spacecraftId, phase, previous, reason } = event.detail;
+            const orbital = ['nominal', 'eclipse'];
+            
+            if (!orbital.includes(phase) || !orbital.includes(previous)) {
+                const name = window.missionPhaseManager.phases[phase].name;
+                this.showNotification('Mission Phase Change', `${spacecraftId}: ${name} (${reason})`,
+                    phase === 'safe_mode' ? 'critical' : 'info');
+            }
+            if (window.fleetManager.isSelected(spacecraftId)) {
+                this.updateMissionPhase();
+            }
         });
         
         // Listen for anomaly detections
@@ -76,8 +173,209 @@ class DashboardController {
         
         // Setup failure simulation buttons
         window.simulateFailure = (subsystem) => {
-            window.telemetrySimulator.simulateFailure(subsystem);
-            this.showNotification('Failure Simulated', `${subsystem} failure simulation activated`, 'warning');
+            const vehicle = window.fleetManager.getSelectedVehicle();
+            if (!vehicle?.simulator) {
+                this.showNotification('Simulation Unavailable', `${vehicle?.id || 'Selected spacecraft'} is not simulated`, 'warning');
+                return;
+            }
+            
+            const injection = vehicle.simulator.simulateFailure(subsystem);
+            if (!injection) {
+                this.showNotification('Simulation Unavailable', `No ${subsystem} failure scenario is defined`, 'warning');
+                return;
+            }
+            
+            this.showNotification('Failure Simulated', `${vehicle.id}: ${injection.name} injected`, 'warning');
+        };
+        
+        window.simulateSensorFault = () => {
+            const vehicle = window.fleetManager.getSelectedVehicle();
+            if (!vehicle?.simulator) {
+                this.showNotification('Simulation Unavailable', `${vehicle?.id || 'Selected spacecraft'} is not simulated`, 'warning');
+                return;
+            }
+            
+            const channelId = document.getElementById('sensor-fault-channel').value;
+            const fault = document.getElementById('sensor-fault-type').value;
+            const injection = vehicle.simulator.simulateSensorFault(channelId, fault);
+            if (injection) {
+                this.showNotification('Sensor Fault Injected', `${vehicle.id}: ${injection.name}`, 'warning');
+            }
+        };
+        
+        window.clearFailures = () => {
+            const cleared = window.failureInjector.clear(window.fleetManager.getSelectedId());
+            this.showNotification('Failures Cleared', `${cleared} injection(s) stopped on ${window.fleetManager.getSelectedId()}`, 'info');
+        };
+        
+        window.addEventListener('failureInjected', () => this.updateInjectionList());
+        window.addEventListener('failureCleared', () => this.updateInjectionList());
+        
+        window.selectTelecommand = (name) => this.renderTelecommandArguments(name);
+        
+        window.sendTelecommand = () => {
+            const vehicle = window.fleetManager.getSelectedVehicle();
+            if (!vehicle?.simulator) {
+                this.showNotification('Command Unavailable', `${vehicle?.id || 'Selected spacecraft'} is not simulated`, 'warning');
+                return;
+            }
+            
+            const command = window.telecommandManager.getCommand(document.getElementById('tc-command').value);
+            if (!command) return;
+            
+            const args = {};
+            const argument = command.arguments[0];
+            if (argument) {
+                const value = document.getElementById('tc-argument').value;
+                args[argument.name] = argument.values.find(option => String(option) === value);
+            }
+            const delay = Number(document.getElementById('tc-delay').value) * 1000;
+            
+            const record = window.telecommandManager.send(vehicle.id, command.name, args, { delay });
+            if (record) {
+                this.showNotification('Command Sent', `${vehicle.id}: ${record.id} ${record.command} ${record.status}`, 'info');
+            }
+        };
+        
+        // Stage changes on the selected spacecraft; failures are worth a notification
+        window.addEventListener('telecommandUpdate', (event) => {
+            const record = event.detail;
+            if (!window.fleetManager.isSelected(record.spacecraftId)) return;
+            
+            this.updateTelecommandList();
+            if (record.status === 'failed') {
+                this.showNotification('Command Failed', `${record.id} ${record.command}: ${record.reason}`, 'critical');
+            } else if (record.status === 'completed') {
+                this.showNotification('Command Verified', `${record.id} ${record.command} completed`, 'success');
+            }
+        });
+        
+        // Onboard event messages of the selected spacecraft
+        window.addEventListener('onboardEvent', (event) => {
+            if (window.fleetManager.isSelected(event.detail.spacecraftId)) {
+                this.updateEventLog();
+            }
+        });
+        
+        window.filterEventLog = () => this.updateEventLog();
+        
+        // Listen for replay completion
+        window.addEventListener('replayComplete', (event) => {
+            this.showNotification('Replay Complete', `${event.detail.recordingName}: ${event.detail.points} points replayed`, 'success');
+            this.updateTelemetrySourceStatus();
+        });
+        
+        // Listen for telemetry link state changes
+        window.addEventListener('linkStateChange', (event) => {
+            this.updateLinkStatus(event.detail.state);
+            
+            if (event.detail.state === 'lost') {
+                this.showNotification('Telemetry Link Lost', `No connection to ${event.detail.url}, reconnecting`, 'warning');
+            }
+        });
+        
+        // Report CCSDS packet and frame sequence count gaps
+        window.addEventListener('packetSequenceGap', (event) => {
+            const gap = event.detail;
+            const channel = gap.kind === 'packet' ?
+                `APID 0x${gap.apid.toString(16).toUpperCase()}` :
+                `VC ${gap.virtualChannelId}`;
+            this.showNotification('Telemetry Gap', `${channel}: ${gap.missing} ${gap.kind}(s) missing (expected ${gap.expected}, got ${gap.received})`, 'warning');
+        });
+        
+        window.addEventListener('framesDropped', () => {
+            this.updateTelemetrySourceStatus();
+        });
+        
+        window.addEventListener('telemetrySourceChange', (event) => {
+            const source = window.telemetrySourceManager.getSource(event.detail.source);
+            this.updateLinkStatus(source.linkState || event.detail.source);
+        });
+        
+        // Setup telemetry source controls
+        window.selectTelemetrySource = (name) => {
+            if (name === 'websocket') {
+                const urlInput = document.getElementById('ws-url');
+                window.telemetrySourceManager.getSource('websocket').setUrl(urlInput?.value);
+            }
+            
+            if (window.telemetrySourceManager.setActiveSource(name)) {
+                window.telemetrySourceManager.start();
+                this.updateTelemetrySourceStatus();
+            }
+        };
+        
+        window.loadReplayFile = (input) => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                const replay = window.telemetrySourceManager.getSource('replay');
+                const count = replay.loadRecording(reader.result, 'auto', file.name);
+                
+                if (count === 0) {
+                    this.showNotification('Replay Error', `No telemetry points found in ${file.name}`, 'critical');
+                    return;
+                }
+                
+                this.showNotification('Recording Loaded', `${count} points from ${file.name}`, 'info');
+                
+                const sourceSelect = document.getElementById('telemetry-source-select');
+                if (sourceSelect) sourceSelect.value = 'replay';
+                window.selectTelemetrySource('replay');
+            };
+            reader.readAsText(file);
+        };
+        
+        window.setWebSocketUrl = (url) => {
+            window.telemetrySourceManager.getSource('websocket').setUrl(url.trim());
+        };
+        
+        window.setCcsdsInputMode = (mode) => {
+            window.ccsdsDecoder.config.inputMode = mode;
+            window.ccsdsDecoder.reset();
+        };
+        
+        // Setup orbit model controls
+        window.loadTLE = () => {
+            const input = document.getElementById('tle-input');
+            if (!input || !input.value.trim()) return;
+            
+            const vehicle = window.fleetManager.getSelectedVehicle();
+            if (!vehicle?.orbitModel) {
+                this.showNotification('TLE Rejected', `${vehicle?.id || 'Selected spacecraft'} has no orbit model`, 'warning');
+                return;
+            }
+            
+            try {
+                const tle = vehicle.orbitModel.loadTLEText(input.value);
+                this.showNotification('TLE Loaded', `${vehicle.id}: propagating ${tle.name} with SGP4`, 'success');
+            } catch (error) {
+                this.showNotification('TLE Rejected', error.message, 'critical');
+            }
+        };
+        
+        // Setup simulation clock controls
+        window.toggleSimulationClock = () => {
+            window.simulationClock.toggle();
+        };
+        
+        window.stepSimulationClock = () => {
+            window.simulationClock.step(window.telemetrySourceManager.getSamplePeriod());
+        };
+        
+        window.setSimulationRate = (rate) => {
+            window.simulationClock.setRate(rate);
+        };
+        
+        window.addEventListener('simulationClockChange', (event) => {
+            this.updateClockControls(event.detail);
+        });
+        
+        window.setReplaySpeed = (speed) => {
+            window.telemetrySourceManager.getSource('replay').setSpeed(speed);
+            this.updateTelemetrySourceStatus();
         };
         
         // Setup natural language query
@@ -103,8 +401,33 @@ class DashboardController {
         // Thermal Systems Chart
         this.initializeThermalChart();
         
+        // Attitude Control Chart
+        this.initializeAttitudeChart();
+        
+        // Propulsion Chart
+        this.initializePropulsionChart();
+        
+        // Derived Channel Chart
+        this.initializeDerivedChart();
+        
         // Anomaly Timeline Chart
         this.initializeAnomalyChart();
+        
+        // Telemetry chart tooltips list the dictionary ranges under each value
+        Object.entries(this.archiveChannels).forEach(([chartName, channels]) => {
+            const chart = this.charts[chartName];
+            if (!chart) return;
+            
+            chart.options.plugins.tooltip = {
+                callbacks: {
+                    afterLabel: (context) => {
+                        const channel = window.dataDictionary.findByPath([].concat(channels[context.datasetIndex])[0]);
+                        const phase = window.missionPhaseManager.getPhase(window.fleetManager.getSelectedId());
+                        return channel ? window.dataDictionary.getLimitSummary(channel, phase) : '';
+                    }
+                }
+            };
+        });
     }
     
     initializePowerChart() {
@@ -308,51 +631,46 @@ class DashboardController {
         });
     }
     
-    initializeAnomalyChart() {
-        const ctx = document.getElementById('anomalyChart')?.getContext('2d');
+    initializeAttitudeChart() {
+        const ctx = document.getElementById('attitudeChart')?.getContext('2d');
         if (!ctx) return;
         
-        this.charts.anomaly = new Chart(ctx, {
-            type: 'scatter',
+        const wheelColors = { x: '#ef4444', y: '#10b981', z: '#3b82f6' };
+        
+        this.charts.attitude = new Chart(ctx, {
+            type: 'line',
             data: {
+                labels: [],
                 datasets: [{
-                    label: 'Normal',
-                    data: [],
-                    backgroundColor: this.colorScheme.normal,
-                    borderColor: this.colorScheme.normal,
-                    pointRadius: 4
-                }, {
-                    label: 'Warning',
+                    label: 'Pointing Error (°)',
                     data: [],
-                    backgroundColor: this.colorScheme.warning,
-                    borderColor: this.colorScheme.warning,
-                    pointRadius: 6
-                }, {
-                    label: 'Critical',
+                    borderColor: '#f59e0b',
+                    backgroundColor: '#f59e0b',
+                    yAxisID: 'y',
+                    tension: 0.1,
+                    fill: false
+                }, ...Object.entries(wheelColors).map(([axis, color]) => ({
+                    label: `Wheel ${axis.toUpperCase()} (rpm)`,
                     data: [],
-                    backgroundColor: this.colorScheme.critical,
-                    borderColor: this.colorScheme.critical,
-                    pointRadius: 8
-                }]
+                    borderColor: color,
+                    backgroundColor: color,
+                    yAxisID: 'y1',
+                    tension: 0.1,
+                    fill: false
+                }))]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
                 plugins: {
                     legend: {
                         labels: {
                             color: 'white'
                         }
-                    },
-                    tooltip: {
-                        callbacks: {
-                            title: function(context) {
-                                return `Time: ${context[0].parsed.x}s`;
-                            },
-                            label: function(context) {
-                                return `${context.dataset.label}: Anomaly Score ${context.parsed.y.toFixed(3)}`;
-                            }
-                        }
                     }
                 },
                 scales: {
@@ -363,9 +681,21 @@ class DashboardController {
                             text: 'Time',
                             color: 'white'
                         },
+                        grid: {
+                            color: this.colorScheme.grid
+                        },
+                        ticks: {
+                            color: 'white'
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        display: true,
+                        position: 'left',
+                        min: 0,
                         title: {
                             display: true,
-                            text: 'Time',
+                            text: 'Pointing Error (°)',
                             color: 'white'
                         },
                         grid: {
@@ -375,106 +705,429 @@ class DashboardController {
                             color: 'white'
                         }
                     },
-                    y: {
+                    y1: {
+                        type: 'linear',
+                        display: true,
+                        position: 'right',
+                        min: -6000, // Wheel saturation
+                        max: 6000,
                         title: {
                             display: true,
-                            text: 'Anomaly Score',
+                            text: 'Wheel Speed (rpm)',
                             color: 'white'
                         },
-                        min: 0,
-                        max: 1,
                         grid: {
+                            drawOnChartArea: false,
                             color: this.colorScheme.grid
                         },
                         ticks: {
                             color: 'white'
                         }
                     }
+                },
+                animation: {
+                    duration: 0
                 }
             }
         });
     }
     
-    updateDashboard(telemetryData) {
-        // Update KPI cards
-        this.updateKPICards(telemetryData);
-        
-        // Update charts
-        this.updateCharts(telemetryData);
-        
-        // Update overall status
-        this.updateOverallStatus(telemetryData);
-    }
-    
-    updateKPICards(data) {
-        // Battery Level
-        const batteryLevel = data.power.battery.capacity;
-        const batteryElement = document.getElementById('battery-level');
-        const batteryBar = document.getElementById('battery-bar');
-        const batteryStatus = document.getElementById('battery-status');
-        
-        if (batteryElement) batteryElement.textContent = `${batteryLevel.toFixed(0)}%`;
-        if (batteryBar) batteryBar.style.width = `${batteryLevel}%`;
-        
-        // Update battery status color
-        const batteryStatusClass = this.getStatusClass(data.power.battery.status);
-        if (batteryStatus) {
-            batteryStatus.className = `${batteryStatusClass} w-12 h-12 rounded-full flex items-center justify-center`;
-        }
-        
-        // Solar Power
-        const solarPower = data.power.solar.power;
-        const solarElement = document.getElementById('solar-power');
-        const solarStatus = document.getElementById('solar-status');
-        
-        if (solarElement) solarElement.textContent = `${(solarPower / 1000).toFixed(1)}kW`;
-        
-        const solarStatusClass = this.getStatusClass(data.power.solar.status);
-        if (solarStatus) {
-            solarStatus.className = `${solarStatusClass} w-12 h-12 rounded-full flex items-center justify-center`;
-        }
-        
-        // Temperature
-        const temperature = data.thermal.processor;
-        const tempElement = document.getElementById('temperature');
-        const tempStatus = document.getElementById('temp-status');
-        
-        if (tempElement) tempElement.textContent = `${temperature}°C`;
-        
-        const tempStatusClass = this.getStatusClass(data.thermal.status);
-        if (tempStatus) {
-            tempStatus.className = `${tempStatusClass} w-12 h-12 rounded-full flex items-center justify-center`;
-        }
-        
-        // Signal Strength
-        const signalStrength = data.communication.signalStrength;
-        const signalElement = document.getElementById('signal-strength');
-        const signalStatus = document.getElementById('signal-status');
-        
-        if (signalElement) signalElement.textContent = `${signalStrength}dBm`;
-        
-        const signalStatusClass = this.getStatusClass(data.communication.status);
-        if (signalStatus) {
-            signalStatus.className = `${signalStatusClass} w-12 h-12 rounded-full flex items-center justify-center`;
-        }
-    }
-    
-    updateCharts(data) {
-        const timeIndex = this.chartTimeIndex || 0;
-        this.chartTimeIndex = timeIndex + 1;
+    initializePropulsionChart() {
+        const ctx = document.getElementById('propulsionChart')?.getContext('2d');
+        if (!ctx) return;
         
-        // Update power chart
-        if (this.charts.power) {
-            this.charts.power.data.labels.push(timeIndex);
-            this.charts.power.data.datasets[0].data.push(data.power.battery.voltage);
-            this.charts.power.data.datasets[1].data.push(data.power.solar.power);
-            this.charts.power.data.datasets[2].data.push(data.power.battery.current);
-            
-            // Keep only last 60 points (1 minute)
-            if (this.charts.power.data.labels.length > 60) {
-                this.charts.power.data.labels.shift();
-                this.charts.power.data.datasets.forEach(dataset => dataset.data.shift());
-            }
+        this.charts.propulsion = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Tank Pressure (bar)',
+                    data: [],
+                    borderColor: '#06b6d4',
+                    backgroundColor: '#06b6d4',
+                    yAxisID: 'y',
+                    tension: 0.1,
+                    fill: false
+                }, {
+                    label: 'Max Catalyst Bed (°C)',
+                    data: [],
+                    borderColor: '#f97316',
+                    backgroundColor: '#f97316',
+                    yAxisID: 'y1',
+                    tension: 0.1,
+                    fill: false
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: 'white'
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Time',
+                            color: 'white'
+                        },
+                        grid: {
+                            color: this.colorScheme.grid
+                        },
+                        ticks: {
+                            color: 'white'
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        display: true,
+                        position: 'left',
+                        title: {
+                            display: true,
+                            text: 'Tank Pressure (bar)',
+                            color: 'white'
+                        },
+                        grid: {
+                            color: this.colorScheme.grid
+                        },
+                        ticks: {
+                            color: 'white'
+                        }
+                    },
+                    y1: {
+                        type: 'linear',
+                        display: true,
+                        position: 'right',
+                        min: 0,
+                        max: 1100, // Catalyst bed critical limit
+                        title: {
+                            display: true,
+                            text: 'Catalyst Bed (°C)',
+                            color: 'white'
+                        },
+                        grid: {
+                            drawOnChartArea: false,
+                            color: this.colorScheme.grid
+                        },
+                        ticks: {
+                            color: 'white'
+                        }
+                    }
+                },
+                animation: {
+                    duration: 0
+                }
+            }
+        });
+    }
+    
+    initializeDerivedChart() {
+        const ctx = document.getElementById('derivedChart')?.getContext('2d');
+        if (!ctx) return;
+        
+        this.charts.derived = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Battery Power (W)',
+                    data: [],
+                    borderColor: '#a855f7',
+                    backgroundColor: '#a855f7',
+                    tension: 0.1,
+                    fill: false
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: 'white'
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Time',
+                            color: 'white'
+                        },
+                        grid: {
+                            color: this.colorScheme.grid
+                        },
+                        ticks: {
+                            color: 'white'
+                        }
+                    },
+                    y: {
+                        grid: {
+                            color: this.colorScheme.grid
+                        },
+                        ticks: {
+                            color: 'white'
+                        }
+                    }
+                },
+                animation: {
+                    duration: 0
+                }
+            }
+        });
+    }
+    
+    initializeAnomalyChart() {
+        const ctx = document.getElementById('anomalyChart')?.getContext('2d');
+        if (!ctx) return;
+        
+        this.charts.anomaly = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Normal',
+                    data: [],
+                    backgroundColor: this.colorScheme.normal,
+                    borderColor: this.colorScheme.normal,
+                    pointRadius: 4
+                }, {
+                    label: 'Warning',
+                    data: [],
+                    backgroundColor: this.colorScheme.warning,
+                    borderColor: this.colorScheme.warning,
+                    pointRadius: 6
+                }, {
+                    label: 'Critical',
+                    data: [],
+                    backgroundColor: this.colorScheme.critical,
+                    borderColor: this.colorScheme.critical,
+                    pointRadius: 8
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: 'white'
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: function(context) {
+                                return `Time: ${context[0].parsed.x}s`;
+                            },
+                            label: function(context) {
+                                return `${context.dataset.label}: Anomaly Score ${context.parsed.y.toFixed(3)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Time',
+                            color: 'white'
+                        },
+                        title: {
+                            display: true,
+                            text: 'Time',
+                            color: 'white'
+                        },
+                        grid: {
+                            color: this.colorScheme.grid
+                        },
+                        ticks: {
+                            color: 'white'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Anomaly Score',
+                            color: 'white'
+                        },
+                        min: 0,
+                        max: 1,
+                        grid: {
+                            color: this.colorScheme.grid
+                        },
+                        ticks: {
+                            color: 'white'
+                        }
+                    }
+                }
+            }
+        });
+    }
+    
+    updateDashboard(telemetryData) {
+        // Update KPI cards
+        this.updateKPICards(telemetryData);
+        
+        // Update charts
+        this.updateCharts(telemetryData);
+        
+        // Update overall status
+        this.updateOverallStatus(telemetryData);
+        
+        // Update orbit readout when the source provides orbit geometry
+        if (telemetryData.orbit) {
+            this.updateOrbitStatus(telemetryData.orbit, telemetryData.timestamp);
+        }
+        
+        if (telemetryData.attitude?.wheels) {
+            this.updateAttitudeStatus(telemetryData.attitude);
+        }
+        
+        if (telemetryData.propulsion?.thrusters) {
+            this.updatePropulsionStatus(telemetryData.propulsion);
+        }
+        
+        if (telemetryData.derived) {
+            this.updateDerivedValues(telemetryData.derived);
+        }
+    }
+    
+    updateKPICards(data) {
+        // Battery Level
+        const batteryLevel = data.power.battery.capacity;
+        const batteryElement = document.getElementById('battery-level');
+        const batteryBar = document.getElementById('battery-bar');
+        const batteryStatus = document.getElementById('battery-status');
+        
+        if (batteryElement) batteryElement.textContent = `${batteryLevel.toFixed(0)}%`;
+        if (batteryBar) batteryBar.style.width = `${batteryLevel}%`;
+        
+        // Update battery status color
+        const batteryStatusClass = this.getStatusClass(data.power.battery.status);
+        if (batteryStatus) {
+            batteryStatus.className = `${batteryStatusClass} w-12 h-12 rounded-full flex items-center justify-center`;
+        }
+        
+        // Solar Power
+        const solarPower = data.power.solar.power;
+        const solarElement = document.getElementById('solar-power');
+        const solarStatus = document.getElementById('solar-status');
+        
+        if (solarElement) solarElement.textContent = `${(solarPower / 1000).toFixed(1)}kW`;
+        
+        const solarStatusClass = this.getStatusClass(data.power.solar.status);
+        if (solarStatus) {
+            solarStatus.className = `${solarStatusClass} w-12 h-12 rounded-full flex items-center justify-center`;
+        }
+        
+        // Temperature
+        const temperature = data.thermal.processor;
+        const tempElement = document.getElementById('temperature');
+        const tempStatus = document.getElementById('temp-status');
+        
+        if (tempElement) tempElement.textContent = `${temperature}°C`;
+        
+        const tempStatusClass = this.getStatusClass(data.thermal.status);
+        if (tempStatus) {
+            tempStatus.className = `${tempStatusClass} w-12 h-12 rounded-full flex items-center justify-center`;
+        }
+        
+        // Signal Strength, or the pass countdown between ground station passes
+        const comm = data.communication;
+        const signalElement = document.getElementById('signal-strength');
+        const signalDetail = document.getElementById('signal-detail');
+        const signalStatus = document.getElementById('signal-status');
+        
+        const linkLoss = document.getElementById('link-loss');
+        
+        if (signalElement) {
+            signalElement.textContent = comm.contact === false ? 'NO CONTACT' :
+                comm.signalStrength === null ? 'NO CARRIER' : `${comm.signalStrength}dBm`;
+        }
+        if (signalDetail) {
+            signalDetail.textContent = this.describePass(comm, data.timestamp);
+        }
+        if (linkLoss) {
+            linkLoss.textContent = this.describeFrameLoss(data.spacecraftId);
+        }
+        
+        const signalStatusClass = this.getStatusClass(data.communication.status);
+        if (signalStatus) {
+            signalStatus.className = `${signalStatusClass} w-12 h-12 rounded-full flex items-center justify-center`;
+        }
+        
+        // Payload
+        if (data.payload) {
+            const payloadElement = document.getElementById('payload-state');
+            const payloadDetail = document.getElementById('payload-detail');
+            const payloadStatus = document.getElementById('payload-status');
+            
+            if (payloadElement) {
+                payloadElement.textContent = data.payload.on ? 'IMAGING' : data.payload.power > 0 ? 'STANDBY' : 'OFF';
+            }
+            if (payloadDetail) {
+                payloadDetail.textContent = `${data.payload.power.toFixed(0)} W · ${data.payload.detectorTemperature.toFixed(1)}°C · ` +
+                    `${(data.payload.dataVolume / 1000).toFixed(1)} GB`;
+            }
+            
+            const payloadStatusClass = this.getStatusClass(data.payload.status);
+            if (payloadStatus) {
+                payloadStatus.className = `${payloadStatusClass} w-12 h-12 rounded-full flex items-center justify-center`;
+            }
+        }
+    }
+    
+    updateCharts(data) {
+        // Historical ranges are redrawn from the archive as it grows
+        if (this.chartRange !== 'live') {
+            if (data.timestamp - this.archiveLoadedAt > Number(this.chartRange) / 120) {
+                this.loadArchivedCharts();
+            }
+            return;
+        }
+        
+        // Lost frames leave a gap in the live charts instead of a line drawn across them
+        if (data.frameCount !== undefined) {
+            const missing = this.lastChartedFrame === null ? 0 :
+                window.frameAccounting.getGap(this.lastChartedFrame, data.frameCount);
+            if (missing < 0) return; // Arrived late: its slot is already charted as a gap
+            
+            this.lastChartedFrame = data.frameCount;
+            for (let i = 0; i < Math.min(missing, 60); i++) {
+                this.pushChartGap();
+            }
+        }
+        
+        const timeIndex = this.chartTimeIndex || 0;
+        this.chartTimeIndex = timeIndex + 1;
+        
+        // Update power chart
+        if (this.charts.power) {
+            this.charts.power.data.labels.push(timeIndex);
+            this.charts.power.data.datasets[0].data.push(data.power.battery.voltage);
+            this.charts.power.data.datasets[1].data.push(data.power.solar.power);
+            this.charts.power.data.datasets[2].data.push(data.power.battery.current);
+            
+            // Keep only last 60 points (1 minute)
+            if (this.charts.power.data.labels.length > 60) {
+                this.charts.power.data.labels.shift();
+                this.charts.power.data.datasets.forEach(dataset => dataset.data.shift());
+            }
             
             this.charts.power.update('none');
         }
@@ -495,6 +1148,72 @@ class DashboardController {
             
             this.charts.thermal.update('none');
         }
+        
+        // Update attitude chart (sources without ADCS housekeeping leave it empty)
+        if (this.charts.attitude && data.attitude?.wheels) {
+            this.charts.attitude.data.labels.push(timeIndex);
+            this.charts.attitude.data.datasets[0].data.push(data.attitude.pointingError);
+            this.charts.attitude.data.datasets[1].data.push(data.attitude.wheels.x.speed);
+            this.charts.attitude.data.datasets[2].data.push(data.attitude.wheels.y.speed);
+            this.charts.attitude.data.datasets[3].data.push(data.attitude.wheels.z.speed);
+            
+            // Keep only last 60 points
+            if (this.charts.attitude.data.labels.length > 60) {
+                this.charts.attitude.data.labels.shift();
+                this.charts.attitude.data.datasets.forEach(dataset => dataset.data.shift());
+            }
+            
+            this.charts.attitude.update('none');
+        }
+        
+        // Update propulsion chart
+        if (this.charts.propulsion && data.propulsion?.thrusters) {
+            const bedTemps = Object.values(data.propulsion.thrusters).map(thruster => thruster.catalystBedTemperature);
+            this.charts.propulsion.data.labels.push(timeIndex);
+            this.charts.propulsion.data.datasets[0].data.push(data.propulsion.tankPressure);
+            this.charts.propulsion.data.datasets[1].data.push(Math.max(...bedTemps));
+            
+            // Keep only last 60 points
+            if (this.charts.propulsion.data.labels.length > 60) {
+                this.charts.propulsion.data.labels.shift();
+                this.charts.propulsion.data.datasets.forEach(dataset => dataset.data.shift());
+            }
+            
+            this.charts.propulsion.update('none');
+        }
+        
+        // Update derived channel chart
+        if (this.charts.derived && data.derived) {
+            const key = this.archiveChannels.derived[0].split('.')[1];
+            this.charts.derived.data.labels.push(timeIndex);
+            this.charts.derived.data.datasets[0].data.push(data.derived[key] ?? null);
+            
+            // Keep only last 60 points
+            if (this.charts.derived.data.labels.length > 60) {
+                this.charts.derived.data.labels.shift();
+                this.charts.derived.data.datasets.forEach(dataset => dataset.data.shift());
+            }
+            
+            this.charts.derived.update('none');
+        }
+    }
+    
+    // One empty slot on every live chart already plotting; redrawn with the next point
+    pushChartGap() {
+        const timeIndex = this.chartTimeIndex || 0;
+        this.chartTimeIndex = timeIndex + 1;
+        
+        ['power', 'thermal', 'attitude', 'propulsion', 'derived'].forEach(chartName => {
+            const chart = this.charts[chartName];
+            if (!chart || chart.data.labels.length === 0) return;
+            
+            chart.data.labels.push(timeIndex);
+            chart.data.datasets.forEach(dataset => dataset.data.push(null));
+            if (chart.data.labels.length > 60) {
+                chart.data.labels.shift();
+                chart.data.datasets.forEach(dataset => dataset.data.shift());
+            }
+        });
     }
     
     updateOverallStatus(data) {
@@ -506,7 +1225,10 @@ class DashboardController {
             data.power.battery.status,
             data.power.solar.status,
             data.thermal.status,
-            data.communication.status
+            data.communication.status,
+            data.attitude?.status,
+            data.propulsion?.status,
+            data.payload?.status
         ];
         
         let overallStatus = 'NOMINAL';
@@ -527,8 +1249,8 @@ class DashboardController {
     handleAnomaly(anomaly) {
         console.log('Anomaly detected:', anomaly);
         
-        // Add to anomaly chart
-        if (this.charts.anomaly) {
+        // Anomaly timeline shows the selected spacecraft; alerts list is fleet-wide
+        if (this.charts.anomaly && window.fleetManager.isSelected(anomaly.spacecraftId)) {
             const datasetIndex = anomaly.severity === 'critical' ? 2 : 
                                  anomaly.severity === 'warning' ? 1 : 0;
             
@@ -547,13 +1269,14 @@ class DashboardController {
         
         // Show notification
         this.showNotification(
-            `${anomaly.severity.toUpperCase()} Anomaly`,
+            `${anomaly.spacecraftId}: ${anomaly.severity.toUpperCase()} Anomaly`,
             anomaly.message,
             anomaly.severity
         );
         
         // Add to alerts list
         this.addToAlertsList(anomaly);
+        this.updateFleetTile(window.telemetrySourceManager.getLatestTelemetry(anomaly.spacecraftId));
         
         // Trigger recommendations update
         if (window.recommendationEngine) {
@@ -565,6 +1288,15 @@ class DashboardController {
         const alertsList = document.getElementById('alerts-list');
         if (!alertsList) return;
         
+        // The most relevant onboard event near the anomaly, e.g. the failure or mode change behind it
+        const event = anomaly.relatedEvents?.[0];
+        const related = event ? `${event.type} ${Math.abs(event.offset)}s ${event.offset <= 0 ? 'before' : 'after'}` : '';
+        
+        // Whether onboard autonomy responded before the ground detected the anomaly
+        const response = anomaly.relatedEvents?.find(candidate => candidate.type === 'FDIR_ACTION');
+        const autonomy = response ?
+            `Onboard FDIR acted ${Math.abs(response.offset)}s ${response.offset <= 0 ? 'before' : 'after'} detection` : '';
+        
         const alertElement = document.createElement('div');
         alertElement.className = `p-3 rounded-lg border-l-4 ${
             anomaly.severity === 'critical' ? 'bg-red-900 border-red-500' :
@@ -575,8 +1307,13 @@ class DashboardController {
         alertElement.innerHTML = `
             <div class="flex justify-between items-start">
                 <div class="flex-1">
-                    <p class="font-medium text-sm">${anomaly.subsystem.toUpperCase()}</p>
+                    <p class="font-medium text-sm">
+                        <span class="font-mono text-gray-300 cursor-pointer" onclick="selectSpacecraft('${anomaly.spacecraftId}')">${anomaly.spacecraftId}</span>
+                        ${anomaly.subsystem.toUpperCase()}
+                    </p>
                     <p class="text-xs text-gray-300">${anomaly.message}</p>
+                    ${related ? `<p class="text-xs text-gray-400" title="Onboard events near the anomaly">${related}</p>` : ''}
+                    ${autonomy ? `<p class="text-xs text-purple-300" title="${response.message}">${autonomy}</p>` : ''}
                     <p class="text-xs text-gray-400 mt-1">${new Date(anomaly.timestamp).toLocaleTimeString()}</p>
                 </div>
                 <button onclick="acknowledgeAnomaly('${anomaly.id}')" 
@@ -674,12 +1411,12 @@ class DashboardController {
     }
     
     generateNLResponse(query) {
-        const latestData = window.telemetrySimulator.getLatestTelemetry();
+        const latestData = window.telemetrySourceManager.getLatestTelemetry();
         if (!latestData) return 'No telemetry data available.';
         
         if (query.includes('battery') && query.includes('health')) {
             const battery = latestData.power.battery;
-            return `Battery Health: ${battery.capacity.toFixed(1)}% capacity, ${battery.voltage.toFixed(1)}V, ${battery.temperature.toFixed(1)}°C. Status: ${battery.status.toUpperCase()}.`;
+            return `Battery Health: ${battery.capacity.toFixed(1)}% capacity, ${battery.stateOfCharge !== undefined ? `${battery.stateOfCharge.toFixed(0)}% charged, ` : ''}${battery.voltage.toFixed(1)}V, ${battery.temperature.toFixed(1)}°C. Status: ${battery.status.toUpperCase()}.`;
         }
         
         if (query.includes('solar') && query.includes('power')) {
@@ -694,6 +1431,9 @@ class DashboardController {
         
         if (query.includes('communication') || query.includes('signal')) {
             const comm = latestData.communication;
+            if (comm.contact === false) {
+                return `Communication: No ground contact. ${this.describePass(comm, latestData.timestamp)}. Status: ${comm.status.toUpperCase()}.`;
+            }
             return `Communication: Signal strength ${comm.signalStrength}dBm, data rate ${comm.dataRate}kbps, error rate ${(comm.errorRate*100).toFixed(3)}%. Status: ${comm.status.toUpperCase()}.`;
         }
         
@@ -711,20 +1451,21 @@ class DashboardController {
             const thermal = latestData.thermal;
             const comm = latestData.communication;
             
-            return `System Overview: Battery ${battery.capacity.toFixed(0)}% (${battery.status}), Solar ${(solar.power/1000).toFixed(1)}kW (${solar.status}), Thermal ${thermal.processor}°C (${thermal.status}), Comms ${comm.signalStrength}dBm (${comm.status}).`;
+            return `System Overview: Battery ${battery.capacity.toFixed(0)}% (${battery.status}), Solar ${(solar.power/1000).toFixed(1)}kW (${solar.status}), Thermal ${thermal.processor}°C (${thermal.status}), Comms ${comm.contact === false ? 'no contact' : `${comm.signalStrength}dBm`} (${comm.status}).`;
         }
         
         return 'I can provide information about battery health, solar power, thermal status, communication systems, anomalies, or overall system status. Please ask about specific subsystems.';
     }
     
     startMissionTimer() {
+        // The mission timer shows simulation time, which the header clock controls drive
+        window.simulationClock.start();
+        
         const missionTimeElement = document.getElementById('mission-time');
         if (!missionTimeElement) return;
         
-        const startTime = Date.now();
-        
         setInterval(() => {
-            const elapsed = Date.now() - startTime;
+            const elapsed = window.simulationClock.getElapsed();
             const hours = Math.floor(elapsed / 3600000);
             const minutes = Math.floor((elapsed % 3600000) / 60000);
             const seconds = Math.floor((elapsed % 60000) / 1000);
@@ -734,6 +1475,851 @@ class DashboardController {
         }, 1000);
     }
     
+    updateTelemetrySourceStatus() {
+        const statusElement = document.getElementById('telemetry-source-status');
+        if (!statusElement) return;
+        
+        const manager = window.telemetrySourceManager;
+        const source = manager.getActiveSource();
+        
+        if (source.name === 'websocket') {
+            statusElement.textContent = `Live ${source.url}: ${source.linkState}` +
+                (source.reconnectAttempts > 0 ? ` (retry ${source.reconnectAttempts})` : '') +
+                (source.droppedFrames > 0 ? `, ${source.droppedFrames} frames dropped` : '');
+        } else if (source.name === 'replay') {
+            const progress = source.getProgress();
+            statusElement.textContent = source.recordingName ?
+                `Replay ${source.recordingName}: ${progress.position}/${progress.total} at ${progress.speed}x` :
+                'Replay: no recording loaded';
+        } else {
+            statusElement.textContent = `Source: ${source.name}${source.isRunning ? '' : ' (stopped)'}`;
+        }
+    }
+    
+    // Sensor faults can target any measured numeric channel in the data dictionary
+    renderSensorFaultChannels() {
+        const select = document.getElementById('sensor-fault-channel');
+        if (!select) return;
+        
+        select.innerHTML = window.dataDictionary.getChannels()
+            .filter(channel => channel.type === 'number' && !channel.derived)
+            .map(channel => `<option value="${channel.id}">${channel.name}</option>`)
+            .join('');
+    }
+    
+    // Command database picker; the argument select follows the chosen command
+    renderTelecommands() {
+        const select = document.getElementById('tc-command');
+        if (!select) return;
+        
+        const commands = window.telecommandManager.getCommands();
+        select.innerHTML = commands
+            .map(command => `<option value="${command.name}">${command.name}: ${command.description}</option>`)
+            .join('');
+        this.renderTelecommandArguments(commands[0]?.name);
+    }
+    
+    renderTelecommandArguments(name) {
+        const select = document.getElementById('tc-argument');
+        const effect = document.getElementById('tc-effect');
+        const command = window.telecommandManager.getCommand(name);
+        if (!select || !command) return;
+        
+        const argument = command.arguments[0];
+        select.classList.toggle('hidden', !argument);
+        select.innerHTML = argument ? argument.values
+            .map(value => `<option value="${value}"${value === argument.default ? ' selected' : ''}>${argument.name}: ${value}</option>`)
+            .join('') : '';
+        if (effect) effect.textContent = `Verifies: ${command.effect}`;
+    }
+    
+    // Prime and redundant unit of each pair, coloured by health, with the active one highlighted
+    updateRedundantUnits(telemetry) {
+        const container = document.getElementById('redundant-units');
+        if (!container) return;
+        
+        const simulator = window.fleetManager.getSelectedVehicle()?.simulator;
+        if (!telemetry?.redundancy || !simulator) {
+            container.innerHTML = '<p class="text-xs text-gray-400">No redundancy data</p>';
+            return;
+        }
+        
+        const healthColors = {
+            nominal: 'border-green-500 text-green-300',
+            degraded: 'border-yellow-500 text-yellow-300',
+            failed: 'border-red-500 text-red-300'
+        };
+        
+        container.innerHTML = Object.entries(telemetry.redundancy).map(([group, pair]) => {
+            const badges = Object.entries(pair.units).map(([unit, health]) => {
+                const active = unit === pair.active ? 'bg-gray-700 font-bold' : 'opacity-60';
+                return `<span class="px-2 rounded border ${healthColors[health]} ${active}" title="${unit}: ${health}${unit === pair.active ? ', active' : ''}">${unit}</span>`;
+            }).join(' ');
+            return `
+                <div class="flex justify-between items-center">
+                    <span>${simulator.subsystems.redundancy.units[group].name}${pair.switching ? ' <span class="text-xs text-yellow-400">switching</span>' : ''}</span>
+                    <span class="space-x-1">${badges}</span>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    // FDIR monitor states from telemetry and the latest onboard responses from the event log
+    updateFdirStatus(telemetry) {
+        const monitorsContainer = document.getElementById('fdir-monitors');
+        const actionsContainer = document.getElementById('fdir-actions');
+        if (!monitorsContainer || !actionsContainer) return;
+        
+        const fdir = telemetry?.fdir;
+        if (!fdir) {
+            monitorsContainer.innerHTML = '<p class="text-xs text-gray-400">No FDIR data</p>';
+        } else {
+            const statusColors = {
+                ok: 'text-green-400',
+                counting: 'text-yellow-400',
+                responded: 'text-orange-400',
+                disabled: 'text-gray-500'
+            };
+            
+            monitorsContainer.innerHTML = (fdir.loadsShed ? '<p class="text-xs text-yellow-400">Non-essential loads shed</p>' : '') +
+                Object.entries(fdir.monitors).map(([id, monitor]) => `
+                    <div class="flex justify-between text-xs">
+                        <span class="font-mono">${id}</span>
+                        <span class="${statusColors[monitor.status]}">${monitor.status}${monitor.status === 'counting' ? ` ${Math.round(monitor.elapsed)} s` : ''}${monitor.level > 0 ? ` L${monitor.level}` : ''}</span>
+                    </div>
+                `).join('');
+        }
+        
+        const actions = window.eventLog.search({ spacecraftId: window.fleetManager.getSelectedId(), text: 'fdir_', limit: 5 });
+        if (actions.length === 0) {
+            actionsContainer.innerHTML = '<p class="text-xs text-gray-400">No onboard responses</p>';
+            return;
+        }
+        
+        actionsContainer.innerHTML = actions.map(event => `
+            <div class="text-xs">
+                <span class="font-mono text-gray-400">${new Date(event.timestamp).toISOString().substring(11, 19)}</span>
+                <span class="text-gray-300">${event.message}</span>
+            </div>
+        `).join('');
+    }
+    
+    // Recent commands to the selected spacecraft with their verification stage
+    updateTelecommandList() {
+        const container = document.getElementById('telecommand-list');
+        if (!container) return;
+        
+        const records = window.telecommandManager.getHistory(window.fleetManager.getSelectedId(), 6).reverse();
+        if (records.length === 0) {
+            container.innerHTML = '<p class="text-xs text-gray-400">No commands sent</p>';
+            return;
+        }
+        
+        const stageColors = {
+            queued: 'text-gray-400',
+            accepted: 'text-blue-400',
+            started: 'text-yellow-400',
+            completed: 'text-green-400',
+            failed: 'text-red-400'
+        };
+        
+        container.innerHTML = records.map(record => {
+            const args = Object.values(record.args).join(' ');
+            const timetag = record.executeAt !== null && record.status !== 'completed' && record.status !== 'failed' ?
+                ` @ ${new Date(record.executeAt).toISOString().substring(11, 19)}` : '';
+            return `
+                <div class="text-xs" title="${record.reason || record.description}">
+                    <div class="flex justify-between">
+                        <span>${record.id} ${record.command} ${args}${timetag}</span>
+                        <span class="${stageColors[record.status]} uppercase">${record.status}</span>
+                    </div>
+                    ${record.reason ? `<p class="text-gray-500">${record.reason}</p>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+    
+    // Onboard events of the selected spacecraft matching the search text and minimum severity
+    updateEventLog() {
+        const container = document.getElementById('event-list');
+        if (!container) return;
+        
+        const events = window.eventLog.search({
+            spacecraftId: window.fleetManager.getSelectedId(),
+            text: document.getElementById('event-search')?.value || '',
+            severity: document.getElementById('event-severity')?.value || null,
+            limit: 50
+        });
+        if (events.length === 0) {
+            container.innerHTML = '<p class="text-xs text-gray-400">No matching events</p>';
+            return;
+        }
+        
+        const severityColors = {
+            info: 'text-blue-400',
+            warning: 'text-yellow-400',
+            critical: 'text-red-400'
+        };
+        
+        container.innerHTML = events.map(event => `
+            <div class="text-xs">
+                <div class="flex justify-between">
+                    <span class="font-mono text-gray-400">${new Date(event.timestamp).toISOString().substring(11, 19)}</span>
+                    <span class="${severityColors[event.severity]}">${event.type}</span>
+                </div>
+                <p class="text-gray-300">${event.message}</p>
+            </div>
+        `).join('');
+    }
+    
+    // Derived channel picker and the current value of every derived channel
+    renderDerivedChannels() {
+        const select = document.getElementById('derived-channel');
+        const values = document.getElementById('derived-values');
+        const channels = window.dataDictionary.getChannels().filter(channel => channel.expression);
+        
+        // The plotted channel may have been removed
+        if (channels.length > 0 && !window.dataDictionary.findByPath(this.archiveChannels.derived[0])) {
+            this.setDerivedChannel(channels[0].id);
+        }
+        
+        if (select) {
+            const selected = window.dataDictionary.findByPath(this.archiveChannels.derived[0]);
+            select.innerHTML = channels
+                .map(channel => `<option value="${channel.id}"${channel === selected ? ' selected' : ''}>${channel.name}</option>`)
+                .join('');
+        }
+        
+        if (values) {
+            values.innerHTML = channels.map(channel => `
+                <div title="${channel.expression}">
+                    <p class="text-gray-400">${channel.name}</p>
+                    <p class="font-mono" data-derived="${channel.parameter}">--</p>
+                </div>
+            `).join('');
+        }
+    }
+    
+    updateDerivedValues(derived) {
+        const container = document.getElementById('derived-values');
+        if (!container || !container.querySelectorAll) return;
+        
+        container.querySelectorAll('[data-derived]').forEach(element => {
+            const channel = window.dataDictionary.findByPath(`derived.${element.dataset.derived}`);
+            const value = derived[element.dataset.derived];
+            element.textContent = value === undefined ? '--' : window.dataDictionary.formatValue(value, channel?.unit);
+        });
+    }
+    
+    setDerivedChannel(channelId) {
+        const channel = window.dataDictionary.getChannel(channelId);
+        if (!channel?.expression) return;
+        
+        // Replaced in place: the chart tooltip reads this list
+        this.archiveChannels.derived[0] = channel.path;
+        if (this.charts.derived) {
+            this.charts.derived.data.datasets[0].label = channel.unit ? `${channel.name} (${channel.unit})` : channel.name;
+        }
+        this.rebuildCharts();
+    }
+    
+    // Failure injections on the selected spacecraft, with their current phase
+    updateInjectionList() {
+        const container = document.getElementById('active-injections');
+        if (!container) return;
+        
+        const injector = window.failureInjector;
+        const now = window.simulationClock.now();
+        const injections = injector.getActiveInjections(window.fleetManager.getSelectedId(), now);
+        
+        if (injections.length === 0) {
+            container.innerHTML = '<p class="text-xs text-gray-400">No active injections</p>';
+            return;
+        }
+        
+        const phaseColors = {
+            pending: 'text-gray-400',
+            ramp: 'text-yellow-400',
+            hold: 'text-red-400',
+            recovery: 'text-green-400',
+            permanent: 'text-red-400'
+        };
+        
+        container.innerHTML = injections.map(injection => {
+            const phase = injector.getPhase(injection, now);
+            return `
+                <div class="flex justify-between text-xs">
+                    <span>${injection.name}</span>
+                    <span class="${phaseColors[phase] || 'text-gray-400'} uppercase">${phase}</span>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    // Channel badges, recent quality events and dimmed KPI values for the selected spacecraft
+    updateDataQuality() {
+        const summary = document.getElementById('data-quality-summary');
+        const badges = document.getElementById('data-quality-badges');
+        const list = document.getElementById('data-quality-events');
+        if (!summary || !badges || !list) return;
+        
+        const monitor = window.dataQualityMonitor;
+        const spacecraftId = window.fleetManager.getSelectedId();
+        const channels = monitor.getChannelQuality(spacecraftId);
+        const stale = monitor.isStale(spacecraftId);
+        
+        const statusColors = {
+            good: 'bg-green-900 text-green-300',
+            suspect: 'bg-yellow-900 text-yellow-300',
+            missing: 'bg-gray-700 text-gray-300',
+            bad: 'bg-red-900 text-red-300',
+            stale: 'bg-gray-700 text-gray-400'
+        };
+        
+        if (channels.length === 0) {
+            summary.textContent = 'Waiting for telemetry';
+            summary.className = 'text-sm text-gray-400 mb-3';
+        } else if (stale) {
+            summary.textContent = `STALE: no telemetry from ${spacecraftId}`;
+            summary.className = 'text-sm text-red-400 font-semibold mb-3';
+        } else {
+            const counts = {};
+            channels.forEach(channel => { counts[channel.status] = (counts[channel.status] || 0) + 1; });
+            summary.textContent = `${channels.length} channels: ` +
+                ['good', 'suspect', 'missing', 'bad']
+                    .filter(status => counts[status])
+                    .map(status => `${counts[status]} ${status}`)
+                    .join(', ');
+            summary.className = `text-sm ${counts.bad ? 'text-red-400' : counts.suspect || counts.missing ? 'text-yellow-400' : 'text-gray-400'} mb-3`;
+        }
+        
+        badges.innerHTML = channels.map(channel => `
+            <span class="px-1.5 py-0.5 rounded text-xs font-mono ${statusColors[channel.status]}"
+                  title="${channel.name}: ${channel.issues.length ? channel.issues.join('; ') : channel.status}">${channel.id}</span>
+        `).join('');
+        
+        const events = monitor.getEvents(spacecraftId, 10);
+        const severityColors = { critical: 'text-red-400', warning: 'text-yellow-400', info: 'text-gray-400' };
+        list.innerHTML = events.length === 0 ?
+            '<p class="text-xs text-gray-400">No data quality events</p>' :
+            events.map(event => `
+                <div class="text-xs ${severityColors[event.severity]}">
+                    <span class="font-mono text-gray-500">${new Date(event.timestamp).toISOString().slice(11, 19)}</span>
+                    ${event.message}
+                </div>
+            `).join('');
+        
+        // KPI values from a suspect channel stay visible but dimmed
+        const quality = new Map(channels.map(channel => [channel.id, channel]));
+        Object.entries(this.kpiChannels).forEach(([elementId, channelId]) => {
+            const element = document.getElementById(elementId);
+            const channel = quality.get(channelId);
+            if (element) {
+                element.classList.toggle('opacity-50', stale || (channel !== undefined && channel.status !== 'good'));
+            }
+        });
+    }
+    
+    // Node temperatures and the heat flowing along each link of the selected spacecraft's thermal network
+    updateThermalNetwork() {
+        const nodeContainer = document.getElementById('thermal-nodes');
+        const linkContainer = document.getElementById('thermal-links');
+        if (!nodeContainer || !linkContainer) return;
+        
+        const network = window.fleetManager.getSelectedVehicle()?.simulator?.thermalNetwork;
+        if (!network) {
+            nodeContainer.innerHTML = '<p class="text-xs text-gray-400">No thermal model for this telemetry source</p>';
+            linkContainer.innerHTML = '';
+            return;
+        }
+        
+        const { nodes, links } = network.getState();
+        const names = Object.fromEntries(nodes.map(node => [node.id, node.name]));
+        const watts = value => Math.abs(value) >= 1000 ? `${(value / 1000).toFixed(2)} kW` : `${value.toFixed(1)} W`;
+        
+        nodeContainer.innerHTML = nodes.map(node => {
+            const balance = [
+                ['dissipation', node.dissipation], ['heater', node.heater], ['sunlight', node.solar],
+                ['Earth', node.earth], ['conducted in', node.conducted], ['radiated', -node.radiated]
+            ].filter(([, value]) => value).map(([label, value]) => `${label} ${watts(value)}`).join(', ');
+            const trend = node.net >= 0 ?
+                `<span class="text-red-400">▲ ${watts(node.net)}</span>` :
+                `<span class="text-blue-400">▼ ${watts(-node.net)}</span>`;
+            return `
+                <div title="${node.name}: ${balance || 'no heat flow'}">
+                    <p class="text-gray-400">${node.name}${node.heater ? ' <span class="text-orange-400">heater</span>' : ''}</p>
+                    <p class="font-mono">${node.temperature.toFixed(1)}°C</p>
+                    <p class="text-xs">${trend}</p>
+                </div>
+            `;
+        }).join('');
+        
+        // Drawn from the warmer node to the cooler one, bars scaled to the largest flow
+        const largest = Math.max(1, ...links.map(link => Math.abs(link.power)));
+        linkContainer.innerHTML = links.map(link => {
+            const [from, to] = link.power >= 0 ? [link.from, link.to] : [link.to, link.from];
+            return `
+                <div class="flex items-center gap-2" title="${link.name || 'Conductive link'}: ${link.conductance.toFixed(2)} W/K">
+                    <span class="w-48 text-gray-400">${names[from]} → ${names[to]}</span>
+                    <div class="flex-1 h-2 bg-gray-800 rounded overflow-hidden">
+                        <div class="h-full bg-orange-500" style="width: ${(Math.abs(link.power) / largest * 100).toFixed(1)}%"></div>
+                    </div>
+                    <span class="w-16 text-right font-mono">${watts(Math.abs(link.power))}</span>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    // Session strip for the selected spacecraft: the last two hours and the hour ahead
+    updatePayloadTimeline() {
+        const container = document.getElementById('payload-timeline');
+        const list = document.getElementById('payload-sessions');
+        if (!container || !list) return;
+        
+        const simulator = window.fleetManager.getSelectedVehicle()?.simulator;
+        if (!simulator) {
+            container.innerHTML = '';
+            list.innerHTML = '<p class="text-xs text-gray-400">No payload schedule from this telemetry source</p>';
+            return;
+        }
+        
+        const now = simulator.lastTimestamp;
+        const from = now - 2 * 3600000;
+        const to = now + 3600000;
+        const sessions = simulator.getPayloadSessions(from, to);
+        const position = time => (Math.min(Math.max(time, from), to) - from) / (to - from) * 100;
+        
+        container.innerHTML = sessions.map(session => {
+            const end = session.end ?? (session.planned ? session.plannedEnd : now);
+            const color = session.planned ? 'bg-gray-500 bg-opacity-50' :
+                session.source === 'operator' ? 'bg-purple-500' : 'bg-blue-500';
+            return `<div class="absolute top-0 h-full rounded ${color}" title="${session.id || 'Planned'}" ` +
+                `style="left: ${position(session.start).toFixed(2)}%; ` +
+                `width: ${Math.max(0.3, position(end) - position(session.start)).toFixed(2)}%"></div>`;
+        }).join('') + `<div class="absolute top-0 h-full w-0.5 bg-white" style="left: ${position(now).toFixed(2)}%"></div>`;
+        
+        const recent = sessions.filter(session => !session.planned).slice(-3).reverse();
+        const next = sessions.find(session => session.planned);
+        const time = timestamp => new Date(timestamp).toISOString().substring(11, 16);
+        
+        if (recent.length === 0 && !next) {
+            list.innerHTML = '<p class="text-xs text-gray-400">No payload sessions</p>';
+            return;
+        }
+        
+        list.innerHTML = recent.map(session => `
+            <div class="flex justify-between text-xs">
+                <span>${session.id} ${time(session.start)}–${session.end ? time(session.end) : 'now'}</span>
+                <span class="${session.end ? 'text-gray-400' : 'text-blue-400'}">${
+                    session.end ? `${session.endReason}, ${(session.dataVolume / 1000).toFixed(1)} GB` : 'IMAGING'
+                }</span>
+            </div>
+        `).join('') + (next ? `
+            <div class="flex justify-between text-xs">
+                <span>Next ${time(next.start)}–${time(next.plannedEnd)}</span>
+                <span class="text-gray-400">PLANNED</span>
+            </div>
+        ` : '');
+    }
+    
+    updateClockControls({ running, rate }) {
+        const toggleButton = document.getElementById('clock-toggle');
+        if (toggleButton) {
+            toggleButton.innerHTML = running ? '<i class="fas fa-pause"></i>' : '<i class="fas fa-play"></i>';
+            toggleButton.title = running ? 'Pause' : 'Play';
+        }
+        
+        const rateSelect = document.getElementById('clock-rate');
+        if (rateSelect) rateSelect.value = String(rate);
+        
+        const missionTimeElement = document.getElementById('mission-time');
+        if (missionTimeElement) {
+            missionTimeElement.className = `text-xl font-mono ${running ? '' : 'text-yellow-400'}`;
+        }
+    }
+    
+    updateLinkStatus(state) {
+        const linkElement = document.getElementById('link-status');
+        if (!linkElement) return;
+        
+        const linkColors = {
+            connected: 'text-green-400',
+            stale: 'text-yellow-400',
+            lost: 'text-red-400 pulse'
+        };
+        
+        // Local sources have no link to lose
+        const label = state === 'simulator' ? 'SIM' : state.toUpperCase();
+        
+        linkElement.textContent = label;
+        linkElement.className = `text-xl font-semibold ${linkColors[state] || 'text-gray-400'}`;
+        
+        this.updateTelemetrySourceStatus();
+    }
+    
+    updateOrbitStatus(orbit, timestamp) {
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+        
+        const latitude = `${Math.abs(orbit.latitude).toFixed(2)}°${orbit.latitude >= 0 ? 'N' : 'S'}`;
+        const longitude = `${Math.abs(orbit.longitude).toFixed(2)}°${orbit.longitude >= 0 ? 'E' : 'W'}`;
+        
+        setText('orbit-position', `${latitude} ${longitude}`);
+        setText('orbit-altitude', `${orbit.altitude.toFixed(0)} km`);
+        setText('orbit-beta', `${orbit.betaAngle.toFixed(1)}°`);
+        
+        const shadowElement = document.getElementById('orbit-shadow');
+        if (shadowElement) {
+            const shadowColors = { sunlit: 'text-yellow-300', penumbra: 'text-orange-400', umbra: 'text-blue-400' };
+            shadowElement.textContent = orbit.shadow.toUpperCase();
+            shadowElement.className = `font-semibold ${shadowColors[orbit.shadow] || 'text-gray-400'}`;
+        }
+        
+        // Countdown to the next shadow boundary
+        let eclipseText = 'None in 3h';
+        if (orbit.nextEclipseEntry !== null && orbit.nextEclipseEntry > timestamp) {
+            eclipseText = `Entry in ${this.formatCountdown(orbit.nextEclipseEntry - timestamp)}`;
+        } else if (orbit.nextEclipseExit !== null) {
+            eclipseText = `Exit in ${this.formatCountdown(orbit.nextEclipseExit - timestamp)}`;
+        }
+        setText('orbit-next-eclipse', eclipseText);
+    }
+    
+    // Station in view and time to LOS, or time to the next AOS
+    describePass(comm, timestamp) {
+        if (comm.contact === undefined) return '--'; // Sources without pass data
+        
+        if (!comm.contact) {
+            return comm.passAos ?
+                `AOS ${comm.passStation} in ${this.formatCountdown(comm.passAos - timestamp)}` :
+                'No pass predicted';
+        }
+        
+        const station = comm.station ? `${comm.station} ${comm.elevation}°` : 'In contact';
+        return comm.passLos ? `${station}, LOS in ${this.formatCountdown(comm.passLos - timestamp)}` : station;
+    }
+    
+    // Frame loss of the pass under way, or of the last pass between passes
+    describeFrameLoss(spacecraftId) {
+        const current = window.frameAccounting.getCurrentPass(spacecraftId);
+        const pass = current || window.frameAccounting.getPasses(spacecraftId, 1)[0];
+        if (!pass) return 'Frame loss --';
+        
+        const lost = `${pass.lossPercent.toFixed(1)}% frame loss`;
+        return current ? `${lost} this pass (${pass.lost}/${pass.received + pass.lost})` :
+            `${lost} last pass${pass.station ? ` (${pass.station})` : ''}`;
+    }
+    
+    formatCountdown(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+    
+    updateAttitudeStatus(attitude) {
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+        
+        const wheelSpeeds = Object.values(attitude.wheels).map(wheel => Math.abs(wheel.speed));
+        const wheelCurrent = Object.values(attitude.wheels).reduce((sum, wheel) => sum + wheel.current, 0);
+        
+        setText('attitude-pointing', `${attitude.pointingError.toFixed(3)}°`);
+        setText('attitude-wheel-max', `${Math.max(...wheelSpeeds).toFixed(0)} rpm`);
+        setText('attitude-wheel-current', `${wheelCurrent.toFixed(2)} A`);
+        setText('attitude-magnetorquer', `${attitude.magnetorquer.dutyCycle.toFixed(0)}%`);
+        
+        const trackerElement = document.getElementById('attitude-star-tracker');
+        if (trackerElement) {
+            const valid = attitude.starTracker.valid;
+            trackerElement.textContent = valid ? 'VALID' : 'NO FIX';
+            trackerElement.className = `font-semibold ${valid ? 'text-green-400' : 'text-yellow-400'}`;
+        }
+    }
+    
+    updatePropulsionStatus(propulsion) {
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+        
+        const bedTemps = Object.values(propulsion.thrusters).map(thruster => thruster.catalystBedTemperature);
+        
+        setText('propulsion-pressure', `${propulsion.tankPressure.toFixed(2)} bar`);
+        setText('propulsion-tank-temp', `${propulsion.tankTemperature.toFixed(1)}°C`);
+        setText('propulsion-propellant', `${propulsion.propellantMass.toFixed(2)} kg`);
+        setText('propulsion-catalyst', `${Math.max(...bedTemps).toFixed(0)}°C`);
+        
+        const thrusterElement = document.getElementById('propulsion-thrusters');
+        if (thrusterElement) {
+            const open = Object.values(propulsion.thrusters).filter(thruster => thruster.valveOpen).length;
+            thrusterElement.textContent = open > 0 ? `FIRING ${open}/${bedTemps.length} (${propulsion.burnDuration}s)` : 'IDLE';
+            thrusterElement.className = `font-semibold ${open > 0 ? 'text-orange-400' : 'text-gray-400'}`;
+        }
+    }
+    
+    // Phase selector shows the selected spacecraft's phase and only offers allowed transitions
+    updateMissionPhase() {
+        const select = document.getElementById('mission-phase');
+        if (!select) return;
+        
+        const spacecraftId = window.fleetManager.getSelectedId();
+        const phase = window.missionPhaseManager.getPhase(spacecraftId);
+        const allowed = window.missionPhaseManager.getAllowedTransitions(spacecraftId);
+        
+        select.value = phase;
+        Array.from(select.options || []).forEach(option => {
+            option.disabled = option.value !== phase && !allowed.includes(option.value);
+        });
+        
+        this.updateChannelTooltips(phase);
+    }
+    
+    // Limits differ by mission phase, so KPI tooltips follow the selected spacecraft's phase
+    updateChannelTooltips(phase) {
+        Object.entries(this.kpiChannels).forEach(([elementId, channelId]) => {
+            const element = document.getElementById(elementId);
+            if (element) {
+                element.title = window.dataDictionary.describe(window.dataDictionary.getChannel(channelId), phase);
+            }
+        });
+    }
+    
+    renderFleetTiles() {
+        const container = document.getElementById('fleet-tiles');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        window.fleetManager.getVehicles().forEach(vehicle => {
+            const tile = document.createElement('div');
+            tile.id = `fleet-tile-${vehicle.id}`;
+            tile.className = 'p-3 rounded-lg border cursor-pointer transition-colors';
+            tile.setAttribute('onclick', `selectSpacecraft('${vehicle.id}')`);
+            
+            tile.innerHTML = `
+                <div class="flex items-center justify-between">
+                    <p class="font-semibold text-sm">${vehicle.name}</p>
+                    <div class="status-normal w-3 h-3 rounded-full" data-field="status"></div>
+                </div>
+                <p class="text-xs text-gray-400 font-mono">${vehicle.id} <span data-field="phase"></span></p>
+                <div class="grid grid-cols-3 gap-2 mt-2 text-xs">
+                    <div>
+                        <p class="text-gray-400">Battery</p>
+                        <p data-field="battery">--</p>
+                    </div>
+                    <div>
+                        <p class="text-gray-400">Solar</p>
+                        <p data-field="solar">--</p>
+                    </div>
+                    <div>
+                        <p class="text-gray-400">Alerts</p>
+                        <p data-field="anomalies">0</p>
+                    </div>
+                </div>
+            `;
+            
+            container.appendChild(tile);
+            this.updateFleetTile(window.telemetrySourceManager.getLatestTelemetry(vehicle.id));
+        });
+        
+        this.highlightSelectedTile();
+    }
+    
+    updateFleetTile(data) {
+        if (!data) return;
+        
+        const tile = document.getElementById(`fleet-tile-${data.spacecraftId}`);
+        if (!tile || !tile.querySelector) return;
+        
+        const setField = (field, text) => {
+            const element = tile.querySelector(`[data-field="${field}"]`);
+            if (element) element.textContent = text;
+        };
+        
+        setField('battery', `${data.power.battery.capacity.toFixed(0)}%`);
+        setField('solar', data.power.eclipse ? 'ECLIPSE' : `${(data.power.solar.power / 1000).toFixed(1)}kW`);
+        setField('anomalies', window.anomalyDetector.getActiveAnomalies(data.spacecraftId).length);
+        setField('phase', (data.missionPhase || '').replace('_', ' ').toUpperCase());
+        
+        const statusElement = tile.querySelector('[data-field="status"]');
+        if (statusElement) {
+            statusElement.className = `${this.getStatusClass(this.getVehicleStatus(data))} w-3 h-3 rounded-full`;
+        }
+    }
+    
+    highlightSelectedTile() {
+        window.fleetManager.getVehicles().forEach(vehicle => {
+            const tile = document.getElementById(`fleet-tile-${vehicle.id}`);
+            if (!tile) return;
+            
+            const selected = window.fleetManager.isSelected(vehicle.id);
+            tile.className = `p-3 rounded-lg border cursor-pointer transition-colors ${
+                selected ? 'border-blue-400 bg-blue-900 bg-opacity-30' : 'border-gray-600 hover:border-gray-400'
+            }`;
+        });
+    }
+    
+    // Drill-down: point every detail panel at the newly selected spacecraft
+    updateSelectedSpacecraft() {
+        const vehicle = window.fleetManager.getSelectedVehicle();
+        if (!vehicle) return;
+        
+        const nameElement = document.getElementById('selected-spacecraft');
+        if (nameElement) nameElement.textContent = vehicle.name;
+        
+        this.highlightSelectedTile();
+        this.updateMissionPhase();
+        this.updateInjectionList();
+        this.updateRedundantUnits(window.telemetrySourceManager.getLatestTelemetry(vehicle.id));
+        this.updateFdirStatus(window.telemetrySourceManager.getLatestTelemetry(vehicle.id));
+        this.updateTelecommandList();
+        this.updateEventLog();
+        this.updatePayloadTimeline();
+        this.updateThermalNetwork();
+        this.updateDataQuality();
+        
+        // Rebuild charts from the vehicle's own history
+        this.rebuildCharts();
+        
+        if (this.charts.anomaly) {
+            this.charts.anomaly.data.datasets.forEach(dataset => { dataset.data = []; });
+            window.anomalyDetector.getAnomalyHistory(1, vehicle.id).forEach(anomaly => {
+                const datasetIndex = anomaly.severity === 'critical' ? 2 : 
+                                     anomaly.severity === 'warning' ? 1 : 0;
+                this.charts.anomaly.data.datasets[datasetIndex].data.push({
+                    x: anomaly.timestamp,
+                    y: anomaly.score || 0.8
+                });
+            });
+            this.charts.anomaly.update('none');
+        }
+        
+        const latest = window.telemetrySourceManager.getLatestTelemetry(vehicle.id);
+        if (latest) {
+            this.updateKPICards(latest);
+            this.updateOverallStatus(latest);
+            if (latest.orbit) {
+                this.updateOrbitStatus(latest.orbit, latest.timestamp);
+            }
+            if (latest.attitude?.wheels) {
+                this.updateAttitudeStatus(latest.attitude);
+            }
+            if (latest.propulsion?.thrusters) {
+                this.updatePropulsionStatus(latest.propulsion);
+            }
+        }
+    }
+    
+    setChartRange(range) {
+        this.chartRange = range;
+        this.rebuildCharts();
+    }
+    
+    rebuildCharts() {
+        const spacecraftId = window.fleetManager.getSelectedId();
+        
+        ['power', 'thermal', 'attitude', 'propulsion', 'derived'].forEach(chartName => {
+            const chart = this.charts[chartName];
+            if (!chart) return;
+            
+            chart.data.labels = [];
+            chart.data.datasets.forEach(dataset => { dataset.data = []; });
+            chart.update('none');
+        });
+        this.lastChartedFrame = null;
+        
+        if (this.chartRange === 'live') {
+            // The simulator keeps every point it generated; only frames the ground received are charted
+            window.telemetrySourceManager.getHistoricalData('power', 1, spacecraftId)
+                .filter(point => window.frameAccounting.wasReceived(point))
+                .forEach(point => this.updateCharts(point));
+        } else {
+            this.loadArchivedCharts();
+        }
+    }
+    
+    // Chart data for the selected range, at the finest archive resolution that fits about 240 points
+    async loadArchivedCharts() {
+        const spacecraftId = window.fleetManager.getSelectedId();
+        const range = this.chartRange;
+        const to = window.telemetrySourceManager.getLatestTelemetry(spacecraftId)?.timestamp ?? window.simulationClock.now();
+        const from = to - Number(range);
+        this.archiveLoadedAt = to;
+        
+        const time = timestamp => {
+            const iso = new Date(timestamp).toISOString();
+            return Number(range) > 86400000 ? `${iso.substring(5, 10)} ${iso.substring(11, 16)}` : iso.substring(11, 16);
+        };
+        
+        for (const [chartName, specs] of Object.entries(this.archiveChannels)) {
+            const chart = this.charts[chartName];
+            if (!chart) continue;
+            
+            const result = await window.telemetryArchive.query(spacecraftId, specs.flat(), from, to, { maxPoints: 240 });
+            
+            // A newer range or vehicle selection supersedes this request
+            if (range !== this.chartRange || spacecraftId !== window.fleetManager.getSelectedId()) return;
+            
+            const samples = {};
+            Object.entries(result.series).forEach(([channel, series]) => {
+                samples[channel] = new Map(series.map(sample => [sample.timestamp, sample]));
+            });
+            const timestamps = this.insertArchiveGaps(
+                Array.from(new Set(Object.values(result.series).flat().map(sample => sample.timestamp))).sort((a, b) => a - b),
+                window.telemetryArchive.resolutions[result.resolution].interval
+            );
+            
+            chart.data.labels = timestamps.map(timestamp => timestamp === null ? '' : time(timestamp));
+            chart.data.datasets.forEach((dataset, index) => {
+                const spec = specs[index];
+                dataset.data = timestamps.map(timestamp => {
+                    if (timestamp === null) return null;
+                    if (Array.isArray(spec)) {
+                        const maxima = spec.map(channel => samples[channel].get(timestamp)?.max).filter(value => value !== undefined);
+                        return maxima.length > 0 ? Math.max(...maxima) : null;
+                    }
+                    return samples[spec].get(timestamp)?.mean ?? null;
+                });
+            });
+            chart.update('none');
+        }
+    }
+    
+    // A null slot wherever samples are missing, so the charts break the line instead of bridging it.
+    // Raw samples are spaced by the simulator's sample period, which grows at high simulation rates.
+    insertArchiveGaps(timestamps, interval) {
+        const steps = timestamps.slice(1).map((timestamp, index) => timestamp - timestamps[index]).sort((a, b) => a - b);
+        const spacing = Math.max(interval, steps[Math.floor(steps.length / 2)] || 0);
+        
+        const slots = [];
+        timestamps.forEach((timestamp, index) => {
+            if (index > 0 && timestamp - timestamps[index - 1] > spacing * 2) {
+                slots.push(null);
+            }
+            slots.push(timestamp);
+        });
+        return slots;
+    }
+    
+    getVehicleStatus(data) {
+        const statuses = [
+            data.power.battery.status,
+            data.power.solar.status,
+            data.thermal.status,
+            data.communication.status,
+            data.attitude?.status,
+            data.propulsion?.status,
+            data.payload?.status
+        ];
+        
+        if (statuses.includes('critical')) return 'critical';
+        if (statuses.includes('warning')) return 'warning';
+        return 'normal';
+    }
+    
     getStatusClass(status) {
         switch (status) {
             case 'critical':
@@ -0,0 +1,688 @@
+/**
+ * Telemetry Data Dictionary
+ * Single definition of every telemetry channel: path, unit, type, nominal, warning and critical ranges
+ */
+
+class DataDictionary {
+    constructor() {
+        // Channel fields:
+        //   path      dotted path in a telemetry point; '*' matches every key at that level (wheels, thrusters)
+        //   subsystem, parameter   where the limits appear in AnomalyDetector thresholds
+        //   nominal   expected operating range; warning and critical are the detector limits
+        //   valid     physically possible values; anything outside is an instrument or decoding error
+        //   frozenAfter   seconds a noisy sensor may repeat the same value before it is suspected stuck
+        //   limits    extra detector limits that are not a plain range
+        //   phases    per mission phase overrides of warning, critical and limits
+        //   optional  may be absent, e.g. recordings without propulsion housekeeping
+        //   nullable  null while there is nothing to measure, e.g. downlink values between ground station passes
+        //   derived   computed rather than measured: by the detector, or from an expression (js/derived-channels.js)
+        this.channels = [
+            // Power
+            {
+                id: 'BATT_VOLTAGE', name: 'Battery Voltage', path: 'power.battery.voltage',
+                subsystem: 'battery', parameter: 'voltage', unit: 'V', type: 'number',
+                nominal: { min: 22, max: 28 },
+                warning: { min: 20, max: 28 },
+                critical: { min: 18, max: 30 },
+                valid: { min: 0, max: 40 }, frozenAfter: 60,
+                description: 'Main battery terminal voltage'
+            },
+            {
+                id: 'BATT_CURRENT', name: 'Battery Current', path: 'power.battery.current',
+                subsystem: 'battery', parameter: 'current', unit: 'A', type: 'number',
+                nominal: { min: -5, max: 5 },
+                warning: { min: -8, max: 5 },
+                critical: { min: -12, max: 8 },
+                valid: { min: -50, max: 50 }, frozenAfter: 60,
+                phases: {
+                    // Full load on battery
+                    eclipse: { warning: { min: -10 }, critical: { min: -14 } },
+                    maneuver: { warning: { min: -10 }, critical: { min: -14 } }
+                },
+                description: 'Battery current, negative while discharging'
+            },
+            {
+                id: 'BATT_TEMP', name: 'Battery Temperature', path: 'power.battery.temperature',
+                subsystem: 'battery', parameter: 'temperature', unit: '°C', type: 'number',
+                nominal: { min: 15, max: 35 },
+                warning: { max: 45 },
+                critical: { max: 55 },
+                valid: { min: -60, max: 120 }, frozenAfter: 60,
+                description: 'Battery cell temperature'
+            },
+            {
+                id: 'BATT_CAPACITY', name: 'Battery Capacity', path: 'power.battery.capacity',
+                subsystem: 'battery', parameter: 'capacity', unit: '%', type: 'number',
+                nominal: { min: 80, max: 100 },
+                warning: { min: 60 },
+                critical: { min: 40 },
+                valid: { min: 0, max: 100 },
+                phases: {
+                    leop: { warning: { min: 50 } } // Deep discharge expected before the arrays deploy
+                },
+                description: 'Usable battery capacity relative to beginning of life; fades with age and cycling'
+            },
+            {
+                id: 'BATT_SOC', name: 'Battery State of Charge', path: 'power.battery.stateOfCharge',
+                subsystem: 'battery', parameter: 'stateOfCharge', unit: '%', type: 'number',
+                nominal: { min: 70, max: 100 },
+                warning: { min: 50 },
+                critical: { min: 30 },
+                valid: { min: 0, max: 100 }, optional: true,
+                description: 'Charge left in the battery, coulomb counted from the battery current'
+            },
+            {
+                id: 'BATT_CYCLES', name: 'Battery Cycles', path: 'power.battery.cycles',
+                subsystem: 'battery', parameter: 'cycles', unit: '', type: 'number',
+                valid: { min: 0 }, optional: true,
+                description: 'Completed discharge and recharge cycles'
+            },
+            {
+                id: 'BATT_CYCLE_DEPTH', name: 'Battery Cycle Depth', path: 'power.battery.cycleDepth',
+                subsystem: 'battery', parameter: 'cycleDepth', unit: '%', type: 'number',
+                nominal: { min: 0, max: 30 },
+                valid: { min: 0, max: 100 }, optional: true,
+                description: 'Depth of discharge of the last completed cycle'
+            },
+            {
+                id: 'BATT_RESISTANCE', name: 'Battery Internal Resistance', path: 'power.battery.resistance',
+                subsystem: 'battery', parameter: 'resistance', unit: 'mΩ', type: 'number',
+                nominal: { min: 40, max: 120 },
+                valid: { min: 0, max: 2000 }, optional: true,
+                description: 'Pack internal resistance; rises with temperature and as capacity fades'
+            },
+            {
+                id: 'SOLAR_POWER', name: 'Solar Array Power', path: 'power.solar.power',
+                subsystem: 'solar', parameter: 'power', unit: 'W', type: 'number',
+                nominal: { min: 1800, max: 2800 },
+                warning: { min: 1200 },
+                critical: { min: 800 },
+                valid: { min: 0, max: 4000 }, frozenAfter: 60,
+                description: 'Array output power; limits apply outside eclipse only'
+            },
+            {
+                id: 'SOLAR_VOLTAGE', name: 'Solar Array Voltage', path: 'power.solar.voltage',
+                subsystem: 'solar', parameter: 'voltage', unit: 'V', type: 'number',
+                nominal: { min: 29, max: 35 }, optional: true,
+                valid: { min: 0, max: 60 },
+                description: 'Array bus voltage'
+            },
+            {
+                id: 'SOLAR_CURRENT', name: 'Solar Array Current', path: 'power.solar.current',
+                subsystem: 'solar', parameter: 'current', unit: 'A', type: 'number',
+                nominal: { min: 60, max: 90 }, optional: true,
+                valid: { min: 0, max: 150 }, frozenAfter: 60,
+                description: 'Array output current'
+            },
+            {
+                id: 'SOLAR_TEMP', name: 'Solar Array Temperature', path: 'power.solar.temperature',
+                subsystem: 'solar', parameter: 'temperature', unit: '°C', type: 'number',
+                nominal: { min: -60, max: 80 },
+                warning: { max: 85 },
+                critical: { max: 100 },
+                valid: { min: -150, max: 150 }, frozenAfter: 60,
+                description: 'Array substrate temperature'
+            },
+            {
+                id: 'SOLAR_EFFICIENCY', name: 'Solar Array Efficiency', path: 'power.solar.efficiency',
+                subsystem: 'solar', parameter: 'efficiency', unit: '%', type: 'number',
+                nominal: { min: 85, max: 100 }, optional: true,
+                valid: { min: 0, max: 150 }, frozenAfter: 60,
+                description: 'Array output relative to the design output at current illumination'
+            },
+            {
+                id: 'BUS_LOAD', name: 'Bus Load', path: 'power.busLoad',
+                subsystem: 'power', parameter: 'busLoad', unit: 'W', type: 'number',
+                nominal: { min: 100, max: 250 }, optional: true,
+                valid: { min: 0, max: 1000 }, frozenAfter: 60,
+                description: 'Power drawn by spacecraft loads'
+            },
+            {
+                id: 'ECLIPSE', name: 'Eclipse', path: 'power.eclipse',
+                subsystem: 'power', parameter: 'eclipse', unit: '', type: 'boolean',
+                description: 'Spacecraft in Earth shadow'
+            },
+            
+            // Thermal
+            {
+                id: 'PROC_TEMP', name: 'Processor Temperature', path: 'thermal.processor',
+                subsystem: 'thermal', parameter: 'processor', unit: '°C', type: 'number',
+                nominal: { min: 20, max: 60 },
+                warning: { max: 70 },
+                critical: { max: 85 },
+                valid: { min: -55, max: 125 }, frozenAfter: 60,
+                phases: {
+                    maneuver: { warning: { max: 75 }, critical: { max: 88 } }
+                },
+                description: 'On-board computer processor temperature'
+            },
+            {
+                id: 'BATT_BAY_TEMP', name: 'Battery Bay Temperature', path: 'thermal.battery',
+                subsystem: 'thermal', parameter: 'battery', unit: '°C', type: 'number',
+                nominal: { min: 15, max: 35 },
+                warning: { max: 45 },
+                critical: { max: 55 },
+                valid: { min: -60, max: 120 }, frozenAfter: 60,
+                description: 'Battery compartment temperature'
+            },
+            {
+                id: 'PANEL_TEMP', name: 'Solar Panel Temperature', path: 'thermal.solar',
+                subsystem: 'thermal', parameter: 'solar', unit: '°C', type: 'number',
+                nominal: { min: -60, max: 80 },
+                warning: { max: 85 },
+                critical: { max: 100 },
+                valid: { min: -150, max: 150 }, frozenAfter: 60,
+                description: 'Solar panel structure temperature'
+            },
+            {
+                id: 'RADIATOR_TEMP', name: 'Radiator Temperature', path: 'thermal.radiator',
+                subsystem: 'thermal', parameter: 'radiator', unit: '°C', type: 'number',
+                nominal: { min: -60, max: -30 }, optional: true,
+                valid: { min: -150, max: 100 }, frozenAfter: 60,
+                description: 'Main radiator panel temperature'
+            },
+            {
+                id: 'HEATER_ENABLED', name: 'Heater Enabled', path: 'thermal.heaters.*.enabled',
+                subsystem: 'thermal', parameter: 'heaterEnabled', unit: '', type: 'boolean', optional: true,
+                description: 'Thermostatic heater enabled by telecommand'
+            },
+            {
+                id: 'HEATER_ON', name: 'Heater On', path: 'thermal.heaters.*.on',
+                subsystem: 'thermal', parameter: 'heaterOn', unit: '', type: 'boolean', optional: true,
+                description: 'Heater switched on by its thermostat'
+            },
+            
+            // Communication
+            {
+                id: 'CONTACT', name: 'Ground Contact', path: 'communication.contact',
+                subsystem: 'communication', parameter: 'contact', unit: '', type: 'boolean', optional: true,
+                description: 'Spacecraft above a ground station horizon mask'
+            },
+            {
+                id: 'PASS_ELEVATION', name: 'Pass Elevation', path: 'communication.elevation',
+                subsystem: 'communication', parameter: 'elevation', unit: '°', type: 'number', optional: true, nullable: true,
+                valid: { min: -90, max: 90 },
+                description: 'Elevation of the spacecraft seen from the station in contact'
+            },
+            {
+                id: 'SLANT_RANGE', name: 'Slant Range', path: 'communication.range',
+                subsystem: 'communication', parameter: 'range', unit: 'km', type: 'number', optional: true, nullable: true,
+                valid: { min: 0, max: 50000 },
+                description: 'Distance from the station in contact to the spacecraft'
+            },
+            {
+                id: 'SIGNAL_STRENGTH', name: 'Signal Strength', path: 'communication.signalStrength',
+                subsystem: 'communication', parameter: 'signalStrength', unit: 'dBm', type: 'number',
+                nominal: { min: -100, max: -70 },
+                warning: { min: -110 },
+                critical: { min: -120 },
+                valid: { min: -160, max: 0 }, frozenAfter: 60, nullable: true,
+                phases: {
+                    // Low-gain antenna
+                    leop: { warning: { min: -115 }, critical: { min: -125 } },
+                    safe_mode: { warning: { min: -115 }, critical: { min: -125 } }
+                },
+                description: 'Received downlink signal strength'
+            },
+            {
+                id: 'DATA_RATE', name: 'Downlink Data Rate', path: 'communication.dataRate',
+                subsystem: 'communication', parameter: 'dataRate', unit: 'kbps', type: 'number',
+                nominal: { min: 128, max: 512 }, optional: true, nullable: true,
+                valid: { min: 0, max: 100000 }, frozenAfter: 60,
+                description: 'Housekeeping downlink data rate'
+            },
+            {
+                id: 'ERROR_RATE', name: 'Frame Error Rate', path: 'communication.errorRate',
+                subsystem: 'communication', parameter: 'errorRate', unit: '', type: 'number',
+                nominal: { min: 0, max: 0.01 },
+                warning: { max: 0.1 },
+                critical: { max: 0.2 },
+                valid: { min: 0, max: 1 }, nullable: true,
+                description: 'Fraction of downlink frames received with errors'
+            },
+            {
+                id: 'ANTENNA_TEMP', name: 'Antenna Temperature', path: 'communication.antennaTemperature',
+                subsystem: 'communication', parameter: 'antennaTemperature', unit: '°C', type: 'number',
+                nominal: { min: 0, max: 50 }, optional: true,
+                valid: { min: -150, max: 150 }, frozenAfter: 60,
+                description: 'Antenna feed temperature'
+            },
+            
+            // Attitude
+            {
+                id: 'ROLL', name: 'Roll', path: 'attitude.roll',
+                subsystem: 'attitude', parameter: 'roll', unit: '°', type: 'number',
+                valid: { min: -180, max: 180 }, frozenAfter: 60, optional: true,
+                description: 'Roll angle'
+            },
+            {
+                id: 'PITCH', name: 'Pitch', path: 'attitude.pitch',
+                subsystem: 'attitude', parameter: 'pitch', unit: '°', type: 'number',
+                valid: { min: -180, max: 180 }, frozenAfter: 60, optional: true,
+                description: 'Pitch angle'
+            },
+            {
+                id: 'YAW', name: 'Yaw', path: 'attitude.yaw',
+                subsystem: 'attitude', parameter: 'yaw', unit: '°', type: 'number',
+                valid: { min: -180, max: 180 }, frozenAfter: 60, optional: true,
+                description: 'Yaw angle'
+            },
+            {
+                id: 'BODY_RATE', name: 'Body Rate', path: 'attitude.angularVelocity',
+                subsystem: 'attitude', parameter: 'angularVelocity', unit: '°/s', type: 'number',
+                nominal: { min: 0, max: 0.005 }, optional: true,
+                valid: { min: 0, max: 30 }, frozenAfter: 60,
+                description: 'Body angular rate magnitude'
+            },
+            {
+                id: 'POINTING_ERROR', name: 'Pointing Error', path: 'attitude.pointingError',
+                subsystem: 'attitude', parameter: 'pointingError', unit: '°', type: 'number',
+                nominal: { min: 0, max: 0.05 }, optional: true,
+                warning: { max: 0.1 },
+                critical: { max: 0.5 },
+                valid: { min: 0, max: 180 }, frozenAfter: 60,
+                phases: {
+                    leop: { warning: { max: 15 }, critical: { max: 30 } }, // Detumbling
+                    maneuver: { warning: { max: 0.5 }, critical: { max: 2 } },
+                    safe_mode: { warning: { max: 5 }, critical: { max: 10 } } // Coarse sun pointing
+                },
+                description: 'Angle between commanded and estimated attitude'
+            },
+            {
+                id: 'WHEEL_SPEED', name: 'Reaction Wheel Speed', path: 'attitude.wheels.*.speed',
+                subsystem: 'attitude', parameter: 'wheelSpeed', unit: 'rpm', type: 'number',
+                nominal: { min: -4000, max: 4000 }, optional: true,
+                warning: { min: -4800, max: 4800 },
+                critical: { min: -5700, max: 5700 },
+                valid: { min: -6500, max: 6500 }, frozenAfter: 60,
+                phases: {
+                    // Wheels absorb thruster torques
+                    maneuver: { warning: { min: -5400, max: 5400 }, critical: { min: -5800, max: 5800 } }
+                },
+                description: 'Wheel speed, of 6000 rpm saturation'
+            },
+            {
+                id: 'WHEEL_CURRENT', name: 'Reaction Wheel Current', path: 'attitude.wheels.*.current',
+                subsystem: 'attitude', parameter: 'wheelCurrent', unit: 'A', type: 'number',
+                nominal: { min: 0, max: 0.5 }, optional: true,
+                warning: { max: 0.8 },
+                critical: { max: 1.2 },
+                valid: { min: 0, max: 5 }, frozenAfter: 60,
+                description: 'Wheel motor current; rising current at constant speed means bearing friction'
+            },
+            {
+                id: 'MTQ_DUTY', name: 'Magnetorquer Duty Cycle', path: 'attitude.magnetorquer.dutyCycle',
+                subsystem: 'attitude', parameter: 'magnetorquerDuty', unit: '%', type: 'number',
+                nominal: { min: 0, max: 60 }, optional: true,
+                valid: { min: 0, max: 100 },
+                description: 'Magnetorquer duty cycle spent unloading wheel momentum'
+            },
+            {
+                id: 'STAR_TRACKER_VALID', name: 'Star Tracker Valid', path: 'attitude.starTracker.valid',
+                subsystem: 'attitude', parameter: 'starTracker', unit: '', type: 'boolean', optional: true,
+                limits: { required: true },
+                phases: {
+                    leop: { limits: { required: false } },
+                    safe_mode: { limits: { required: false } }
+                },
+                description: 'Star tracker attitude solution available'
+            },
+            
+            // Propulsion
+            {
+                id: 'TANK_PRESSURE', name: 'Tank Pressure', path: 'propulsion.tankPressure',
+                subsystem: 'propulsion', parameter: 'tankPressure', unit: 'bar', type: 'number',
+                nominal: { min: 8, max: 24 }, optional: true,
+                warning: { min: 8, max: 24 },
+                critical: { min: 6, max: 26 },
+                valid: { min: 0, max: 40 }, frozenAfter: 60,
+                description: 'Propellant tank pressure; falls as the blowdown tank empties'
+            },
+            {
+                id: 'TANK_TEMP', name: 'Tank Temperature', path: 'propulsion.tankTemperature',
+                subsystem: 'propulsion', parameter: 'tankTemperature', unit: '°C', type: 'number',
+                nominal: { min: 15, max: 30 }, optional: true,
+                warning: { min: 10, max: 40 },
+                critical: { min: 5, max: 50 }, // Hydrazine freezes at 2°C
+                valid: { min: -60, max: 120 }, frozenAfter: 60,
+                description: 'Propellant tank temperature'
+            },
+            {
+                id: 'PROPELLANT_MASS', name: 'Propellant Remaining', path: 'propulsion.propellantMass',
+                subsystem: 'propulsion', parameter: 'propellantMass', unit: 'kg', type: 'number',
+                nominal: { min: 5, max: 50 }, optional: true,
+                warning: { min: 5 },
+                critical: { min: 2 }, // Disposal reserve
+                valid: { min: 0, max: 100 },
+                description: 'Propellant mass remaining in the tank'
+            },
+            {
+                id: 'CATALYST_BED_TEMP', name: 'Catalyst Bed Temperature', path: 'propulsion.thrusters.*.catalystBedTemperature',
+                subsystem: 'propulsion', parameter: 'catalystBedTemperature', unit: '°C', type: 'number',
+                nominal: { min: 140, max: 900 }, optional: true,
+                warning: { min: 120, max: 1000 }, // Minimum applies while the valve is open
+                critical: { max: 1100 },
+                limits: { firing_min: 400 }, // Expected after 30 s of firing
+                valid: { min: -60, max: 1400 }, frozenAfter: 60,
+                description: 'Thruster catalyst bed temperature, held by preheaters between burns'
+            },
+            {
+                id: 'THRUSTER_VALVE', name: 'Thruster Valve Open', path: 'propulsion.thrusters.*.valveOpen',
+                subsystem: 'propulsion', parameter: 'valveOpen', unit: '', type: 'boolean', optional: true,
+                description: 'Thruster flow control valve open'
+            },
+            {
+                id: 'BURN_DURATION', name: 'Burn Duration', path: 'propulsion.burnDuration',
+                subsystem: 'propulsion', parameter: 'burnDuration', unit: 's', type: 'number', optional: true,
+                valid: { min: 0, max: 86400 },
+                description: 'Time since the current burn started, 0 between burns'
+            },
+            {
+                id: 'PRESSURE_DECAY', name: 'Tank Pressure Decay', path: 'propulsion.pressureDecay',
+                subsystem: 'propulsion', parameter: 'pressureDecay', unit: 'bar/h', type: 'number',
+                nominal: { min: 0, max: 0.05 }, derived: true,
+                warning: { max: 0.1 },
+                critical: { max: 0.5 },
+                description: 'Temperature-compensated pressure loss between burns; fitted by the leak monitor'
+            },
+            
+            // Payload
+            {
+                id: 'PAYLOAD_ON', name: 'Payload Imaging', path: 'payload.on',
+                subsystem: 'payload', parameter: 'on', unit: '', type: 'boolean', optional: true,
+                description: 'Imaging session running'
+            },
+            {
+                id: 'PAYLOAD_POWER', name: 'Payload Power', path: 'payload.power',
+                subsystem: 'payload', parameter: 'power', unit: 'W', type: 'number',
+                nominal: { min: 0, max: 70 }, optional: true,
+                valid: { min: 0, max: 500 },
+                description: 'Payload power draw: 8 W standby, 60 W imaging'
+            },
+            {
+                id: 'DETECTOR_TEMP', name: 'Detector Temperature', path: 'payload.detectorTemperature',
+                subsystem: 'payload', parameter: 'detectorTemperature', unit: '°C', type: 'number',
+                nominal: { min: -45, max: -30 }, optional: true,
+                warning: { max: -30 }, // While imaging
+                critical: { max: -10 },
+                limits: { survival_max: 50 }, // Whether or not a session is running
+                valid: { min: -120, max: 120 }, frozenAfter: 60,
+                description: 'Imager focal plane temperature'
+            },
+            {
+                id: 'PAYLOAD_DATA_RATE', name: 'Payload Data Rate', path: 'payload.dataRate',
+                subsystem: 'payload', parameter: 'dataRate', unit: 'Mbit/s', type: 'number',
+                nominal: { min: 0, max: 100 }, optional: true,
+                valid: { min: 0, max: 10000 },
+                description: 'Image data rate while imaging'
+            },
+            {
+                id: 'PAYLOAD_DATA_VOLUME', name: 'Payload Data Volume', path: 'payload.dataVolume',
+                subsystem: 'payload', parameter: 'dataVolume', unit: 'MB', type: 'number', optional: true,
+                valid: { min: 0, max: 1e9 },
+                description: 'Image data recorded since launch'
+            },
+            
+            // Redundancy
+            {
+                id: 'UNIT_SWITCHING', name: 'Unit Switchover', path: 'redundancy.*.switching',
+                subsystem: 'redundancy', parameter: 'switching', unit: '', type: 'boolean', optional: true,
+                description: 'Switchover between the prime and redundant unit under way'
+            },
+            
+            // Onboard FDIR
+            {
+                id: 'FDIR_ENABLED', name: 'FDIR Enabled', path: 'fdir.enabled',
+                subsystem: 'fdir', parameter: 'enabled', unit: '', type: 'boolean', optional: true,
+                description: 'Onboard limit monitoring and automatic responses enabled'
+            },
+            {
+                id: 'FDIR_LOADS_SHED', name: 'Loads Shed', path: 'fdir.loadsShed',
+                subsystem: 'fdir', parameter: 'loadsShed', unit: '', type: 'boolean', optional: true,
+                description: 'Non-essential loads and the payload switched off by onboard FDIR'
+            },
+            
+            // Orbit
+            {
+                id: 'LATITUDE', name: 'Latitude', path: 'orbit.latitude',
+                subsystem: 'orbit', parameter: 'latitude', unit: '°', type: 'number', optional: true,
+                valid: { min: -90, max: 90 },
+                description: 'Geodetic latitude of the sub-satellite point'
+            },
+            {
+                id: 'LONGITUDE', name: 'Longitude', path: 'orbit.longitude',
+                subsystem: 'orbit', parameter: 'longitude', unit: '°', type: 'number', optional: true,
+                valid: { min: -180, max: 180 },
+                description: 'Longitude of the sub-satellite point'
+            },
+            {
+                id: 'ALTITUDE', name: 'Altitude', path: 'orbit.altitude',
+                subsystem: 'orbit', parameter: 'altitude', unit: 'km', type: 'number', optional: true,
+                nominal: { min: 500, max: 600 },
+                valid: { min: 100, max: 50000 },
+                description: 'Height above the WGS-84 ellipsoid'
+            },
+            {
+                id: 'BETA_ANGLE', name: 'Beta Angle', path: 'orbit.betaAngle',
+                subsystem: 'orbit', parameter: 'betaAngle', unit: '°', type: 'number', optional: true,
+                valid: { min: -90, max: 90 },
+                description: 'Angle between the orbit plane and the Sun direction'
+            }
+        ];
+        
+        this.channelsById = new Map(this.channels.map(channel => [channel.id, channel]));
+        this.limitSets = {}; // phase -> detector limit set, built on first use
+    }
+    
+    // Channels added at run time, e.g. by the derived channel engine
+    addChannel(channel) {
+        this.channels.push(channel);
+        this.channelsById.set(channel.id, channel);
+        this.limitSets = {};
+    }
+    
+    removeChannel(id) {
+        this.channels = this.channels.filter(channel => channel.id !== id);
+        this.channelsById.delete(id);
+        this.limitSets = {};
+    }
+    
+    getChannel(id) {
+        return this.channelsById.get(id) || null;
+    }
+    
+    getChannels(subsystem = null) {
+        return subsystem ? this.channels.filter(channel => channel.subsystem === subsystem) : this.channels;
+    }
+    
+    // Channel for a concrete path such as attitude.wheels.x.speed
+    findByPath(path) {
+        const keys = path.split('.');
+        return this.channels.find(channel => {
+            const pattern = channel.path.split('.');
+            return pattern.length === keys.length &&
+                pattern.every((key, index) => key === '*' || key === keys[index]);
+        }) || null;
+    }
+    
+    // Channel a detection refers to. Detectors name some parameters their own way
+    // (processor/temp, wheel_x_speed, t1_catalystBed), so those match on name words
+    findByDetection(subsystem, parameter) {
+        const exact = this.channels.find(channel =>
+            channel.subsystem === subsystem && channel.parameter === parameter);
+        if (exact) return exact;
+        
+        const words = text => text.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()
+            .split(/[^a-z]+/).filter(word => word.length > 2);
+        const wanted = words(`${subsystem} ${parameter}`);
+        
+        return this.channels.find(channel => {
+            const known = words(`${channel.subsystem} ${channel.path} ${channel.parameter} ${channel.name}`);
+            return wanted.every(word => known.some(candidate => candidate.startsWith(word)));
+        }) || null;
+    }
+    
+    // Concrete [path, value] pairs of a channel in a point, expanding '*' levels
+    resolve(point, channel) {
+        let entries = [['', point]];
+        
+        channel.path.split('.').forEach(key => {
+            const next = [];
+            entries.forEach(([path, node]) => {
+                if (node === null || typeof node !== 'object') return;
+                const keys = key === '*' ? Object.keys(node) : [key];
+                keys.forEach(child => {
+                    if (node[child] !== undefined) {
+                        next.push([path ? `${path}.${child}` : child, node[child]]);
+                    }
+                });
+            });
+            entries = next;
+        });
+        
+        return entries;
+    }
+    
+    // Missing channels, wrong types and physically impossible values in a point
+    validate(point) {
+        const issues = [];
+        
+        this.channels.forEach(channel => {
+            if (channel.derived) return;
+            
+            const values = this.resolve(point, channel);
+            if (values.length === 0) {
+                if (!channel.optional) {
+                    issues.push({ channel: channel.id, path: channel.path, issue: 'missing', message: `${channel.name} is missing` });
+                }
+                return;
+            }
+            
+            values.forEach(([path, value]) => {
+                if (value === null && channel.nullable) return;
+                
+                const validType = channel.type === 'boolean' ?
+                    typeof value === 'boolean' :
+                    typeof value === 'number' && Number.isFinite(value);
+                
+                if (!validType) {
+                    issues.push({
+                        channel: channel.id, path, issue: 'type', value,
+                        message: `${path} should be a ${channel.type}, got ${typeof value === 'string' ? `'${value}'` : value}`
+                    });
+                } else if (channel.valid && (value < channel.valid.min || value > channel.valid.max)) {
+                    issues.push({
+                        channel: channel.id, path, issue: 'range', value,
+                        message: `${path} = ${value} is outside the possible range ${this.formatRange(channel.valid, channel.unit)}`
+                    });
+                }
+            });
+        });
+        
+        return issues;
+    }
+    
+    // AnomalyDetector limit set: { subsystem: { parameter: { min, max, critical_min, critical_max, ... } } }
+    getLimits(phase = 'nominal') {
+        if (!this.limitSets[phase]) {
+            const limits = {};
+            
+            this.channels.forEach(channel => {
+                const override = channel.phases?.[phase] || {};
+                const warning = { ...channel.warning, ...override.warning };
+                const critical = { ...channel.critical, ...override.critical };
+                const extra = { ...channel.limits, ...override.limits };
+                if (!channel.warning && !channel.critical && !channel.limits) return;
+                
+                const limit = {
+                    min: warning.min,
+                    max: warning.max,
+                    critical_min: critical.min,
+                    critical_max: critical.max,
+                    ...extra
+                };
+                Object.keys(limit).forEach(key => limit[key] === undefined && delete limit[key]);
+                
+                limits[channel.subsystem] = limits[channel.subsystem] || {};
+                limits[channel.subsystem][channel.parameter] = limit;
+            });
+            
+            this.limitSets[phase] = limits;
+        }
+        
+        return this.limitSets[phase];
+    }
+    
+    // Nominal ranges of a subsystem's channels keyed by parameter, e.g. { voltage: '22–28 V' }
+    getNominalRanges(subsystem) {
+        const ranges = {};
+        this.getChannels(subsystem)
+            .filter(channel => channel.nominal)
+            .forEach(channel => {
+                ranges[channel.parameter] = this.formatRange(channel.nominal, channel.unit);
+            });
+        return ranges;
+    }
+    
+    formatValue(value, unit) {
+        if (!unit) return `${value}`;
+        return ['%', '°', '°C'].includes(unit) ? `${value}${unit}` : `${value} ${unit}`;
+    }
+    
+    formatRange(range, unit) {
+        if (range.min !== undefined && range.max !== undefined) {
+            return this.formatValue(`${range.min} to ${range.max}`, unit);
+        }
+        return range.min !== undefined ?
+            `above ${this.formatValue(range.min, unit)}` :
+            `below ${this.formatValue(range.max, unit)}`;
+    }
+    
+    // Limits outside which a value is flagged, e.g. 'below 20 V or above 28 V'
+    formatLimit(range, unit) {
+        const bounds = [];
+        if (range.min !== undefined) bounds.push(`below ${this.formatValue(range.min, unit)}`);
+        if (range.max !== undefined) bounds.push(`above ${this.formatValue(range.max, unit)}`);
+        return bounds.join(' or ');
+    }
+    
+    // One-line summary of a channel's ranges for the given mission phase
+    getLimitSummary(channel, phase = 'nominal') {
+        const override = channel.phases?.[phase] || {};
+        const warning = channel.warning && { ...channel.warning, ...override.warning };
+        const critical = channel.critical && { ...channel.critical, ...override.critical };
+        const parts = [];
+        
+        if (channel.nominal) parts.push(`nominal ${this.formatRange(channel.nominal, channel.unit)}`);
+        if (warning) parts.push(`warning ${this.formatLimit(warning, channel.unit)}`);
+        if (critical) parts.push(`critical ${this.formatLimit(critical, channel.unit)}`);
+        
+        return parts.join(' · ');
+    }
+    
+    // Tooltip text: name, unit, description and ranges
+    describe(channel, phase = 'nominal') {
+        const summary = this.getLimitSummary(channel, phase);
+        const unit = channel.unit ? ` (${channel.unit})` : '';
+        return `${channel.name}${unit}: ${channel.description}` + (summary ? `\n${summary}` : '');
+    }
+    
+    // Channels named in free text, best match first; 'temp' or 'volt' match their full words
+    search(text) {
+        const words = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+        
+        return this.channels
+            .map(channel => {
+                const nameWords = channel.name.toLowerCase().split(' ');
+                const matched = nameWords.filter(word =>
+                    words.some(queryWord => queryWord.length >= 3 && word.startsWith(queryWord.slice(0, 4)))).length;
+                return { channel, score: matched / nameWords.length };
+            })
+            .filter(match => match.score >= 0.6)
+            .sort((a, b) => b.score - a.score)
+            .map(match => match.channel);
+    }
+}
+
+// Global data dictionary instance
+window.dataDictionary = new DataDictionary();
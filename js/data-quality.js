@@ -0,0 +1,262 @@
+/**
+ * Telemetry Data Quality Monitor
+ * Screens every point before anomaly detection: stale streams, frozen, missing and invalid channels, timestamp regressions
+ */
+
+class DataQualityMonitor {
+    constructor(dictionary = window.dataDictionary) {
+        this.dictionary = dictionary;
+        this.streams = new Map(); // spacecraftId -> stream state, see getStream()
+        this.events = []; // Most recent first
+        this.maxEvents = 100;
+        
+        this.staleAfter = 10000; // ms without an update, stretched to 3 update gaps at high time acceleration
+        this.gapWindow = 20; // Arrival gaps remembered per stream
+        this.frozenMinSamples = 10; // Identical samples needed on top of the channel's frozenAfter time
+        
+        // Severity of each issue, and the badge status it gives a channel
+        this.issues = {
+            stale: { severity: 'critical', status: 'stale', label: 'stale' },
+            timestamp: { severity: 'warning', status: 'bad', label: 'timestamp regression' },
+            type: { severity: 'critical', status: 'bad', label: 'invalid value' },
+            range: { severity: 'critical', status: 'bad', label: 'out of physical range' },
+            frozen: { severity: 'warning', status: 'suspect', label: 'frozen' },
+            missing: { severity: 'warning', status: 'missing', label: 'missing' }
+        };
+        
+        // Streams from a previous source are not expected to report any more
+        window.addEventListener('telemetrySourceChange', () => {
+            this.streams.clear();
+        });
+        
+        setInterval(() => this.checkStreams(), 1000);
+    }
+    
+    // The simulator runs on simulation time; replay and live sources on the wall clock
+    now() {
+        return window.telemetrySourceManager?.activeSourceName === 'simulator' ?
+            window.simulationClock.now() :
+            Date.now();
+    }
+    
+    getStream(spacecraftId) {
+        if (!this.streams.has(spacecraftId)) {
+            this.streams.set(spacecraftId, {
+                lastArrival: null,
+                gaps: [],
+                lastTimestamp: null,
+                stale: false,
+                channels: new Map() // path -> { channel, value, since, count, good, issue }
+            });
+        }
+        
+        return this.streams.get(spacecraftId);
+    }
+    
+    // Returns the point for detection, with invalid values held at their last good reading,
+    // and whether it should be used at all
+    screen(point) {
+        const stream = this.getStream(point.spacecraftId);
+        const arrival = this.now();
+        
+        if (stream.lastArrival !== null) {
+            stream.gaps.push(arrival - stream.lastArrival);
+            if (stream.gaps.length > this.gapWindow) stream.gaps.shift();
+        }
+        stream.lastArrival = arrival;
+        
+        if (stream.stale) {
+            stream.stale = false;
+            this.report(point.spacecraftId, null, null, 'stale', false, 'Telemetry updates resumed');
+        }
+        
+        // Out-of-order points would corrupt the statistical windows; drop them from detection
+        if (stream.lastTimestamp !== null && point.timestamp <= stream.lastTimestamp) {
+            this.report(point.spacecraftId, null, null, 'timestamp', true,
+                `Timestamp ${new Date(point.timestamp).toISOString()} is not after ` +
+                `${new Date(stream.lastTimestamp).toISOString()}`);
+            return { point, accepted: false, issues: [] };
+        }
+        stream.lastTimestamp = point.timestamp;
+        
+        const invalid = new Map(this.dictionary.validate(point)
+            .filter(issue => issue.issue !== 'missing')
+            .map(issue => [issue.path, issue]));
+        const seen = new Set();
+        const replacements = [];
+        
+        this.dictionary.getChannels().filter(channel => !channel.derived).forEach(channel => {
+            this.dictionary.resolve(point, channel).forEach(([path, value]) => {
+                seen.add(path);
+                if (value === null && channel.nullable) return;
+                
+                const state = stream.channels.get(path) ||
+                    { channel, value: undefined, since: point.timestamp, count: 0, good: undefined, issue: null };
+                stream.channels.set(path, state);
+                
+                let issue = null;
+                if (invalid.has(path)) {
+                    issue = invalid.get(path).issue;
+                    replacements.push([path, state.good]);
+                } else {
+                    if (value === state.value) {
+                        state.count++;
+                    } else {
+                        state.value = value;
+                        state.since = point.timestamp;
+                        state.count = 1;
+                    }
+                    state.good = value;
+                    
+                    if (channel.frozenAfter && state.count >= this.frozenMinSamples &&
+                        point.timestamp - state.since >= channel.frozenAfter * 1000) {
+                        issue = 'frozen';
+                    }
+                }
+                
+                this.setIssue(point.spacecraftId, path, state, issue, value, point.timestamp);
+            });
+        });
+        
+        // Channels this vehicle reported before but left out of this point
+        stream.channels.forEach((state, path) => {
+            if (!seen.has(path)) {
+                this.setIssue(point.spacecraftId, path, state, 'missing');
+            }
+        });
+        
+        if (replacements.length === 0) {
+            return { point, accepted: true, issues: Array.from(invalid.values()) };
+        }
+        
+        // Without a last good reading there is nothing safe to substitute
+        if (replacements.some(([, good]) => good === undefined)) {
+            return { point, accepted: false, issues: Array.from(invalid.values()) };
+        }
+        
+        const screened = JSON.parse(JSON.stringify(point));
+        replacements.forEach(([path, good]) => this.setPath(screened, path, good));
+        window.derivedChannels.apply(screened);
+        return { point: screened, accepted: true, issues: Array.from(invalid.values()) };
+    }
+    
+    // Reports the change when a path's issue differs from the one already raised
+    setIssue(spacecraftId, path, state, issue, value, timestamp) {
+        if (state.issue === issue) return;
+        
+        if (state.issue) {
+            this.report(spacecraftId, state.channel, path, state.issue, false,
+                `${path} ${this.issues[state.issue].label} condition cleared`);
+        }
+        state.issue = issue;
+        
+        if (issue) {
+            this.report(spacecraftId, state.channel, path, issue, true,
+                this.describeIssue(path, state, issue, value, timestamp));
+        }
+    }
+    
+    // Message for a newly raised issue; boolean and enum channels have no valid range
+    describeIssue(path, state, issue, value, timestamp) {
+        const { channel } = state;
+        
+        switch (issue) {
+            case 'type':
+                return `${path} = ${value} is not a valid ${channel.type}`;
+            case 'range':
+                return channel.valid ?
+                    `${path} = ${value} is outside the possible range ${this.dictionary.formatRange(channel.valid, channel.unit)}` :
+                    `${path} = ${value} is outside its possible range`;
+            case 'frozen':
+                return `${path} has read ${value} for ${Math.round((timestamp - state.since) / 1000)} s`;
+            case 'missing':
+                return `${path} is no longer reported`;
+            default:
+                return `${path}: ${this.issues[issue].label}`;
+        }
+    }
+    
+    // Raises stale streams: no update for staleAfter, or three of the stream's recent update gaps if longer
+    checkStreams() {
+        const now = this.now();
+        
+        this.streams.forEach((stream, spacecraftId) => {
+            if (stream.stale || stream.lastArrival === null) return;
+            
+            const threshold = Math.max(this.staleAfter, 3 * Math.max(0, ...stream.gaps));
+            if (now - stream.lastArrival > threshold) {
+                stream.stale = true;
+                this.report(spacecraftId, null, null, 'stale', true,
+                    `No telemetry for ${Math.round((now - stream.lastArrival) / 1000)} s`);
+            }
+        });
+    }
+    
+    report(spacecraftId, channel, path, issue, raised, message) {
+        const event = {
+            spacecraftId,
+            channel: channel?.id || null,
+            path,
+            issue,
+            severity: raised ? this.issues[issue].severity : 'info',
+            raised,
+            message,
+            timestamp: this.now()
+        };
+        
+        this.events.unshift(event);
+        if (this.events.length > this.maxEvents) {
+            this.events.pop();
+        }
+        
+        if (raised) {
+            console.warn(`Data quality ${spacecraftId}: ${message}`);
+        }
+        
+        window.dispatchEvent(new CustomEvent('dataQualityEvent', { detail: event }));
+    }
+    
+    // Badge status of each dictionary channel the vehicle reports: the worst of its paths
+    getChannelQuality(spacecraftId) {
+        const stream = this.streams.get(spacecraftId);
+        if (!stream) return [];
+        
+        const order = ['good', 'suspect', 'missing', 'bad', 'stale'];
+        const channels = new Map();
+        
+        stream.channels.forEach((state, path) => {
+            const status = stream.stale ? 'stale' : state.issue ? this.issues[state.issue].status : 'good';
+            const entry = channels.get(state.channel.id) ||
+                { id: state.channel.id, name: state.channel.name, status: 'good', issues: [] };
+            
+            if (order.indexOf(status) > order.indexOf(entry.status)) {
+                entry.status = status;
+            }
+            if (state.issue) {
+                entry.issues.push(`${path}: ${this.issues[state.issue].label}`);
+            }
+            channels.set(state.channel.id, entry);
+        });
+        
+        return Array.from(channels.values());
+    }
+    
+    isStale(spacecraftId) {
+        return this.streams.get(spacecraftId)?.stale || false;
+    }
+    
+    getEvents(spacecraftId = null, limit = 20) {
+        return this.events
+            .filter(event => !spacecraftId || event.spacecraftId === spacecraftId)
+            .slice(0, limit);
+    }
+    
+    setPath(target, path, value) {
+        const keys = path.split('.');
+        const parent = keys.slice(0, -1).reduce((node, key) => node[key], target);
+        parent[keys[keys.length - 1]] = value;
+    }
+}
+
+// Global data quality monitor instance
+window.dataQualityMonitor = new DataQualityMonitor();
@@ -0,0 +1,266 @@
+/**
+ * Derived Channel Engine
+ * Computed telemetry channels: safe arithmetic expressions over a point, appended under point.derived
+ */
+
+class DerivedChannelEngine {
+    constructor(dictionary = window.dataDictionary) {
+        this.dictionary = dictionary;
+        this.definitions = []; // { id, key, expression, ast, decimals }, in evaluation order
+        
+        // Functions an expression may call; wildcard channels expand to one argument per wheel or thruster
+        this.functions = {
+            abs: values => Math.abs(values[0]),
+            sqrt: values => Math.sqrt(values[0]),
+            min: values => Math.min(...values),
+            max: values => Math.max(...values),
+            sum: values => values.reduce((total, value) => total + value, 0),
+            avg: values => values.reduce((total, value) => total + value, 0) / values.length
+        };
+        
+        // Built-in channels. Identifiers are data dictionary channel IDs or dotted telemetry paths.
+        [
+            {
+                id: 'BATT_POWER', name: 'Battery Power', key: 'batteryPower',
+                expression: 'BATT_VOLTAGE * BATT_CURRENT',
+                subsystem: 'battery', unit: 'W', decimals: 1,
+                description: 'Battery terminal power, V × I; negative while discharging'
+            },
+            {
+                id: 'POWER_BALANCE', name: 'Net Power Balance', key: 'powerBalance',
+                expression: 'SOLAR_POWER - BUS_LOAD',
+                subsystem: 'power', unit: 'W', decimals: 1,
+                description: 'Array output left after the bus load; negative in eclipse'
+            },
+            {
+                id: 'DEPTH_OF_DISCHARGE', name: 'Depth of Discharge', key: 'depthOfDischarge',
+                expression: '100 - BATT_SOC',
+                subsystem: 'battery', unit: '%', decimals: 1,
+                nominal: { min: 0, max: 30 },
+                description: 'Charge drawn from the battery; the state of charge limits already alarm on it'
+            },
+            {
+                id: 'PROC_RADIATOR_DELTA', name: 'Processor Radiator Delta', key: 'processorRadiatorDelta',
+                expression: 'PROC_TEMP - RADIATOR_TEMP',
+                subsystem: 'thermal', unit: '°C', decimals: 1,
+                nominal: { min: 55, max: 105 },
+                warning: { max: 115 },
+                critical: { max: 130 },
+                description: 'Heat the radiator is not rejecting; grows when the cooling path degrades'
+            },
+            {
+                id: 'LINK_QUALITY', name: 'Link Quality', key: 'linkQuality',
+                expression: '(max(0, (SIGNAL_STRENGTH + 120) / 40) + max(0, 1 - ERROR_RATE / 0.1)) / 2',
+                subsystem: 'communication', unit: '', decimals: 3,
+                nominal: { min: 0.8, max: 1.1 },
+                description: 'Signal strength and bit error rate combined into one score'
+            }
+        ].forEach(definition => this.define(definition));
+    }
+    
+    // Adds a channel to the data dictionary; throws on an invalid expression or a duplicate ID
+    define({ id, name, key, expression, subsystem = 'derived', unit = '', decimals = 2, description = '', ...limits }) {
+        if (this.dictionary.getChannel(id)) {
+            throw new Error(`Channel ${id} already exists`);
+        }
+        
+        key = key || id.toLowerCase().replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+        const ast = this.parse(expression);
+        
+        this.dictionary.addChannel({
+            id,
+            name,
+            path: `derived.${key}`,
+            subsystem,
+            parameter: key,
+            unit,
+            type: 'number',
+            nominal: limits.nominal,
+            warning: limits.warning,
+            critical: limits.critical,
+            phases: limits.phases,
+            optional: true,
+            derived: true,
+            expression,
+            description: description || `Derived: ${expression}`
+        });
+        
+        this.definitions.push({ id, key, expression, ast, decimals });
+        window.dispatchEvent(new CustomEvent('derivedChannelsChange', { detail: { id, defined: true } }));
+        return this.dictionary.getChannel(id);
+    }
+    
+    remove(id) {
+        const index = this.definitions.findIndex(definition => definition.id === id);
+        if (index === -1) return false;
+        
+        this.definitions.splice(index, 1);
+        this.dictionary.removeChannel(id);
+        window.dispatchEvent(new CustomEvent('derivedChannelsChange', { detail: { id, defined: false } }));
+        return true;
+    }
+    
+    getDefinitions() {
+        return this.definitions.map(({ id, key, expression }) => ({ id, key, expression }));
+    }
+    
+    // Writes point.derived; a channel whose inputs are absent is left out
+    apply(point) {
+        point.derived = {};
+        
+        this.definitions.forEach(definition => {
+            const value = this.evaluate(definition.ast, point);
+            if (value !== undefined) {
+                point.derived[definition.key] = Number.isFinite(value) ?
+                    Number(value.toFixed(definition.decimals)) :
+                    NaN;
+            }
+        });
+        
+        return point;
+    }
+    
+    // Expression parsing: numbers, identifiers, + - * / with the usual precedence, unary minus,
+    // parentheses and calls to this.functions. Nothing is ever passed to eval().
+    parse(expression) {
+        const tokens = this.tokenize(expression);
+        let position = 0;
+        
+        const peek = () => tokens[position];
+        const take = (expected) => {
+            const token = tokens[position++];
+            if (expected && token?.value !== expected) {
+                throw new Error(`Expected '${expected}' in ${expression}`);
+            }
+            return token;
+        };
+        
+        const parseSum = () => {
+            let node = parseProduct();
+            while (peek()?.value === '+' || peek()?.value === '-') {
+                node = { op: take().value, left: node, right: parseProduct() };
+            }
+            return node;
+        };
+        
+        const parseProduct = () => {
+            let node = parseUnary();
+            while (peek()?.value === '*' || peek()?.value === '/') {
+                node = { op: take().value, left: node, right: parseUnary() };
+            }
+            return node;
+        };
+        
+        const parseUnary = () => {
+            if (peek()?.value === '-') {
+                take();
+                return { op: 'neg', operand: parseUnary() };
+            }
+            return parsePrimary();
+        };
+        
+        const parsePrimary = () => {
+            const token = take();
+            if (!token) throw new Error(`Unexpected end of ${expression}`);
+            
+            if (token.type === 'number') return { number: token.value };
+            
+            if (token.value === '(') {
+                const node = parseSum();
+                take(')');
+                return node;
+            }
+            
+            if (token.type === 'name') {
+                if (peek()?.value === '(') {
+                    if (!this.functions[token.value]) throw new Error(`Unknown function ${token.value}`);
+                    take('(');
+                    const args = [parseSum()];
+                    while (peek()?.value === ',') {
+                        take();
+                        args.push(parseSum());
+                    }
+                    take(')');
+                    return { call: token.value, args };
+                }
+                
+                const channel = this.dictionary.getChannel(token.value) || this.dictionary.findByPath(token.value);
+                if (!channel) throw new Error(`Unknown channel ${token.value}`);
+                const concrete = !this.dictionary.getChannel(token.value) && !token.value.includes('*');
+                return { channel: channel.id, path: concrete ? token.value : null };
+            }
+            
+            throw new Error(`Unexpected '${token.value}' in ${expression}`);
+        };
+        
+        const ast = parseSum();
+        if (position < tokens.length) {
+            throw new Error(`Unexpected '${peek().value}' in ${expression}`);
+        }
+        return ast;
+    }
+    
+    // Names are channel IDs or dotted paths; '*' is a whole path segment, anywhere else it multiplies
+    tokenize(expression) {
+        const pattern = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?)|([A-Za-z_]\w*(?:\.(?:\w+|\*))*)|([-+*/(),]))/gy;
+        const tokens = [];
+        let match;
+        
+        while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+            if (match[1]) tokens.push({ type: 'number', value: Number(match[1]) });
+            else if (match[2]) tokens.push({ type: 'name', value: match[2] });
+            else if (match[3]) tokens.push({ type: 'operator', value: match[3] });
+        }
+        
+        if (expression.slice(pattern.lastIndex).trim() !== '') {
+            throw new Error(`Cannot read '${expression.slice(pattern.lastIndex).trim()}' in ${expression}`);
+        }
+        return tokens;
+    }
+    
+    // A number, or undefined when an input channel is absent from the point (or null, like link values out of contact).
+    // Outside a function call a wildcard channel has no single value, so it gives NaN.
+    evaluate(node, point) {
+        const values = this.evaluateValues(node, point);
+        if (values === undefined) return undefined;
+        return values.length === 1 ? values[0] : NaN;
+    }
+    
+    // Every value a node stands for: several for a wildcard channel, one otherwise
+    evaluateValues(node, point) {
+        if (node.number !== undefined) return [node.number];
+        
+        if (node.channel) {
+            const values = this.dictionary.resolve(point, this.dictionary.getChannel(node.channel))
+                .filter(([path, value]) => value !== null && (!node.path || path === node.path))
+                .map(([, value]) => typeof value === 'boolean' ? Number(value) : value);
+            return values.length > 0 ? values : undefined;
+        }
+        
+        if (node.call) {
+            const args = node.args.map(arg => this.evaluateValues(arg, point));
+            if (args.some(values => values === undefined)) return undefined;
+            return [this.functions[node.call](args.flat())];
+        }
+        
+        if (node.op === 'neg') {
+            const operand = this.evaluate(node.operand, point);
+            return operand === undefined ? undefined : [-operand];
+        }
+        
+        const left = this.evaluate(node.left, point);
+        const right = this.evaluate(node.right, point);
+        if (left === undefined || right === undefined) return undefined;
+        
+        switch (node.op) {
+            case '+': return [left + right];
+            case '-': return [left - right];
+            case '*': return [left * right];
+            case '/': return [left / right];
+        }
+        return undefined;
+    }
+}
+
+// Global derived channel engine instance
+window.derivedChannels = new DerivedChannelEngine();
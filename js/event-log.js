@@ -0,0 +1,56 @@
+/**
+ * Onboard Event Log
+ * Ground store of the discrete event messages spacecraft report next to their telemetry: mode changes,
+ * eclipse boundaries, faults, reboots and command execution
+ */
+
+class EventLog {
+    constructor() {
+        this.events = []; // Oldest first
+        this.limit = 2000;
+        this.severities = ['info', 'warning', 'critical'];
+        
+        window.addEventListener('onboardEvent', (event) => this.record(event.detail));
+    }
+    
+    record(event) {
+        this.events.push(event);
+        if (this.events.length > this.limit) {
+            this.events.shift();
+        }
+    }
+    
+    // Newest first. text matches type, subsystem and message, every word of it; severity is a minimum.
+    search({ text = '', spacecraftId = null, severity = null, subsystem = null, from = -Infinity, to = Infinity, limit = 100 } = {}) {
+        const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+        const minimum = severity ? this.severities.indexOf(severity) : 0;
+        const matches = [];
+        
+        for (let i = this.events.length - 1; i >= 0 && matches.length < limit; i--) {
+            const event = this.events[i];
+            if (spacecraftId !== null && event.spacecraftId !== spacecraftId) continue;
+            if (subsystem !== null && event.subsystem !== subsystem) continue;
+            if (event.timestamp < from || event.timestamp > to) continue;
+            if (this.severities.indexOf(event.severity) < minimum) continue;
+            
+            const haystack = `${event.type} ${event.subsystem} ${event.message}`.toLowerCase();
+            if (terms.every(term => haystack.includes(term))) {
+                matches.push(event);
+            }
+        }
+        
+        return matches;
+    }
+    
+    // Events of one spacecraft from `before` ms ahead of a timestamp to `after` ms past it, oldest first
+    getNearby(spacecraftId, timestamp, before = 300000, after = 30000) {
+        return this.search({ spacecraftId, from: timestamp - before, to: timestamp + after, limit: Infinity }).reverse();
+    }
+    
+    getRecent(spacecraftId = null, limit = 20) {
+        return this.search({ spacecraftId, limit });
+    }
+}
+
+// Global event log instance
+window.eventLog = new EventLog();
@@ -0,0 +1,441 @@
+/**
+ * Failure Injection Engine
+ * Applies scenario effect definitions to simulated telemetry as time-based ramps, corrupts individual
+ * sensor readings with instrument faults, and records ground truth for both
+ */
+
+class FailureInjectionEngine {
+    constructor(clock = window.simulationClock, dictionary = window.dataDictionary) {
+        this.clock = clock;
+        this.dictionary = dictionary;
+        this.scenarios = new Map(); // `${subsystem}.${name}` -> definition
+        this.injections = []; // Every injection ever made, kept as ground truth
+        this.nextInjectionId = 1;
+        
+        // How each effect parameter maps onto a simulated quantity:
+        // 'absolute' magnitudes are in the quantity's own unit, 'percent' magnitudes scale it
+        this.parameters = {
+            battery: {
+                temperature: { quantity: 'battery.temperature', mode: 'absolute' },
+                voltage: { quantity: 'battery.voltage', mode: 'percent' },
+                current: { quantity: 'battery.current', mode: 'percent' },
+                capacity: { quantity: 'battery.capacity', mode: 'absolute' }
+            },
+            solar: {
+                power: { quantity: 'solar.power', mode: 'percent' },
+                efficiency: { quantity: 'solar.power', mode: 'percent' }, // Array output scales with cell efficiency
+                temperature: { quantity: 'solar.temperature', mode: 'absolute' }
+            },
+            thermal: {
+                processor: { quantity: 'thermal.processor', mode: 'absolute' },
+                battery: { quantity: 'battery.temperature', mode: 'absolute' },
+                solar: { quantity: 'solar.temperature', mode: 'absolute' },
+                radiator: { quantity: 'thermal.radiator', mode: 'absolute' },
+                heatPipe: { quantity: 'thermal.heatPipe', mode: 'percent' }, // Processor to radiator conductance
+                radiatorMount: { quantity: 'thermal.radiatorMount', mode: 'percent' }, // Bay to radiator conductance
+                radiatorEmissivity: { quantity: 'thermal.radiatorEmissivity', mode: 'percent' }
+            },
+            communication: {
+                signalStrength: { quantity: 'communication.signalStrength', mode: 'absolute' },
+                dataRate: { quantity: 'communication.dataRate', mode: 'percent' },
+                errorRate: { quantity: 'communication.errorRate', mode: 'percent' },
+                antennaTemperature: { quantity: 'communication.antennaTemperature', mode: 'absolute' }
+            },
+            attitude: {
+                disturbance: { quantity: 'attitude.disturbance', mode: 'absolute' }, // rpm/s of wheel momentum
+                magnetorquer: { quantity: 'attitude.magnetorquerDuty', mode: 'percent' },
+                wheelCurrent: { quantity: 'attitude.wheelCurrent', mode: 'percent' },
+                pointingError: { quantity: 'attitude.pointingError', mode: 'absolute' }
+            },
+            propulsion: {
+                leak: { quantity: 'propulsion.leakRate', mode: 'absolute' }, // g/s of propellant
+                catalyst: { quantity: 'propulsion.catalystActivity', mode: 'percent' },
+                tankTemperature: { quantity: 'propulsion.tankTemperature', mode: 'absolute' }
+            }
+        };
+        
+        // Used when a scenario does not say how it recovers
+        this.defaultRecovery = { curve: 'linear', duration: 30000 };
+        
+        // Instrument faults on one channel; the physical quantity underneath is unaffected.
+        // Default magnitudes scale with the width of the channel's nominal range.
+        this.sensorFaults = {
+            bias: { name: 'Bias', defaults: span => ({ offset: span * 0.5 }) },
+            drift: { name: 'Drift', defaults: span => ({ rate: span / 300 }) }, // One nominal span in 5 minutes
+            stuck: { name: 'Stuck-at', defaults: () => ({ value: null }) }, // null holds the reading at onset
+            dropout: { name: 'Dropout', defaults: () => ({ probability: 0.3 }) },
+            noise: { name: 'Noise Burst', defaults: span => ({ amplitude: span, burst: 5000, interval: 30000 }) }
+        };
+        this.sensorState = new Map(); // injection id -> { random, stuck, burstStart, burstEnd }
+    }
+    
+    // Scenario registry
+    registerScenario(subsystem, name, definition) {
+        if (!this.parameters[subsystem]) {
+            throw new Error(`Unknown subsystem ${subsystem}`);
+        }
+        
+        Object.keys(definition.effects || {}).forEach(parameter => {
+            if (!this.parameters[subsystem][parameter]) {
+                throw new Error(`Scenario ${name}: ${subsystem} has no parameter ${parameter}`);
+            }
+        });
+        
+        this.scenarios.set(`${subsystem}.${name}`, { subsystem, key: name, ...definition });
+    }
+    
+    getScenario(subsystem, name) {
+        return this.scenarios.get(`${subsystem}.${name}`) || null;
+    }
+    
+    getScenarios(subsystem = null) {
+        return Array.from(this.scenarios.values())
+            .filter(scenario => subsystem === null || scenario.subsystem === subsystem);
+    }
+    
+    // Injection control
+    inject(spacecraftId, subsystem, name, options = {}) {
+        const scenario = this.getScenario(subsystem, name);
+        if (!scenario) {
+            console.warn(`No ${subsystem} failure scenario named ${name}`);
+            return null;
+        }
+        
+        const now = this.clock.now();
+        const onsetAt = now + (options.delay ?? scenario.onsetDelay ?? 0);
+        const duration = options.duration ?? scenario.duration;
+        const recovery = { ...this.defaultRecovery, ...scenario.recovery, ...options.recovery };
+        
+        const injection = {
+            id: `inj-${this.nextInjectionId++}`,
+            spacecraftId,
+            subsystem,
+            scenario: name,
+            name: scenario.name,
+            severity: scenario.severity,
+            effects: scenario.effects,
+            recovery,
+            injectedAt: now,
+            onsetAt,
+            recoveryAt: onsetAt + duration,
+            endAt: recovery.curve === 'none' ? null : onsetAt + duration + recovery.duration,
+            clearedAt: null,
+            kind: 'subsystem',
+            // Scenarios with a unit strike one unit of a redundant pair, the active one unless options.unit names it
+            unit: scenario.unit ? { group: scenario.unit, id: options.unit ?? this.getActiveUnit(spacecraftId, scenario.unit) } : null
+        };
+        
+        this.injections.push(injection);
+        console.log(`Injected ${scenario.name} on ${spacecraftId} (${injection.id})`);
+        
+        window.dispatchEvent(new CustomEvent('failureInjected', {
+            detail: { ...injection }
+        }));
+        
+        return injection;
+    }
+    
+    // The first scenario registered for a subsystem is its default
+    injectDefault(spacecraftId, subsystem, options = {}) {
+        const scenario = this.getScenarios(subsystem)[0];
+        if (!scenario) {
+            console.warn(`No failure scenarios registered for ${subsystem}`);
+            return null;
+        }
+        
+        return this.inject(spacecraftId, subsystem, scenario.key, options);
+    }
+    
+    // Operator reset: effects stop immediately rather than recovering
+    clear(spacecraftId = null, subsystem = null) {
+        const now = this.clock.now();
+        const cleared = this.getActiveInjections(spacecraftId, now)
+            .filter(injection => subsystem === null || injection.subsystem === subsystem);
+        
+        cleared.forEach(injection => {
+            injection.clearedAt = now;
+            window.dispatchEvent(new CustomEvent('failureCleared', {
+                detail: { ...injection }
+            }));
+        });
+        
+        return cleared.length;
+    }
+    
+    // Effect evaluation
+    getPhase(injection, timestamp) {
+        if (injection.clearedAt !== null && timestamp >= injection.clearedAt) return 'cleared';
+        if (timestamp < injection.onsetAt) return 'pending';
+        
+        if (timestamp < injection.recoveryAt) {
+            const ramping = Object.values(injection.effects).some(effect =>
+                this.getRampAmount(effect, timestamp - injection.onsetAt) < this.getMagnitude(effect));
+            return ramping ? 'ramp' : 'hold';
+        }
+        
+        if (injection.endAt === null) return 'permanent';
+        return timestamp < injection.endAt ? 'recovery' : 'complete';
+    }
+    
+    getMagnitude(effect) {
+        return effect.increase ?? effect.decrease ?? 0;
+    }
+    
+    // Effects without a rate are applied as a step
+    getRampAmount(effect, elapsed) {
+        const magnitude = this.getMagnitude(effect);
+        if (!effect.rate) return magnitude;
+        
+        return Math.min(magnitude, effect.rate * elapsed / 1000);
+    }
+    
+    getRecoveryFactor(recovery, elapsed) {
+        if (recovery.curve === 'none') return 1;
+        if (elapsed >= recovery.duration) return 0;
+        
+        const progress = elapsed / recovery.duration;
+        if (recovery.curve === 'exponential') {
+            // Reaches under 1% of the injected level by the end of the recovery window
+            return Math.exp(-5 * progress);
+        }
+        return 1 - progress;
+    }
+    
+    // Signed amount of one effect at a point in time
+    getEffectAmount(injection, effect, timestamp) {
+        const phase = this.getPhase(injection, timestamp);
+        if (phase === 'pending' || phase === 'complete' || phase === 'cleared') return 0;
+        
+        const activeElapsed = Math.min(timestamp, injection.recoveryAt) - injection.onsetAt;
+        let amount = this.getRampAmount(effect, activeElapsed);
+        
+        if (timestamp >= injection.recoveryAt) {
+            amount *= this.getRecoveryFactor(injection.recovery, timestamp - injection.recoveryAt);
+        }
+        
+        return effect.decrease !== undefined ? -amount : amount;
+    }
+    
+    // Combined effect of every active injection on one spacecraft, as value * scale + offset per quantity.
+    // activeUnits ({ group: unit }) leaves out failures of units that are switched out.
+    getEffects(spacecraftId, timestamp = this.clock.now(), activeUnits = null) {
+        const effects = {};
+        
+        this.getActiveInjections(spacecraftId, timestamp).forEach(injection => {
+            if (injection.unit && activeUnits && activeUnits[injection.unit.group] !== injection.unit.id) return;
+            
+            Object.entries(injection.effects).forEach(([parameter, effect]) => {
+                const { quantity, mode } = this.parameters[injection.subsystem][parameter];
+                const amount = this.getEffectAmount(injection, effect, timestamp);
+                const target = effects[quantity] || (effects[quantity] = { scale: 1, offset: 0 });
+                
+                if (mode === 'percent') {
+                    target.scale *= Math.max(0, 1 + amount / 100);
+                } else {
+                    target.offset += amount;
+                }
+            });
+        });
+        
+        return effects;
+    }
+    
+    // Health of the struck units: { group: { unit: 'failed' for critical scenarios, otherwise 'degraded' } }
+    getUnitFaults(spacecraftId, timestamp = this.clock.now()) {
+        const faults = {};
+        
+        this.getActiveInjections(spacecraftId, timestamp).forEach(injection => {
+            if (!injection.unit || this.getPhase(injection, timestamp) === 'pending') return;
+            
+            const { group, id } = injection.unit;
+            const units = faults[group] || (faults[group] = {});
+            if (units[id] !== 'failed') {
+                units[id] = injection.severity === 'critical' ? 'failed' : 'degraded';
+            }
+        });
+        
+        return faults;
+    }
+    
+    getActiveUnit(spacecraftId, group) {
+        return window.fleetManager?.getVehicle(spacecraftId)?.simulator?.getActiveUnits()[group] ?? null;
+    }
+    
+    // Sensor faults
+    injectSensorFault(spacecraftId, channelId, fault, options = {}) {
+        const channel = this.dictionary.getChannel(channelId);
+        const definition = this.sensorFaults[fault];
+        if (!channel || channel.derived || channel.type !== 'number') {
+            console.warn(`No measured numeric channel ${channelId} for a sensor fault`);
+            return null;
+        }
+        if (!definition) {
+            console.warn(`Unknown sensor fault ${fault}`);
+            return null;
+        }
+        
+        const range = channel.nominal || channel.valid;
+        const parameters = { ...definition.defaults(range.max - range.min), ...options.parameters };
+        const now = this.clock.now();
+        const onsetAt = now + (options.delay ?? 0);
+        const duration = options.duration ?? Infinity;
+        
+        const injection = {
+            id: `inj-${this.nextInjectionId++}`,
+            spacecraftId,
+            subsystem: channel.subsystem,
+            scenario: fault,
+            name: `${channel.name} ${definition.name}`,
+            severity: options.severity || 'warning',
+            effects: {},
+            recovery: { curve: 'none', duration: 0 },
+            injectedAt: now,
+            onsetAt,
+            recoveryAt: onsetAt + duration,
+            endAt: Number.isFinite(duration) ? onsetAt + duration : null,
+            clearedAt: null,
+            kind: 'sensor',
+            channel: channel.id,
+            path: options.path || channel.path, // One wheel or thruster, or every path of the channel
+            parameters
+        };
+        
+        this.injections.push(injection);
+        this.sensorState.set(injection.id, {
+            random: window.simulationRandom.fork(`${spacecraftId}:${injection.id}`),
+            stuck: {},
+            burstStart: null,
+            burstEnd: null
+        });
+        console.log(`Injected ${injection.name} on ${spacecraftId} (${injection.id})`);
+        
+        window.dispatchEvent(new CustomEvent('failureInjected', {
+            detail: { ...injection }
+        }));
+        
+        return injection;
+    }
+    
+    // Corrupts the reported values of a generated point in place
+    applySensorFaults(point) {
+        const timestamp = point.timestamp;
+        
+        this.getActiveInjections(point.spacecraftId, timestamp)
+            .filter(injection => injection.kind === 'sensor' && timestamp >= injection.onsetAt)
+            .forEach(injection => {
+                const channel = this.dictionary.getChannel(injection.channel);
+                this.dictionary.resolve(point, channel)
+                    .filter(([path]) => injection.path === channel.path || path === injection.path)
+                    .forEach(([path, value]) => {
+                        if (typeof value !== 'number') return;
+                        this.setValue(point, path, this.getSensorReading(injection, path, value, timestamp));
+                    });
+            });
+    }
+    
+    getSensorReading(injection, path, value, timestamp) {
+        const parameters = injection.parameters;
+        const state = this.sensorState.get(injection.id);
+        const decimals = (String(value).split('.')[1] || '').length;
+        let reading = value;
+        
+        switch (injection.scenario) {
+            case 'bias':
+                reading = value + parameters.offset;
+                break;
+            case 'drift':
+                reading = value + parameters.rate * (timestamp - injection.onsetAt) / 1000;
+                break;
+            case 'stuck':
+                if (state.stuck[path] === undefined) {
+                    state.stuck[path] = parameters.value ?? value;
+                }
+                return state.stuck[path];
+            case 'dropout':
+                // A lost sample decodes as NaN
+                return state.random.next() < parameters.probability ? NaN : value;
+            case 'noise':
+                // The first burst starts at onset; later ones follow at random, on average one interval apart
+                if (state.burstEnd === null) {
+                    state.burstStart = injection.onsetAt;
+                    state.burstEnd = injection.onsetAt + parameters.burst;
+                }
+                while (timestamp >= state.burstEnd) {
+                    state.burstStart = state.burstEnd + state.random.next() * 2 * parameters.interval;
+                    state.burstEnd = state.burstStart + Math.max(1000, parameters.burst);
+                }
+                if (timestamp >= state.burstStart && timestamp < state.burstEnd) {
+                    reading = value + (state.random.next() - 0.5) * 2 * parameters.amplitude;
+                }
+                break;
+        }
+        
+        return Number(reading.toFixed(decimals));
+    }
+    
+    setValue(point, path, value) {
+        const keys = path.split('.');
+        const parent = keys.slice(0, -1).reduce((node, key) => node[key], point);
+        parent[keys[keys.length - 1]] = value;
+    }
+    
+    // Ground truth access
+    getActiveInjections(spacecraftId = null, timestamp = this.clock.now()) {
+        return this.injections.filter(injection =>
+            (spacecraftId === null || injection.spacecraftId === spacecraftId) &&
+            !['complete', 'cleared'].includes(this.getPhase(injection, timestamp)));
+    }
+    
+    // Every injection overlapping the window, with the phase it is in now
+    getGroundTruth(spacecraftId = null, from = -Infinity, to = Infinity) {
+        const now = this.clock.now();
+        
+        return this.injections
+            .filter(injection =>
+                (spacecraftId === null || injection.spacecraftId === spacecraftId) &&
+                injection.onsetAt <= to &&
+                (injection.clearedAt ?? injection.endAt ?? Infinity) >= from)
+            .map(injection => ({ ...injection, phase: this.getPhase(injection, now) }));
+    }
+    
+    // Ground truth label of one detection: a sensor fault on the channel it refers to, a subsystem
+    // failure on the channel's subsystem, or null when nothing was injected (a false alarm).
+    // Vehicle-wide detections (subsystem 'system') belong to the earliest active injection.
+    getLabel(anomaly) {
+        const channel = this.dictionary.findByDetection(anomaly.subsystem, anomaly.parameter);
+        const subsystem = channel ? channel.subsystem : anomaly.subsystem;
+        const active = this.getActiveInjections(anomaly.spacecraftId, anomaly.timestamp)
+            .filter(injection => anomaly.timestamp >= injection.onsetAt);
+        
+        const match = anomaly.subsystem === 'system' ? active[0] :
+            active.find(injection => injection.kind === 'sensor' && injection.channel === channel?.id) ||
+            active.find(injection => injection.kind === 'subsystem' &&
+                (injection.subsystem === subsystem ||
+                 Object.keys(injection.effects).some(parameter =>
+                     this.parameters[injection.subsystem][parameter].quantity.startsWith(`${subsystem}.`))));
+        if (!match) return null;
+        
+        return {
+            kind: match.kind,
+            injectionId: match.id,
+            fault: match.scenario,
+            channel: match.kind === 'sensor' ? match.channel : null
+        };
+    }
+    
+    // How each detector type's detections split between sensor faults, subsystem failures and false alarms
+    getDetectionSummary(anomalies) {
+        const summary = {};
+        
+        anomalies.forEach(anomaly => {
+            const label = this.getLabel(anomaly);
+            const counts = summary[anomaly.type] || (summary[anomaly.type] = { sensor: 0, subsystem: 0, none: 0 });
+            counts[label ? label.kind : 'none']++;
+        });
+        
+        return summary;
+    }
+}
+
+// Global failure injection engine instance
+window.failureInjector = new FailureInjectionEngine();
@@ -0,0 +1,253 @@
+/**
+ * Onboard FDIR
+ * Fault detection, isolation and recovery run by the simulated flight software: limit monitors with
+ * persistence counters that trigger escalating automatic responses
+ */
+
+class OnboardFDIR {
+    constructor(simulator, config = {}) {
+        this.simulator = simulator;
+        this.enabled = config.enabled ?? true;
+        
+        // path: telemetry reading checked against `above` or `below`; null readings (no contact, unit switching)
+        // are skipped. persistence: seconds of telemetry time continuously out of limits before a response.
+        // holdoff: seconds a response is given to act before checking resumes. Both are measured on point
+        // timestamps, so the monitors behave the same at any sample period. Each further trip escalates.
+        this.monitors = {
+            BATT_OVERTEMP: {
+                name: 'Battery over-temperature', subsystem: 'battery', path: 'power.battery.temperature', above: 50,
+                persistence: 5, holdoff: 15,
+                responses: [
+                    { action: 'heater', node: 'battery', enabled: false },
+                    { action: 'switchUnit', group: 'battery' },
+                    { action: 'safeMode' }
+                ]
+            },
+            BATT_UNDERTEMP: {
+                name: 'Battery under-temperature', subsystem: 'battery', path: 'power.battery.temperature', below: 5,
+                persistence: 10, holdoff: 60,
+                responses: [
+                    { action: 'heater', node: 'battery', enabled: true },
+                    { action: 'shedLoads' }
+                ]
+            },
+            BATT_UNDERVOLT: {
+                name: 'Bus under-voltage', subsystem: 'battery', path: 'power.battery.voltage', below: 21,
+                persistence: 3, holdoff: 10,
+                responses: [
+                    { action: 'shedLoads' },
+                    { action: 'switchUnit', group: 'battery' },
+                    { action: 'safeMode' }
+                ]
+            },
+            BATT_LOW_SOC: {
+                name: 'Low state of charge', subsystem: 'battery', path: 'power.battery.stateOfCharge', below: 30,
+                persistence: 5, holdoff: 120,
+                responses: [
+                    { action: 'shedLoads' },
+                    { action: 'safeMode' }
+                ]
+            },
+            PROC_OVERTEMP: {
+                name: 'Processor over-temperature', subsystem: 'thermal', path: 'thermal.processor', above: 60,
+                persistence: 5, holdoff: 40, // The 20 s reboot on the other unit, then time to cool
+                responses: [
+                    { action: 'switchUnit', group: 'processor' },
+                    { action: 'safeMode' }
+                ]
+            },
+            // Stands in for the transmitter's RF output monitor
+            TX_LINK_LOW: {
+                name: 'Downlink signal low', subsystem: 'communication', path: 'communication.signalStrength', below: -112,
+                persistence: 10, holdoff: 20,
+                responses: [
+                    { action: 'switchUnit', group: 'transmitter' }
+                ]
+            }
+        };
+        
+        // Configured monitors are merged into the defaults; `false` removes one
+        Object.entries(config.monitors || {}).forEach(([id, monitor]) => {
+            if (monitor === false) {
+                delete this.monitors[id];
+            } else {
+                this.monitors[id] = { persistence: 1, holdoff: 0, responses: [], ...this.monitors[id], ...monitor };
+            }
+        });
+        
+        // inLimitsAt and outOfLimitsAt: last reading on either side of the limit, null until there is one
+        this.state = {}; // id -> { enabled, inLimitsAt, outOfLimitsAt, level, holdoffUntil }
+        Object.keys(this.monitors).forEach(id => {
+            this.state[id] = { enabled: true, inLimitsAt: null, outOfLimitsAt: null, level: 0, holdoffUntil: -Infinity };
+        });
+        
+        this.actions = []; // Responses taken, oldest first
+        this.actionLimit = 50;
+    }
+    
+    // Runs every monitor on a generated point, after sensor faults: FDIR sees what the sensors report
+    evaluate(point) {
+        if (!this.enabled) return;
+        
+        Object.entries(this.monitors).forEach(([id, monitor]) => {
+            const state = this.state[id];
+            const value = this.read(point, monitor.path);
+            if (!state.enabled) return;
+            
+            // A gap in the readings restarts both timers
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                this.resetTimers(state);
+                return;
+            }
+            
+            // The last response is given time to act
+            if (point.timestamp < state.holdoffUntil) return;
+            
+            // Time out of limits counts from the last reading within them, so at 1 s sampling a monitor
+            // trips on its persistence-th sample and at coarser sampling on the first that covers it
+            const violated = monitor.above !== undefined ? value > monitor.above : value < monitor.below;
+            if (violated) {
+                state.outOfLimitsAt = point.timestamp;
+                state.inLimitsAt ??= point.timestamp;
+                if (point.timestamp - state.inLimitsAt >= monitor.persistence * 1000) {
+                    this.respond(id, value, point.timestamp);
+                }
+                return;
+            }
+            
+            // Back in limits for as long as it takes to trip: the next trip starts from the first response
+            state.inLimitsAt = point.timestamp;
+            state.outOfLimitsAt ??= point.timestamp;
+            if (state.level > 0 && point.timestamp - state.outOfLimitsAt >= monitor.persistence * 1000) {
+                state.level = 0;
+                this.simulator.emitEvent('FDIR_RECOVERED', 'info', monitor.subsystem,
+                    `${id}: ${monitor.name} back in limits`, { monitor: id }, point.timestamp);
+            }
+        });
+    }
+    
+    respond(id, value, timestamp) {
+        const monitor = this.monitors[id];
+        const state = this.state[id];
+        const limit = monitor.above !== undefined ? `> ${monitor.above}` : `< ${monitor.below}`;
+        const response = monitor.responses[state.level];
+        
+        if (!response) {
+            // Reported once when the last response has not cleared the fault
+            if (state.level === monitor.responses.length) {
+                state.level++;
+                this.simulator.emitEvent('FDIR_EXHAUSTED', 'critical', monitor.subsystem,
+                    `${id}: ${monitor.name} persists (${value} ${limit}), no further onboard response`, { monitor: id }, timestamp);
+            }
+            return;
+        }
+        
+        state.level++;
+        state.holdoffUntil = timestamp + monitor.holdoff * 1000;
+        
+        // Both timers resume where the holdoff ends
+        state.inLimitsAt = state.holdoffUntil;
+        state.outOfLimitsAt = state.holdoffUntil;
+        const description = this.describe(response);
+        const success = this.execute(response, `FDIR ${id}`);
+        
+        this.actions.push({ monitor: id, level: state.level, action: response.action, description, value, success, timestamp });
+        if (this.actions.length > this.actionLimit) {
+            this.actions.shift();
+        }
+        
+        this.simulator.emitEvent('FDIR_ACTION', response.action === 'safeMode' ? 'critical' : 'warning', monitor.subsystem,
+            `${id}: ${monitor.name} (${value} ${limit} for ${monitor.persistence} s), level ${state.level} ${description}` +
+            (success ? '' : ' failed'),
+            { monitor: id, level: state.level, action: response.action, success }, timestamp);
+    }
+    
+    // false when the response could not be carried out, e.g. the backup unit has failed
+    execute(response, reason) {
+        const simulator = this.simulator;
+        
+        switch (response.action) {
+            case 'heater':
+                return simulator.thermalNetwork.setHeater(response.node, response.enabled);
+            case 'shedLoads':
+                return simulator.shedLoads(reason);
+            case 'switchUnit': {
+                const active = simulator.getActiveUnits()[response.group];
+                const backup = simulator.subsystems.redundancy.units[response.group].units.find(unit => unit !== active);
+                return simulator.switchUnit(response.group, backup, reason);
+            }
+            case 'safeMode':
+                return simulator.getMissionPhase() === 'safe_mode' ||
+                    simulator.phaseManager.enterSafeMode(simulator.spacecraftId, reason);
+            default:
+                console.warn(`Unknown FDIR response ${response.action}`);
+                return false;
+        }
+    }
+    
+    describe(response) {
+        switch (response.action) {
+            case 'heater':
+                return `${response.node} heater ${response.enabled ? 'on' : 'off'}`;
+            case 'shedLoads':
+                return 'non-essential loads shed';
+            case 'switchUnit':
+                return `${this.simulator.subsystems.redundancy.units[response.group].name.toLowerCase()} switchover`;
+            case 'safeMode':
+                return 'safe mode';
+            default:
+                return response.action;
+        }
+    }
+    
+    resetTimers(state) {
+        state.inLimitsAt = null;
+        state.outOfLimitsAt = null;
+    }
+    
+    read(point, path) {
+        return path.split('.').reduce((value, key) => value?.[key], point);
+    }
+    
+    // Monitor enable by telecommand; 'ALL' switches the whole FDIR layer
+    setMonitorEnabled(id, enabled) {
+        if (id === 'ALL') {
+            this.enabled = enabled;
+            Object.values(this.state).forEach(state => this.resetTimers(state));
+            return true;
+        }
+        const state = this.state[id];
+        if (!state) return false;
+        
+        state.enabled = enabled;
+        this.resetTimers(state);
+        return true;
+    }
+    
+    getTelemetry() {
+        const monitors = {};
+        Object.entries(this.state).forEach(([id, state]) => {
+            let status = 'ok';
+            if (!this.enabled || !state.enabled) status = 'disabled';
+            else if (state.outOfLimitsAt > state.inLimitsAt) status = 'counting';
+            else if (state.level > 0) status = 'responded';
+            
+            const elapsed = status === 'counting' ? (state.outOfLimitsAt - state.inLimitsAt) / 1000 : 0;
+            monitors[id] = { status, elapsed, level: state.level };
+        });
+        
+        const last = this.actions[this.actions.length - 1];
+        return {
+            enabled: this.enabled,
+            loadsShed: this.simulator.loadShedding.active,
+            actions: this.actions.length,
+            lastAction: last ? { monitor: last.monitor, description: last.description, timestamp: last.timestamp } : null,
+            monitors
+        };
+    }
+    
+    // Responses taken since `from`, newest first
+    getActions(from = -Infinity) {
+        return this.actions.filter(action => action.timestamp >= from).reverse();
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Fleet Management
+ * Registry of spacecraft and the vehicle selected for drill-down
+ */
+
+class FleetManager {
+    constructor() {
+        this.vehicles = new Map();
+        this.selectedId = null;
+        
+        // Demonstration constellation: three vehicles sharing one orbital plane, 120 deg apart
+        this.demoFleet = [
+            {
+                id: 'SAT-2',
+                name: 'DEMOSAT-2',
+                tle: {
+                    name: 'DEMOSAT-2',
+                    line1: '1 99002U 26001A   26001.00000000  .00000000  00000-0  00000-0 0  9998',
+                    line2: '2 99002  97.5900 258.5000 0001000  90.0000 120.0000 15.05500000    12'
+                }
+            },
+            {
+                id: 'SAT-3',
+                name: 'DEMOSAT-3',
+                tle: {
+                    name: 'DEMOSAT-3',
+                    line1: '1 99003U 26001A   26001.00000000  .00000000  00000-0  00000-0 0  9999',
+                    line2: '2 99003  97.5900 258.5000 0001000  90.0000 240.0000 15.05500000    16'
+                }
+            }
+        ];
+        
+        this.initializeFleet();
+    }
+    
+    initializeFleet() {
+        // The primary vehicle reuses the global simulator and orbit model
+        const primary = window.telemetrySimulator;
+        this.registerVehicle({
+            id: primary.spacecraftId,
+            name: window.orbitModel?.tle?.name || primary.spacecraftId,
+            simulator: primary,
+            orbitModel: window.orbitModel || null
+        });
+        
+        this.demoFleet.forEach(config => {
+            const orbitModel = typeof OrbitModel !== 'undefined' ? new OrbitModel(config.tle) : null;
+            this.registerVehicle({
+                id: config.id,
+                name: config.name,
+                simulator: new TelemetrySimulator({ spacecraftId: config.id, orbitModel }),
+                orbitModel
+            });
+        });
+        
+        this.selectedId = primary.spacecraftId;
+        console.log(`Fleet initialized with ${this.vehicles.size} spacecraft`);
+    }
+    
+    registerVehicle({ id, name = id, simulator = null, orbitModel = null }) {
+        if (this.vehicles.has(id)) {
+            return this.vehicles.get(id);
+        }
+        
+        const vehicle = { id, name, simulator, orbitModel, registeredAt: Date.now() };
+        this.vehicles.set(id, vehicle);
+        
+        window.dispatchEvent(new CustomEvent('fleetChange', {
+            detail: { spacecraftId: id, vehicles: this.getVehicleIds() }
+        }));
+        
+        return vehicle;
+    }
+    
+    // External sources may report vehicles the fleet has not seen yet
+    ensureVehicle(id) {
+        return this.vehicles.get(id) || this.registerVehicle({ id });
+    }
+    
+    getVehicle(id) {
+        return this.vehicles.get(id) || null;
+    }
+    
+    getVehicles() {
+        return Array.from(this.vehicles.values());
+    }
+    
+    getVehicleIds() {
+        return Array.from(this.vehicles.keys());
+    }
+    
+    getPrimaryId() {
+        return this.getVehicleIds()[0];
+    }
+    
+    getSimulators() {
+        return this.getVehicles()
+            .map(vehicle => vehicle.simulator)
+            .filter(simulator => simulator !== null);
+    }
+    
+    getSelectedId() {
+        return this.selectedId;
+    }
+    
+    getSelectedVehicle() {
+        return this.getVehicle(this.selectedId);
+    }
+    
+    isSelected(spacecraftId) {
+        return spacecraftId === this.selectedId;
+    }
+    
+    selectVehicle(id) {
+        if (!this.vehicles.has(id) || id === this.selectedId) return false;
+        
+        this.selectedId = id;
+        window.dispatchEvent(new CustomEvent('spacecraftSelected', {
+            detail: { spacecraftId: id }
+        }));
+        
+        return true;
+    }
+}
+
+// Global fleet manager instance
+window.fleetManager = new FleetManager();
@@ -0,0 +1,169 @@
+/**
+ * Frame Accounting
+ * Ground receiver bookkeeping of telemetry frame sequence counters: lost, duplicated and
+ * out-of-order frames per spacecraft and per ground station pass
+ */
+
+class FrameAccounting {
+    constructor() {
+        this.config = {
+            modulo: 16384, // 14-bit frame sequence counter, as in CCSDS packet sequence counts
+            window: 512, // Recent counters remembered to recognise duplicates and late frames
+            passHistory: 20
+        };
+        
+        this.streams = new Map(); // spacecraftId -> receiver state
+    }
+    
+    getStream(spacecraftId) {
+        if (!this.streams.has(spacecraftId)) {
+            this.streams.set(spacecraftId, {
+                highest: null, // Latest counter in sequence order
+                recent: [], // Counters received, oldest first, up to config.window
+                missing: new Set(), // Counters skipped over that may still arrive late
+                pass: null,
+                passes: [], // Closed passes, oldest first
+                nextPassId: 1
+            });
+        }
+        return this.streams.get(spacecraftId);
+    }
+    
+    // Accounts one received frame; false for a duplicate, which the receiver discards.
+    // Points without a counter (recordings, older ground tools) pass through unaccounted.
+    receive(point) {
+        if (point.frameCount === undefined) return true;
+        
+        const stream = this.getStream(point.spacecraftId);
+        const count = point.frameCount;
+        const modulo = this.config.modulo;
+        const pass = this.trackPass(stream, point);
+        
+        if (stream.recent.includes(count)) {
+            if (pass) pass.duplicates++;
+            return false;
+        }
+        this.remember(stream, count);
+        if (pass) pass.received++;
+        
+        if (stream.highest === null) {
+            stream.highest = count;
+            return true;
+        }
+        
+        const ahead = (count - stream.highest + modulo) % modulo;
+        if (ahead > modulo / 2) {
+            // Behind the highest counter: a frame counted lost has arrived after a later one
+            if (stream.missing.delete(count) && pass) {
+                pass.outOfOrder++;
+                pass.lost = Math.max(0, pass.lost - 1);
+            }
+        } else {
+            for (let skipped = 1; skipped < ahead; skipped++) {
+                stream.missing.add((stream.highest + skipped) % modulo);
+            }
+            if (pass) pass.lost += ahead - 1;
+            stream.highest = count;
+            
+            // Counters far behind can no longer arrive late
+            while (stream.missing.size > this.config.window) {
+                stream.missing.delete(stream.missing.values().next().value);
+            }
+        }
+        
+        this.updateLoss(pass);
+        return true;
+    }
+    
+    remember(stream, count) {
+        stream.recent.push(count);
+        if (stream.recent.length > this.config.window) {
+            stream.recent.shift();
+        }
+    }
+    
+    // Frames between AOS and LOS make up a pass; without contact data the stream is one long pass
+    trackPass(stream, point) {
+        const comm = point.communication || {};
+        
+        if (comm.contact === false) {
+            if (stream.pass) this.closePass(stream, point.spacecraftId, point.timestamp);
+            return null;
+        }
+        
+        if (!stream.pass) {
+            stream.pass = {
+                id: `${point.spacecraftId}-P${stream.nextPassId++}`,
+                station: comm.station ?? null,
+                start: point.timestamp,
+                end: null,
+                received: 0,
+                lost: 0,
+                duplicates: 0,
+                outOfOrder: 0,
+                lossPercent: 0
+            };
+        }
+        return stream.pass;
+    }
+    
+    closePass(stream, spacecraftId, timestamp) {
+        const pass = stream.pass;
+        pass.end = timestamp;
+        stream.passes.push(pass);
+        if (stream.passes.length > this.config.passHistory) {
+            stream.passes.shift();
+        }
+        stream.pass = null;
+        
+        window.dispatchEvent(new CustomEvent('framePassComplete', {
+            detail: { spacecraftId, ...pass }
+        }));
+    }
+    
+    updateLoss(pass) {
+        if (!pass) return;
+        const expected = pass.received + pass.lost;
+        pass.lossPercent = expected > 0 ? Number((pass.lost / expected * 100).toFixed(2)) : 0;
+    }
+    
+    // False for a frame known to be lost, for redrawing charts from the simulator's own history
+    wasReceived(point) {
+        if (point.frameCount === undefined) return true;
+        return !this.getStream(point.spacecraftId).missing.has(point.frameCount);
+    }
+    
+    // Frames skipped between two counters, or -1 when `count` is not after `previous`
+    getGap(previous, count) {
+        const ahead = (count - previous + this.config.modulo) % this.config.modulo;
+        return ahead === 0 || ahead > this.config.modulo / 2 ? -1 : ahead - 1;
+    }
+    
+    // Pass under way, or null between passes
+    getCurrentPass(spacecraftId) {
+        return this.getStream(spacecraftId).pass;
+    }
+    
+    // Closed passes, newest first
+    getPasses(spacecraftId, limit = 10) {
+        return this.getStream(spacecraftId).passes.slice(-limit).reverse();
+    }
+    
+    getSummary(spacecraftId) {
+        const stream = this.getStream(spacecraftId);
+        const passes = stream.pass ? [...stream.passes, stream.pass] : stream.passes;
+        const totals = { passes: passes.length, received: 0, lost: 0, duplicates: 0, outOfOrder: 0, lossPercent: 0 };
+        
+        passes.forEach(pass => {
+            totals.received += pass.received;
+            totals.lost += pass.lost;
+            totals.duplicates += pass.duplicates;
+            totals.outOfOrder += pass.outOfOrder;
+        });
+        this.updateLoss(totals);
+        return totals;
+    }
+}
+
+// Global frame accounting instance
+window.frameAccounting = new FrameAccounting();
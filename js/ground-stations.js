@@ -0,0 +1,201 @@
+/**
+ * Ground Station Network
+ * Station look angles and AOS/LOS pass prediction against the orbit model
+ */
+
+class GroundStationNetwork {
+    constructor(stations = null) {
+        this.config = {
+            passSearchStep: 20, // seconds between visibility samples when predicting passes
+            passSearchHorizon: 12 * 3600 // seconds ahead to search for the next pass
+        };
+        
+        // gain: receive antenna gain (dBi); minElevation: horizon mask (deg)
+        this.defaultStations = [
+            { id: 'SVALBARD', name: 'Svalbard', latitude: 78.23, longitude: 15.41, altitude: 0.5, minElevation: 5, gain: 36 },
+            { id: 'KIRUNA', name: 'Kiruna', latitude: 67.86, longitude: 20.96, altitude: 0.4, minElevation: 5, gain: 36 },
+            { id: 'FAIRBANKS', name: 'Fairbanks', latitude: 64.86, longitude: -147.85, altitude: 0.2, minElevation: 5, gain: 36 },
+            { id: 'TROLL', name: 'Troll', latitude: -72.01, longitude: 2.53, altitude: 1.27, minElevation: 5, gain: 33 }
+        ];
+        
+        // Pass searches per orbit model, reused until the pass they found ends
+        this.passSearches = new WeakMap();
+        
+        this.setStations(stations || window.SIMULATION_CONFIG?.groundStations || this.defaultStations);
+        
+        // A new TLE invalidates every prediction
+        window.addEventListener('orbitModelChange', () => {
+            this.passSearches = new WeakMap();
+        });
+    }
+    
+    setStations(stations) {
+        this.stations = stations.map(station => ({
+            altitude: 0,
+            minElevation: 5,
+            gain: 36,
+            ...station,
+            id: station.id || station.name
+        }));
+        this.passSearches = new WeakMap();
+        
+        window.dispatchEvent(new CustomEvent('groundStationsChange', {
+            detail: { stations: this.stations.map(station => station.id) }
+        }));
+        
+        return this.stations;
+    }
+    
+    getStations() {
+        return this.stations;
+    }
+    
+    // Azimuth and elevation (deg) and slant range (km) of a TEME position from a station
+    getLookAngles(station, position, timestamp, orbitModel) {
+        const degToRad = Math.PI / 180;
+        const latitude = station.latitude * degToRad;
+        const longitude = station.longitude * degToRad;
+        const satellite = this.toEarthFixed(position, orbitModel.getGMST(timestamp));
+        const site = this.getStationPosition(station, orbitModel);
+        const [dx, dy, dz] = orbitModel.subtract(satellite, site);
+        
+        // Topocentric east, north, up
+        const sinLat = Math.sin(latitude);
+        const cosLat = Math.cos(latitude);
+        const sinLon = Math.sin(longitude);
+        const cosLon = Math.cos(longitude);
+        const east = -sinLon * dx + cosLon * dy;
+        const north = -sinLat * cosLon * dx - sinLat * sinLon * dy + cosLat * dz;
+        const up = cosLat * cosLon * dx + cosLat * sinLon * dy + sinLat * dz;
+        const range = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        
+        return {
+            azimuth: ((Math.atan2(east, north) / degToRad) + 360) % 360,
+            elevation: Math.asin(up / range) / degToRad,
+            range
+        };
+    }
+    
+    // Highest station above its horizon mask, or null outside every pass
+    getContact(orbitModel, timestamp) {
+        const position = orbitModel?.getPosition(timestamp);
+        if (!position) return null;
+        
+        let best = null;
+        this.stations.forEach(station => {
+            const look = this.getLookAngles(station, position, timestamp, orbitModel);
+            if (look.elevation >= station.minElevation && (!best || look.elevation > best.elevation)) {
+                best = { station, ...look };
+            }
+        });
+        
+        return best;
+    }
+    
+    // Current or next pass: AOS/LOS of continuous coverage by any station, found by sampling then bisection.
+    // A pass already under way at timestamp reports timestamp as its AOS.
+    getNextPass(orbitModel, timestamp) {
+        if (!orbitModel) return null;
+        
+        const cached = this.passSearches.get(orbitModel);
+        if (cached && timestamp >= cached.from && timestamp < cached.validUntil) {
+            return cached.result;
+        }
+        
+        const step = this.config.passSearchStep * 1000;
+        const horizon = timestamp + this.config.passSearchHorizon * 1000;
+        const inContact = (time) => this.getContact(orbitModel, time) !== null;
+        
+        let aos = null;
+        let los = null;
+        let station = null;
+        let maxElevation = -90;
+        let previous = inContact(timestamp);
+        let previousTime = timestamp;
+        
+        if (previous) {
+            const contact = this.getContact(orbitModel, timestamp);
+            aos = timestamp;
+            station = contact.station;
+            maxElevation = contact.elevation;
+        }
+        
+        for (let time = timestamp + step; time <= horizon; time += step) {
+            const contact = this.getContact(orbitModel, time);
+            const current = contact !== null;
+            
+            if (current !== previous) {
+                const crossing = this.bisectContactCrossing(previousTime, time, previous, inContact);
+                if (current) {
+                    aos = crossing;
+                    station = contact.station;
+                } else if (aos !== null) {
+                    los = crossing;
+                    break;
+                }
+            }
+            if (contact) {
+                maxElevation = Math.max(maxElevation, contact.elevation);
+            }
+            previous = current;
+            previousTime = time;
+        }
+        
+        const result = aos !== null && los !== null ? {
+            station: station.name,
+            aos: Math.round(aos),
+            los: Math.round(los),
+            duration: Math.round((los - aos) / 1000),
+            maxElevation: Number(maxElevation.toFixed(1))
+        } : null;
+        
+        this.passSearches.set(orbitModel, {
+            from: timestamp,
+            validUntil: result ? result.los : timestamp + 600000,
+            result
+        });
+        
+        return result;
+    }
+    
+    bisectContactCrossing(start, end, startState, inContact) {
+        while (end - start > 500) {
+            const middle = (start + end) / 2;
+            if (inContact(middle) === startState) {
+                start = middle;
+            } else {
+                end = middle;
+            }
+        }
+        return (start + end) / 2;
+    }
+    
+    // Earth-fixed station position (km) on the WGS-84 ellipsoid
+    getStationPosition(station, orbitModel) {
+        const degToRad = Math.PI / 180;
+        const a = orbitModel.bodies.earthRadius;
+        const f = orbitModel.bodies.earthFlattening;
+        const e2 = f * (2 - f);
+        const latitude = station.latitude * degToRad;
+        const longitude = station.longitude * degToRad;
+        const sinLat = Math.sin(latitude);
+        const n = a / Math.sqrt(1 - e2 * sinLat * sinLat);
+        
+        return [
+            (n + station.altitude) * Math.cos(latitude) * Math.cos(longitude),
+            (n + station.altitude) * Math.cos(latitude) * Math.sin(longitude),
+            (n * (1 - e2) + station.altitude) * sinLat
+        ];
+    }
+    
+    // TEME to Earth-fixed by rotating through sidereal time (polar motion neglected)
+    toEarthFixed(position, gmst) {
+        const [x, y, z] = position;
+        const cos = Math.cos(gmst);
+        const sin = Math.sin(gmst);
+        return [cos * x + sin * y, -sin * x + cos * y, z];
+    }
+}
+
+// Global ground station network
+window.groundStations = new GroundStationNetwork();
@@ -12,7 +12,7 @@ class SatelliteHealthApp {
         
         // Application state
         this.appState = {
-            missionStartTime: Date.now(),
+            missionStartTime: window.simulationClock.startTime,
             currentMode: 'nominal',
             activeSimulations: [],
             systemHealth: 'nominal'
@@ -71,6 +71,10 @@ class SatelliteHealthApp {
         // Verify all systems are available with graceful fallbacks
         const requiredSystems = [
             'telemetrySimulator',
+            'fleetManager',
+            'failureInjector',
+            'missionPhaseManager',
+            'telemetrySourceManager',
             'anomalyDetector', 
             'dashboardController',
             'recommendationEngine',
@@ -109,7 +113,9 @@ class SatelliteHealthApp {
             battery: new BatteryFailureSimulation(),
             solar: new SolarFailureSimulation(),
             thermal: new ThermalFailureSimulation(),
-            communication: new CommunicationFailureSimulation()
+            communication: new CommunicationFailureSimulation(),
+            attitude: new AttitudeFailureSimulation(),
+            propulsion: new PropulsionFailureSimulation()
         };
         
         // Enhanced failure simulation with realistic scenarios
@@ -119,6 +125,9 @@ class SatelliteHealthApp {
     }
     
     setupFailureScenarios() {
+        // Effects ramp toward their magnitude at `rate` units per simulated second (percentage points
+        // for percentage effects), hold until `duration` has passed, then follow the recovery curve
+        
         // Battery failure scenarios
         this.failureSimulations.battery.addScenario('overheating', {
             name: 'Battery Overheating',
@@ -129,8 +138,10 @@ class SatelliteHealthApp {
                 voltage: { decrease: 15, rate: 0.2 },
                 capacity: { decrease: 5, rate: 0.1 }
             },
+            recovery: { curve: 'exponential', duration: 60000 }, // Cools back down once discharge is limited
             triggers: ['high_discharge_rate', 'cooling_system_failure'],
-            severity: 'critical'
+            severity: 'critical',
+            unit: 'battery' // One string; switching to the other takes it off the bus
         });
         
         this.failureSimulations.battery.addScenario('degradation', {
@@ -141,8 +152,10 @@ class SatelliteHealthApp {
                 capacity: { decrease: 20, rate: 0.05 },
                 voltage: { decrease: 8, rate: 0.1 }
             },
+            recovery: { curve: 'none' }, // Lost capacity does not come back
             triggers: ['deep_discharge_cycles', 'age_related'],
-            severity: 'warning'
+            severity: 'warning',
+            unit: 'battery'
         });
         
         // Solar panel failure scenarios
@@ -162,15 +175,29 @@ class SatelliteHealthApp {
         this.failureSimulations.thermal.addScenario('cooling_failure', {
             name: 'Cooling System Failure',
             description: 'Radiator or heat pipe malfunction',
-            duration: 120000, // 2 minutes
+            duration: 2700000, // 45 minutes; the nodes heat up at the rate their heat capacity allows
             effects: {
-                processor: { increase: 30, rate: 0.8 },
-                battery: { increase: 20, rate: 0.4 }
+                heatPipe: { decrease: 95, rate: 2 },
+                radiatorMount: { decrease: 80, rate: 1 },
+                radiatorEmissivity: { decrease: 50, rate: 1 }
             },
+            recovery: { curve: 'exponential', duration: 300000 },
             triggers: ['radiator_blockage', 'coolant_leak'],
             severity: 'critical'
         });
         
+        this.failureSimulations.thermal.addScenario('processor_fault', {
+            name: 'Processor Latch-up',
+            description: 'Single-event latch-up drawing excess current and heating the active processor',
+            duration: 180000, // 3 minutes
+            effects: {
+                processor: { increase: 25, rate: 0.4 }
+            },
+            triggers: ['single_event_latchup', 'radiation_dose'],
+            severity: 'critical',
+            unit: 'processor'
+        });
+        
         // Communication failure scenarios
         this.failureSimulations.communication.addScenario('antenna_misalignment', {
             name: 'Antenna Pointing Error',
@@ -183,6 +210,84 @@ class SatelliteHealthApp {
             triggers: ['attitude_control_fault', 'gyroscope_drift'],
             severity: 'warning'
         });
+        
+        this.failureSimulations.communication.addScenario('transmitter_failure', {
+            name: 'Transmitter Power Amplifier Failure',
+            description: 'Power amplifier output falling on the active transmitter',
+            duration: 300000, // 5 minutes
+            effects: {
+                signalStrength: { decrease: 20, rate: 0.2 },
+                dataRate: { decrease: 50, rate: 0.5 },
+                errorRate: { increase: 500, rate: 5 }
+            },
+            recovery: { curve: 'none' },
+            triggers: ['amplifier_degradation', 'thermal_stress'],
+            severity: 'critical',
+            unit: 'transmitter'
+        });
+        
+        // Attitude control failure scenarios
+        this.failureSimulations.attitude.addScenario('wheel_saturation', {
+            name: 'Reaction Wheel Saturation',
+            description: 'Magnetorquer fault leaves a growing disturbance torque with no momentum unloading',
+            duration: 300000, // 5 minutes
+            effects: {
+                disturbance: { increase: 15, rate: 0.5 },
+                magnetorquer: { decrease: 100 }
+            },
+            recovery: { curve: 'linear', duration: 60000 }, // Wheels keep their momentum until desaturated
+            triggers: ['magnetorquer_driver_fault', 'outgassing_torque'],
+            severity: 'critical'
+        });
+        
+        this.failureSimulations.attitude.addScenario('bearing_wear', {
+            name: 'Wheel Bearing Wear',
+            description: 'Lubricant breakdown raising reaction wheel friction and drive current',
+            duration: 240000, // 4 minutes
+            effects: {
+                wheelCurrent: { increase: 300, rate: 2 },
+                pointingError: { increase: 0.15, rate: 0.002 }
+            },
+            triggers: ['lubricant_depletion', 'thermal_cycling'],
+            severity: 'warning'
+        });
+        
+        // Propulsion failure scenarios
+        this.failureSimulations.propulsion.addScenario('tank_leak', {
+            name: 'Propellant Leak',
+            description: 'Seal failure downstream of the tank venting propellant between burns',
+            duration: 600000, // 10 minutes
+            effects: {
+                leak: { increase: 0.3, rate: 0.01 }
+            },
+            recovery: { curve: 'linear', duration: 30000 }, // Latch valve closed; lost propellant stays lost
+            triggers: ['seal_degradation', 'micrometeoroid_impact'],
+            severity: 'critical'
+        });
+        
+        this.failureSimulations.propulsion.addScenario('catalyst_degradation', {
+            name: 'Catalyst Bed Degradation',
+            description: 'Catalyst loss leaving thrusters unable to decompose propellant fully during burns',
+            duration: 600000, // 10 minutes
+            effects: {
+                catalyst: { decrease: 70 }
+            },
+            recovery: { curve: 'none' },
+            triggers: ['cold_starts', 'catalyst_attrition'],
+            severity: 'warning'
+        });
+        
+        this.failureSimulations.propulsion.addScenario('tank_heater_failure', {
+            name: 'Tank Heater Failure',
+            description: 'Heater circuit open, propellant tank cooling toward the hydrazine freezing point',
+            duration: 600000, // 10 minutes
+            effects: {
+                tankTemperature: { decrease: 18, rate: 0.05 }
+            },
+            recovery: { curve: 'linear', duration: 300000 }, // Redundant heater rewarms the tank
+            triggers: ['heater_open_circuit', 'thermostat_fault'],
+            severity: 'critical'
+        });
     }
     
     initializeDataAnalytics() {
@@ -323,12 +428,15 @@ class SatelliteHealthApp {
     // Event Handlers
     
     handleTelemetryUpdate(telemetryData) {
-        // Update application state based on telemetry
-        this.updateApplicationState(telemetryData);
-        
         // Perform real-time analytics
         this.dataAnalytics.performanceMetrics.processTelemetry(telemetryData);
         
+        // Application state follows the spacecraft selected for drill-down
+        if (!this.systems.fleetManager.isSelected(telemetryData.spacecraftId)) return;
+        
+        // Update application state based on telemetry
+        this.updateApplicationState(telemetryData);
+        
         // Check for system health changes
         this.checkSystemHealthChanges(telemetryData);
     }
@@ -380,7 +488,7 @@ class SatelliteHealthApp {
     // System Health Management
     
     updateSystemHealth() {
-        const telemetry = this.systems.telemetrySimulator?.getLatestTelemetry();
+        const telemetry = this.systems.telemetrySourceManager?.getLatestTelemetry();
         if (!telemetry) return;
         
         // Calculate overall health score
@@ -416,8 +524,10 @@ class SatelliteHealthApp {
                            Math.max(0, (80 - telemetry.thermal.processor) / 20);
         scores.push(thermalScore * 0.25); // 25% weight
         
-        // Communication health score
-        const commScore = Math.min(1, Math.max(0, (telemetry.communication.signalStrength + 120) / 40));
+        // Communication health score; being between passes is not a fault
+        const comm = telemetry.communication;
+        const commScore = comm.signalStrength === null ? 1 :
+            Math.min(1, Math.max(0, (comm.signalStrength + 120) / 40));
         scores.push(commScore * 0.2); // 20% weight
         
         return scores.reduce((sum, score) => sum + score, 0);
@@ -482,15 +592,15 @@ class SatelliteHealthApp {
             );
         }
         
-        // Execute scenario events
+        // Execute scenario events on simulation time so they keep pace with acceleration
         scenario.events.forEach(event => {
-            setTimeout(() => {
+            window.simulationClock.setTimeout(() => {
                 this.executeDemoEvent(event);
             }, event.time);
         });
         
         // End demo after duration
-        setTimeout(() => {
+        window.simulationClock.setTimeout(() => {
             this.endDemoScenario(scenario);
         }, scenario.duration);
     }
@@ -537,30 +647,20 @@ class SatelliteHealthApp {
     updateApplicationState(telemetryData) {
         // Update runtime statistics
         this.appState.lastUpdate = Date.now();
-        this.appState.missionTime = Date.now() - this.appState.missionStartTime;
+        this.appState.missionTime = window.simulationClock.now() - this.appState.missionStartTime;
         
-        // Update current mode based on telemetry
-        if (telemetryData.power.eclipse) {
-            this.appState.currentMode = 'eclipse';
-        } else if (this.appState.systemHealth === 'critical') {
-            this.appState.currentMode = 'emergency';
-        } else {
-            this.appState.currentMode = 'nominal';
-        }
+        // Mode is the mission phase of the selected spacecraft (recorded points carry their own)
+        this.appState.currentMode = telemetryData.missionPhase ||
+            this.systems.missionPhaseManager.getPhase(telemetryData.spacecraftId);
     }
     
     clearAllFailures() {
-        Object.keys(this.systems.telemetrySimulator.simulatedFailures).forEach(subsystem => {
-            this.systems.telemetrySimulator.clearFailure(subsystem);
-        });
+        this.systems.failureInjector.clear();
     }
     
     activateEmergencyMode(event) {
         console.warn('Activating emergency mode:', event);
         
-        // Change app mode
-        this.appState.currentMode = 'emergency';
-        
         // Enhanced monitoring
         this.increaseMonitoringFrequency();
         
@@ -572,8 +672,12 @@ class SatelliteHealthApp {
         // Emergency response procedures
         console.log('Executing emergency protocols for:', event.type);
         
-        // Could implement specific emergency responses here
-        // For demo purposes, we'll just log and notify
+        // Hard limit violations and critical overall health put the spacecraft into safe mode,
+        // which sheds loads; statistical and ML detections stay advisory
+        if (event.type !== 'threshold' && event.type !== 'system_health') return;
+        
+        const spacecraftId = event.spacecraftId || this.systems.fleetManager.getSelectedId();
+        this.systems.missionPhaseManager.enterSafeMode(spacecraftId, event.message || `System health ${event.severity}`);
     }
     
     increaseMonitoringFrequency() {
@@ -718,41 +822,49 @@ class SatelliteHealthApp {
 
 class BatteryFailureSimulation {
     constructor() {
+        this.subsystem = 'battery';
         this.scenarios = new Map();
         this.activeSimulations = new Set();
     }
     
     addScenario(name, config) {
         this.scenarios.set(name, config);
+        window.failureInjector.registerScenario(this.subsystem, name, config);
     }
     
-    executeScenario(name) {
+    executeScenario(name, spacecraftId = window.fleetManager.getSelectedId(), options = {}) {
         const scenario = this.scenarios.get(name);
         if (!scenario) return false;
         
         console.log(`Executing battery failure scenario: ${scenario.name}`);
-        this.activeSimulations.add(name);
+        const injection = window.failureInjector.inject(spacecraftId, this.subsystem, name, options);
+        if (!injection) return false;
         
-        // Implementation would apply the scenario effects
+        this.activeSimulations.add(name);
         return true;
     }
 }
 
 class SolarFailureSimulation {
     constructor() {
+        this.subsystem = 'solar';
         this.scenarios = new Map();
         this.activeSimulations = new Set();
     }
     
     addScenario(name, config) {
         this.scenarios.set(name, config);
+        window.failureInjector.registerScenario(this.subsystem, name, config);
     }
     
-    executeScenario(name) {
+    executeScenario(name, spacecraftId = window.fleetManager.getSelectedId(), options = {}) {
         const scenario = this.scenarios.get(name);
         if (!scenario) return false;
         
         console.log(`Executing solar failure scenario: ${scenario.name}`);
+        const injection = window.failureInjector.inject(spacecraftId, this.subsystem, name, options);
+        if (!injection) return false;
+        
         this.activeSimulations.add(name);
         return true;
     }
@@ -760,19 +872,24 @@ class SolarFailureSimulation {
 
 class ThermalFailureSimulation {
     constructor() {
+        this.subsystem = 'thermal';
         this.scenarios = new Map();
         this.activeSimulations = new Set();
     }
     
     addScenario(name, config) {
         this.scenarios.set(name, config);
+        window.failureInjector.registerScenario(this.subsystem, name, config);
     }
     
-    executeScenario(name) {
+    executeScenario(name, spacecraftId = window.fleetManager.getSelectedId(), options = {}) {
         const scenario = this.scenarios.get(name);
         if (!scenario) return false;
         
         console.log(`Executing thermal failure scenario: ${scenario.name}`);
+        const injection = window.failureInjector.inject(spacecraftId, this.subsystem, name, options);
+        if (!injection) return false;
+        
         this.activeSimulations.add(name);
         return true;
     }
@@ -780,19 +897,74 @@ class ThermalFailureSimulation {
 
 class CommunicationFailureSimulation {
     constructor() {
+        this.subsystem = 'communication';
         this.scenarios = new Map();
         this.activeSimulations = new Set();
     }
     
     addScenario(name, config) {
         this.scenarios.set(name, config);
+        window.failureInjector.registerScenario(this.subsystem, name, config);
     }
     
-    executeScenario(name) {
+    executeScenario(name, spacecraftId = window.fleetManager.getSelectedId(), options = {}) {
         const scenario = this.scenarios.get(name);
         if (!scenario) return false;
         
         console.log(`Executing communication failure scenario: ${scenario.name}`);
+        const injection = window.failureInjector.inject(spacecraftId, this.subsystem, name, options);
+        if (!injection) return false;
+        
+        this.activeSimulations.add(name);
+        return true;
+    }
+}
+
+class AttitudeFailureSimulation {
+    constructor() {
+        this.subsystem = 'attitude';
+        this.scenarios = new Map();
+        this.activeSimulations = new Set();
+    }
+    
+    addScenario(name, config) {
+        this.scenarios.set(name, config);
+        window.failureInjector.registerScenario(this.subsystem, name, config);
+    }
+    
+    executeScenario(name, spacecraftId = window.fleetManager.getSelectedId(), options = {}) {
+        const scenario = this.scenarios.get(name);
+        if (!scenario) return false;
+        
+        console.log(`Executing attitude failure scenario: ${scenario.name}`);
+        const injection = window.failureInjector.inject(spacecraftId, this.subsystem, name, options);
+        if (!injection) return false;
+        
+        this.activeSimulations.add(name);
+        return true;
+    }
+}
+
+class PropulsionFailureSimulation {
+    constructor() {
+        this.subsystem = 'propulsion';
+        this.scenarios = new Map();
+        this.activeSimulations = new Set();
+    }
+    
+    addScenario(name, config) {
+        this.scenarios.set(name, config);
+        window.failureInjector.registerScenario(this.subsystem, name, config);
+    }
+    
+    executeScenario(name, spacecraftId = window.fleetManager.getSelectedId(), options = {}) {
+        const scenario = this.scenarios.get(name);
+        if (!scenario) return false;
+        
+        console.log(`Executing propulsion failure scenario: ${scenario.name}`);
+        const injection = window.failureInjector.inject(spacecraftId, this.subsystem, name, options);
+        if (!injection) return false;
+        
         this.activeSimulations.add(name);
         return true;
     }
@@ -811,7 +983,7 @@ class PerformanceMetricsAnalyzer {
             batteryHealth: data.power.battery.capacity,
             solarEfficiency: data.power.solar.efficiency,
             thermalStatus: this.calculateThermalHealth(data.thermal),
-            communicationQuality: this.calculateCommQuality(data.communication)
+            communicationQuality: data.derived.linkQuality // LINK_QUALITY derived channel
         };
         
         this.metrics.push(metrics);
@@ -827,12 +999,6 @@ class PerformanceMetricsAnalyzer {
         return Math.max(0, (80 - maxTemp) / 80); // 0-1 score
     }
     
-    calculateCommQuality(comm) {
-        const signalQuality = Math.max(0, (comm.signalStrength + 120) / 40);
-        const errorQuality = Math.max(0, 1 - (comm.errorRate / 0.1));
-        return (signalQuality + errorQuality) / 2;
-    }
-    
     getLatestMetrics() {
         return {
             summary: 'Performance metrics collected',
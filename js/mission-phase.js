@@ -0,0 +1,165 @@
+/**
+ * Mission Phase Management
+ * Per-spacecraft mission mode state machine and the operating profile of each phase
+ */
+
+class MissionPhaseManager {
+    constructor(clock = window.simulationClock) {
+        this.clock = clock;
+        this.vehicles = new Map(); // spacecraftId -> { phase, previous, enteredAt, reason, eclipse, timer }
+        
+        // Operating profile of each phase: relative loads, noise level, attitude control, thruster behaviour
+        // and payload power state ('off', 'standby' with the detector cooled, or 'operate' for sessions)
+        this.phases = {
+            leop: {
+                name: 'LEOP',
+                description: 'Launch and early orbit: detumbling and commissioning with payload off',
+                loads: { bus: 0.6, processor: 0.8, comms: 0.5 },
+                noise: 1.5,
+                attitude: { disturbance: 0, pointingError: 6, rate: 25, starTracker: false },
+                propulsion: { firing: false, catalystHeaters: false }, // Propulsion not yet primed
+                payload: 'off'
+            },
+            nominal: {
+                name: 'Nominal',
+                description: 'Routine operations with payload active',
+                loads: { bus: 1.0, processor: 1.0, comms: 1.0 },
+                noise: 1.0,
+                attitude: { disturbance: 0, pointingError: 0, rate: 1, starTracker: true },
+                propulsion: { firing: false, catalystHeaters: true },
+                payload: 'operate'
+            },
+            eclipse: {
+                name: 'Eclipse',
+                description: 'In Earth shadow: running on battery with survival heaters on',
+                loads: { bus: 1.1, processor: 1.0, comms: 1.0 },
+                noise: 1.0,
+                attitude: { disturbance: 0, pointingError: 0, rate: 1, starTracker: true },
+                propulsion: { firing: false, catalystHeaters: true },
+                payload: 'operate'
+            },
+            maneuver: {
+                name: 'Maneuver',
+                description: 'Orbit correction burn: propulsion heaters and valves powered, thruster torques on the wheels',
+                loads: { bus: 1.35, processor: 1.2, comms: 1.0 },
+                noise: 1.8,
+                attitude: { disturbance: 3, pointingError: 0.05, rate: 4, starTracker: true },
+                propulsion: { firing: true, catalystHeaters: true }, // Thrusters fire for the whole burn
+                payload: 'standby',
+                duration: 120000 // Burn length, then back to nominal or eclipse
+            },
+            safe_mode: {
+                name: 'Safe Mode',
+                description: 'Sun-pointing survival mode: payload and non-essential loads shed, low-rate beacon only',
+                loads: { bus: 0.45, processor: 0.5, comms: 0.25 },
+                noise: 1.0,
+                attitude: { disturbance: 0, pointingError: 1.5, rate: 1, starTracker: true },
+                propulsion: { firing: false, catalystHeaters: false }, // Catalyst bed heaters shed
+                payload: 'off'
+            }
+        };
+        
+        // Allowed transitions; nominal <-> eclipse also happen automatically at shadow boundaries
+        this.transitions = {
+            leop: ['nominal', 'safe_mode'],
+            nominal: ['eclipse', 'maneuver', 'safe_mode'],
+            eclipse: ['nominal', 'maneuver', 'safe_mode'],
+            maneuver: ['nominal', 'eclipse', 'safe_mode'],
+            safe_mode: ['nominal']
+        };
+        
+        // Phases a spacecraft may start in, e.g. ?phase=leop for a commissioning run
+        const requested = new URLSearchParams(window.location?.search || '').get('phase');
+        this.initialPhase = ['nominal', 'leop'].includes(requested) ? requested : 'nominal';
+    }
+    
+    getState(spacecraftId) {
+        if (!this.vehicles.has(spacecraftId)) {
+            this.vehicles.set(spacecraftId, {
+                phase: this.initialPhase,
+                previous: null,
+                enteredAt: this.clock.now(),
+                reason: 'initial',
+                eclipse: false,
+                timer: null
+            });
+        }
+        
+        return this.vehicles.get(spacecraftId);
+    }
+    
+    getPhase(spacecraftId) {
+        return this.getState(spacecraftId).phase;
+    }
+    
+    getProfile(spacecraftId) {
+        return this.phases[this.getPhase(spacecraftId)];
+    }
+    
+    getAllowedTransitions(spacecraftId) {
+        return this.transitions[this.getPhase(spacecraftId)];
+    }
+    
+    canTransition(spacecraftId, phase) {
+        return this.getAllowedTransitions(spacecraftId).includes(phase);
+    }
+    
+    transition(spacecraftId, phase, reason = 'operator') {
+        const state = this.getState(spacecraftId);
+        if (!this.phases[phase]) {
+            console.warn(`Unknown mission phase ${phase}`);
+            return false;
+        }
+        if (!this.canTransition(spacecraftId, phase)) {
+            console.warn(`${spacecraftId}: transition ${state.phase} -> ${phase} is not allowed`);
+            return false;
+        }
+        
+        const previous = state.phase;
+        state.previous = previous;
+        state.phase = phase;
+        state.enteredAt = this.clock.now();
+        state.reason = reason;
+        
+        // Timed phases end on their own
+        if (state.timer !== null) {
+            this.clock.clearTimer(state.timer);
+            state.timer = null;
+        }
+        if (this.phases[phase].duration) {
+            state.timer = this.clock.setTimeout(() => {
+                state.timer = null;
+                this.transition(spacecraftId, state.eclipse ? 'eclipse' : 'nominal', `${this.phases[phase].name} complete`);
+            }, this.phases[phase].duration);
+        }
+        
+        console.log(`${spacecraftId}: mission phase ${previous} -> ${phase} (${reason})`);
+        
+        window.dispatchEvent(new CustomEvent('missionPhaseChange', {
+            detail: { spacecraftId, phase, previous, reason, timestamp: state.enteredAt }
+        }));
+        
+        return true;
+    }
+    
+    // Emergency path: allowed from every phase except safe mode itself
+    enterSafeMode(spacecraftId, reason) {
+        if (this.getPhase(spacecraftId) === 'safe_mode') return false;
+        return this.transition(spacecraftId, 'safe_mode', reason);
+    }
+    
+    // Called with every generated point; only nominal and eclipse follow the shadow automatically
+    updateEclipse(spacecraftId, eclipse) {
+        const state = this.getState(spacecraftId);
+        state.eclipse = eclipse;
+        
+        if (eclipse && state.phase === 'nominal') {
+            this.transition(spacecraftId, 'eclipse', 'eclipse entry');
+        } else if (!eclipse && state.phase === 'eclipse') {
+            this.transition(spacecraftId, 'nominal', 'eclipse exit');
+        }
+    }
+}
+
+// Global mission phase manager instance
+window.missionPhaseManager = new MissionPhaseManager();
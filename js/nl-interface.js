@@ -63,6 +63,24 @@ class NaturalLanguageInterface {
                 handler: 'handleSystemStatusQuery'
             },
             
+            // Channel definitions, units and limits from the data dictionary
+            dictionary: {
+                patterns: [
+                    /(?:what|which).*(?:limits?|thresholds?|ranges?|units?)/i,
+                    /(?:\w+\s+)?(?:limits?|thresholds?|nominal|units?|definition|define)\b.*/i
+                ],
+                handler: 'handleDictionaryQuery'
+            },
+            
+            // Computed channels from the derived channel engine
+            derived: {
+                patterns: [
+                    /(?:derived|computed|calculated)\b.*/i,
+                    /(?:what|how|show).*\b(?:battery power|power balance|depth of discharge|radiator delta|link quality)\b.*/i
+                ],
+                handler: 'handleDerivedQuery'
+            },
+            
             // Subsystem specific queries
             battery: {
                 patterns: [
@@ -128,6 +146,10 @@ class NaturalLanguageInterface {
             // Control commands
             control: {
                 patterns: [
+                    // Telecommands, matched whole so they outrank the subsystem they name
+                    /\b(?:turn|switch|set|enter|exit|leave|start|stop|enable|disable|inhibit|restore|select|command)\b.*\b(?:heaters?|transmitter|battery string|backup power|processor|obc|safe[ _]?mode|payload|imaging|fdir|loads?)\b.*/i,
+                    /^(?:\w+\s+)?(?:heaters?|transmitter|payload|imaging)\s+(?:on|off|start|stop)\b.*/i,
+                    /\b(?:telecommands?|commands? (?:status|history|queue))\b.*/i,
                     /(?:activate|deactivate|turn|switch|enable|disable)/i,
                     /(?:safe.*mode|emergency|shutdown|restart)/i,
                     /(?:simulate|test|failure|demo)/i
@@ -183,16 +205,17 @@ class NaturalLanguageInterface {
         };
     }
     
+    // Channel units and ranges come from the data dictionary (js/data-dictionary.js)
     initializeKnowledgeBase() {
+        const dictionary = window.dataDictionary;
+        
         return {
+            channels: dictionary.getChannels(),
+            
             subsystems: {
                 battery: {
                     description: "Primary power storage system using lithium-ion technology",
-                    normalRanges: {
-                        voltage: "22-28V",
-                        capacity: "80-100%",
-                        temperature: "15-35°C"
-                    },
+                    normalRanges: dictionary.getNominalRanges('battery'),
                     commonIssues: [
                         "Overheating during eclipse periods",
                         "Capacity degradation over time",
@@ -202,11 +225,7 @@ class NaturalLanguageInterface {
                 
                 solar: {
                     description: "Photovoltaic array providing primary power generation",
-                    normalRanges: {
-                        power: "1.8-2.8kW",
-                        efficiency: "85-95%",
-                        temperature: "-20 to 80°C"
-                    },
+                    normalRanges: dictionary.getNominalRanges('solar'),
                     commonIssues: [
                         "Panel degradation from radiation",
                         "Tracking system misalignment",
@@ -216,11 +235,7 @@ class NaturalLanguageInterface {
                 
                 thermal: {
                     description: "Temperature management and heat dissipation system",
-                    normalRanges: {
-                        processor: "20-60°C",
-                        battery: "15-35°C",
-                        radiator: "-60 to -30°C"
-                    },
+                    normalRanges: dictionary.getNominalRanges('thermal'),
                     commonIssues: [
                         "Inadequate heat dissipation",
                         "Thermal cycling stress",
@@ -230,16 +245,42 @@ class NaturalLanguageInterface {
                 
                 communication: {
                     description: "RF communication system for ground contact",
-                    normalRanges: {
-                        signalStrength: "-110 to -70dBm",
-                        dataRate: "128-512kbps",
-                        errorRate: "< 0.1%"
-                    },
+                    normalRanges: dictionary.getNominalRanges('communication'),
                     commonIssues: [
                         "Signal attenuation during maneuvers",
                         "Antenna pointing errors",
                         "Interference from other systems"
                     ]
+                },
+                
+                attitude: {
+                    description: "Reaction wheels, magnetorquers and star tracker holding the commanded attitude",
+                    normalRanges: dictionary.getNominalRanges('attitude'),
+                    commonIssues: [
+                        "Wheel momentum build-up from environmental torques",
+                        "Bearing friction raising wheel current",
+                        "Star tracker blinding by the Sun or Moon"
+                    ]
+                },
+                
+                propulsion: {
+                    description: "Blowdown hydrazine system with four catalytic thrusters",
+                    normalRanges: dictionary.getNominalRanges('propulsion'),
+                    commonIssues: [
+                        "Slow pressurant or propellant leaks",
+                        "Catalyst bed degradation from cold starts",
+                        "Tank heater thermostat failures"
+                    ]
+                },
+                
+                payload: {
+                    description: "Cooled imager operated in scheduled imaging sessions",
+                    normalRanges: dictionary.getNominalRanges('payload'),
+                    commonIssues: [
+                        "Cryocooler degradation warming the detector",
+                        "Sessions lost to eclipse or safe mode",
+                        "Data volume exceeding downlink capacity"
+                    ]
                 }
             },
             
@@ -355,7 +396,7 @@ class NaturalLanguageInterface {
     // Intent Handlers
     
     async handleSystemStatusQuery(query, intent) {
-        const telemetry = window.telemetrySimulator?.getLatestTelemetry();
+        const telemetry = window.telemetrySourceManager?.getLatestTelemetry();
         if (!telemetry) {
             return "Telemetry data is not currently available. Please check system connections.";
         }
@@ -364,14 +405,19 @@ class NaturalLanguageInterface {
         const solar = telemetry.power.solar;
         const thermal = telemetry.thermal;
         const comm = telemetry.communication;
+        const attitude = telemetry.attitude;
+        const propulsion = telemetry.propulsion;
+        const payload = telemetry.payload;
         
         // Determine overall health
-        const statuses = [battery.status, solar.status, thermal.status, comm.status];
+        const statuses = [battery.status, solar.status, thermal.status, comm.status, attitude?.status,
+            propulsion?.status, payload?.status];
         const overallStatus = statuses.includes('critical') ? 'CRITICAL' : 
                             statuses.includes('warning') ? 'WARNING' : 'NOMINAL';
         
-        let response = `🛰️ **SATELLITE STATUS REPORT**\\n\\n`;
-        response += `**Overall Status**: ${overallStatus}\\n\\n`;
+        let response = `🛰️ **SATELLITE STATUS REPORT — ${telemetry.spacecraftId}**\\n\\n`;
+        response += `**Overall Status**: ${overallStatus}\\n`;
+        response += `**Mission Phase**: ${(telemetry.missionPhase || 'nominal').replace('_', ' ').toUpperCase()}\\n\\n`;
         
         response += `**Power Systems:**\\n`;
         response += `• Battery: ${battery.capacity.toFixed(1)}% capacity, ${battery.voltage.toFixed(1)}V (${battery.status.toUpperCase()})\\n`;
@@ -383,12 +429,46 @@ class NaturalLanguageInterface {
         response += `• Status: ${thermal.status.toUpperCase()}\\n\\n`;
         
         response += `**Communications:**\\n`;
-        response += `• Signal: ${comm.signalStrength}dBm\\n`;
-        response += `• Data Rate: ${comm.dataRate}kbps\\n`;
+        const contact = this.describeContact(comm, telemetry.timestamp);
+        if (contact) response += `• Ground Contact: ${contact}\\n`;
+        if (comm.contact !== false) {
+            response += `• Signal: ${comm.signalStrength}dBm\\n`;
+            response += `• Data Rate: ${comm.dataRate}kbps\\n`;
+        }
         response += `• Status: ${comm.status.toUpperCase()}\\n\\n`;
         
+        if (attitude?.wheels) {
+            const wheelSpeed = Math.max(...Object.values(attitude.wheels).map(wheel => Math.abs(wheel.speed)));
+            response += `**Attitude Control:**\\n`;
+            response += `• Pointing Error: ${attitude.pointingError.toFixed(3)}°\\n`;
+            response += `• Max Wheel Speed: ${wheelSpeed} rpm\\n`;
+            response += `• Star Tracker: ${attitude.starTracker.valid ? 'Valid' : 'No fix'}\\n`;
+            response += `• Status: ${attitude.status.toUpperCase()}\\n\\n`;
+        }
+        
+        if (propulsion?.thrusters) {
+            response += `**Propulsion:**\\n`;
+            response += `• Tank Pressure: ${propulsion.tankPressure.toFixed(2)} bar\\n`;
+            response += `• Propellant: ${propulsion.propellantMass.toFixed(1)} kg\\n`;
+            response += `• Thrusters: ${propulsion.burnDuration > 0 ? `Firing (${propulsion.burnDuration}s)` : 'Idle'}\\n`;
+            response += `• Status: ${propulsion.status.toUpperCase()}\\n\\n`;
+        }
+        
+        if (payload) {
+            response += `**Payload:**\\n`;
+            response += `• State: ${payload.on ? `Imaging (${payload.sessionId || 'session'})` : payload.power > 0 ? 'Standby' : 'Off'}\\n`;
+            response += `• Detector: ${payload.detectorTemperature.toFixed(1)}°C\\n`;
+            response += `• Data Produced: ${(payload.dataVolume / 1000).toFixed(1)} GB\\n`;
+            response += `• Status: ${payload.status.toUpperCase()}\\n\\n`;
+        }
+        
+        const fdir = this.describeFdir(telemetry);
+        if (fdir) {
+            response += `**Onboard FDIR:**\\n${fdir}\\n`;
+        }
+        
         // Add active anomalies if any
-        const anomalies = window.anomalyDetector?.getActiveAnomalies() || [];
+        const anomalies = window.anomalyDetector?.getActiveAnomalies(telemetry.spacecraftId) || [];
         if (anomalies.length > 0) {
             response += `**⚠️ Active Anomalies**: ${anomalies.length}\\n`;
             anomalies.slice(0, 3).forEach(a => {
@@ -400,15 +480,19 @@ class NaturalLanguageInterface {
     }
     
     async handleBatteryQuery(query, intent) {
-        const telemetry = window.telemetrySimulator?.getLatestTelemetry();
+        const telemetry = window.telemetrySourceManager?.getLatestTelemetry();
         if (!telemetry) return this.getRandomTemplate('noData');
         
         const battery = telemetry.power.battery;
-        const predictions = window.recommendationEngine?.predictiveModels.battery.getPredictions();
+        const predictions = window.recommendationEngine?.getPredictiveModels(telemetry.spacecraftId).battery.getPredictions();
         
         let response = `🔋 **BATTERY SYSTEM STATUS**\\n\\n`;
         response += `**Current Status**: ${battery.status.toUpperCase()}\\n`;
         response += `**Capacity**: ${battery.capacity.toFixed(1)}% (${this.getBatteryHealthDescription(battery.capacity)})\\n`;
+        if (battery.stateOfCharge !== undefined) {
+            response += `**State of Charge**: ${battery.stateOfCharge.toFixed(1)}%\\n`;
+            response += `**Cycles**: ${battery.cycles} (last depth of discharge ${battery.cycleDepth.toFixed(1)}%)\\n`;
+        }
         response += `**Voltage**: ${battery.voltage.toFixed(1)}V ${this.getVoltageAssessment(battery.voltage)}\\n`;
         response += `**Current**: ${battery.current.toFixed(1)}A ${battery.current < 0 ? '(discharging)' : '(charging)'}\\n`;
         response += `**Temperature**: ${battery.temperature.toFixed(1)}°C ${this.getThermalAssessment(battery.temperature, 'battery')}\\n\\n`;
@@ -419,6 +503,9 @@ class NaturalLanguageInterface {
             if (predictions.timeToFailure) {
                 response += `• Estimated Service Life: ${Math.round(predictions.timeToFailure / 3600)} hours\\n`;
             }
+            if (predictions.cyclesToFailure !== null && predictions.cyclesToFailure !== undefined) {
+                response += `• Capacity Fade: ${predictions.fadePerCycle.toFixed(3)}% per cycle, about ${predictions.cyclesToFailure} cycles of service left\\n`;
+            }
         }
         
         // Add maintenance recommendations
@@ -434,7 +521,7 @@ class NaturalLanguageInterface {
     }
     
     async handleSolarQuery(query, intent) {
-        const telemetry = window.telemetrySimulator?.getLatestTelemetry();
+        const telemetry = window.telemetrySourceManager?.getLatestTelemetry();
         if (!telemetry) return this.getRandomTemplate('noData');
         
         const solar = telemetry.power.solar;
@@ -468,7 +555,7 @@ class NaturalLanguageInterface {
     }
     
     async handleThermalQuery(query, intent) {
-        const telemetry = window.telemetrySimulator?.getLatestTelemetry();
+        const telemetry = window.telemetrySourceManager?.getLatestTelemetry();
         if (!telemetry) return this.getRandomTemplate('noData');
         
         const thermal = telemetry.thermal;
@@ -483,7 +570,7 @@ class NaturalLanguageInterface {
         response += `• Radiator: ${thermal.radiator}°C ${this.getThermalAssessment(thermal.radiator, 'radiator')}\\n\\n`;
         
         // Thermal trends
-        const thermalHistory = window.telemetrySimulator?.getHistoricalData('thermal', 1) || [];
+        const thermalHistory = window.telemetrySourceManager?.getHistoricalData('thermal', 1) || [];
         if (thermalHistory.length > 10) {
             const recent = thermalHistory.slice(-5);
             const earlier = thermalHistory.slice(-10, -5);
@@ -500,13 +587,26 @@ class NaturalLanguageInterface {
     }
     
     async handleCommunicationQuery(query, intent) {
-        const telemetry = window.telemetrySimulator?.getLatestTelemetry();
+        const telemetry = window.telemetrySourceManager?.getLatestTelemetry();
         if (!telemetry) return this.getRandomTemplate('noData');
         
         const comm = telemetry.communication;
         
         let response = `📡 **COMMUNICATION SYSTEM STATUS**\\n\\n`;
         response += `**Overall Status**: ${comm.status.toUpperCase()}\\n`;
+        
+        const contact = this.describeContact(comm, telemetry.timestamp);
+        if (contact) response += `**Ground Contact**: ${contact}\\n`;
+        
+        const frames = this.describeFrameAccounting(telemetry.spacecraftId);
+        if (frames) response += `**Frame Accounting**: ${frames}\\n`;
+        
+        // Between passes there is no downlink to report on
+        if (comm.contact === false) {
+            response += `**Antenna Temperature**: ${comm.antennaTemperature.toFixed(1)}°C\\n`;
+            return response;
+        }
+        
         response += `**Signal Strength**: ${comm.signalStrength}dBm ${this.getSignalAssessment(comm.signalStrength)}\\n`;
         response += `**Data Rate**: ${comm.dataRate}kbps\\n`;
         response += `**Error Rate**: ${(comm.errorRate * 100).toFixed(3)}%\\n`;
@@ -540,13 +640,27 @@ class NaturalLanguageInterface {
             response += `**⚠️ Active Anomalies: ${activeAnomalies.length}**\\n\\n`;
             
             activeAnomalies.slice(0, 5).forEach((anomaly, index) => {
-                response += `${index + 1}. **${anomaly.subsystem.toUpperCase()} - ${anomaly.severity.toUpperCase()}**\\n`;
+                response += `${index + 1}. **[${anomaly.spacecraftId}] ${anomaly.subsystem.toUpperCase()} - ${anomaly.severity.toUpperCase()}**\\n`;
                 response += `   • ${anomaly.message}\\n`;
                 response += `   • Risk Level: ${(anomaly.riskLevel * 100).toFixed(0)}%\\n`;
                 response += `   • Detected: ${new Date(anomaly.timestamp).toLocaleTimeString()}\\n`;
                 if (anomaly.explanation) {
                     response += `   • Explanation: ${anomaly.explanation}\\n`;
                 }
+                
+                // Correlated again now, so events reported since detection are included
+                const correlated = window.anomalyDetector.correlateEvents(anomaly);
+                const related = correlated.slice(0, 2);
+                if (related.length > 0) {
+                    response += `   • Nearby Events: ${related.map(event =>
+                        `${event.type} ${Math.abs(event.offset)}s ${event.offset <= 0 ? 'before' : 'after'} (${event.message})`).join('; ')}\\n`;
+                }
+                
+                // Whether onboard autonomy got there before the ground did
+                const onboard = correlated.find(event => event.type === 'FDIR_ACTION');
+                if (onboard) {
+                    response += `   • Onboard Response: FDIR acted ${Math.abs(onboard.offset)}s ${onboard.offset <= 0 ? 'before' : 'after'} detection (${onboard.message})\\n`;
+                }
                 response += `\\n`;
             });
         }
@@ -582,7 +696,7 @@ class NaturalLanguageInterface {
         }
         
         // General predictive insights
-        const telemetry = window.telemetrySimulator?.getLatestTelemetry();
+        const telemetry = window.telemetrySourceManager?.getLatestTelemetry();
         if (telemetry) {
             response += `**🎯 Predictive Insights**:\\n`;
             
@@ -630,7 +744,7 @@ class NaturalLanguageInterface {
             response += `**📋 Active Recommendations: ${activeRecommendations.length}**\\n\\n`;
             
             activeRecommendations.slice(0, 5).forEach((rec, index) => {
-                response += `${index + 1}. **${rec.title}** (${rec.priority})\\n`;
+                response += `${index + 1}. **[${rec.spacecraftId || 'FLEET'}] ${rec.title}** (${rec.priority})\\n`;
                 response += `   • ${rec.description}\\n`;
                 response += `   • Risk Level: ${(rec.riskLevel * 100).toFixed(0)}%\\n`;
                 
@@ -678,38 +792,248 @@ class NaturalLanguageInterface {
             }
             
             return response;
-        } else {
-            return `⚠️ **SAFETY RESTRICTION**\\n\\nActual satellite control commands are not available through this interface for safety reasons. Only simulation commands are supported.\\n\\nFor real operations, use the authorized mission control systems.`;
         }
+        
+        const spacecraftId = window.fleetManager.getSelectedId();
+        if (/\b(?:telecommands?|commands? (?:status|history|queue))\b/i.test(query)) {
+            return this.describeTelecommandHistory(spacecraftId);
+        }
+        
+        const simulator = window.fleetManager.getVehicle(spacecraftId)?.simulator;
+        if (!simulator) {
+            return `${spacecraftId} is not simulated, so it cannot be commanded from here.`;
+        }
+        
+        const telecommand = this.parseTelecommand(query, simulator);
+        if (!telecommand) {
+            return `⚠️ **SAFETY RESTRICTION**\\n\\nActual satellite control commands are not available through this interface for safety reasons. Only simulated telecommands and failure simulations are supported:\\n\\n• "Turn the battery heater off" / "heater on"\\n• "Switch to the redundant transmitter" / "battery string B" / "processor A"\\n• "Enter safe mode" / "exit safe mode"\\n• "Start payload imaging in 5 minutes" / "stop payload"\\n• "Restore loads" / "disable FDIR"\\n• "Command status"\\n\\nFor real operations, use the authorized mission control systems.`;
+        }
+        
+        const record = window.telecommandManager.send(spacecraftId, telecommand.name, telecommand.args, { delay: telecommand.delay });
+        
+        const command = window.telecommandManager.getCommand(record.command);
+        let response = `📡 **TELECOMMAND ${record.id} — ${spacecraftId}**\\n\\n`;
+        response += `**Command**: ${record.command} ${Object.values(record.args).join(' ')}\\n`;
+        response += `**Stage**: ${record.status.toUpperCase()}${record.reason ? ` (${record.reason})` : ''}\\n`;
+        if (record.executeAt !== null) {
+            response += `**Timetag**: ${new Date(record.executeAt).toISOString()}\\n`;
+        }
+        
+        if (record.status === 'queued') {
+            const latest = simulator.getLatestTelemetry();
+            const contact = this.describeContact(latest.communication, latest.timestamp);
+            response += `\\nWaiting for ground contact to uplink${contact ? `: ${contact}` : ''}.\\n`;
+        }
+        if (record.status !== 'failed') {
+            response += `\\n**Verification**: ${command.effect}. Ask for "command status" to follow it.`;
+        }
+        
+        return response;
+    }
+    
+    // Command name, arguments and optional "in N minutes" timetag from free text; null if none is recognised
+    parseTelecommand(query, simulator) {
+        const text = query.toLowerCase().trim();
+        let telecommand = null;
+        
+        // "Is the heater on?" asks about state rather than commanding it
+        if (/^(?:is|are|was|were|what|why|how|when|does|did)\b/.test(text)) return null;
+        
+        if (/\bfdir\b/.test(text)) {
+            if (/\b(?:off|disable|inhibit)\b/.test(text)) telecommand = { name: 'FDIR_DISABLE', args: { monitor: 'ALL' } };
+            else if (/\b(?:on|enable)\b/.test(text)) telecommand = { name: 'FDIR_ENABLE', args: { monitor: 'ALL' } };
+        } else if (/\brestore\b.*\bloads?\b|\bloads?\b.*\brestore\b/.test(text)) {
+            telecommand = { name: 'LOADS_RESTORE', args: {} };
+        } else if (/\bheaters?\b/.test(text)) {
+            if (/\b(?:off|disable)\b/.test(text)) telecommand = { name: 'HEATER_OFF', args: { node: 'battery' } };
+            else if (/\b(?:on|enable)\b/.test(text)) telecommand = { name: 'HEATER_ON', args: { node: 'battery' } };
+        } else if (/\btransmitter\b/.test(text)) {
+            telecommand = { name: 'TX_SELECT', args: { unit: this.parseUnit(text, 'transmitter', simulator) } };
+        } else if (/\bbattery string\b|\bbackup power\b|\bbattery\b.*\b(?:redundant|backup|secondary|prime|primary)\b/.test(text)) {
+            telecommand = { name: 'BATT_SELECT', args: { unit: this.parseUnit(text, 'battery', simulator) } };
+        } else if (/\b(?:processor|obc|computer)\b/.test(text)) {
+            telecommand = { name: 'OBC_SELECT', args: { unit: this.parseUnit(text, 'processor', simulator) } };
+        } else if (/safe[ _]?mode/.test(text)) {
+            const phase = /\b(?:exit|leave|recover|out of)\b/.test(text) ? 'nominal' : 'safe_mode';
+            telecommand = { name: 'PHASE_SET', args: { phase } };
+        } else if (/\b(?:payload|imaging)\b/.test(text)) {
+            if (/\b(?:stop|end|off|abort)\b/.test(text)) telecommand = { name: 'PAYLOAD_STOP', args: {} };
+            else if (/\b(?:start|begin|on)\b/.test(text)) telecommand = { name: 'PAYLOAD_START', args: {} };
+        }
+        if (!telecommand) return null;
+        
+        const timetag = text.match(/\bin (\d+(?:\.\d+)?)\s*(s|sec|seconds?|m|min|minutes?|h|hours?)\b/);
+        const units = { s: 1000, m: 60000, h: 3600000 };
+        telecommand.delay = timetag ? Number(timetag[1]) * units[timetag[2][0]] : 0;
+        
+        return telecommand;
+    }
+    
+    // Unit named outright ("transmitter B"), the prime unit, or else the one that is not active
+    parseUnit(text, group, simulator) {
+        const named = text.match(/\b(?:transmitter|string|processor|obc|computer|unit|side)\s+([ab])\b/);
+        if (named) return named[1].toUpperCase();
+        if (/\b(?:prime|primary|main|nominal)\b/.test(text) && !/\b(?:redundant|backup|secondary)\b/.test(text)) return 'A';
+        return simulator.getActiveUnits()[group] === 'A' ? 'B' : 'A';
+    }
+    
+    describeTelecommandHistory(spacecraftId) {
+        const records = window.telecommandManager.getHistory(spacecraftId, 10);
+        if (records.length === 0) {
+            return `No telecommands have been sent to ${spacecraftId}.`;
+        }
+        
+        let response = `📡 **TELECOMMANDS — ${spacecraftId}**\\n\\n`;
+        records.slice().reverse().forEach(record => {
+            response += `• ${record.id} ${record.command} ${Object.values(record.args).join(' ')}: **${record.status.toUpperCase()}**`;
+            response += record.reason ? ` (${record.reason})\\n` : `\\n`;
+        });
+        return response;
     }
     
     async handleHistoryQuery(query, intent) {
-        const powerHistory = window.telemetrySimulator?.getHistoricalData('power', 5) || [];
+        const latest = window.telemetrySourceManager?.getLatestTelemetry();
+        if (!latest || !window.telemetryArchive) {
+            return this.getRandomTemplate('noData');
+        }
         
-        if (powerHistory.length === 0) {
+        // Span asked for, e.g. "last 6 hours" or "past 2 days"; one hour otherwise
+        const span = this.parseTimeSpan(query) ?? 3600000;
+        const to = latest.timestamp;
+        const { resolution, series } = await window.telemetryArchive.query(latest.spacecraftId, [
+            'power.battery.voltage',
+            'power.battery.capacity',
+            'power.solar.power',
+            'thermal.processor'
+        ], to - span, to, { maxPoints: 120 });
+        
+        const voltage = series['power.battery.voltage'];
+        if (voltage.length === 0) {
             return this.getRandomTemplate('noData');
         }
         
-        let response = `📈 **HISTORICAL DATA SUMMARY**\\n\\n`;
+        const spanLabel = this.formatTimeToAct(span / 1000);
+        // Trends compare the first and last third of the span, which evens out single eclipse samples
+        const thirds = samples => {
+            const size = Math.max(1, Math.floor(samples.length / 3));
+            const average = part => part.reduce((sum, sample) => sum + sample.mean, 0) / part.length;
+            return [average(samples.slice(0, size)), average(samples.slice(-size))];
+        };
+        const summarize = samples => ({
+            min: Math.min(...samples.map(sample => sample.min)),
+            max: Math.max(...samples.map(sample => sample.max)),
+            mean: samples.reduce((sum, sample) => sum + sample.mean * sample.count, 0) /
+                samples.reduce((sum, sample) => sum + sample.count, 0)
+        });
+        
+        let response = `📈 **HISTORICAL DATA SUMMARY — ${latest.spacecraftId}**\\n\\n`;
         
-        // Calculate trends
-        const recent = powerHistory.slice(-10);
-        const batteryTrend = this.calculateTrend(recent.map(d => d.power.battery.voltage));
-        const solarTrend = this.calculateTrend(recent.map(d => d.power.solar.power));
+        const batteryTrend = this.calculateTrend(thirds(voltage));
+        const capacityTrend = this.calculateTrend(thirds(series['power.battery.capacity']));
+        const solarTrend = this.calculateTrend(thirds(series['power.solar.power']));
         
-        response += `**5-Minute Trends**:\\n`;
+        response += `**${spanLabel} Trends**:\\n`;
         response += `• Battery Voltage: ${batteryTrend.direction} ${batteryTrend.description}\\n`;
+        response += `• Battery Capacity: ${capacityTrend.direction} ${capacityTrend.description}\\n`;
         response += `• Solar Power: ${solarTrend.direction} ${solarTrend.description}\\n\\n`;
         
-        // Recent statistics
-        const latestBattery = recent[recent.length - 1].power.battery.voltage;
-        const avgBattery = recent.reduce((sum, d) => sum + d.power.battery.voltage, 0) / recent.length;
+        const battery = summarize(voltage);
+        const processor = summarize(series['thermal.processor']);
+        
+        response += `**Statistics**:\\n`;
+        response += `• Battery Voltage: ${latest.power.battery.voltage.toFixed(1)}V now, ${battery.min.toFixed(1)}–${battery.max.toFixed(1)}V (average ${battery.mean.toFixed(1)}V)\\n`;
+        response += `• Processor: ${processor.min.toFixed(1)}–${processor.max.toFixed(1)}°C (average ${processor.mean.toFixed(1)}°C)\\n`;
+        response += `• Samples: ${voltage.length} at ${resolution === 'raw' ? 'full rate' : `${resolution} resolution`}\\n`;
+        
+        // The archive may not reach back as far as asked
+        const covered = to - voltage[0].timestamp;
+        if (covered < span * 0.9) {
+            response += `• Archive covers only the last ${this.formatTimeToAct(covered / 1000)}\\n`;
+        }
+        
+        return response;
+    }
+    
+    // "last 6 hours", "past 2 days", "30 minutes ago", "last week"; null when the query gives no span
+    parseTimeSpan(query) {
+        const units = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+        
+        const counted = query.match(/(\d+(?:\.\d+)?)\s*(min|minute|h|hr|hour|d|day|w|week)s?\b/i);
+        if (counted) return Number(counted[1]) * units[counted[2][0].toLowerCase()];
+        
+        const single = query.match(/\b(?:last|past|previous)\s+(minute|hour|day|week)\b/i);
+        if (single) return units[single[1][0].toLowerCase()];
+        
+        return /yesterday/i.test(query) ? units.d : null;
+    }
+    
+    async handleDictionaryQuery(query, intent) {
+        const dictionary = window.dataDictionary;
+        const telemetry = window.telemetrySourceManager?.getLatestTelemetry();
+        const spacecraftId = telemetry?.spacecraftId || window.fleetManager.getSelectedId();
+        const profile = window.missionPhaseManager.getProfile(spacecraftId);
+        const phase = window.missionPhaseManager.getPhase(spacecraftId);
+        
+        // Named channels first; a subsystem name alone lists every channel with limits
+        let channels = dictionary.search(query).slice(0, 3);
+        if (channels.length === 0) {
+            const subsystem = ['battery', 'solar', 'thermal', 'communication', 'attitude', 'propulsion', 'payload']
+                .find(name => query.toLowerCase().includes(name.slice(0, 5)));
+            channels = subsystem ?
+                dictionary.getChannels(subsystem).filter(channel => channel.warning || channel.critical) :
+                [];
+        }
+        
+        if (channels.length === 0) {
+            return `📖 I couldn't find that channel in the data dictionary.\\n\\n` +
+                `Try "What are the limits for battery voltage?" or "thermal limits".`;
+        }
+        
+        let response = `📖 **DATA DICTIONARY** (${profile.name} limits)\\n\\n`;
+        
+        channels.forEach(channel => {
+            response += `**${channel.name}** (${channel.id}, \`${channel.path}\`${channel.unit ? `, ${channel.unit}` : ''})\\n`;
+            response += `${channel.description}\\n`;
+            
+            if (channel.expression) {
+                response += `• Derived: \`${channel.expression}\`\\n`;
+            }
+            
+            const summary = dictionary.getLimitSummary(channel, phase);
+            if (summary) {
+                response += `• ${summary.charAt(0).toUpperCase()}${summary.slice(1)}\\n`;
+            }
+            
+            const values = telemetry ? dictionary.resolve(telemetry, channel) : [];
+            if (values.length > 0) {
+                response += `• Current: ${values.map(([path, value]) =>
+                    (values.length > 1 ? `${path.split('.').slice(-2, -1)[0]} ` : '') + dictionary.formatValue(value, channel.unit)).join(', ')}\\n`;
+            }
+            response += `\\n`;
+        });
+        
+        return response;
+    }
+    
+    // A named derived channel is answered like any dictionary channel; otherwise all of them are listed
+    async handleDerivedQuery(query, intent) {
+        const dictionary = window.dataDictionary;
+        const channels = dictionary.getChannels().filter(channel => channel.expression);
+        
+        if (dictionary.search(query).some(channel => channel.expression)) {
+            return this.handleDictionaryQuery(query, intent);
+        }
+        
+        const telemetry = window.telemetrySourceManager?.getLatestTelemetry();
+        let response = `🧮 **DERIVED CHANNELS**\\n\\n`;
         
-        response += `**Recent Statistics**:\\n`;
-        response += `• Current Battery: ${latestBattery.toFixed(1)}V\\n`;
-        response += `• 5-min Average: ${avgBattery.toFixed(1)}V\\n`;
-        response += `• Data Points: ${powerHistory.length}\\n`;
+        channels.forEach(channel => {
+            const value = telemetry?.derived?.[channel.parameter];
+            response += `• **${channel.name}**: ${value !== undefined ? dictionary.formatValue(value, channel.unit) : 'no data'}`;
+            response += ` = \`${channel.expression}\`\\n`;
+        });
         
+        response += `\\nAsk "What are the limits for link quality?" for ranges, or add channels with \`derivedChannels.define()\`.`;
         return response;
     }
     
@@ -723,7 +1047,10 @@ class NaturalLanguageInterface {
         response += `• 🔮 Predictive analysis and maintenance\\n`;
         response += `• 💡 Operational recommendations\\n`;
         response += `• 📈 Historical data and trends\\n`;
-        response += `• 🎮 Failure simulations (demo mode)\\n\\n`;
+        response += `• 📖 Channel units, ranges and limits\\n`;
+        response += `• 🧮 Derived channels such as battery power and net power balance\\n`;
+        response += `• 🎮 Failure simulations (demo mode)\\n`;
+        response += `• 📡 Simulated telecommands with verification\\n\\n`;
         
         response += `**Example Questions**:\\n`;
         response += `• "What's the overall satellite status?"\\n`;
@@ -731,7 +1058,9 @@ class NaturalLanguageInterface {
         response += `• "Are there any anomalies?"\\n`;
         response += `• "What are your recommendations?"\\n`;
         response += `• "Predict future maintenance needs"\\n`;
-        response += `• "Simulate battery failure"\\n\\n`;
+        response += `• "Simulate battery failure"\\n`;
+        response += `• "Switch to the redundant transmitter"\\n`;
+        response += `• "What are the limits for battery voltage?"\\n\\n`;
         
         response += `**Tips**:\\n`;
         response += `• Use natural language - I understand conversational queries\\n`;
@@ -814,6 +1143,54 @@ class NaturalLanguageInterface {
         return "(Critical)";
     }
     
+    // Station in view with time to LOS, or time to the next AOS; null for sources without pass data
+    describeContact(comm, timestamp) {
+        if (comm.contact === undefined) return null;
+        
+        if (!comm.contact) {
+            return comm.passAos ?
+                `None, next pass ${comm.passStation} in ${this.formatTimeToAct((comm.passAos - timestamp) / 1000)}` :
+                'None, no pass predicted';
+        }
+        
+        let description = comm.station ? `${comm.station}, ${comm.elevation}° elevation, ${comm.range} km` : 'In contact';
+        if (comm.passLos) {
+            description += `, LOS in ${this.formatTimeToAct((comm.passLos - timestamp) / 1000)}`;
+        }
+        return description;
+    }
+    
+    // Frame loss, duplicates and late frames of the pass under way or, between passes, of the last one
+    describeFrameAccounting(spacecraftId) {
+        const current = window.frameAccounting?.getCurrentPass(spacecraftId);
+        const pass = current || window.frameAccounting?.getPasses(spacecraftId, 1)[0];
+        if (!pass) return null;
+        
+        return `${pass.lossPercent.toFixed(2)}% lost ${current ? 'this pass' : `last pass${pass.station ? ` (${pass.station})` : ''}`}: ` +
+            `${pass.received} frames received, ${pass.lost} lost, ${pass.duplicates} duplicated, ${pass.outOfOrder} out of order`;
+    }
+    
+    // Monitor states and the last automatic response, from the FDIR telemetry block
+    describeFdir(telemetry) {
+        const fdir = telemetry.fdir;
+        if (!fdir) return null;
+        
+        const monitors = Object.entries(fdir.monitors);
+        const active = monitors.filter(([, monitor]) => monitor.status === 'counting' || monitor.status === 'responded');
+        let description = `• Monitoring: ${fdir.enabled ? `${monitors.filter(([, monitor]) => monitor.status !== 'disabled').length} of ${monitors.length} monitors enabled` : 'DISABLED'}\\n`;
+        if (active.length > 0) {
+            description += `• Tripped: ${active.map(([id, monitor]) => `${id} (${monitor.status}${monitor.level > 0 ? `, level ${monitor.level}` : ''})`).join(', ')}\\n`;
+        }
+        if (fdir.loadsShed) {
+            description += `• Loads: non-essential loads shed, LOADS_RESTORE to recover\\n`;
+        }
+        if (fdir.lastAction) {
+            description += `• Last Response: ${fdir.lastAction.monitor} ${fdir.lastAction.description}, ` +
+                `${this.formatTimeToAct((telemetry.timestamp - fdir.lastAction.timestamp) / 1000)} ago\\n`;
+        }
+        return description;
+    }
+    
     assessCommunicationQuality(comm) {
         const quality = {
             description: "Unknown",
@@ -878,7 +1255,7 @@ class NaturalLanguageInterface {
     
     getSubsystemRecommendations(subsystem) {
         const recommendations = [];
-        const telemetry = window.telemetrySimulator?.getLatestTelemetry();
+        const telemetry = window.telemetrySourceManager?.getLatestTelemetry();
         
         if (!telemetry) return recommendations;
         
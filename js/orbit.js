@@ -0,0 +1,661 @@
+/**
+ * Orbit Propagation Model
+ * Propagates a TLE with SGP4 and derives eclipse, sun geometry and ground track
+ */
+
+class SGP4Propagator {
+    constructor(elements) {
+        // WGS-72 constants, as used to generate TLEs
+        this.constants = {
+            radiusEarth: 6378.135, // km
+            xke: 60.0 / Math.sqrt(6378.135 ** 3 / 398600.8), // sqrt(mu) in earth radii^1.5 / min
+            j2: 0.001082616,
+            j3: -0.00000253881,
+            j4: -0.00000165597
+        };
+        this.constants.j3oj2 = this.constants.j3 / this.constants.j2;
+        
+        this.elements = elements;
+        this.initialize();
+    }
+    
+    initialize() {
+        const { radiusEarth, xke, j2, j4, j3oj2 } = this.constants;
+        const { eccentricity: ecco, inclination: inclo, argumentOfPerigee: argpo, meanAnomaly: mo, bstar } = this.elements;
+        const x2o3 = 2.0 / 3.0;
+        
+        // Recover original mean motion and semi-major axis from the Kozai mean motion
+        const cosio = Math.cos(inclo);
+        const cosio2 = cosio * cosio;
+        const omeosq = 1.0 - ecco * ecco;
+        const rteosq = Math.sqrt(omeosq);
+        const ak = Math.pow(xke / this.elements.meanMotion, x2o3);
+        const d1 = 0.75 * j2 * (3.0 * cosio2 - 1.0) / (rteosq * omeosq);
+        let del = d1 / (ak * ak);
+        const adel = ak * (1.0 - del * del - del * (1.0 / 3.0 + 134.0 * del * del / 81.0));
+        del = d1 / (adel * adel);
+        
+        const no = this.elements.meanMotion / (1.0 + del);
+        const ao = Math.pow(xke / no, x2o3);
+        const sinio = Math.sin(inclo);
+        const po = ao * omeosq;
+        const con42 = 1.0 - 5.0 * cosio2;
+        const con41 = -con42 - cosio2 - cosio2;
+        const posq = po * po;
+        const rp = ao * (1.0 - ecco);
+        
+        if (2 * Math.PI / no >= 225.0) {
+            throw new Error('Deep-space orbits (period >= 225 min) are not supported by this SGP4 implementation');
+        }
+        
+        // Perigees below 220 km use the simplified drag model
+        const isimp = rp < (220.0 / radiusEarth + 1.0);
+        
+        let sfour = 78.0 / radiusEarth + 1.0;
+        let qzms24 = Math.pow((120.0 - 78.0) / radiusEarth, 4);
+        const perige = (rp - 1.0) * radiusEarth;
+        if (perige < 156.0) {
+            sfour = perige < 98.0 ? 20.0 : perige - 78.0;
+            qzms24 = Math.pow((120.0 - sfour) / radiusEarth, 4);
+            sfour = sfour / radiusEarth + 1.0;
+        }
+        
+        const pinvsq = 1.0 / posq;
+        const tsi = 1.0 / (ao - sfour);
+        const eta = ao * ecco * tsi;
+        const etasq = eta * eta;
+        const eeta = ecco * eta;
+        const psisq = Math.abs(1.0 - etasq);
+        const coef = qzms24 * Math.pow(tsi, 4);
+        const coef1 = coef / Math.pow(psisq, 3.5);
+        const cc2 = coef1 * no * (ao * (1.0 + 1.5 * etasq + eeta * (4.0 + etasq)) +
+            0.375 * j2 * tsi / psisq * con41 * (8.0 + 3.0 * etasq * (8.0 + etasq)));
+        const cc1 = bstar * cc2;
+        const cc3 = ecco > 1.0e-4 ? -2.0 * coef * tsi * j3oj2 * no * sinio / ecco : 0.0;
+        const x1mth2 = 1.0 - cosio2;
+        const cc4 = 2.0 * no * coef1 * ao * omeosq * (eta * (2.0 + 0.5 * etasq) + ecco * (0.5 + 2.0 * etasq) -
+            j2 * tsi / (ao * psisq) * (-3.0 * con41 * (1.0 - 2.0 * eeta + etasq * (1.5 - 0.5 * eeta)) +
+            0.75 * x1mth2 * (2.0 * etasq - eeta * (1.0 + etasq)) * Math.cos(2.0 * argpo)));
+        const cc5 = 2.0 * coef1 * ao * omeosq * (1.0 + 2.75 * (etasq + eeta) + eeta * etasq);
+        
+        // Secular rates from J2 and J4
+        const cosio4 = cosio2 * cosio2;
+        const temp1 = 1.5 * j2 * pinvsq * no;
+        const temp2 = 0.5 * temp1 * j2 * pinvsq;
+        const temp3 = -0.46875 * j4 * pinvsq * pinvsq * no;
+        const mdot = no + 0.5 * temp1 * rteosq * con41 + 0.0625 * temp2 * rteosq * (13.0 - 78.0 * cosio2 + 137.0 * cosio4);
+        const argpdot = -0.5 * temp1 * con42 + 0.0625 * temp2 * (7.0 - 114.0 * cosio2 + 395.0 * cosio4) +
+            temp3 * (3.0 - 36.0 * cosio2 + 49.0 * cosio4);
+        const xhdot1 = -temp1 * cosio;
+        const nodedot = xhdot1 + (0.5 * temp2 * (4.0 - 19.0 * cosio2) + 2.0 * temp3 * (3.0 - 7.0 * cosio2)) * cosio;
+        
+        const state = {
+            no, ao, con41, x1mth2, cc1, cc4, cc5, eta, isimp,
+            mdot, argpdot, nodedot,
+            omgcof: bstar * cc3 * Math.cos(argpo),
+            xmcof: ecco > 1.0e-4 ? -x2o3 * coef * bstar / eeta : 0.0,
+            nodecf: 3.5 * omeosq * xhdot1 * cc1,
+            t2cof: 1.5 * cc1,
+            xlcof: -0.25 * j3oj2 * sinio * (3.0 + 5.0 * cosio) / (Math.abs(cosio + 1.0) > 1.5e-12 ? 1.0 + cosio : 1.5e-12),
+            aycof: -0.5 * j3oj2 * sinio,
+            delmo: Math.pow(1.0 + eta * Math.cos(mo), 3),
+            sinmao: Math.sin(mo),
+            x7thm1: 7.0 * cosio2 - 1.0
+        };
+        
+        if (!isimp) {
+            const cc1sq = cc1 * cc1;
+            state.d2 = 4.0 * ao * tsi * cc1sq;
+            const temp = state.d2 * tsi * cc1 / 3.0;
+            state.d3 = (17.0 * ao + sfour) * temp;
+            state.d4 = 0.5 * temp * ao * tsi * (221.0 * ao + 31.0 * sfour) * cc1;
+            state.t3cof = state.d2 + 2.0 * cc1sq;
+            state.t4cof = 0.25 * (3.0 * state.d3 + cc1 * (12.0 * state.d2 + 10.0 * cc1sq));
+            state.t5cof = 0.2 * (3.0 * state.d4 + 12.0 * cc1 * state.d3 + 6.0 * state.d2 * state.d2 +
+                15.0 * cc1sq * (2.0 * state.d2 + cc1sq));
+        }
+        
+        this.state = state;
+    }
+    
+    // Position (km) and velocity (km/s) in the TEME frame, tsince minutes from the TLE epoch
+    propagate(tsince) {
+        const { radiusEarth, xke, j2 } = this.constants;
+        const { eccentricity: ecco, inclination: inclo, argumentOfPerigee: argpo, rightAscension: nodeo, meanAnomaly: mo, bstar } = this.elements;
+        const s = this.state;
+        
+        // Secular gravity and atmospheric drag
+        const xmdf = mo + s.mdot * tsince;
+        const argpdf = argpo + s.argpdot * tsince;
+        const nodedf = nodeo + s.nodedot * tsince;
+        let argpm = argpdf;
+        let mm = xmdf;
+        const t2 = tsince * tsince;
+        let nodem = nodedf + s.nodecf * t2;
+        let tempa = 1.0 - s.cc1 * tsince;
+        let tempe = bstar * s.cc4 * tsince;
+        let templ = s.t2cof * t2;
+        
+        if (!s.isimp) {
+            const delomg = s.omgcof * tsince;
+            const delm = s.xmcof * (Math.pow(1.0 + s.eta * Math.cos(xmdf), 3) - s.delmo);
+            const temp = delomg + delm;
+            mm = xmdf + temp;
+            argpm = argpdf - temp;
+            const t3 = t2 * tsince;
+            const t4 = t3 * tsince;
+            tempa = tempa - s.d2 * t2 - s.d3 * t3 - s.d4 * t4;
+            tempe = tempe + bstar * s.cc5 * (Math.sin(mm) - s.sinmao);
+            templ = templ + s.t3cof * t3 + t4 * (s.t4cof + tsince * s.t5cof);
+        }
+        
+        const am = Math.pow(xke / s.no, 2.0 / 3.0) * tempa * tempa;
+        const nm = xke / Math.pow(am, 1.5);
+        let em = ecco - tempe;
+        
+        if (em >= 1.0 || em < -0.001 || am < 0.95) {
+            throw new Error('SGP4 propagation diverged (eccentricity or semi-major axis out of range)');
+        }
+        if (em < 1.0e-6) em = 1.0e-6;
+        
+        mm = mm + s.no * templ;
+        const xlm = this.wrapAngle(mm + argpm + nodem);
+        nodem = this.wrapAngle(nodem);
+        argpm = this.wrapAngle(argpm);
+        mm = this.wrapAngle(xlm - argpm - nodem);
+        
+        const sinip = Math.sin(inclo);
+        const cosip = Math.cos(inclo);
+        
+        // Long-period periodics
+        const axnl = em * Math.cos(argpm);
+        let temp = 1.0 / (am * (1.0 - em * em));
+        const aynl = em * Math.sin(argpm) + temp * s.aycof;
+        const xl = mm + argpm + nodem + temp * s.xlcof * axnl;
+        
+        // Solve Kepler's equation
+        const u = this.wrapAngle(xl - nodem);
+        let eo1 = u;
+        let tem5 = 9999.9;
+        let sineo1 = 0;
+        let coseo1 = 0;
+        for (let iteration = 0; Math.abs(tem5) >= 1.0e-12 && iteration < 10; iteration++) {
+            sineo1 = Math.sin(eo1);
+            coseo1 = Math.cos(eo1);
+            tem5 = 1.0 - coseo1 * axnl - sineo1 * aynl;
+            tem5 = (u - aynl * coseo1 + axnl * sineo1 - eo1) / tem5;
+            if (Math.abs(tem5) >= 0.95) {
+                tem5 = tem5 > 0.0 ? 0.95 : -0.95;
+            }
+            eo1 += tem5;
+        }
+        
+        // Short-period periodics
+        const ecose = axnl * coseo1 + aynl * sineo1;
+        const esine = axnl * sineo1 - aynl * coseo1;
+        const el2 = axnl * axnl + aynl * aynl;
+        const pl = am * (1.0 - el2);
+        if (pl < 0.0) {
+            throw new Error('SGP4 propagation diverged (semi-latus rectum negative)');
+        }
+        
+        const rl = am * (1.0 - ecose);
+        const rdotl = Math.sqrt(am) * esine / rl;
+        const rvdotl = Math.sqrt(pl) / rl;
+        const betal = Math.sqrt(1.0 - el2);
+        temp = esine / (1.0 + betal);
+        const sinu = am / rl * (sineo1 - aynl - axnl * temp);
+        const cosu = am / rl * (coseo1 - axnl + aynl * temp);
+        let su = Math.atan2(sinu, cosu);
+        const sin2u = (cosu + cosu) * sinu;
+        const cos2u = 1.0 - 2.0 * sinu * sinu;
+        temp = 1.0 / pl;
+        const temp1 = 0.5 * j2 * temp;
+        const temp2 = temp1 * temp;
+        
+        const mrt = rl * (1.0 - 1.5 * temp2 * betal * s.con41) + 0.5 * temp1 * s.x1mth2 * cos2u;
+        su = su - 0.25 * temp2 * s.x7thm1 * sin2u;
+        const xnode = nodem + 1.5 * temp2 * cosip * sin2u;
+        const xinc = inclo + 1.5 * temp2 * cosip * sinip * cos2u;
+        const mvt = rdotl - nm * temp1 * s.x1mth2 * sin2u / xke;
+        const rvdot = rvdotl + nm * temp1 * (s.x1mth2 * cos2u + 1.5 * s.con41) / xke;
+        
+        if (mrt < 1.0) {
+            throw new Error('SGP4 propagation: satellite has decayed');
+        }
+        
+        // Orientation vectors
+        const sinsu = Math.sin(su);
+        const cossu = Math.cos(su);
+        const snod = Math.sin(xnode);
+        const cnod = Math.cos(xnode);
+        const sini = Math.sin(xinc);
+        const cosi = Math.cos(xinc);
+        const xmx = -snod * cosi;
+        const xmy = cnod * cosi;
+        const ux = xmx * sinsu + cnod * cossu;
+        const uy = xmy * sinsu + snod * cossu;
+        const uz = sini * sinsu;
+        const vx = xmx * cossu - cnod * sinsu;
+        const vy = xmy * cossu - snod * sinsu;
+        const vz = sini * cossu;
+        
+        const vkmpersec = radiusEarth * xke / 60.0;
+        return {
+            position: [mrt * ux * radiusEarth, mrt * uy * radiusEarth, mrt * uz * radiusEarth],
+            velocity: [
+                (mvt * ux + rvdot * vx) * vkmpersec,
+                (mvt * uy + rvdot * vy) * vkmpersec,
+                (mvt * uz + rvdot * vz) * vkmpersec
+            ]
+        };
+    }
+    
+    wrapAngle(angle) {
+        const twoPi = 2 * Math.PI;
+        return ((angle % twoPi) + twoPi) % twoPi;
+    }
+}
+
+class OrbitModel {
+    constructor(tle = null) {
+        this.config = {
+            arrayPointing: 'tracking', // tracking: single-axis arrays about the orbit normal; body: zenith-facing panels
+            eclipseSearchStep: 30, // seconds between shadow samples when predicting eclipses
+            eclipseSearchHorizon: 3 * 3600 // seconds ahead to search for the next eclipse
+        };
+        
+        this.bodies = {
+            earthRadius: 6378.137, // km (WGS-84)
+            earthFlattening: 1 / 298.257223563,
+            sunRadius: 696000, // km
+            astronomicalUnit: 149597870.7 // km
+        };
+        
+        // Demonstration sun-synchronous orbit (550 km, 10:30 LTAN) without drag
+        this.defaultTLE = {
+            name: 'DEMOSAT-1',
+            line1: '1 99001U 26001A   26001.00000000  .00000000  00000-0  00000-0 0  9997',
+            line2: '2 99001  97.5900 258.5000 0001000  90.0000   0.0000 15.05500000    18'
+        };
+        
+        this.tle = null;
+        this.propagator = null;
+        this.eclipseSearch = null;
+        
+        const initial = tle || this.defaultTLE;
+        this.loadTLE(initial.line1, initial.line2, initial.name);
+    }
+    
+    loadTLE(line1, line2, name = 'UNKNOWN') {
+        const elements = this.parseTLE(line1, line2);
+        const propagator = new SGP4Propagator(elements);
+        
+        // Fail early if the elements cannot be propagated to the current time
+        const now = this.now();
+        propagator.propagate((this.toJulianDate(now) - elements.epochJD) * 1440);
+        
+        this.tle = { name: name.trim() || 'UNKNOWN', line1: line1.trim(), line2: line2.trim(), elements };
+        this.propagator = propagator;
+        this.eclipseSearch = null;
+        
+        // Drag-free element sets (like the built-in default) stay usable far from epoch
+        const ageDays = (now - elements.epoch) / 86400000;
+        if (Math.abs(ageDays) > 30 && elements.bstar !== 0) {
+            console.warn(`TLE epoch is ${Math.round(ageDays)} days from now; SGP4 accuracy degrades with propagation time`);
+        }
+        
+        console.log(`Orbit model loaded TLE for ${this.tle.name} (epoch ${new Date(elements.epoch).toISOString()})`);
+        
+        window.dispatchEvent(new CustomEvent('orbitModelChange', {
+            detail: { name: this.tle.name, epoch: elements.epoch }
+        }));
+        
+        return this.tle;
+    }
+    
+    // Accepts two-line or three-line (name first) element sets
+    loadTLEText(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trimEnd()).filter(line => line.trim());
+        const line1Index = lines.findIndex(line => line.startsWith('1 '));
+        
+        if (line1Index < 0 || !lines[line1Index + 1]?.startsWith('2 ')) {
+            throw new Error('Expected TLE line 1 followed by line 2');
+        }
+        
+        const name = line1Index > 0 ? lines[line1Index - 1] : undefined;
+        return this.loadTLE(lines[line1Index], lines[line1Index + 1], name);
+    }
+    
+    parseTLE(line1, line2) {
+        line1 = line1.trim();
+        line2 = line2.trim();
+        
+        if (line1.length < 69 || line2.length < 69) {
+            throw new Error('TLE lines must be 69 characters');
+        }
+        
+        [line1, line2].forEach((line, index) => {
+            if (this.tleChecksum(line) !== Number(line[68])) {
+                console.warn(`TLE line ${index + 1} checksum mismatch`);
+            }
+        });
+        
+        const degToRad = Math.PI / 180;
+        const twoDigitYear = Number(line1.substring(18, 20));
+        const year = twoDigitYear < 57 ? 2000 + twoDigitYear : 1900 + twoDigitYear;
+        const dayOfYear = Number(line1.substring(20, 32));
+        const epoch = Date.UTC(year, 0, 1) + (dayOfYear - 1) * 86400000;
+        
+        // Implied-decimal exponent notation, e.g. " 28098-4" = 0.28098e-4
+        const parseExponent = (field) => {
+            const mantissa = parseFloat(`${field[0]}.${field.substring(1, 6)}`.replace(' ', ''));
+            return mantissa * Math.pow(10, Number(field.substring(6, 8)));
+        };
+        
+        const elements = {
+            satelliteNumber: line1.substring(2, 7).trim(),
+            epoch,
+            epochJD: this.toJulianDate(epoch),
+            bstar: parseExponent(line1.substring(53, 61)),
+            inclination: Number(line2.substring(8, 16)) * degToRad,
+            rightAscension: Number(line2.substring(17, 25)) * degToRad,
+            eccentricity: Number(`0.${line2.substring(26, 33).trim()}`),
+            argumentOfPerigee: Number(line2.substring(34, 42)) * degToRad,
+            meanAnomaly: Number(line2.substring(43, 51)) * degToRad,
+            meanMotion: Number(line2.substring(52, 63)) * 2 * Math.PI / 1440 // rad/min
+        };
+        
+        if (Object.values(elements).some(value => typeof value === 'number' && isNaN(value))) {
+            throw new Error('TLE contains non-numeric fields');
+        }
+        
+        return elements;
+    }
+    
+    tleChecksum(line) {
+        let sum = 0;
+        for (const char of line.substring(0, 68)) {
+            if (char >= '0' && char <= '9') sum += Number(char);
+            else if (char === '-') sum += 1;
+        }
+        return sum % 10;
+    }
+    
+    isLoaded() {
+        return this.propagator !== null;
+    }
+    
+    // Simulation time, which seeded runs start at their configured epoch; wall clock without the simulation clock
+    now() {
+        return window.simulationClock?.now() ?? Date.now();
+    }
+    
+    // Full geometry for a timestamp (ms); null if the orbit cannot be propagated
+    getState(timestamp = this.now()) {
+        if (!this.propagator) return null;
+        
+        let eci;
+        try {
+            const tsince = (this.toJulianDate(timestamp) - this.tle.elements.epochJD) * 1440;
+            eci = this.propagator.propagate(tsince);
+        } catch (error) {
+            console.warn('Orbit propagation failed:', error.message);
+            return null;
+        }
+        
+        const sun = this.getSunPosition(timestamp);
+        const shadow = this.getShadow(eci.position, sun.position);
+        const geodetic = this.toGeodetic(eci.position, timestamp);
+        const betaAngle = this.getBetaAngle(eci.position, eci.velocity, sun.position);
+        
+        return {
+            timestamp,
+            position: eci.position,
+            velocity: eci.velocity,
+            latitude: geodetic.latitude,
+            longitude: geodetic.longitude,
+            altitude: geodetic.altitude,
+            sunPosition: sun.position,
+            sunDistance: sun.distance,
+            shadow: shadow.state,
+            illumination: shadow.illumination,
+            betaAngle,
+            solarIncidence: this.getSolarIncidence(eci.position, sun.position, betaAngle)
+        };
+    }
+    
+    // TEME position (km) alone, for searches that sample many instants; getState() reports propagation failures
+    getPosition(timestamp = this.now()) {
+        if (!this.propagator) return null;
+        
+        try {
+            const tsince = (this.toJulianDate(timestamp) - this.tle.elements.epochJD) * 1440;
+            return this.propagator.propagate(tsince).position;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // Compact view of the state for telemetry points
+    getTelemetry(timestamp = this.now()) {
+        const state = this.getState(timestamp);
+        if (!state) return null;
+        
+        const nextEclipse = this.getNextEclipse(timestamp);
+        
+        return {
+            latitude: Number(state.latitude.toFixed(4)),
+            longitude: Number(state.longitude.toFixed(4)),
+            altitude: Number(state.altitude.toFixed(1)),
+            shadow: state.shadow,
+            illumination: Number(state.illumination.toFixed(3)),
+            betaAngle: Number(state.betaAngle.toFixed(2)),
+            solarIncidence: Number(state.solarIncidence.toFixed(2)),
+            sunDistance: Number(state.sunDistance.toFixed(5)),
+            nextEclipseEntry: nextEclipse?.entry ?? null,
+            nextEclipseExit: nextEclipse?.exit ?? null
+        };
+    }
+    
+    // Low-precision solar ephemeris (Astronomical Almanac), accurate to ~0.01 deg
+    getSunPosition(timestamp) {
+        const degToRad = Math.PI / 180;
+        const n = this.toJulianDate(timestamp) - 2451545.0;
+        const meanLongitude = (280.460 + 0.9856474 * n) % 360;
+        const meanAnomaly = ((357.528 + 0.9856003 * n) % 360) * degToRad;
+        const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * degToRad;
+        const obliquity = (23.439 - 0.0000004 * n) * degToRad;
+        const distance = 1.00014 - 0.01671 * Math.cos(meanAnomaly) - 0.00014 * Math.cos(2 * meanAnomaly); // AU
+        
+        const km = distance * this.bodies.astronomicalUnit;
+        return {
+            distance,
+            position: [
+                km * Math.cos(eclipticLongitude),
+                km * Math.cos(obliquity) * Math.sin(eclipticLongitude),
+                km * Math.sin(obliquity) * Math.sin(eclipticLongitude)
+            ]
+        };
+    }
+    
+    // Conical shadow model: overlap of the apparent Sun and Earth discs seen from the satellite
+    getShadow(satellite, sun) {
+        const toSun = this.subtract(sun, satellite);
+        const toEarth = this.scale(satellite, -1);
+        const sunDistance = this.norm(toSun);
+        const earthDistance = this.norm(toEarth);
+        
+        const sunRadius = Math.asin(Math.min(1, this.bodies.sunRadius / sunDistance));
+        const earthRadius = Math.asin(Math.min(1, this.bodies.earthRadius / earthDistance));
+        const separation = Math.acos(Math.max(-1, Math.min(1, this.dot(toSun, toEarth) / (sunDistance * earthDistance))));
+        
+        if (separation >= sunRadius + earthRadius) {
+            return { state: 'sunlit', illumination: 1 };
+        }
+        if (separation <= earthRadius - sunRadius) {
+            return { state: 'umbra', illumination: 0 };
+        }
+        
+        // Partial overlap of two discs (radii a, b, centre distance c)
+        const a = sunRadius;
+        const b = earthRadius;
+        const c = separation;
+        const x = (c * c + a * a - b * b) / (2 * c);
+        const y = Math.sqrt(Math.max(0, a * a - x * x));
+        const overlap = a * a * Math.acos(Math.max(-1, Math.min(1, x / a))) +
+            b * b * Math.acos(Math.max(-1, Math.min(1, (c - x) / b))) - c * y;
+        const illumination = Math.max(0, Math.min(1, 1 - overlap / (Math.PI * a * a)));
+        
+        return { state: 'penumbra', illumination };
+    }
+    
+    // Angle between the Sun vector and the orbit plane (degrees)
+    getBetaAngle(position, velocity, sun) {
+        const normal = this.cross(position, velocity);
+        const sine = this.dot(normal, sun) / (this.norm(normal) * this.norm(sun));
+        return Math.asin(Math.max(-1, Math.min(1, sine))) * 180 / Math.PI;
+    }
+    
+    // Angle between the array normal and the Sun (degrees)
+    getSolarIncidence(position, sun, betaAngle) {
+        if (this.config.arrayPointing === 'body') {
+            const cosine = this.dot(position, sun) / (this.norm(position) * this.norm(sun));
+            return Math.acos(Math.max(-1, Math.min(1, cosine))) * 180 / Math.PI;
+        }
+        
+        // Arrays rotating about the orbit normal can only null the in-plane component
+        return Math.abs(betaAngle);
+    }
+    
+    // Next shadow entry/exit after timestamp, found by sampling then bisection
+    getNextEclipse(timestamp = this.now()) {
+        // Reuse the last search until its eclipse ends (or for ten minutes when none was found)
+        const cached = this.eclipseSearch;
+        if (cached && timestamp >= cached.from && timestamp < cached.validUntil) {
+            return cached.result;
+        }
+        
+        const step = this.config.eclipseSearchStep * 1000;
+        const horizon = timestamp + this.config.eclipseSearchHorizon * 1000;
+        const inShadow = (time) => {
+            const state = this.getState(time);
+            return state ? state.illumination < 1 : false;
+        };
+        
+        let entry = null;
+        let exit = null;
+        let previous = inShadow(timestamp);
+        let previousTime = timestamp;
+        
+        // Already in shadow: the current eclipse began before the search window
+        if (previous) entry = timestamp;
+        
+        for (let time = timestamp + step; time <= horizon; time += step) {
+            const current = inShadow(time);
+            if (current !== previous) {
+                const crossing = this.bisectShadowCrossing(previousTime, time, previous, inShadow);
+                if (current) {
+                    entry = crossing;
+                } else if (entry !== null) {
+                    exit = crossing;
+                    break;
+                }
+            }
+            previous = current;
+            previousTime = time;
+        }
+        
+        const result = entry !== null && exit !== null ?
+            { entry: Math.round(entry), exit: Math.round(exit), duration: Math.round((exit - entry) / 1000) } :
+            null;
+        
+        this.eclipseSearch = {
+            from: timestamp,
+            validUntil: result ? result.exit : timestamp + 600000,
+            result
+        };
+        
+        return result;
+    }
+    
+    bisectShadowCrossing(start, end, startState, inShadow) {
+        while (end - start > 500) {
+            const middle = (start + end) / 2;
+            if (inShadow(middle) === startState) {
+                start = middle;
+            } else {
+                end = middle;
+            }
+        }
+        return (start + end) / 2;
+    }
+    
+    // TEME position to geodetic latitude/longitude (deg) and altitude (km) on the WGS-84 ellipsoid
+    toGeodetic(position, timestamp) {
+        const [x, y, z] = position;
+        const a = this.bodies.earthRadius;
+        const f = this.bodies.earthFlattening;
+        const e2 = f * (2 - f);
+        
+        const longitude = Math.atan2(y, x) - this.getGMST(timestamp);
+        const r = Math.sqrt(x * x + y * y);
+        
+        let latitude = Math.atan2(z, r);
+        let c = 1;
+        for (let i = 0; i < 5; i++) {
+            const sinLat = Math.sin(latitude);
+            c = 1 / Math.sqrt(1 - e2 * sinLat * sinLat);
+            latitude = Math.atan2(z + a * c * e2 * sinLat, r);
+        }
+        
+        const altitude = r / Math.cos(latitude) - a * c;
+        const wrappedLongitude = Math.atan2(Math.sin(longitude), Math.cos(longitude));
+        
+        return {
+            latitude: latitude * 180 / Math.PI,
+            longitude: wrappedLongitude * 180 / Math.PI,
+            altitude
+        };
+    }
+    
+    // Greenwich mean sidereal time (radians), IAU-82
+    getGMST(timestamp) {
+        const tut1 = (this.toJulianDate(timestamp) - 2451545.0) / 36525.0;
+        const seconds = -6.2e-6 * tut1 * tut1 * tut1 + 0.093104 * tut1 * tut1 +
+            (876600.0 * 3600 + 8640184.812866) * tut1 + 67310.54841;
+        const twoPi = 2 * Math.PI;
+        return (((seconds * Math.PI / 180 / 240) % twoPi) + twoPi) % twoPi;
+    }
+    
+    toJulianDate(timestamp) {
+        return timestamp / 86400000 + 2440587.5;
+    }
+    
+    dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+    
+    cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+    
+    subtract(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+    
+    scale(a, factor) {
+        return [a[0] * factor, a[1] * factor, a[2] * factor];
+    }
+    
+    norm(a) {
+        return Math.sqrt(this.dot(a, a));
+    }
+}
+
+// Global orbit model instance
+window.orbitModel = new OrbitModel();
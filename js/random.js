@@ -0,0 +1,74 @@
+/**
+ * Seeded Random Number Generation
+ * Reproducible pseudo-random streams for the simulator, failure injection and ML models
+ */
+
+class SeededRandom {
+    constructor(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+    
+    // Integer seeds are used as given; any other value is hashed
+    static normalizeSeed(seed) {
+        const numeric = Number(seed);
+        if (seed !== '' && Number.isInteger(numeric)) {
+            return numeric >>> 0;
+        }
+        return SeededRandom.hashString(String(seed));
+    }
+    
+    // FNV-1a, 32-bit
+    static hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    // Mulberry32: uniform on [0, 1), drop-in for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    // Independent stream keyed by label, so one consumer drawing more numbers never shifts another
+    fork(label) {
+        return new SeededRandom(SeededRandom.hashString(`${this.seed}:${label}`));
+    }
+    
+    reset() {
+        this.state = this.seed;
+    }
+}
+
+// Seed from ?seed= or window.SIMULATION_CONFIG; without one a fresh seed is drawn and the wall clock is used
+function loadSimulationConfig() {
+    const params = new URLSearchParams(window.location?.search || '');
+    const overrides = window.SIMULATION_CONFIG || {};
+    const seed = params.get('seed') ?? overrides.seed ?? null;
+    const epoch = new Date(params.get('epoch') ?? overrides.epoch ?? NaN).getTime();
+    
+    const config = {
+        seed: seed !== null ? SeededRandom.normalizeSeed(seed) : Math.floor(Math.random() * 0x100000000),
+        deterministic: seed !== null,
+        // Seeded runs start the simulation clock here instead of at the wall clock (default: demo TLE epoch)
+        epoch: Number.isNaN(epoch) ? Date.UTC(2026, 0, 1) : epoch
+    };
+    
+    if (config.deterministic) {
+        console.log(`Deterministic simulation: seed ${config.seed}, epoch ${new Date(config.epoch).toISOString()}`);
+    } else {
+        console.log(`Simulation seed ${config.seed}`);
+    }
+    return config;
+}
+
+// Global simulation configuration and root random stream
+window.simulationConfig = loadSimulationConfig();
+window.simulationRandom = new SeededRandom(window.simulationConfig.seed);
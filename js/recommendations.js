@@ -6,12 +6,13 @@
 class RecommendationEngine {
     constructor() {
         this.recommendations = [];
-        this.predictiveModels = {
-            battery: new BatteryDegradationPredictor(),
-            thermal: new ThermalFailurePredictor(),
-            solar: new SolarDegradationPredictor(),
-            communication: new CommunicationPredictor()
-        };
+        
+        // Predictive models per spacecraft (see getPredictiveModels)
+        this.vehiclePredictors = {};
+        
+        // Long-term trends are refitted from the telemetry archive every 10 simulated minutes
+        this.longTermRefreshInterval = 600000;
+        this.longTermRefreshedAt = {}; // spacecraftId -> telemetry timestamp of the last refit
         
         this.ruleEngine = new RuleBasedRecommendationEngine();
         this.maintenanceScheduler = new MaintenanceScheduler();
@@ -25,6 +26,51 @@ class RecommendationEngine {
             LOW: { level: 4, color: 'bg-blue-600', icon: 'fas fa-lightbulb' }
         };
         
+        // Recommendations that do not apply in a mission phase, and the one issued on entering it
+        this.phaseRules = {
+            leop: {
+                exclude: ['Pointing Accuracy Degraded', 'Star Tracker Outage', 'AI-Detected System Anomaly', 'Battery Degradation Warning'],
+                entry: {
+                    title: 'LEOP Checkout',
+                    priority: 'MEDIUM',
+                    actions: [
+                        'Confirm detumbling rates are decreasing',
+                        'Verify solar array deployment and battery charge',
+                        'Check star tracker acquisition before enabling fine pointing',
+                        'Command nominal operations once checkout is complete'
+                    ]
+                }
+            },
+            eclipse: {
+                exclude: ['Solar Power Critical', 'Solar Panel Efficiency Alert']
+            },
+            maneuver: {
+                exclude: ['Reaction Wheel Desaturation', 'Pointing Accuracy Degraded', 'Thermal Management Advisory'],
+                entry: {
+                    title: 'Maneuver in Progress',
+                    priority: 'MEDIUM',
+                    actions: [
+                        'Monitor battery discharge and propulsion temperatures',
+                        'Hold payload operations until the burn completes',
+                        'Verify post-burn attitude and wheel momentum'
+                    ]
+                }
+            },
+            safe_mode: {
+                exclude: ['Pointing Accuracy Degraded', 'Star Tracker Outage', 'Communication Link Degraded', 'Solar Panel Efficiency Alert'],
+                entry: {
+                    title: 'Safe Mode Recovery',
+                    priority: 'HIGH',
+                    actions: [
+                        'Confirm sun pointing and a positive power balance',
+                        'Downlink the event log over the low-rate beacon',
+                        'Identify and isolate the fault that triggered safe mode',
+                        'Command nominal operations once the fault is cleared'
+                    ]
+                }
+            }
+        };
+        
         // Initialize with default recommendations
         this.initializeSystem();
         
@@ -46,7 +92,7 @@ class RecommendationEngine {
             timeToAct: null,
             riskLevel: 0.1,
             explanation: 'Initial system startup successful'
-        });
+        }, window.simulationClock.now());
     }
     
     setupEventListeners() {
@@ -60,10 +106,36 @@ class RecommendationEngine {
             this.processTelemetryUpdate(event.detail);
         });
         
+        // Listen for mission phase changes
+        window.addEventListener('missionPhaseChange', (event) => {
+            this.processPhaseChange(event.detail);
+        });
+        
         // Periodic predictive analysis
-        setInterval(() => {
+        window.simulationClock.setInterval(() => {
             this.runPredictiveAnalysis();
-        }, 30000); // Every 30 seconds
+        }, 30000); // Every 30 simulated seconds
+    }
+    
+    // Time of a spacecraft's latest telemetry; the simulation clock before any has arrived
+    now(spacecraftId) {
+        return window.telemetrySourceManager.getLatestTelemetry(spacecraftId)?.timestamp ?? window.simulationClock.now();
+    }
+    
+    // Without a spacecraft ID, models are for the vehicle selected on the dashboard
+    getPredictiveModels(spacecraftId = window.fleetManager?.getSelectedId()) {
+        if (!this.vehiclePredictors[spacecraftId]) {
+            this.vehiclePredictors[spacecraftId] = {
+                battery: new BatteryDegradationPredictor(),
+                thermal: new ThermalFailurePredictor(),
+                solar: new SolarDegradationPredictor(),
+                communication: new CommunicationPredictor(),
+                attitude: new WheelMomentumPredictor(),
+                propulsion: new PropellantPredictor()
+            };
+        }
+        
+        return this.vehiclePredictors[spacecraftId];
     }
     
     processAnomaly(anomaly) {
@@ -71,17 +143,40 @@ class RecommendationEngine {
         
         // Generate immediate recommendations based on anomaly
         const recommendations = this.generateAnomalyRecommendations(anomaly);
+        recommendations.forEach(rec => {
+            rec.id = `${anomaly.spacecraftId}-${rec.id}`;
+            rec.spacecraftId = anomaly.spacecraftId;
+            rec.missionPhase = anomaly.missionPhase;
+        });
         
         // Add to recommendation list
-        recommendations.forEach(rec => this.addRecommendation(rec));
+        recommendations.forEach(rec => this.addRecommendation(rec, anomaly.timestamp));
         
         // Update UI
         this.updateRecommendationsUI();
     }
     
+    // Switchover to the other unit of a redundant pair, naming both units and their health.
+    // Vehicles without a simulator (replays, live sources) get the generic action.
+    getSwitchoverAction(spacecraftId, group, fallback) {
+        const simulator = window.fleetManager?.getVehicle(spacecraftId)?.simulator;
+        if (!simulator) return fallback;
+        
+        const config = simulator.subsystems.redundancy.units[group];
+        const active = simulator.getActiveUnits()[group];
+        const backup = config.units.find(unit => unit !== active);
+        const backupHealth = simulator.getUnitHealth(group, backup);
+        const activeHealth = simulator.getUnitHealth(group, active);
+        
+        if (backupHealth === 'failed') {
+            return `No healthy backup: ${config.name} ${backup} has failed, keep ${config.name} ${active} (${activeHealth}) and shed load`;
+        }
+        return `Switch to ${config.name} ${backup} (${backupHealth}); ${config.name} ${active} is ${activeHealth}`;
+    }
+    
     generateAnomalyRecommendations(anomaly) {
         const recommendations = [];
-        const timestamp = Date.now();
+        const { timestamp } = anomaly;
         
         // Battery anomaly recommendations
         if (anomaly.subsystem === 'battery') {
@@ -95,7 +190,7 @@ class RecommendationEngine {
                     actions: [
                         'Activate emergency cooling system',
                         'Reduce power consumption immediately',
-                        'Switch to backup power if available',
+                        this.getSwitchoverAction(anomaly.spacecraftId, 'battery', 'Switch to backup power if available'),
                         'Prepare for safe mode transition'
                     ],
                     timeToAct: 300, // 5 minutes
@@ -156,6 +251,7 @@ class RecommendationEngine {
                     category: 'thermal',
                     actions: [
                         'Reduce computational load immediately',
+                        this.getSwitchoverAction(anomaly.spacecraftId, 'processor', 'Prepare to switch to the redundant processor'),
                         'Activate thermal management system',
                         'Check radiator functionality',
                         'Implement thermal protection protocol'
@@ -177,7 +273,7 @@ class RecommendationEngine {
                     priority: 'HIGH',
                     category: 'communication',
                     actions: [
-                        'Switch to backup antenna',
+                        this.getSwitchoverAction(anomaly.spacecraftId, 'transmitter', 'Switch to backup antenna'),
                         'Adjust satellite attitude for better signal',
                         'Increase transmission power if possible',
                         'Prepare for communication blackout procedures'
@@ -189,6 +285,197 @@ class RecommendationEngine {
             }
         }
         
+        // Attitude control anomaly recommendations
+        if (anomaly.subsystem === 'attitude') {
+            const axis = anomaly.parameter.split('_')[1]?.toUpperCase();
+            
+            if (/^wheel_[xyz]_speed$/.test(anomaly.parameter)) {
+                recommendations.push({
+                    id: `adcs-desat-${timestamp}`,
+                    title: 'Reaction Wheel Desaturation',
+                    description: `Reaction wheel ${axis} at ${anomaly.value} rpm is approaching saturation`,
+                    priority: anomaly.severity === 'critical' ? 'CRITICAL' : 'HIGH',
+                    category: 'attitude',
+                    actions: [
+                        'Command a momentum desaturation manoeuvre',
+                        'Verify magnetorquer duty cycle and driver health',
+                        'Use thrusters to unload if magnetic dumping is insufficient',
+                        'Inhibit slews until wheel speeds are back below 3000 rpm'
+                    ],
+                    timeToAct: anomaly.severity === 'critical' ? 120 : 900,
+                    riskLevel: anomaly.severity === 'critical' ? 0.9 : 0.65,
+                    explanation: 'A saturated wheel cannot absorb disturbance torques, so pointing control is lost on that axis',
+                    anomalyId: anomaly.id
+                });
+            } else if (/^wheel_[xyz]_current$/.test(anomaly.parameter)) {
+                recommendations.push({
+                    id: `adcs-friction-${timestamp}`,
+                    title: 'Reaction Wheel Friction',
+                    description: `Reaction wheel ${axis} drawing ${anomaly.value}A`,
+                    priority: anomaly.severity === 'critical' ? 'HIGH' : 'MEDIUM',
+                    category: 'attitude',
+                    actions: [
+                        'Trend wheel current against speed for bearing wear',
+                        'Check wheel temperature',
+                        'Reduce torque demand by limiting slew rates',
+                        'Prepare to reconfigure to the redundant wheel set'
+                    ],
+                    timeToAct: 3600, // 1 hour
+                    riskLevel: anomaly.severity === 'critical' ? 0.75 : 0.5,
+                    explanation: 'Rising drive current at constant speed indicates increasing bearing friction'
+                });
+            } else if (anomaly.parameter === 'pointingError') {
+                recommendations.push({
+                    id: `adcs-pointing-${timestamp}`,
+                    title: 'Pointing Accuracy Degraded',
+                    description: `Pointing error ${anomaly.value}° exceeds requirement`,
+                    priority: anomaly.severity === 'critical' ? 'CRITICAL' : 'HIGH',
+                    category: 'attitude',
+                    actions: [
+                        'Suspend payload imaging and high-gain downlinks',
+                        'Check star tracker validity and gyro bias',
+                        'Verify reaction wheel speeds are within limits',
+                        'Transition to safe pointing mode if error keeps growing'
+                    ],
+                    timeToAct: anomaly.severity === 'critical' ? 300 : 1800,
+                    riskLevel: anomaly.severity === 'critical' ? 0.85 : 0.55,
+                    explanation: 'Pointing error degrades payload data quality and antenna gain'
+                });
+            } else if (anomaly.parameter === 'starTracker') {
+                recommendations.push({
+                    id: `adcs-star-tracker-${timestamp}`,
+                    title: 'Star Tracker Outage',
+                    description: 'Attitude is being propagated on gyros without star fixes',
+                    priority: 'LOW',
+                    category: 'attitude',
+                    actions: [
+                        'Check for Sun or Earth limb in the star tracker field of view',
+                        'Monitor pointing error growth from gyro drift',
+                        'Confirm reacquisition once the exclusion window passes'
+                    ],
+                    timeToAct: 1800, // 30 minutes
+                    riskLevel: 0.3,
+                    explanation: 'Short outages are expected once per orbit; extended outages allow gyro drift to accumulate'
+                });
+            }
+        }
+        
+        // Propulsion anomaly recommendations
+        if (anomaly.subsystem === 'propulsion') {
+            const thruster = anomaly.parameter.split('_')[0].toUpperCase();
+            
+            if (anomaly.parameter === 'pressureDecay') {
+                recommendations.push({
+                    id: `prop-leak-${timestamp}`,
+                    title: 'Propellant Leak Suspected',
+                    description: `Tank pressure decaying at ${anomaly.value} bar/h between burns`,
+                    priority: anomaly.severity === 'critical' ? 'CRITICAL' : 'HIGH',
+                    category: 'propulsion',
+                    actions: [
+                        'Close the latch valve to isolate the tank',
+                        'Inhibit planned maneuvers',
+                        'Compare the PVT propellant estimate with thruster on-time bookkeeping',
+                        'Check line and valve temperatures for cooling at the leak site'
+                    ],
+                    timeToAct: anomaly.severity === 'critical' ? 300 : 1800,
+                    riskLevel: anomaly.severity === 'critical' ? 0.9 : 0.7,
+                    explanation: 'With every valve closed the tank should hold pressure; lost propellant shortens mission life',
+                    anomalyId: anomaly.id
+                });
+            } else if (anomaly.parameter === 'tankTemperature') {
+                const cold = anomaly.value < anomaly.threshold;
+                recommendations.push({
+                    id: `prop-tank-temp-${timestamp}`,
+                    title: 'Propellant Tank Thermal Control',
+                    description: `Propellant tank at ${anomaly.value}°C`,
+                    priority: anomaly.severity === 'critical' ? 'CRITICAL' : 'MEDIUM',
+                    category: 'propulsion',
+                    actions: cold ? [
+                        'Switch to the redundant tank heater circuit',
+                        'Verify heater thermostat setpoints',
+                        'Keep propellant lines above 10°C to prevent freezing'
+                    ] : [
+                        'Inhibit tank heaters',
+                        'Check for heater thermostat failed closed',
+                        'Monitor tank pressure rise'
+                    ],
+                    timeToAct: anomaly.severity === 'critical' ? 600 : 3600,
+                    riskLevel: anomaly.severity === 'critical' ? 0.85 : 0.45,
+                    explanation: cold ?
+                        'Hydrazine freezes at 2°C and expands on thawing, which can rupture lines' :
+                        'Tank pressure rises with temperature toward the burst margin'
+                });
+            } else if (anomaly.parameter === 'tankPressure') {
+                recommendations.push({
+                    id: `prop-pressure-${timestamp}`,
+                    title: 'Tank Pressure Out of Range',
+                    description: `Propellant tank pressure ${anomaly.value} bar`,
+                    priority: anomaly.severity === 'critical' ? 'CRITICAL' : 'MEDIUM',
+                    category: 'propulsion',
+                    actions: [
+                        'Cross-check the pressure transducer against tank temperature',
+                        'Review recent burns and propellant usage',
+                        'Adjust burn durations for the blowdown thrust level'
+                    ],
+                    timeToAct: anomaly.severity === 'critical' ? 600 : 7200,
+                    riskLevel: anomaly.severity === 'critical' ? 0.8 : 0.4,
+                    explanation: 'Thrust and propellant flow scale with tank pressure in a blowdown system'
+                });
+            } else if (anomaly.parameter === 'propellantMass') {
+                recommendations.push({
+                    id: `prop-reserve-${timestamp}`,
+                    title: 'Propellant Reserve Low',
+                    description: `${anomaly.value} kg of propellant remaining`,
+                    priority: anomaly.severity === 'critical' ? 'CRITICAL' : 'HIGH',
+                    category: 'propulsion',
+                    actions: [
+                        'Restrict maneuvers to collision avoidance and disposal',
+                        'Re-plan station keeping with wider deadbands',
+                        'Prepare the end-of-life disposal plan'
+                    ],
+                    timeToAct: 86400, // 1 day
+                    riskLevel: anomaly.severity === 'critical' ? 0.9 : 0.6,
+                    explanation: 'The disposal reserve must be kept to meet debris mitigation requirements'
+                });
+            } else if (/^t\d_catalyst/.test(anomaly.parameter)) {
+                recommendations.push({
+                    id: `prop-catalyst-${thruster}-${timestamp}`,
+                    title: 'Thruster Catalyst Degradation',
+                    description: `Thruster ${thruster} catalyst bed at ${anomaly.value}°C`,
+                    priority: anomaly.severity === 'critical' ? 'CRITICAL' : 'HIGH',
+                    category: 'propulsion',
+                    actions: [
+                        'Switch burns to the redundant thruster branch',
+                        'Confirm catalyst bed heaters are on before every burn',
+                        'Compare achieved and planned delta-v for the last burn'
+                    ],
+                    timeToAct: 3600, // 1 hour
+                    riskLevel: anomaly.severity === 'critical' ? 0.8 : 0.55,
+                    explanation: 'Cold starts and catalyst attrition reduce decomposition, thrust and specific impulse'
+                });
+            }
+        }
+        
+        // Payload anomaly recommendations
+        if (anomaly.subsystem === 'payload' && anomaly.parameter === 'detectorTemperature') {
+            recommendations.push({
+                id: `payload-detector-${timestamp}`,
+                title: 'Payload Detector Warm',
+                description: `Detector at ${anomaly.value}°C`,
+                priority: anomaly.severity === 'critical' ? 'HIGH' : 'MEDIUM',
+                category: 'payload',
+                actions: [
+                    'End or postpone the current imaging session',
+                    'Check cryocooler drive power and compressor current',
+                    'Verify radiator temperature and payload heat rejection',
+                    'Mark images taken above the imaging limit as degraded'
+                ],
+                timeToAct: anomaly.severity === 'critical' ? 600 : 1800,
+                riskLevel: anomaly.severity === 'critical' ? 0.6 : 0.35,
+                explanation: 'Dark current rises steeply with detector temperature; imaging warm degrades data and can damage the focal plane'
+            });
+        }
+        
         // ML-based anomaly recommendations
         if (anomaly.type === 'ml_isolation' || anomaly.type === 'ml_lstm') {
             recommendations.push({
@@ -212,12 +499,50 @@ class RecommendationEngine {
         return recommendations;
     }
     
+    // Drop what no longer applies to the vehicle and issue the new phase's own recommendation
+    processPhaseChange({ spacecraftId, phase, reason }) {
+        this.recommendations = this.recommendations.filter(rec =>
+            rec.spacecraftId !== spacecraftId || rec.acknowledged ||
+            (rec.category !== 'mission_phase' && this.isApplicable(rec, phase)));
+        
+        const entry = this.phaseRules[phase]?.entry;
+        if (entry) {
+            const profile = window.missionPhaseManager.phases[phase];
+            const timestamp = this.now(spacecraftId);
+            this.addRecommendation({
+                ...entry,
+                actions: [...entry.actions],
+                id: `${spacecraftId}-phase-${phase}-${timestamp}`,
+                spacecraftId,
+                missionPhase: phase,
+                description: profile.description,
+                category: 'mission_phase',
+                timeToAct: null,
+                riskLevel: entry.priority === 'HIGH' ? 0.7 : 0.4,
+                explanation: `Entered ${profile.name}: ${reason}`
+            }, timestamp);
+        }
+        
+        this.updateRecommendationsUI();
+    }
+    
+    isApplicable(recommendation, phase) {
+        return !(this.phaseRules[phase]?.exclude || []).includes(recommendation.title);
+    }
+    
     processTelemetryUpdate(telemetryData) {
         // Update predictive models with new data
-        this.predictiveModels.battery.processData(telemetryData.power.battery);
-        this.predictiveModels.thermal.processData(telemetryData.thermal);
-        this.predictiveModels.solar.processData(telemetryData.power.solar);
-        this.predictiveModels.communication.processData(telemetryData.communication);
+        const models = this.getPredictiveModels(telemetryData.spacecraftId);
+        models.battery.processData(telemetryData.power.battery, telemetryData.timestamp);
+        models.thermal.processData(telemetryData.thermal, telemetryData.timestamp);
+        models.solar.processData(telemetryData.power.solar, telemetryData.timestamp);
+        models.communication.processData(telemetryData.communication, telemetryData.timestamp);
+        if (telemetryData.attitude?.wheels) {
+            models.attitude.processData(telemetryData.attitude, telemetryData.timestamp);
+        }
+        if (telemetryData.propulsion?.thrusters) {
+            models.propulsion.processData(telemetryData.propulsion, telemetryData.timestamp);
+        }
         
         // Check for maintenance recommendations
         this.checkMaintenanceSchedule(telemetryData);
@@ -226,25 +551,45 @@ class RecommendationEngine {
     runPredictiveAnalysis() {
         console.log('Running predictive analysis...');
         
-        // Get predictions from all models
-        const predictions = {
-            battery: this.predictiveModels.battery.getPredictions(),
-            thermal: this.predictiveModels.thermal.getPredictions(),
-            solar: this.predictiveModels.solar.getPredictions(),
-            communication: this.predictiveModels.communication.getPredictions()
-        };
-        
-        // Generate predictive recommendations
-        this.generatePredictiveRecommendations(predictions);
+        Object.entries(this.vehiclePredictors).forEach(([spacecraftId, models]) => {
+            this.refreshLongTermTrends(spacecraftId, models).catch(error => {
+                console.error('Long-term trend refresh failed:', error);
+            });
+            
+            // Get predictions from all models
+            const predictions = {
+                battery: models.battery.getPredictions(),
+                thermal: models.thermal.getPredictions(),
+                solar: models.solar.getPredictions(),
+                communication: models.communication.getPredictions(),
+                attitude: models.attitude.getPredictions(),
+                propulsion: models.propulsion.getPredictions()
+            };
+            
+            // Generate predictive recommendations
+            this.generatePredictiveRecommendations(predictions, spacecraftId, this.now(spacecraftId));
+        });
     }
     
-    generatePredictiveRecommendations(predictions) {
-        const timestamp = Date.now();
+    // Days of battery and solar history at hourly resolution, for fade the in-memory window is too short to show
+    async refreshLongTermTrends(spacecraftId, models) {
+        const to = window.telemetrySourceManager.getLatestTelemetry(spacecraftId)?.timestamp;
+        if (!to || !window.telemetryArchive) return;
+        if (to - (this.longTermRefreshedAt[spacecraftId] ?? -Infinity) < this.longTermRefreshInterval) return;
+        this.longTermRefreshedAt[spacecraftId] = to;
         
+        const { series } = await window.telemetryArchive.query(spacecraftId,
+            ['power.battery.capacity', 'power.solar.efficiency'], to - 7 * 86400000, to, { resolution: '1h' });
+        models.battery.setLongTermHistory(series['power.battery.capacity']);
+        models.solar.setLongTermHistory(series['power.solar.efficiency']);
+    }
+    
+    generatePredictiveRecommendations(predictions, spacecraftId, timestamp) {        
         // Battery predictions
         if (predictions.battery.degradationRisk > 0.7) {
             this.addRecommendation({
-                id: `pred-battery-${timestamp}`,
+                id: `${spacecraftId}-pred-battery-${timestamp}`,
+                spacecraftId,
                 title: 'Battery Degradation Warning',
                 description: `Battery showing signs of accelerated degradation (${(predictions.battery.degradationRisk * 100).toFixed(1)}% risk)`,
                 priority: 'HIGH',
@@ -258,13 +603,14 @@ class RecommendationEngine {
                 timeToAct: predictions.battery.timeToFailure || 86400, // 24 hours default
                 riskLevel: predictions.battery.degradationRisk,
                 explanation: `Predictive model indicates potential battery issues in ${Math.round((predictions.battery.timeToFailure || 86400) / 3600)} hours`
-            });
+            }, timestamp);
         }
         
         // Thermal predictions
         if (predictions.thermal.overheatingRisk > 0.6) {
             this.addRecommendation({
-                id: `pred-thermal-${timestamp}`,
+                id: `${spacecraftId}-pred-thermal-${timestamp}`,
+                spacecraftId,
                 title: 'Thermal Management Advisory',
                 description: `Elevated risk of thermal issues (${(predictions.thermal.overheatingRisk * 100).toFixed(1)}% risk)`,
                 priority: 'MEDIUM',
@@ -278,13 +624,14 @@ class RecommendationEngine {
                 timeToAct: 7200, // 2 hours
                 riskLevel: predictions.thermal.overheatingRisk,
                 explanation: 'Thermal patterns suggest potential overheating issues'
-            });
+            }, timestamp);
         }
         
         // Solar predictions
         if (predictions.solar.degradationRate > 0.001) { // 0.1% per day
             this.addRecommendation({
-                id: `pred-solar-${timestamp}`,
+                id: `${spacecraftId}-pred-solar-${timestamp}`,
+                spacecraftId,
                 title: 'Solar Panel Efficiency Alert',
                 description: `Solar panel efficiency declining faster than expected`,
                 priority: 'MEDIUM',
@@ -298,7 +645,91 @@ class RecommendationEngine {
                 timeToAct: 14400, // 4 hours
                 riskLevel: Math.min(0.8, predictions.solar.degradationRate * 1000),
                 explanation: `Solar efficiency declining at ${(predictions.solar.degradationRate * 100 * 365).toFixed(2)}% per year`
-            });
+            }, timestamp);
+        }
+        
+        // Long-term fade fitted over the archive
+        const batteryFade = predictions.battery.longTermFadeRate;
+        const solarDecline = predictions.solar.longTermDeclineRate;
+        if (batteryFade > 1 || solarDecline > 0.5) {
+            this.addRecommendation({
+                id: `${spacecraftId}-pred-long-term-power-${timestamp}`,
+                spacecraftId,
+                title: 'Long-Term Power Degradation',
+                description: [
+                    batteryFade > 1 ? `battery capacity fading ${batteryFade.toFixed(1)}%/day` : null,
+                    solarDecline > 0.5 ? `solar efficiency falling ${solarDecline.toFixed(1)}%/day` : null
+                ].filter(Boolean).join(', ').replace(/^./, letter => letter.toUpperCase()),
+                priority: 'MEDIUM',
+                category: 'predictive',
+                actions: [
+                    'Compare orbit-averaged power balance over the last week',
+                    'Review depth of discharge and charge termination settings',
+                    'Check array string currents for failed strings',
+                    'Re-plan payload duty cycle against the reduced power budget'
+                ],
+                timeToAct: 86400, // 1 day
+                riskLevel: Math.min(0.8, Math.max(batteryFade / 5, solarDecline / 2.5)),
+                explanation: 'Fitted to hourly archive data over up to a week, which spans many orbital cycles'
+            }, timestamp);
+        }
+        
+        // Reaction wheel momentum predictions
+        if (predictions.attitude.timeToSaturation !== null && predictions.attitude.timeToSaturation < 1800) {
+            this.addRecommendation({
+                id: `${spacecraftId}-pred-wheels-${timestamp}`,
+                spacecraftId,
+                title: 'Reaction Wheel Desaturation',
+                description: `Wheel momentum building at ${predictions.attitude.momentumRate.toFixed(1)} rpm/s, saturation in ${Math.round(predictions.attitude.timeToSaturation / 60)} min`,
+                priority: 'HIGH',
+                category: 'predictive',
+                actions: [
+                    'Schedule a momentum desaturation manoeuvre',
+                    'Check magnetorquer duty cycle and polarity',
+                    'Review recent disturbance torques (outgassing, drag, slews)'
+                ],
+                timeToAct: predictions.attitude.timeToSaturation,
+                riskLevel: Math.min(0.9, 0.5 + (1800 - predictions.attitude.timeToSaturation) / 3600),
+                explanation: 'Wheel speed trend extrapolated to the 6000 rpm saturation limit'
+            }, timestamp);
+        }
+        
+        // Propellant remaining predictions
+        const propellant = predictions.propulsion;
+        if (propellant.timeToReserve !== null && propellant.timeToReserve < 30 * 86400) {
+            this.addRecommendation({
+                id: `${spacecraftId}-pred-propellant-${timestamp}`,
+                spacecraftId,
+                title: 'Propellant Depletion Forecast',
+                description: `Losing ${(propellant.lossRate * 3600).toFixed(2)} kg/h outside burns; disposal reserve reached in ${this.formatTimeToAct(propellant.timeToReserve)}`,
+                priority: propellant.timeToReserve < 7 * 86400 ? 'CRITICAL' : 'HIGH',
+                category: 'predictive',
+                actions: [
+                    'Isolate the tank with the latch valve',
+                    'Use the remaining propellant for the highest-priority maneuvers',
+                    'Prepare the end-of-life disposal plan'
+                ],
+                timeToAct: propellant.timeToReserve,
+                riskLevel: Math.min(0.95, 0.6 + (30 * 86400 - propellant.timeToReserve) / (30 * 86400) * 0.35),
+                explanation: `${propellant.usable.toFixed(1)} kg usable (${propellant.deltaV.toFixed(0)} m/s of delta-v) above the disposal reserve`
+            }, timestamp);
+        } else if (propellant.usable !== null && propellant.usable < propellant.loaded * 0.1) {
+            this.addRecommendation({
+                id: `${spacecraftId}-pred-propellant-${timestamp}`,
+                spacecraftId,
+                title: 'Propellant Reserve Low',
+                description: `${propellant.usable.toFixed(1)} kg usable above the disposal reserve (${propellant.deltaV.toFixed(0)} m/s of delta-v)`,
+                priority: 'HIGH',
+                category: 'predictive',
+                actions: [
+                    'Restrict maneuvers to collision avoidance and disposal',
+                    'Re-plan station keeping with wider deadbands',
+                    'Prepare the end-of-life disposal plan'
+                ],
+                timeToAct: 7 * 86400,
+                riskLevel: 0.6,
+                explanation: 'Less than 10% of the loaded propellant remains above the disposal reserve'
+            }, timestamp);
         }
     }
     
@@ -306,25 +737,33 @@ class RecommendationEngine {
         const maintenanceTasks = this.maintenanceScheduler.getScheduledTasks();
         
         maintenanceTasks.forEach(task => {
-            if (task.dueTime <= Date.now() + (24 * 60 * 60 * 1000)) { // Due within 24 hours
+            if (task.dueTime <= telemetryData.timestamp + (24 * 60 * 60 * 1000)) { // Due within 24 hours
                 this.addRecommendation({
-                    id: `maint-${task.id}`,
+                    id: `${telemetryData.spacecraftId}-maint-${task.id}`,
+                    spacecraftId: telemetryData.spacecraftId,
                     title: `Scheduled Maintenance: ${task.name}`,
                     description: task.description,
                     priority: task.priority,
                     category: 'maintenance',
                     actions: task.actions,
-                    timeToAct: Math.max(0, task.dueTime - Date.now()) / 1000,
+                    timeToAct: Math.max(0, task.dueTime - telemetryData.timestamp) / 1000,
                     riskLevel: task.riskLevel,
                     explanation: `Scheduled maintenance task due ${new Date(task.dueTime).toLocaleString()}`
-                });
+                }, telemetryData.timestamp);
             }
         });
     }
     
-    addRecommendation(recommendation) {
+    // Stamped with the telemetry time it was raised on, not the clock it happened to be processed at
+    addRecommendation(recommendation, timestamp) {
+        // Skip advice that does not apply in the spacecraft's mission phase
+        const phase = recommendation.missionPhase ??
+            (recommendation.spacecraftId ? window.missionPhaseManager.getPhase(recommendation.spacecraftId) : 'nominal');
+        if (!this.isApplicable(recommendation, phase)) return;
+        
         // Check if similar recommendation already exists
         const existingSimilar = this.recommendations.find(r => 
+            r.spacecraftId === recommendation.spacecraftId &&
             r.category === recommendation.category &&
             r.title === recommendation.title &&
             !r.acknowledged
@@ -334,12 +773,12 @@ class RecommendationEngine {
             // Update existing recommendation instead of duplicating
             existingSimilar.description = recommendation.description;
             existingSimilar.riskLevel = Math.max(existingSimilar.riskLevel, recommendation.riskLevel);
-            existingSimilar.timestamp = Date.now();
+            existingSimilar.timestamp = timestamp;
             return;
         }
         
         // Add metadata
-        recommendation.timestamp = Date.now();
+        recommendation.timestamp = timestamp;
         recommendation.acknowledged = false;
         recommendation.implemented = false;
         
@@ -371,12 +810,11 @@ class RecommendationEngine {
     }
     
     cleanupRecommendations() {
-        const now = Date.now();
         const maxAge = 2 * 60 * 60 * 1000; // 2 hours
         
         this.recommendations = this.recommendations.filter(rec => {
             // Keep if not acknowledged or recently created
-            return !rec.acknowledged || (now - rec.timestamp) < maxAge;
+            return !rec.acknowledged || (this.now(rec.spacecraftId) - rec.timestamp) < maxAge;
         });
         
         // Limit total recommendations
@@ -431,6 +869,9 @@ class RecommendationEngine {
                                 <span class="text-xs px-2 py-1 rounded ${priority.color} bg-opacity-20">
                                     ${rec.priority}
                                 </span>
+                                <span class="text-xs px-2 py-1 rounded bg-gray-700 font-mono">
+                                    ${rec.spacecraftId || 'FLEET'}
+                                </span>
                             </div>
                             <p class="text-xs text-gray-300 mb-2">${rec.description}</p>
                             <div class="text-xs text-gray-400">
@@ -473,7 +914,7 @@ class RecommendationEngine {
         const rec = this.recommendations.find(r => r.id === recId);
         if (rec) {
             rec.acknowledged = true;
-            rec.acknowledgedAt = Date.now();
+            rec.acknowledgedAt = this.now(rec.spacecraftId);
             rec.acknowledgedBy = 'operator';
             
             this.updateRecommendationsUI();
@@ -496,25 +937,45 @@ class RecommendationEngine {
         return `${Math.round(seconds / 86400)}d`;
     }
     
-    // Public API methods
-    getActiveRecommendations() {
-        return this.recommendations.filter(r => !r.acknowledged);
+    // Public API methods; omit spacecraftId for fleet-wide results
+    getActiveRecommendations(spacecraftId = null) {
+        return this.recommendations.filter(r => !r.acknowledged &&
+            (spacecraftId === null || r.spacecraftId === spacecraftId));
     }
     
     getRecommendationHistory() {
         return this.recommendations.filter(r => r.acknowledged);
     }
     
-    getPredictiveMaintenance() {
+    getPredictiveMaintenance(spacecraftId) {
+        const models = this.getPredictiveModels(spacecraftId);
         return {
-            battery: this.predictiveModels.battery.getMaintenanceSchedule(),
-            thermal: this.predictiveModels.thermal.getMaintenanceSchedule(),
-            solar: this.predictiveModels.solar.getMaintenanceSchedule(),
-            communication: this.predictiveModels.communication.getMaintenanceSchedule()
+            battery: models.battery.getMaintenanceSchedule(),
+            thermal: models.thermal.getMaintenanceSchedule(),
+            solar: models.solar.getMaintenanceSchedule(),
+            communication: models.communication.getMaintenanceSchedule(),
+            attitude: models.attitude.getMaintenanceSchedule(),
+            propulsion: models.propulsion.getMaintenanceSchedule()
         };
     }
 }
 
+// Least-squares slope of one archive statistic in units per day; null until the samples span 12 hours,
+// since shorter fits follow the orbital cycle rather than fade
+function archiveTrendPerDay(samples, statistic = 'mean') {
+    if (samples.length < 2 || samples[samples.length - 1].timestamp - samples[0].timestamp < 12 * 3600000) {
+        return null;
+    }
+    
+    const xs = samples.map(sample => (sample.timestamp - samples[0].timestamp) / 86400000);
+    const ys = samples.map(sample => sample[statistic]);
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    const covariance = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+    const spread = xs.reduce((sum, x) => sum + Math.pow(x - meanX, 2), 0);
+    return spread > 0 ? covariance / spread : null;
+}
+
 // Battery Degradation Predictor
 class BatteryDegradationPredictor {
     constructor() {
@@ -522,11 +983,20 @@ class BatteryDegradationPredictor {
         this.degradationRate = 0;
         this.capacityTrend = [];
         this.temperatureTrend = [];
+        this.longTermFadeRate = null; // % capacity per day, from the archive
+        this.cycleLog = []; // { timestamp, cycles, depth, capacity } at each completed cycle, oldest first
+        this.fadePerCycle = null; // % capacity per cycle
+        this.cycleRate = null; // Cycles per millisecond
+    }
+    
+    setLongTermHistory(samples) {
+        const slope = archiveTrendPerDay(samples);
+        this.longTermFadeRate = slope === null ? null : Math.max(0, -slope);
     }
     
-    processData(batteryData) {
+    processData(batteryData, timestamp) {
         this.dataPoints.push({
-            timestamp: Date.now(),
+            timestamp,
             capacity: batteryData.capacity,
             voltage: batteryData.voltage,
             current: batteryData.current,
@@ -538,9 +1008,41 @@ class BatteryDegradationPredictor {
             this.dataPoints.shift();
         }
         
+        // Cycle count and depth come from the battery model; older recordings lack them
+        const lastCycle = this.cycleLog[this.cycleLog.length - 1];
+        if (batteryData.cycles !== undefined && (!lastCycle || batteryData.cycles > lastCycle.cycles)) {
+            this.cycleLog.push({
+                timestamp,
+                cycles: batteryData.cycles,
+                depth: batteryData.cycleDepth,
+                capacity: batteryData.capacity
+            });
+            if (this.cycleLog.length > 100) {
+                this.cycleLog.shift();
+            }
+            this.updateCycleTrends();
+        }
+        
         this.updateTrends();
     }
     
+    // Capacity fade per cycle and cycling rate across the logged cycles
+    updateCycleTrends() {
+        if (this.cycleLog.length < 3) return;
+        
+        const first = this.cycleLog[0];
+        const last = this.cycleLog[this.cycleLog.length - 1];
+        const cycles = last.cycles - first.cycles;
+        
+        this.fadePerCycle = Math.max(0, (first.capacity - last.capacity) / cycles);
+        this.cycleRate = last.timestamp > first.timestamp ? cycles / (last.timestamp - first.timestamp) : null;
+    }
+    
+    getAverageDepth() {
+        if (this.cycleLog.length === 0) return null;
+        return this.cycleLog.reduce((sum, entry) => sum + entry.depth, 0) / this.cycleLog.length;
+    }
+    
     updateTrends() {
         if (this.dataPoints.length < 10) return;
         
@@ -558,7 +1060,7 @@ class BatteryDegradationPredictor {
     
     getPredictions() {
         if (this.dataPoints.length < 20) {
-            return { degradationRisk: 0, timeToFailure: null };
+            return { degradationRisk: 0, timeToFailure: null, longTermFadeRate: this.longTermFadeRate };
         }
         
         const latest = this.dataPoints[this.dataPoints.length - 1];
@@ -577,9 +1079,21 @@ class BatteryDegradationPredictor {
         // Voltage risk
         if (latest.voltage < 22) riskScore += 0.2;
         
-        // Time to failure prediction (simplified)
+        // Cycling stress: deep cycles wear the cells much faster than shallow ones
+        const averageDepth = this.getAverageDepth();
+        if (averageDepth > 30) riskScore += 0.2;
+        if (averageDepth > 50) riskScore += 0.3;
+        if (this.fadePerCycle > 0.05) riskScore += 0.3;
+        
+        // Time to failure: from the fade per cycle once cycles have been logged, else from the recent trend
         let timeToFailure = null;
-        if (this.degradationRate > 0 && latest.capacity > 50) {
+        let cyclesToFailure = null;
+        if (this.fadePerCycle > 0 && latest.capacity > 50) {
+            cyclesToFailure = Math.round((latest.capacity - 50) / this.fadePerCycle);
+            if (this.cycleRate) {
+                timeToFailure = cyclesToFailure / this.cycleRate;
+            }
+        } else if (this.degradationRate > 0 && latest.capacity > 50) {
             const pointsToFailure = (latest.capacity - 50) / this.degradationRate;
             timeToFailure = pointsToFailure * 1000; // Convert to milliseconds (assuming 1 point per second)
         }
@@ -588,7 +1102,12 @@ class BatteryDegradationPredictor {
             degradationRisk: Math.min(1, riskScore),
             timeToFailure: timeToFailure,
             currentCapacity: latest.capacity,
-            degradationRate: this.degradationRate
+            degradationRate: this.degradationRate,
+            longTermFadeRate: this.longTermFadeRate,
+            cycles: this.cycleLog.length > 0 ? this.cycleLog[this.cycleLog.length - 1].cycles : null,
+            averageDepth,
+            fadePerCycle: this.fadePerCycle,
+            cyclesToFailure
         };
     }
     
@@ -616,9 +1135,9 @@ class ThermalFailurePredictor {
         this.temperatureTrends = {};
     }
     
-    processData(thermalData) {
+    processData(thermalData, timestamp) {
         this.dataPoints.push({
-            timestamp: Date.now(),
+            timestamp,
             processor: thermalData.processor,
             battery: thermalData.battery,
             solar: thermalData.solar,
@@ -662,11 +1181,18 @@ class SolarDegradationPredictor {
     constructor() {
         this.dataPoints = [];
         this.efficiencyTrend = [];
+        this.longTermDeclineRate = null; // % efficiency per day, from the archive
+    }
+    
+    // Hourly peaks, since the mean depends on how much of each hour was in eclipse
+    setLongTermHistory(samples) {
+        const slope = archiveTrendPerDay(samples, 'max');
+        this.longTermDeclineRate = slope === null ? null : Math.max(0, -slope);
     }
     
-    processData(solarData) {
+    processData(solarData, timestamp) {
         this.dataPoints.push({
-            timestamp: Date.now(),
+            timestamp,
             power: solarData.power,
             efficiency: solarData.efficiency,
             temperature: solarData.temperature
@@ -679,7 +1205,7 @@ class SolarDegradationPredictor {
     
     getPredictions() {
         if (this.dataPoints.length < 20) {
-            return { degradationRate: 0 };
+            return { degradationRate: 0, longTermDeclineRate: this.longTermDeclineRate };
         }
         
         // Calculate efficiency degradation rate
@@ -691,7 +1217,7 @@ class SolarDegradationPredictor {
         
         const degradationRate = Math.max(0, (earlierEfficiency - recentEfficiency) / 10);
         
-        return { degradationRate };
+        return { degradationRate, longTermDeclineRate: this.longTermDeclineRate };
     }
     
     getMaintenanceSchedule() {
@@ -705,9 +1231,12 @@ class CommunicationPredictor {
         this.dataPoints = [];
     }
     
-    processData(commData) {
+    processData(commData, timestamp) {
+        // Only passes carry link measurements
+        if (commData.signalStrength === null) return;
+        
         this.dataPoints.push({
-            timestamp: Date.now(),
+            timestamp,
             signalStrength: commData.signalStrength,
             errorRate: commData.errorRate,
             dataRate: commData.dataRate
@@ -727,6 +1256,137 @@ class CommunicationPredictor {
     }
 }
 
+// Reaction Wheel Momentum Predictor
+class WheelMomentumPredictor {
+    constructor() {
+        this.dataPoints = [];
+        this.saturationSpeed = 6000; // rpm
+    }
+    
+    // Uses telemetry timestamps so the trend is per simulated second at any sample period
+    processData(attitudeData, timestamp) {
+        this.dataPoints.push({
+            timestamp,
+            maxSpeed: Math.max(...Object.values(attitudeData.wheels).map(wheel => Math.abs(wheel.speed))),
+            dutyCycle: attitudeData.magnetorquer.dutyCycle
+        });
+        
+        if (this.dataPoints.length > 60) {
+            this.dataPoints.shift();
+        }
+    }
+    
+    getPredictions() {
+        if (this.dataPoints.length < 20) {
+            return { momentumRate: 0, timeToSaturation: null };
+        }
+        
+        // Least-squares slope of the fastest wheel's speed
+        const first = this.dataPoints[0].timestamp;
+        const xs = this.dataPoints.map(p => (p.timestamp - first) / 1000);
+        const ys = this.dataPoints.map(p => p.maxSpeed);
+        const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+        const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+        const covariance = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+        const spread = xs.reduce((sum, x) => sum + Math.pow(x - meanX, 2), 0);
+        const momentumRate = spread > 0 ? covariance / spread : 0; // rpm/s
+        
+        const latest = ys[ys.length - 1];
+        const timeToSaturation = momentumRate > 0.1 ?
+            Math.max(0, (this.saturationSpeed - latest) / momentumRate) : null;
+        
+        return { momentumRate, timeToSaturation, maxSpeed: latest };
+    }
+    
+    getMaintenanceSchedule() {
+        const predictions = this.getPredictions();
+        const schedule = [];
+        
+        if (predictions.timeToSaturation !== null) {
+            schedule.push({
+                task: 'Momentum Desaturation',
+                priority: predictions.timeToSaturation < 1800 ? 'HIGH' : 'MEDIUM',
+                dueIn: predictions.timeToSaturation * 1000,
+                description: 'Unload reaction wheel momentum with magnetorquers or thrusters'
+            });
+        }
+        
+        return schedule;
+    }
+}
+
+// Propellant Remaining Predictor
+class PropellantPredictor {
+    constructor() {
+        this.dataPoints = [];
+        this.loadedMass = 50; // kg
+        this.reserveMass = 2; // kg held for disposal
+        this.dryMass = 450; // kg
+        this.specificImpulse = 220; // s, hydrazine monopropellant
+    }
+    
+    // Uses telemetry timestamps so loss rates are per simulated second at any sample period
+    processData(propulsionData, timestamp) {
+        this.dataPoints.push({
+            timestamp,
+            mass: propulsionData.propellantMass,
+            burning: propulsionData.burnDuration > 0
+        });
+        
+        if (this.dataPoints.length > 300) {
+            this.dataPoints.shift();
+        }
+    }
+    
+    getPredictions() {
+        if (this.dataPoints.length < 20) {
+            return { loaded: this.loadedMass, usable: null, deltaV: null, lossRate: 0, timeToReserve: null };
+        }
+        
+        // The PVT estimate is noisy, so average the latest samples
+        const latest = this.dataPoints.slice(-10).reduce((sum, p) => sum + p.mass, 0) / 10;
+        const usable = Math.max(0, latest - this.reserveMass);
+        const deltaV = this.specificImpulse * 9.80665 *
+            Math.log((this.dryMass + latest) / (this.dryMass + Math.min(latest, this.reserveMass)));
+        
+        // Burns spend propellant by plan; only loss between burns is extrapolated
+        const lastBurn = this.dataPoints.map(p => p.burning).lastIndexOf(true);
+        const coast = this.dataPoints.slice(lastBurn + 1);
+        let lossRate = 0; // kg/s
+        if (coast.length >= 20 && coast[coast.length - 1].timestamp - coast[0].timestamp >= 240000) {
+            const first = coast[0].timestamp;
+            const xs = coast.map(p => (p.timestamp - first) / 1000);
+            const ys = coast.map(p => p.mass);
+            const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+            const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+            const covariance = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+            const spread = xs.reduce((sum, x) => sum + Math.pow(x - meanX, 2), 0);
+            lossRate = spread > 0 ? Math.max(0, -covariance / spread) : 0;
+        }
+        
+        // Below 0.15 kg/h the trend is within the noise of the estimate
+        const timeToReserve = lossRate > 4e-5 ? usable / lossRate : null;
+        
+        return { loaded: this.loadedMass, usable, deltaV, lossRate, timeToReserve };
+    }
+    
+    getMaintenanceSchedule() {
+        const predictions = this.getPredictions();
+        const schedule = [];
+        
+        if (predictions.timeToReserve !== null) {
+            schedule.push({
+                task: 'Propellant Budget Review',
+                priority: predictions.timeToReserve < 7 * 86400 ? 'HIGH' : 'MEDIUM',
+                dueIn: Math.min(predictions.timeToReserve * 1000, 86400000), // Max 1 day
+                description: 'Reconcile propellant usage and re-plan remaining maneuvers'
+            });
+        }
+        
+        return schedule;
+    }
+}
+
 // Rule-Based Recommendation Engine
 class RuleBasedRecommendationEngine {
     constructor() {
@@ -759,7 +1419,7 @@ class MaintenanceScheduler {
     
     initializeSchedule() {
         // Add default maintenance tasks
-        const now = Date.now();
+        const now = window.simulationClock.now();
         
         this.scheduledTasks.push({
             id: 'weekly-health-check',
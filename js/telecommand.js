@@ -0,0 +1,313 @@
+/**
+ * Telecommand Manager
+ * Simulated uplink: command database, timetagged queue and verification of each command against
+ * the telemetry it is expected to change
+ */
+
+class TelecommandManager {
+    constructor(clock = window.simulationClock) {
+        this.clock = clock;
+        this.commands = new Map(); // name -> definition
+        this.history = []; // Every command sent, newest last
+        this.nextCommandId = 1;
+        
+        this.config = {
+            requireContact: true, // Uplink waits for a ground station pass
+            defaultTimeout: 30000, // ms of telemetry after execution to see the expected effect
+            historyLength: 200
+        };
+        
+        this.registerDefaultCommands();
+        
+        window.addEventListener('simulationTick', (event) => this.process(event.detail.time));
+        window.addEventListener('telemetryUpdate', (event) => this.verify(event.detail));
+    }
+    
+    // Command database. A definition holds:
+    // arguments: [{ name, values, default }]; precondition(simulator, args) -> reason it cannot run, or null;
+    // execute(simulator, args) -> false when rejected onboard; verify(point, args) -> true once telemetry shows
+    // the effect; effect: what the operator should expect to see.
+    registerCommand(name, definition) {
+        if (typeof definition.execute !== 'function' || typeof definition.verify !== 'function') {
+            throw new Error(`Command ${name} needs execute and verify functions`);
+        }
+        
+        this.commands.set(name, {
+            arguments: [],
+            precondition: () => null,
+            timeout: this.config.defaultTimeout,
+            ...definition,
+            name
+        });
+    }
+    
+    getCommand(name) {
+        return this.commands.get(name) || null;
+    }
+    
+    getCommands(subsystem = null) {
+        return Array.from(this.commands.values())
+            .filter(command => subsystem === null || command.subsystem === subsystem);
+    }
+    
+    registerDefaultCommands() {
+        const heaterNodes = ['battery'];
+        
+        this.registerCommand('HEATER_OFF', {
+            description: 'Disable a thermostatic heater',
+            subsystem: 'thermal',
+            arguments: [{ name: 'node', values: heaterNodes, default: 'battery' }],
+            precondition: (simulator, args) =>
+                simulator.thermalNetwork.getHeaters()[args.node] ? null : `no heater on ${args.node}`,
+            execute: (simulator, args) => simulator.thermalNetwork.setHeater(args.node, false),
+            verify: (point, args) => point.thermal.heaters?.[args.node]?.enabled === false,
+            effect: 'Heater enable flag clears and the heater stays off'
+        });
+        
+        this.registerCommand('HEATER_ON', {
+            description: 'Enable a thermostatic heater',
+            subsystem: 'thermal',
+            arguments: [{ name: 'node', values: heaterNodes, default: 'battery' }],
+            precondition: (simulator, args) =>
+                simulator.thermalNetwork.getHeaters()[args.node] ? null : `no heater on ${args.node}`,
+            execute: (simulator, args) => simulator.thermalNetwork.setHeater(args.node, true),
+            verify: (point, args) => point.thermal.heaters?.[args.node]?.enabled === true,
+            effect: 'Heater enable flag sets; the thermostat switches the heater below its on temperature'
+        });
+        
+        // Switchover to either unit of a redundant pair; verified once the switching transient is over
+        const switchovers = [
+            { name: 'TX_SELECT', group: 'transmitter', subsystem: 'communication', description: 'Select the downlink transmitter' },
+            { name: 'BATT_SELECT', group: 'battery', subsystem: 'power', description: 'Select the battery string on the bus' },
+            { name: 'OBC_SELECT', group: 'processor', subsystem: 'system', description: 'Select the active processor' }
+        ];
+        switchovers.forEach(({ name, group, subsystem, description }) => {
+            this.registerCommand(name, {
+                description,
+                subsystem,
+                group,
+                arguments: [{ name: 'unit', values: ['A', 'B'], default: 'B' }],
+                precondition: (simulator, args) => simulator.getUnitHealth(group, args.unit) === 'failed' ?
+                    `${group} ${args.unit} has failed` : null,
+                execute: (simulator, args) => simulator.switchUnit(group, args.unit, 'telecommand'),
+                verify: (point, args) => point.redundancy?.[group]?.active === args.unit && !point.redundancy[group].switching,
+                effect: 'Selected unit reported active once the switching transient is over'
+            });
+        });
+        
+        this.registerCommand('PHASE_SET', {
+            description: 'Change mission phase',
+            subsystem: 'system',
+            arguments: [{ name: 'phase', values: ['nominal', 'safe_mode', 'maneuver'], default: 'safe_mode' }],
+            precondition: (simulator, args) => simulator.phaseManager.canTransition(simulator.spacecraftId, args.phase) ?
+                null : `transition ${simulator.getMissionPhase()} -> ${args.phase} is not allowed`,
+            execute: (simulator, args) => simulator.setMissionPhase(args.phase, 'telecommand'),
+            verify: (point, args) => point.missionPhase === args.phase,
+            effect: 'Telemetry reports the new mission phase'
+        });
+        
+        this.registerCommand('PAYLOAD_START', {
+            description: 'Start a payload imaging session',
+            subsystem: 'payload',
+            arguments: [{ name: 'duration', values: [300, 600, 1200], default: 600 }], // s
+            precondition: (simulator) => {
+                // The simulator's own profile only follows a phase change at its next sample
+                const profile = simulator.phaseManager.getProfile(simulator.spacecraftId);
+                if (profile.payload !== 'operate') return `payload operations are not allowed in ${profile.name}`;
+                return simulator.loadShedding.active ? `payload is shed (${simulator.loadShedding.reason})` : null;
+            },
+            execute: (simulator, args) => simulator.startPayloadSession(args.duration * 1000),
+            verify: (point) => point.payload.on === true,
+            effect: 'Payload powers on and starts imaging once the detector is cold',
+            timeout: 600000 // Covers a detector cool-down
+        });
+        
+        this.registerCommand('PAYLOAD_STOP', {
+            description: 'Stop the running payload session',
+            subsystem: 'payload',
+            execute: (simulator) => {
+                simulator.stopPayloadSession();
+                return true;
+            },
+            verify: (point) => point.payload.on === false,
+            effect: 'Payload returns to standby'
+        });
+        
+        this.registerCommand('LOADS_RESTORE', {
+            description: 'Restore loads shed by onboard FDIR',
+            subsystem: 'power',
+            precondition: (simulator) => simulator.loadShedding.active ? null : 'no loads are shed',
+            execute: (simulator) => simulator.restoreLoads('telecommand'),
+            verify: (point) => point.fdir?.loadsShed === false,
+            effect: 'Bus load returns to the mission phase level and the payload may run again'
+        });
+        
+        // Onboard FDIR monitors, one at a time or ALL for the whole layer
+        const monitors = ['ALL', 'BATT_OVERTEMP', 'BATT_UNDERTEMP', 'BATT_UNDERVOLT', 'BATT_LOW_SOC', 'PROC_OVERTEMP', 'TX_LINK_LOW'];
+        [['FDIR_ENABLE', true], ['FDIR_DISABLE', false]].forEach(([name, enabled]) => {
+            this.registerCommand(name, {
+                description: `${enabled ? 'Enable' : 'Disable'} onboard FDIR monitoring`,
+                subsystem: 'system',
+                arguments: [{ name: 'monitor', values: monitors, default: 'ALL' }],
+                precondition: (simulator, args) => args.monitor === 'ALL' || simulator.fdir.monitors[args.monitor] ?
+                    null : `no FDIR monitor ${args.monitor}`,
+                execute: (simulator, args) => simulator.fdir.setMonitorEnabled(args.monitor, enabled),
+                verify: (point, args) => args.monitor === 'ALL' ? point.fdir?.enabled === enabled :
+                    (point.fdir?.monitors[args.monitor]?.status !== 'disabled') === enabled,
+                effect: `Monitor status ${enabled ? 'leaves' : 'reads'} disabled in the FDIR telemetry`
+            });
+        });
+    }
+    
+    // Queues a command; options.delay (ms) or options.executeAt (timestamp) timetag its execution
+    send(spacecraftId, name, args = {}, options = {}) {
+        const command = this.getCommand(name);
+        if (!command) {
+            console.warn(`No telecommand named ${name}`);
+            return null;
+        }
+        if (!this.getSimulator(spacecraftId)) {
+            console.warn(`${spacecraftId} is not simulated and cannot be commanded`);
+            return null;
+        }
+        
+        const now = this.clock.now();
+        const resolved = {};
+        command.arguments.forEach(argument => {
+            resolved[argument.name] = args[argument.name] ?? argument.default;
+        });
+        
+        const record = {
+            id: `TC-${this.nextCommandId++}`,
+            spacecraftId,
+            command: name,
+            description: command.description,
+            args: resolved,
+            executeAt: options.executeAt ?? (options.delay ? now + options.delay : null),
+            status: null,
+            reason: null,
+            stages: {} // stage -> timestamp
+        };
+        
+        const invalid = command.arguments.find(argument =>
+            argument.values && !argument.values.includes(resolved[argument.name]));
+        
+        this.history.push(record);
+        if (this.history.length > this.config.historyLength) {
+            this.history.shift();
+        }
+        
+        this.setStage(record, 'queued', now);
+        if (invalid) {
+            this.setStage(record, 'failed', now, `invalid ${invalid.name} ${resolved[invalid.name]}`);
+        } else {
+            this.process(now);
+        }
+        
+        return record;
+    }
+    
+    // Cancels a command that has not started executing
+    cancel(id) {
+        const record = this.history.find(entry => entry.id === id);
+        if (!record || !['queued', 'accepted'].includes(record.status)) return false;
+        
+        this.setStage(record, 'failed', this.clock.now(), 'cancelled');
+        return true;
+    }
+    
+    // Uplinks queued commands during contact and executes accepted ones once their timetag is due
+    process(time) {
+        this.history.forEach(record => {
+            if (record.status !== 'queued' && record.status !== 'accepted') return;
+            
+            const command = this.getCommand(record.command);
+            const simulator = this.getSimulator(record.spacecraftId);
+            if (!simulator) {
+                this.setStage(record, 'failed', time, 'spacecraft no longer simulated');
+                return;
+            }
+            
+            if (record.status === 'queued') {
+                if (this.config.requireContact && !this.inContact(simulator)) return;
+                
+                const reason = command.precondition(simulator, record.args);
+                if (reason) {
+                    this.setStage(record, 'failed', time, reason);
+                    return;
+                }
+                this.setStage(record, 'accepted', time);
+            }
+            
+            if (record.executeAt !== null && time < record.executeAt) return;
+            
+            // State may have moved on while a timetagged command waited
+            const reason = command.precondition(simulator, record.args) ??
+                (command.execute(simulator, record.args) === false ? 'rejected onboard' : null);
+            
+            // The spacecraft reports execution or rejection in its event log
+            const args = Object.values(record.args).join(' ');
+            if (reason) {
+                simulator.emitEvent('TC_REJECTED', 'warning', command.subsystem,
+                    `${record.id} ${record.command}${args ? ` ${args}` : ''} rejected: ${reason}`, { commandId: record.id }, time);
+                this.setStage(record, 'failed', time, reason);
+                return;
+            }
+            simulator.emitEvent('TC_EXECUTED', 'info', command.subsystem,
+                `${record.id} ${record.command}${args ? ` ${args}` : ''} executed`, { commandId: record.id }, time);
+            this.setStage(record, 'started', time);
+        });
+    }
+    
+    // Completes started commands on the first telemetry showing their effect; fails them after the timeout
+    verify(point) {
+        this.history.forEach(record => {
+            if (record.status !== 'started' || record.spacecraftId !== point.spacecraftId) return;
+            
+            const command = this.getCommand(record.command);
+            // Samples generated in the tick that executed the command may be stamped just before it
+            if (command.verify(point, record.args)) {
+                this.setStage(record, 'completed', Math.max(point.timestamp, record.stages.started));
+            } else if (point.timestamp - record.stages.started > command.timeout) {
+                this.setStage(record, 'failed', point.timestamp, `no telemetry confirmation within ${command.timeout / 1000}s`);
+            }
+        });
+    }
+    
+    setStage(record, stage, timestamp, reason = null) {
+        record.status = stage;
+        record.stages[stage] = timestamp;
+        if (reason) {
+            record.reason = reason;
+        }
+        
+        console.log(`${record.spacecraftId}: ${record.id} ${record.command} ${stage}${reason ? ` (${reason})` : ''}`);
+        
+        window.dispatchEvent(new CustomEvent('telecommandUpdate', {
+            detail: { ...record, stages: { ...record.stages } }
+        }));
+    }
+    
+    getSimulator(spacecraftId) {
+        return window.fleetManager?.getVehicle(spacecraftId)?.simulator || null;
+    }
+    
+    // Vehicles without pass prediction are always reachable
+    inContact(simulator) {
+        return simulator.getLatestTelemetry()?.communication.contact !== false;
+    }
+    
+    getHistory(spacecraftId = null, limit = 20) {
+        return this.history
+            .filter(record => spacecraftId === null || record.spacecraftId === spacecraftId)
+            .slice(-limit);
+    }
+    
+    getPending(spacecraftId = null) {
+        return this.getHistory(spacecraftId, Infinity)
+            .filter(record => ['queued', 'accepted', 'started'].includes(record.status));
+    }
+}
+
+// Global telecommand manager
+window.telecommandManager = new TelecommandManager();
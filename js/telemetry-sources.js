@@ -0,0 +1,670 @@
+/**
+ * Telemetry Source Layer
+ * Pluggable adapters that feed the telemetryUpdate event stream
+ */
+
+// Base class shared by all telemetry adapters
+class TelemetrySource {
+    constructor(name) {
+        this.name = name;
+        this.isRunning = false;
+        this.histories = {}; // spacecraftId -> points
+        this.historyLimit = 300; // 5 minutes at 1 Hz, same as the simulator
+        this.reportedIssues = new Set(); // Data dictionary violations already logged, as channel:issue
+    }
+    
+    start() {
+        this.isRunning = true;
+    }
+    
+    stop() {
+        this.isRunning = false;
+    }
+    
+    emit(point) {
+        // Replayed frames were accounted when first received; live duplicates are discarded
+        if (point.recordedTimestamp === undefined && !window.frameAccounting.receive(point)) return;
+        
+        const history = this.histories[point.spacecraftId] || (this.histories[point.spacecraftId] = []);
+        history.push(point);
+        if (history.length > this.historyLimit) {
+            history.shift();
+        }
+        
+        window.dispatchEvent(new CustomEvent('telemetryUpdate', {
+            detail: point
+        }));
+    }
+    
+    // Without a spacecraft ID, data is for the vehicle selected on the dashboard
+    getLatestTelemetry(spacecraftId = window.fleetManager?.getSelectedId()) {
+        const history = this.histories[spacecraftId] || [];
+        if (history.length === 0) return null;
+        return history[history.length - 1];
+    }
+    
+    // Points within the last `minutes` of telemetry time, whatever the source's cadence
+    getHistoricalData(subsystem, minutes = 5, spacecraftId = window.fleetManager?.getSelectedId()) {
+        const history = this.histories[spacecraftId] || [];
+        if (history.length === 0) return [];
+        
+        const since = history[history.length - 1].timestamp - minutes * 60000;
+        return history.filter(point => point.timestamp >= since);
+    }
+    
+    // Only the simulator samples on the clock; other sources leave single steps at the clock default
+    getSamplePeriod() {
+        return undefined;
+    }
+    
+    // Event messages from the ground segment join the simulator's onboardEvent stream
+    emitEvent(raw) {
+        const spacecraftId = raw.spacecraftId !== undefined && raw.spacecraftId !== '' ?
+            String(raw.spacecraftId) :
+            window.fleetManager.getPrimaryId();
+        
+        window.dispatchEvent(new CustomEvent('onboardEvent', {
+            detail: {
+                ...raw,
+                id: raw.id ?? `${spacecraftId}-E${raw.sequence ?? Date.now()}`,
+                spacecraftId,
+                timestamp: Number(raw.timestamp) || Date.now(),
+                type: String(raw.type || 'EVENT'),
+                severity: ['info', 'warning', 'critical'].includes(raw.severity) ? raw.severity : 'info',
+                subsystem: raw.subsystem || 'system',
+                message: String(raw.message ?? ''),
+                data: raw.data || {}
+            }
+        }));
+    }
+    
+    // Bring an externally produced point into the shape broadcastUpdate() emits
+    normalizePoint(raw) {
+        // Points without a spacecraft ID belong to the primary vehicle
+        const spacecraftId = raw.spacecraftId !== undefined && raw.spacecraftId !== '' ?
+            String(raw.spacecraftId) :
+            window.fleetManager.getPrimaryId();
+        window.fleetManager.ensureVehicle(spacecraftId);
+        
+        const point = {
+            spacecraftId,
+            timestamp: Number(raw.timestamp) || Date.now(),
+            missionTime: Number(raw.missionTime) || 0,
+            power: {
+                battery: { ...(raw.power?.battery || {}) },
+                solar: { ...(raw.power?.solar || {}) },
+                eclipse: raw.power?.eclipse === true || raw.power?.eclipse === 'true'
+            },
+            thermal: { ...(raw.thermal || {}) },
+            communication: { ...(raw.communication || {}) },
+            attitude: { ...(raw.attitude || {}) },
+            propulsion: { ...(raw.propulsion || {}) }
+        };
+        
+        if (raw.payload) {
+            point.payload = { ...raw.payload };
+        }
+        
+        if (raw.orbit) {
+            point.orbit = { ...raw.orbit };
+        }
+        if (raw.fdir) {
+            point.fdir = { ...raw.fdir };
+        }
+        if (raw.missionPhase) {
+            point.missionPhase = String(raw.missionPhase);
+        }
+        if (raw.frameCount !== undefined) {
+            point.frameCount = Number(raw.frameCount);
+        }
+        
+        // Recordings from older ground tools do not carry derived status fields
+        const simulator = window.telemetrySimulator;
+        const battery = point.power.battery;
+        const solar = point.power.solar;
+        const thermal = point.thermal;
+        const comm = point.communication;
+        const attitude = point.attitude;
+        const propulsion = point.propulsion;
+        
+        if (!battery.status) {
+            battery.status = simulator.getBatteryStatus(battery.voltage, battery.temperature, battery.capacity, battery.stateOfCharge);
+        }
+        if (!solar.status) {
+            solar.status = simulator.getSolarStatus(solar.power, solar.temperature);
+        }
+        if (solar.efficiency === undefined && solar.power !== undefined) {
+            solar.efficiency = Number((solar.power / simulator.subsystems.solar.power.base * 100).toFixed(1));
+        }
+        if (!thermal.status) {
+            thermal.status = simulator.getThermalStatus(thermal.processor, thermal.battery, thermal.solar);
+        }
+        if (!comm.status) {
+            comm.status = simulator.getCommunicationStatus(comm.signalStrength, comm.errorRate);
+        }
+        if (!attitude.status && attitude.wheels) {
+            const wheels = Object.values(attitude.wheels);
+            attitude.status = simulator.getAttitudeStatus(
+                Math.max(...wheels.map(wheel => Math.abs(wheel.speed))),
+                Math.max(...wheels.map(wheel => wheel.current)),
+                attitude.pointingError,
+                attitude.starTracker?.valid !== false);
+        }
+        if (!propulsion.status && propulsion.thrusters) {
+            propulsion.status = simulator.getPropulsionStatus(
+                propulsion.tankPressure,
+                propulsion.tankTemperature,
+                propulsion.propellantMass,
+                Math.max(...Object.values(propulsion.thrusters).map(thruster => thruster.catalystBedTemperature)));
+        }
+        if (point.payload && !point.payload.status) {
+            point.payload.on = point.payload.on === true || point.payload.on === 'true';
+            point.payload.status = simulator.getPayloadStatus(point.payload.on, point.payload.detectorTemperature);
+        }
+        
+        window.derivedChannels.apply(point);
+        this.validatePoint(point);
+        return point;
+    }
+    
+    // Checks the point against the data dictionary; each kind of problem is logged once per channel
+    validatePoint(point) {
+        const issues = window.dataDictionary.validate(point).filter(issue => {
+            const key = `${issue.channel}:${issue.issue}`;
+            if (this.reportedIssues.has(key)) return false;
+            this.reportedIssues.add(key);
+            return true;
+        });
+        
+        if (issues.length > 0) {
+            console.warn(`${this.name} telemetry from ${point.spacecraftId} fails validation: ` +
+                issues.map(issue => issue.message).join('; '));
+        }
+        return issues;
+    }
+    
+    setPath(target, path, value) {
+        const keys = path.split('.');
+        let node = target;
+        
+        keys.slice(0, -1).forEach(key => {
+            if (typeof node[key] !== 'object' || node[key] === null) {
+                node[key] = {};
+            }
+            node = node[key];
+        });
+        
+        node[keys[keys.length - 1]] = value;
+    }
+}
+
+// Adapter around the in-browser TelemetrySimulator of every fleet vehicle
+class SimulatorTelemetrySource extends TelemetrySource {
+    constructor(fleet) {
+        super('simulator');
+        this.fleet = fleet;
+    }
+    
+    start() {
+        this.fleet.getSimulators().forEach(simulator => simulator.start());
+        this.isRunning = true;
+    }
+    
+    stop() {
+        this.fleet.getSimulators().forEach(simulator => simulator.stop());
+        this.isRunning = false;
+    }
+    
+    getLatestTelemetry(spacecraftId = this.fleet.getSelectedId()) {
+        const simulator = this.fleet.getVehicle(spacecraftId)?.simulator;
+        return simulator ? simulator.getLatestTelemetry() : null;
+    }
+    
+    getHistoricalData(subsystem, minutes = 5, spacecraftId = this.fleet.getSelectedId()) {
+        const simulator = this.fleet.getVehicle(spacecraftId)?.simulator;
+        return simulator ? simulator.getHistoricalData(subsystem, minutes) : [];
+    }
+    
+    getSamplePeriod(spacecraftId = this.fleet.getSelectedId()) {
+        return this.fleet.getVehicle(spacecraftId)?.simulator.getSamplePeriod();
+    }
+}
+
+// Streams a recorded pass (JSON lines or CSV) at the recorded cadence
+class ReplayTelemetrySource extends TelemetrySource {
+    constructor() {
+        super('replay');
+        this.points = [];
+        this.position = 0;
+        this.speed = 1;
+        this.timer = null;
+        this.recordingName = null;
+    }
+    
+    loadRecording(text, format = 'auto', recordingName = 'recording') {
+        const detectedFormat = format === 'auto' ? this.detectFormat(text) : format;
+        const rawPoints = detectedFormat === 'csv' ? this.parseCSV(text) : this.parseJSONLines(text);
+        
+        this.reportedIssues.clear();
+        this.points = rawPoints
+            .map(raw => this.normalizePoint(raw))
+            .sort((a, b) => a.timestamp - b.timestamp);
+        this.position = 0;
+        this.histories = {};
+        this.recordingName = recordingName;
+        
+        console.log(`Loaded ${this.points.length} telemetry points from ${recordingName} (${detectedFormat})`);
+        return this.points.length;
+    }
+    
+    detectFormat(text) {
+        const firstLine = text.split(/\r?\n/).find(line => line.trim().length > 0) || '';
+        return firstLine.trim().startsWith('{') ? 'jsonl' : 'csv';
+    }
+    
+    parseJSONLines(text) {
+        const points = [];
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                points.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`Skipping malformed recording line ${index + 1}:`, error.message);
+            }
+        });
+        return points;
+    }
+    
+    // CSV header uses dotted paths, e.g. timestamp,power.battery.voltage,thermal.processor
+    parseCSV(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+        if (lines.length < 2) return [];
+        
+        const columns = lines[0].split(',').map(column => column.trim());
+        
+        return lines.slice(1).map(line => {
+            const values = line.split(',');
+            const point = {};
+            
+            columns.forEach((column, index) => {
+                const value = this.parseCSVValue(values[index]);
+                if (value !== undefined) {
+                    this.setPath(point, column, value);
+                }
+            });
+            
+            return point;
+        });
+    }
+    
+    parseCSVValue(value) {
+        if (value === undefined) return undefined;
+        
+        const trimmed = value.trim();
+        if (trimmed === '') return undefined;
+        if (trimmed === 'true') return true;
+        if (trimmed === 'false') return false;
+        
+        const number = Number(trimmed);
+        return isNaN(number) ? trimmed : number;
+    }
+    
+    start() {
+        if (this.isRunning) return;
+        
+        if (this.points.length === 0) {
+            console.warn('Replay source has no recording loaded');
+            return;
+        }
+        
+        if (this.position >= this.points.length) {
+            this.position = 0;
+        }
+        
+        this.isRunning = true;
+        this.playNext();
+        
+        console.log(`Telemetry replay started at ${this.speed}x`);
+    }
+    
+    stop() {
+        if (!this.isRunning) return;
+        
+        this.isRunning = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        console.log('Telemetry replay stopped');
+    }
+    
+    playNext() {
+        if (!this.isRunning) return;
+        
+        const recorded = this.points[this.position];
+        
+        // Re-stamped to the wall clock like a live stream, so data quality staleness checks apply; the recorded
+        // time is kept, and the anomaly detector measures its windows on these timestamps, not the simulation clock
+        this.emit({
+            ...recorded,
+            timestamp: Date.now(),
+            recordedTimestamp: recorded.timestamp
+        });
+        
+        this.position++;
+        
+        if (this.position >= this.points.length) {
+            this.isRunning = false;
+            this.timer = null;
+            
+            window.dispatchEvent(new CustomEvent('replayComplete', {
+                detail: { recordingName: this.recordingName, points: this.points.length }
+            }));
+            return;
+        }
+        
+        const gap = this.points[this.position].timestamp - recorded.timestamp;
+        this.timer = setTimeout(() => this.playNext(), Math.max(0, gap / this.speed));
+    }
+    
+    setSpeed(speed) {
+        this.speed = Math.max(0.1, Number(speed) || 1);
+    }
+    
+    getProgress() {
+        return {
+            position: this.position,
+            total: this.points.length,
+            speed: this.speed
+        };
+    }
+}
+
+// Live telemetry pushed from the ground segment over a WebSocket
+class WebSocketTelemetrySource extends TelemetrySource {
+    constructor(url = 'ws://localhost:8765') {
+        super('websocket');
+        this.url = url;
+        this.socket = null;
+        this.linkState = 'lost'; // connected, stale, lost
+        this.lastFrameAt = null;
+        this.staleAfter = 5000; // ms without a frame before the link is stale
+        
+        // Reconnect with exponential backoff
+        this.reconnectAttempts = 0;
+        this.reconnectBaseDelay = 1000;
+        this.reconnectMaxDelay = 30000;
+        this.reconnectTimer = null;
+        
+        // Frames are buffered and released in timestamp order
+        this.buffer = [];
+        this.bufferLimit = 600;
+        this.drainInterval = 250;
+        this.drainTimer = null;
+        this.watchdogTimer = null;
+        this.lastEmittedTimestamp = {}; // spacecraftId -> timestamp
+        this.droppedFrames = 0; // Duplicate and late frames since start
+    }
+    
+    setUrl(url) {
+        if (!url || url === this.url) return;
+        
+        // Another ground segment has its own timeline
+        this.url = url;
+        this.lastEmittedTimestamp = {};
+        if (this.isRunning) {
+            this.stop();
+            this.start();
+        }
+    }
+    
+    start() {
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        this.reconnectAttempts = 0;
+        this.lastEmittedTimestamp = {};
+        this.droppedFrames = 0;
+        this.connect();
+        
+        this.drainTimer = setInterval(() => this.drainBuffer(), this.drainInterval);
+        this.watchdogTimer = setInterval(() => this.checkLinkHealth(), 1000);
+        
+        console.log(`WebSocket telemetry source started: ${this.url}`);
+    }
+    
+    stop() {
+        if (!this.isRunning) return;
+        
+        this.isRunning = false;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.drainTimer);
+        clearInterval(this.watchdogTimer);
+        this.reconnectTimer = null;
+        this.drainTimer = null;
+        this.watchdogTimer = null;
+        
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+        
+        this.setLinkState('lost');
+        console.log('WebSocket telemetry source stopped');
+    }
+    
+    connect() {
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            console.error('WebSocket connection failed:', error);
+            this.scheduleReconnect();
+            return;
+        }
+        
+        this.socket.binaryType = 'arraybuffer';
+        
+        this.socket.onopen = () => {
+            console.log(`WebSocket telemetry link established: ${this.url}`);
+            this.reconnectAttempts = 0;
+            this.lastFrameAt = Date.now();
+            this.setLinkState('connected');
+        };
+        
+        this.socket.onmessage = (event) => {
+            this.handleMessage(event.data);
+        };
+        
+        this.socket.onerror = () => {
+            console.warn('WebSocket telemetry link error');
+        };
+        
+        this.socket.onclose = () => {
+            this.socket = null;
+            this.setLinkState('lost');
+            this.scheduleReconnect();
+        };
+    }
+    
+    scheduleReconnect() {
+        if (!this.isRunning) return;
+        
+        const backoff = Math.min(
+            this.reconnectMaxDelay,
+            this.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts)
+        );
+        const delay = backoff * (0.8 + Math.random() * 0.4); // Jitter avoids reconnect storms
+        this.reconnectAttempts++;
+        
+        console.log(`Reconnecting telemetry link in ${(delay / 1000).toFixed(1)}s (attempt ${this.reconnectAttempts})`);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+    
+    handleMessage(data) {
+        const frames = this.decodeMessage(data);
+        if (frames.length === 0) return;
+        
+        this.lastFrameAt = Date.now();
+        if (this.linkState !== 'connected') {
+            this.setLinkState('connected');
+        }
+        
+        frames.forEach(frame => this.buffer.push(this.mapFrame(frame)));
+        
+        if (this.buffer.length > this.bufferLimit) {
+            this.buffer.splice(0, this.buffer.length - this.bufferLimit);
+        }
+    }
+    
+    decodeMessage(data) {
+        // Binary messages carry CCSDS Space Packets or TM transfer frames
+        if (data instanceof ArrayBuffer) {
+            return window.ccsdsDecoder ? window.ccsdsDecoder.decode(data) : [];
+        }
+        if (typeof data !== 'string') return [];
+        
+        try {
+            const message = JSON.parse(data);
+            
+            // Frames may arrive bare, in a {type, data} envelope, or batched
+            if (Array.isArray(message)) return message;
+            if (message.type === 'telemetry') return [message.data];
+            if (message.type === 'batch') return message.data || [];
+            
+            // Event messages are not buffered with the telemetry frames
+            if (message.type === 'event') {
+                this.emitEvent(message.data || {});
+                return [];
+            }
+            return [message];
+        } catch (error) {
+            console.warn('Discarding malformed telemetry frame:', error.message);
+            return [];
+        }
+    }
+    
+    // Accepts nested frames or flat frames keyed by dotted path
+    mapFrame(frame) {
+        let raw = frame;
+        
+        if (!frame.power && Object.keys(frame).some(key => key.includes('.'))) {
+            raw = {};
+            Object.entries(frame).forEach(([path, value]) => this.setPath(raw, path, value));
+        }
+        
+        return this.normalizePoint(raw);
+    }
+    
+    drainBuffer() {
+        if (this.buffer.length === 0) return;
+        
+        const frames = this.buffer.sort((a, b) => a.timestamp - b.timestamp);
+        this.buffer = [];
+        let dropped = 0;
+        
+        frames.forEach(point => {
+            // Drop duplicates and frames older than what we already showed for that vehicle
+            if (point.timestamp <= (this.lastEmittedTimestamp[point.spacecraftId] || 0)) {
+                dropped++;
+                return;
+            }
+            
+            this.lastEmittedTimestamp[point.spacecraftId] = point.timestamp;
+            this.emit(point);
+        });
+        
+        if (dropped > 0) {
+            this.droppedFrames += dropped;
+            console.warn(`Dropped ${dropped} duplicate or late frame(s), ${this.droppedFrames} since start`);
+            window.dispatchEvent(new CustomEvent('framesDropped', {
+                detail: { source: this.name, dropped, total: this.droppedFrames }
+            }));
+        }
+    }
+    
+    checkLinkHealth() {
+        if (this.linkState === 'connected' && Date.now() - this.lastFrameAt > this.staleAfter) {
+            this.setLinkState('stale');
+        }
+    }
+    
+    setLinkState(state) {
+        if (state === this.linkState) return;
+        
+        this.linkState = state;
+        console.log(`Telemetry link state: ${state}`);
+        
+        window.dispatchEvent(new CustomEvent('linkStateChange', {
+            detail: { source: this.name, state, url: this.url }
+        }));
+    }
+}
+
+// Owns the registered sources and starts whichever one is active
+class TelemetrySourceManager {
+    constructor() {
+        this.sources = {};
+        this.activeSourceName = null;
+        
+        this.registerSource(new SimulatorTelemetrySource(window.fleetManager));
+        this.registerSource(new ReplayTelemetrySource());
+        this.registerSource(new WebSocketTelemetrySource());
+        this.activeSourceName = 'simulator';
+    }
+    
+    registerSource(source) {
+        this.sources[source.name] = source;
+    }
+    
+    getSource(name) {
+        return this.sources[name] || null;
+    }
+    
+    getActiveSource() {
+        return this.sources[this.activeSourceName];
+    }
+    
+    setActiveSource(name) {
+        if (!this.sources[name]) {
+            console.error('Unknown telemetry source:', name);
+            return false;
+        }
+        if (name === this.activeSourceName) return true;
+        
+        const wasRunning = this.getActiveSource().isRunning;
+        this.getActiveSource().stop();
+        this.activeSourceName = name;
+        
+        if (wasRunning) {
+            this.getActiveSource().start();
+        }
+        
+        console.log(`Telemetry source changed to: ${name}`);
+        window.dispatchEvent(new CustomEvent('telemetrySourceChange', {
+            detail: { source: name }
+        }));
+        return true;
+    }
+    
+    start() {
+        this.getActiveSource().start();
+    }
+    
+    stop() {
+        this.getActiveSource().stop();
+    }
+    
+    getLatestTelemetry(spacecraftId) {
+        return this.getActiveSource().getLatestTelemetry(spacecraftId);
+    }
+    
+    getHistoricalData(subsystem, minutes = 5, spacecraftId) {
+        return this.getActiveSource().getHistoricalData(subsystem, minutes, spacecraftId);
+    }
+    
+    getSamplePeriod(spacecraftId) {
+        return this.getActiveSource().getSamplePeriod(spacecraftId);
+    }
+}
+
+// Global telemetry source manager instance
+window.telemetrySourceManager = new TelemetrySourceManager();
@@ -4,69 +4,213 @@
  */
 
 class TelemetrySimulator {
-    constructor() {
-        this.startTime = Date.now();
+    constructor(options = {}) {
+        // Each simulator instance models one spacecraft of the fleet
+        this.spacecraftId = options.spacecraftId || 'SAT-1';
+        this.orbitModel = options.orbitModel || null;
+        
+        // Noise and failure injection draw from a per-vehicle seeded stream
+        this.random = options.random || window.simulationRandom.fork(this.spacecraftId);
+        
+        // Samples are taken on whole sample periods of simulation time
+        this.clock = options.clock || window.simulationClock;
+        this.startTime = this.clock.now();
+        this.lastTimestamp = this.startTime;
+        this.samplePeriod = 1000;
+        this.maxSamplesPerTick = 5; // Coarser sampling at high acceleration keeps the UI responsive
         this.isRunning = false;
-        this.updateInterval = null;
+        this.tickListener = null;
+        this.phaseListener = null;
         this.dataHistory = {
             power: [],
             thermal: [],
             communication: [],
             attitude: [],
+            propulsion: [],
+            payload: [],
             anomalies: []
         };
         
         // Satellite subsystem parameters
         this.subsystems = {
             battery: {
-                voltage: { base: 24.0, range: 2.0, degradation: 0.001 },
-                current: { base: -2.5, range: 1.0, noise: 0.1 },
-                temperature: { base: 20, range: 15, threshold: 45 },
-                capacity: { base: 100, degradation: 0.0001 }
+                // Li-ion pack: open-circuit voltage by state of charge, charged by the array through a regulator
+                voltage: { base: 24.0, noise: 0.05 }, // V, the bus voltage loads are rated at
+                ocv: [[0, 21.0], [0.1, 23.2], [0.2, 23.9], [0.4, 24.6], [0.6, 25.3], [0.8, 26.1], [0.9, 26.6], [1, 27.2]], // SoC, V
+                current: { base: -2.5, noise: 0.1, chargeLimit: 4.5, taperFrom: 0.95, cycleThreshold: 0.5 }, // A; CV taper above 95% SoC
+                temperature: { base: 20, threshold: 45 }, // °C; base is the reference for resistance and cycle ageing
+                capacity: { base: 100, rated: 30, calendarFade: 2, cycleFade: 0.005, referenceDepth: 20 }, // Ah; % a year; % a cycle at 20% DoD
+                resistance: { base: 0.08, temperature: 0.01, aging: 5 } // Ω at 20°C when new; per °C; per fraction of capacity lost
             },
             solar: {
                 power: { base: 2400, range: 400, efficiency: 0.98 },
                 voltage: { base: 32.0, range: 3.0 },
                 current: { base: 75, range: 15 },
-                temperature: { base: -10, range: 40, threshold: 85 }
+                temperature: { threshold: 85 } // °C; the array temperature comes from the thermal network
             },
             thermal: {
-                processor: { base: 35, range: 10, threshold: 70 },
-                battery: { base: 20, range: 15, threshold: 45 },
-                solar: { base: -10, range: 40, threshold: 85 },
-                radiator: { base: -50, range: 20 }
+                // Temperatures come from the thermal network (js/thermal-network.js); options.thermal configures it
+                processor: { dissipation: 20, threshold: 70 }, // W at nominal processing load
+                battery: { threshold: 45 },
+                solar: { threshold: 85 },
+                noise: { processor: 0.4, battery: 0.6, bay: 0.6, solar: 2, radiator: 1 } // °C, sensor noise
             },
             communication: {
-                signalStrength: { base: -85, range: 15, threshold: -110 },
+                // S-band downlink closed through the ground station network (js/ground-stations.js)
+                link: { frequency: 2250, power: 36, antennaGain: 3, losses: 2, zenithAttenuation: 0.4 }, // MHz, dBm, dBi, dB; atmosphere at zenith
+                reference: { range: 1500, elevation: 30 }, // km, deg: geometry assumed without an orbit model
+                signalStrength: { noise: 1, threshold: -110 }, // dB of scintillation
                 dataRate: { base: 256, range: 64 },
                 errorRate: { base: 0.001, range: 0.005, threshold: 0.1 },
-                antennaTemp: { base: 25, range: 5 }
+                antennaTemp: { base: 25, range: 5 },
+                // Frame loss probability per unit of error rate, and chance a frame arrives twice or late
+                frames: { modulo: 16384, lossPerError: 5, duplication: 0.002, reordering: 0.005 }
             },
             attitude: {
                 roll: { base: 0, range: 2, drift: 0.01 },
                 pitch: { base: 0, range: 2, drift: 0.01 },
                 yaw: { base: 0, range: 2, drift: 0.01 },
-                angularVelocity: { base: 0.001, range: 0.002 }
+                angularVelocity: { base: 0.001, range: 0.002 },
+                wheels: { maxSpeed: 6000, unloadThreshold: 2000, unloadRange: 3000 }, // rpm
+                disturbance: { bias: 0.3, amplitude: 0.4, period: 5400 }, // rpm/s of wheel momentum, per orbit
+                magnetorquer: { dumpRate: 1.2 }, // rpm/s unloaded per wheel at 100% duty
+                pointingError: { base: 0.012, noise: 0.006, gyroDrift: 0.0008 }, // deg, deg/s without star fixes
+                starTracker: { blindStart: 0.25, blindEnd: 0.27 } // Orbit fraction with the Sun in the baffle
+            },
+            propulsion: {
+                // Blowdown hydrazine system: the pressurant expands as propellant is used
+                tank: { volume: 80, pressure: 22.0, temperature: 20, swing: 1.5 }, // L, bar and °C at loading
+                propellant: { mass: 50, density: 1.004, reserve: 2.0 }, // kg, kg/L, kg held for disposal
+                thrusters: { count: 4, flowRate: 0.45 }, // g/s per thruster at loading pressure
+                catalystBed: { heaterTemp: 150, firingTemp: 850, heatingTime: 15, coolingTime: 400 } // °C, s
+            },
+            payload: {
+                // Cooled imager; sessions follow a duty-cycle schedule within what the mission phase allows
+                power: { on: 60, standby: 8 }, // W
+                detector: { operatingTemp: -40, readyTemp: -35, ambientTemp: 15, imagingLoad: 3, coolingTime: 180, warmingTime: 900 }, // °C, s
+                dataRate: 80, // Mbit/s while imaging
+                heat: { processor: 0.25 }, // Share of dissipation in data handling; the radiator rejects the rest
+                schedule: { enabled: true, period: 1800, duration: 600, offset: 300, sunlitOnly: true } // s
+            },
+            redundancy: {
+                // Prime and redundant units; a switchover interrupts what the unit does for `switchover` seconds
+                units: {
+                    transmitter: { name: 'Transmitter', subsystem: 'communication', units: ['A', 'B'], switchover: 5 }, // Carrier off
+                    battery: { name: 'Battery string', subsystem: 'power', units: ['A', 'B'], switchover: 2, voltageDip: 1.5 }, // V on the bus
+                    processor: { name: 'Processor', subsystem: 'system', units: ['A', 'B'], switchover: 20, rebootLoad: 0.3 } // Boots on the new unit
+                },
+                crossStrapped: true // Either processor drives either transmitter; otherwise each drives its own
+            },
+            loadShedding: {
+                // Share of the bus load left on while non-essential loads are shed; the payload is switched off
+                bus: 0.75
             }
         };
         
-        // Failure simulation states
-        this.simulatedFailures = {
-            battery: false,
-            solar: false,
-            thermal: false,
-            communication: false
+        // Payload configuration may be overridden per vehicle
+        if (options.payload) {
+            this.configurePayload(options.payload);
+        }
+        
+        // Reaction wheel momentum carries over between samples
+        this.adcsState = {
+            wheelSpeeds: { x: 1500, y: -900, z: 600 },
+            saturationError: 0,
+            starTrackerLostAt: null,
+            lastMissionTime: null
+        };
+        
+        // Propellant, pressurant and catalyst bed temperatures carry over between samples
+        const tank = this.subsystems.propulsion.tank;
+        const propellant = this.subsystems.propulsion.propellant;
+        this.propulsionState = {
+            propellantMass: propellant.mass,
+            pressurant: tank.pressure * (tank.volume - propellant.mass / propellant.density) /
+                (tank.temperature + 273.15), // bar·L/K
+            catalystBeds: null,
+            burnStartedAt: null,
+            lastMissionTime: null
+        };
+        
+        // Charge, cycle count and capacity fade carry over between samples
+        this.batteryState = {
+            stateOfCharge: 0.95,
+            fade: 0, // % of rated capacity lost to calendar and cycle ageing
+            cycles: 0,
+            cycleDepth: 0, // % SoC drawn in the last completed cycle
+            discharge: null, // { startSoc, minSoc } of the cycle under way
+            lastMissionTime: null
+        };
+        
+        // Payload sessions, detector temperature and dissipated heat carry over between samples
+        this.payloadState = {
+            active: null,
+            sessions: [], // Recent sessions, oldest first
+            nextSessionId: 1,
+            request: null, // Operator-commanded session window
+            lastScheduledWindow: null,
+            detectorTemp: null,
+            dataVolume: 0,
+            lastMissionTime: null
+        };
+        
+        // Active unit, switchover under way and commanded health of each redundant pair; the prime unit starts active
+        this.redundancyState = {};
+        Object.entries(this.subsystems.redundancy.units).forEach(([group, config]) => {
+            this.redundancyState[group] = { active: config.units[0], switchover: null, health: {} };
+        });
+        
+        // Onboard event messages: sequence counter, last eclipse state and injected failures already reported
+        this.eventState = {
+            sequence: 0,
+            eclipse: null,
+            injections: new Set()
+        };
+        
+        // Frame sequence counter and the frame held back by the link to arrive late
+        this.downlinkState = {
+            frameCount: 0,
+            held: null,
+            random: window.simulationRandom.fork(`${this.spacecraftId}:downlink`)
+        };
+        
+        // Lumped-node thermal network; injected temperature effects raise these nodes, and cooling faults
+        // scale down these links and emitting surfaces
+        this.thermalNetwork = new ThermalNetwork(options.thermal);
+        this.thermalQuantities = {
+            processor: 'thermal.processor',
+            battery: 'battery.temperature',
+            solar: 'solar.temperature',
+            radiator: 'thermal.radiator'
+        };
+        this.thermalDegradation = {
+            links: { 'processor-radiator': 'thermal.heatPipe', 'bay-radiator': 'thermal.radiatorMount' },
+            emitters: { radiator: 'thermal.radiatorEmissivity' }
         };
+        this.thermalState = {
+            inputs: { sunFactor: 0, arrayOutput: 0, batteryHeat: 0 }, // From the power system, see generatePowerTelemetry()
+            lastMissionTime: null
+        };
+        
+        // Injected failure effects for the point being generated, keyed by quantity
+        this.injectedEffects = {};
+        
+        // Non-essential loads shed by onboard FDIR stay off until restored by telecommand
+        this.loadShedding = { active: false, since: null, reason: null };
+        
+        // Onboard limit monitors and automatic responses (js/fdir.js); options.fdir configures them
+        this.fdir = new OnboardFDIR(this, options.fdir);
         
-        // Mission phase affects telemetry
-        this.missionPhase = 'nominal'; // nominal, eclipse, maneuver, safe_mode
+        // Mission phase (see js/mission-phase.js) scales loads, noise and attitude control
+        this.phaseManager = options.phaseManager || window.missionPhaseManager;
+        this.phaseProfile = this.phaseManager.getProfile(this.spacecraftId);
         
         this.initializeHistory();
     }
     
     initializeHistory() {
         // Initialize with some historical data for smooth chart rendering
-        const now = Date.now();
+        const now = this.clock.now();
         for (let i = 60; i > 0; i--) {
             const timestamp = now - (i * 1000);
             this.generateTelemetryPoint(timestamp, true);
@@ -77,10 +221,10 @@ class TelemetrySimulator {
         if (this.isRunning) return;
         
         this.isRunning = true;
-        this.updateInterval = setInterval(() => {
-            this.generateTelemetryPoint();
-            this.broadcastUpdate();
-        }, 1000); // Update every second
+        this.tickListener = (event) => this.onClockTick(event.detail.time);
+        window.addEventListener('simulationTick', this.tickListener);
+        this.phaseListener = (event) => this.onMissionPhaseChange(event.detail);
+        window.addEventListener('missionPhaseChange', this.phaseListener);
         
         console.log('Telemetry simulation started');
     }
@@ -89,102 +233,230 @@ class TelemetrySimulator {
         if (!this.isRunning) return;
         
         this.isRunning = false;
-        clearInterval(this.updateInterval);
+        window.removeEventListener('simulationTick', this.tickListener);
+        window.removeEventListener('missionPhaseChange', this.phaseListener);
+        this.tickListener = null;
+        this.phaseListener = null;
         console.log('Telemetry simulation stopped');
     }
     
-    generateTelemetryPoint(timestamp = Date.now(), isHistorical = false) {
+    // Emit every sample whose time the clock has passed since the last tick
+    onClockTick(time) {
+        const period = this.getSamplePeriod();
+        
+        while (this.lastTimestamp + period <= time) {
+            this.lastTimestamp += period;
+            const point = this.generateTelemetryPoint(this.lastTimestamp);
+            this.downlink(point).forEach(frame => this.broadcastUpdate(frame));
+        }
+    }
+    
+    // Depends only on the clock rate, so seeded runs at the same rate sample identically
+    getSamplePeriod() {
+        const simulatedPerTick = this.clock.rate * this.clock.tickInterval;
+        const periods = Math.ceil(simulatedPerTick / (this.samplePeriod * this.maxSamplesPerTick));
+        return this.samplePeriod * Math.max(1, periods);
+    }
+    
+    generateTelemetryPoint(timestamp = this.clock.now(), isHistorical = false) {
         const missionTime = (timestamp - this.startTime) / 1000; // seconds
         
+        // Orbit geometry drives eclipse and solar input when a TLE is loaded
+        const orbitModel = this.orbitModel || window.orbitModel;
+        const orbitData = orbitModel ? orbitModel.getTelemetry(timestamp) : null;
+        
+        // Ramped failure effects active at this instant; a failed unit that has been switched out no longer acts
+        this.injectedEffects = window.failureInjector ?
+            window.failureInjector.getEffects(this.spacecraftId, timestamp, this.getActiveUnits()) : {};
+        
+        // Operating profile of the phase the spacecraft is in
+        const missionPhase = this.phaseManager.getPhase(this.spacecraftId);
+        this.phaseProfile = this.phaseManager.phases[missionPhase];
+        
+        // Payload sessions first: they add to the power loads and thermal dissipation
+        const payloadData = this.generatePayloadTelemetry(missionTime, timestamp);
+        
         // Generate power system telemetry
-        const powerData = this.generatePowerTelemetry(missionTime);
+        const powerData = this.generatePowerTelemetry(missionTime, orbitData, payloadData);
         
         // Generate thermal system telemetry
-        const thermalData = this.generateThermalTelemetry(missionTime);
+        const thermalData = this.generateThermalTelemetry(missionTime, powerData, payloadData);
         
         // Generate communication telemetry
-        const commData = this.generateCommunicationTelemetry(missionTime);
+        const commData = this.generateCommunicationTelemetry(missionTime, timestamp, orbitData ? orbitModel : null);
         
         // Generate attitude telemetry
         const attitudeData = this.generateAttitudeTelemetry(missionTime);
         
+        // Generate propulsion telemetry
+        const propulsionData = this.generatePropulsionTelemetry(missionTime);
+        
         // Store in history (keep last 300 points = 5 minutes)
         const telemetryPoint = {
+            spacecraftId: this.spacecraftId,
             timestamp,
             missionTime,
+            frameCount: this.downlinkState.frameCount,
+            missionPhase,
             power: powerData,
             thermal: thermalData,
             communication: commData,
-            attitude: attitudeData
+            attitude: attitudeData,
+            propulsion: propulsionData,
+            payload: payloadData,
+            redundancy: this.getRedundancyTelemetry(timestamp)
         };
         
+        if (orbitData) {
+            telemetryPoint.orbit = orbitData;
+        }
+        
+        this.downlinkState.frameCount = (this.downlinkState.frameCount + 1) % this.subsystems.communication.frames.modulo;
+        
+        // Shadow boundaries move the spacecraft between nominal and eclipse for the next sample
+        if (!isHistorical) {
+            this.reportEclipse(powerData.eclipse, timestamp);
+            this.reportInjections(timestamp);
+            this.phaseManager.updateEclipse(this.spacecraftId, powerData.eclipse);
+        }
+        
+        // Sensor faults corrupt the reported values only, after the physics above has run
+        if (window.failureInjector) {
+            window.failureInjector.applySensorFaults(telemetryPoint);
+        }
+        
+        // Computed channels follow the reported values, faults included
+        window.derivedChannels.apply(telemetryPoint);
+        
+        // Onboard FDIR acts on the reported values; its responses show from the next sample
+        if (!isHistorical) {
+            this.fdir.evaluate(telemetryPoint);
+        }
+        telemetryPoint.fdir = this.fdir.getTelemetry();
+        
         this.dataHistory.power.push(telemetryPoint);
         this.dataHistory.thermal.push(telemetryPoint);
         this.dataHistory.communication.push(telemetryPoint);
+        this.dataHistory.attitude.push(telemetryPoint);
+        this.dataHistory.propulsion.push(telemetryPoint);
+        this.dataHistory.payload.push(telemetryPoint);
         
         // Keep only recent data
         if (this.dataHistory.power.length > 300) {
             this.dataHistory.power.shift();
             this.dataHistory.thermal.shift();
             this.dataHistory.communication.shift();
+            this.dataHistory.attitude.shift();
+            this.dataHistory.propulsion.shift();
+            this.dataHistory.payload.shift();
         }
         
         return telemetryPoint;
     }
     
-    generatePowerTelemetry(missionTime) {
+    generatePowerTelemetry(missionTime, orbit = null, payload = null) {
         const battery = this.subsystems.battery;
         const solar = this.subsystems.solar;
         
-        // Eclipse simulation (every 90 minutes = 5400 seconds)
-        const orbitPosition = (missionTime % 5400) / 5400;
-        const inEclipse = orbitPosition > 0.6 && orbitPosition < 0.9;
+        // Fraction of nominal array input: shadow, incidence angle and Sun distance
+        let sunFactor;
+        let inEclipse;
         
-        // Battery telemetry
-        let batteryVoltage = battery.voltage.base + 
-            Math.sin(missionTime * 0.001) * battery.voltage.range * 0.3 +
-            (Math.random() - 0.5) * 0.1;
-            
-        let batteryCurrent = battery.current.base + 
-            (inEclipse ? -3.0 : 1.0) + // Discharge in eclipse, charge in sun
-            (Math.random() - 0.5) * battery.current.noise;
-            
-        let batteryTemp = battery.temperature.base + 
-            Math.sin(missionTime * 0.0005) * 5 +
-            (Math.random() - 0.5) * 2;
-            
-        let batteryCapacity = Math.max(50, battery.capacity.base - 
-            missionTime * battery.capacity.degradation);
+        if (orbit) {
+            inEclipse = orbit.shadow !== 'sunlit';
+            sunFactor = orbit.illumination *
+                Math.max(0, Math.cos(orbit.solarIncidence * Math.PI / 180)) /
+                (orbit.sunDistance * orbit.sunDistance);
+        } else {
+            // Eclipse simulation (every 90 minutes = 5400 seconds)
+            const orbitPosition = (missionTime % 5400) / 5400;
+            inEclipse = orbitPosition > 0.6 && orbitPosition < 0.9;
+            sunFactor = inEclipse ? 0 : 1;
+        }
         
         // Solar panel telemetry
         let solarPower = solar.power.base * solar.power.efficiency;
-        if (inEclipse) {
+        let usableFraction = 1; // Share of the array reading that is sunlight the regulator can use
+        if (orbit) {
+            // Keep the 10% eclipse floor so penumbra blends into it smoothly
+            const reading = Math.max(0.1 * (1 - sunFactor), sunFactor);
+            solarPower *= reading * (0.98 + this.random.next() * 0.04);
+            usableFraction = sunFactor / reading;
+        } else if (inEclipse) {
             solarPower *= 0.1; // Minimal power in eclipse
+            usableFraction = 0;
         } else {
-            solarPower *= (0.8 + Math.random() * 0.4); // Varying solar conditions
+            solarPower *= (0.8 + this.random.next() * 0.4); // Varying solar conditions
         }
         
+        // Injected array damage also shows in the array voltage and current
+        solarPower = this.applyInjection('solar.power', solarPower);
+        
         let solarVoltage = solar.voltage.base + 
             (solarPower / solar.power.base - 0.5) * solar.voltage.range;
             
         let solarCurrent = solarPower / solarVoltage;
         
-        let solarTemp = solar.temperature.base + 
-            (inEclipse ? -30 : 30) + // Cooler in eclipse
-            Math.sin(missionTime * 0.0008) * 10 +
-            (Math.random() - 0.5) * 5;
+        // Array and cell temperatures as the thermal network left them at the last sample
+        const network = this.thermalNetwork;
+        const thermalNoise = this.subsystems.thermal.noise;
+        let solarTemp = network.getTemperature('solar') + this.noise(thermalNoise.solar);
         
-        // Apply failure simulations
-        if (this.simulatedFailures.battery) {
-            batteryTemp += 25; // Overheating
-            batteryVoltage *= 0.85; // Voltage drop
-            batteryCurrent *= 1.5; // Higher discharge
-        }
+        // Battery telemetry
+        const state = this.batteryState;
+        const dt = state.lastMissionTime === null ? 0 : Math.max(0, missionTime - state.lastMissionTime);
+        state.lastMissionTime = missionTime;
         
-        if (this.simulatedFailures.solar) {
-            solarPower *= 0.3; // Severe degradation
-            solarTemp += 20; // Overheating
-        }
+        let batteryTemp = network.getTemperature('battery') + this.noise(thermalNoise.battery);
+        batteryTemp = this.applyInjection('battery.temperature', batteryTemp);
+        
+        // Capacity relative to beginning of life: calendar ageing here, cycle ageing in countBatteryCycle()
+        state.fade += battery.capacity.calendarFade * dt / (365.25 * 86400);
+        const batteryCapacity = Math.max(0, this.applyInjection('battery.capacity', battery.capacity.base - state.fade));
+        const usableCharge = Math.max(0.01, battery.capacity.rated * batteryCapacity / 100); // Ah
+        
+        // Internal resistance rises with cell temperature and with lost capacity
+        const resistance = battery.resistance.base *
+            (1 + battery.resistance.aging * (1 - batteryCapacity / 100)) *
+            Math.max(0.5, 1 + battery.resistance.temperature * (batteryTemp - battery.temperature.base));
+        
+        // Bus load of the current mission phase, less shed loads, and the payload draw
+        const loadCurrent = (3.0 - battery.current.base) * this.phaseProfile.loads.bus *
+            (this.loadShedding.active ? this.subsystems.loadShedding.bus : 1) +
+            (payload ? payload.power / battery.voltage.base : 0);
+        
+        // The regulator charges the battery from surplus array power, up to the charge limit and tapering
+        // near full; any shortfall, all of the load in eclipse, is drawn from the battery
+        const openCircuitVoltage = this.getOpenCircuitVoltage(state.stateOfCharge);
+        const surplus = solarPower * usableFraction / openCircuitVoltage - loadCurrent;
+        const taper = Math.min(1, (1 - state.stateOfCharge) / (1 - battery.current.taperFrom));
+        let batteryCurrent = (surplus > 0 ? Math.min(surplus, battery.current.chargeLimit * taper) : surplus) +
+            this.noise(battery.current.noise);
+        batteryCurrent = this.applyInjection('battery.current', batteryCurrent);
+        
+        // Coulomb counting
+        state.stateOfCharge = Math.min(1, Math.max(0,
+            state.stateOfCharge + batteryCurrent * dt / 3600 / usableCharge));
+        this.countBatteryCycle(batteryCurrent, batteryTemp);
+        
+        let batteryVoltage = this.getOpenCircuitVoltage(state.stateOfCharge) +
+            batteryCurrent * resistance +
+            this.noise(battery.voltage.noise);
+        
+        // Apply failure injection
+        batteryVoltage = this.applyInjection('battery.voltage', batteryVoltage);
+        solarTemp = this.applyInjection('solar.temperature', solarTemp);
+        
+        // The bus sags while the string relays change over
+        batteryVoltage -= this.subsystems.redundancy.units.battery.voltageDip *
+            this.getSwitchoverTransient('battery', this.startTime + missionTime * 1000);
+        
+        // Heat inputs for the thermal network: sunlight, the power the array delivers and cell losses
+        this.thermalState.inputs = {
+            sunFactor,
+            arrayOutput: solarPower * usableFraction,
+            batteryHeat: batteryCurrent * batteryCurrent * resistance
+        };
         
         return {
             battery: {
@@ -192,7 +464,11 @@ class TelemetrySimulator {
                 current: Number(batteryCurrent.toFixed(2)),
                 temperature: Number(batteryTemp.toFixed(1)),
                 capacity: Number(batteryCapacity.toFixed(1)),
-                status: this.getBatteryStatus(batteryVoltage, batteryTemp, batteryCapacity)
+                stateOfCharge: Number((state.stateOfCharge * 100).toFixed(1)),
+                cycles: state.cycles,
+                cycleDepth: Number(state.cycleDepth.toFixed(1)),
+                resistance: Number((resistance * 1000).toFixed(1)), // mΩ
+                status: this.getBatteryStatus(batteryVoltage, batteryTemp, batteryCapacity, state.stateOfCharge * 100)
             },
             solar: {
                 power: Number(solarPower.toFixed(1)),
@@ -202,111 +478,464 @@ class TelemetrySimulator {
                 efficiency: Number((solarPower / solar.power.base * 100).toFixed(1)),
                 status: this.getSolarStatus(solarPower, solarTemp)
             },
+            busLoad: Number((loadCurrent * batteryVoltage).toFixed(1)), // W drawn by spacecraft loads
             eclipse: inEclipse
         };
     }
     
-    generateThermalTelemetry(missionTime) {
-        const thermal = this.subsystems.thermal;
+    // Linear interpolation in the pack's open-circuit voltage table
+    getOpenCircuitVoltage(stateOfCharge) {
+        const table = this.subsystems.battery.ocv;
+        const upper = table.findIndex(([soc]) => soc >= stateOfCharge);
+        if (upper <= 0) return table[Math.max(0, upper)][1];
         
-        // Base temperatures with orbital and operational variations
-        let processorTemp = thermal.processor.base + 
-            Math.sin(missionTime * 0.001) * 5 +
-            (Math.random() - 0.5) * thermal.processor.range * 0.1;
-            
-        let batteryTemp = thermal.battery.base + 
-            Math.sin(missionTime * 0.0008) * 3 +
-            (Math.random() - 0.5) * 2;
-            
-        let solarTemp = thermal.solar.base + 
-            Math.sin(missionTime * 0.0005) * thermal.solar.range * 0.3 +
-            (Math.random() - 0.5) * 5;
-            
-        let radiatorTemp = thermal.radiator.base + 
-            Math.sin(missionTime * 0.0003) * 10 +
-            (Math.random() - 0.5) * 3;
+        const [soc0, voltage0] = table[upper - 1];
+        const [soc1, voltage1] = table[upper];
+        return voltage0 + (voltage1 - voltage0) * (stateOfCharge - soc0) / (soc1 - soc0);
+    }
+    
+    // A cycle is a discharge followed by a recharge; currents near zero neither start nor end one.
+    // Each completed cycle fades the capacity, more for deep and hot cycles.
+    countBatteryCycle(current, temperature) {
+        const battery = this.subsystems.battery;
+        const state = this.batteryState;
+        const threshold = battery.current.cycleThreshold;
         
-        // Apply thermal failure simulation
-        if (this.simulatedFailures.thermal) {
-            processorTemp += 20; // Thermal runaway
-            batteryTemp += 15;
+        if (!state.discharge) {
+            if (current < -threshold) {
+                state.discharge = { startSoc: state.stateOfCharge, minSoc: state.stateOfCharge };
+            }
+            return;
         }
         
+        state.discharge.minSoc = Math.min(state.discharge.minSoc, state.stateOfCharge);
+        if (current > threshold) {
+            state.cycles++;
+            state.cycleDepth = (state.discharge.startSoc - state.discharge.minSoc) * 100;
+            state.fade += battery.capacity.cycleFade *
+                Math.pow(state.cycleDepth / battery.capacity.referenceDepth, 1.5) *
+                Math.pow(2, (temperature - battery.temperature.base) / 10);
+            state.discharge = null;
+        }
+    }
+    
+    generateThermalTelemetry(missionTime, power, payload) {
+        const thermal = this.subsystems.thermal;
+        const state = this.thermalState;
+        const dt = state.lastMissionTime === null ? 0 : Math.max(0, missionTime - state.lastMissionTime);
+        state.lastMissionTime = missionTime;
+        
+        // Heat loads: processing and payload data handling in the processor, the rest of the bus in the
+        // equipment bay, payload dissipation at the radiator, cell losses in the battery. The array
+        // loses the power it delivers.
+        const rebooting = this.getSwitchoverTransient('processor', this.startTime + missionTime * 1000) > 0;
+        const processorHeat = thermal.processor.dissipation * this.phaseProfile.loads.processor *
+            (rebooting ? this.subsystems.redundancy.units.processor.rebootLoad : 1);
+        const payloadHeat = payload.power;
+        const dataHandling = payloadHeat * this.subsystems.payload.heat.processor;
+        const loads = {
+            processor: processorHeat + dataHandling,
+            bay: Math.max(0, power.busLoad - processorHeat - payloadHeat),
+            radiator: payloadHeat - dataHandling,
+            battery: state.inputs.batteryHeat,
+            solar: -state.inputs.arrayOutput
+        };
+        
+        // Injected temperature effects raise their node; neighbouring nodes conduct the extra heat
+        const offsets = {};
+        Object.entries(this.thermalQuantities).forEach(([node, quantity]) => {
+            const temperature = this.thermalNetwork.getTemperature(node);
+            offsets[node] = this.applyInjection(quantity, temperature) - temperature;
+        });
+        
+        const degradation = {};
+        Object.entries(this.thermalDegradation).forEach(([kind, quantities]) => {
+            degradation[kind] = {};
+            Object.entries(quantities).forEach(([id, quantity]) => {
+                degradation[kind][id] = this.applyInjection(quantity, 1);
+            });
+        });
+        
+        const readings = this.thermalNetwork.step(dt, loads, { sunFactor: state.inputs.sunFactor }, offsets, degradation);
+        const processorTemp = readings.processor + this.noise(thermal.noise.processor);
+        const batteryTemp = readings.bay + this.noise(thermal.noise.bay); // Battery bay sensor
+        const solarTemp = readings.solar + this.noise(thermal.noise.solar);
+        const radiatorTemp = readings.radiator + this.noise(thermal.noise.radiator);
+        
         return {
             processor: Number(processorTemp.toFixed(1)),
             battery: Number(batteryTemp.toFixed(1)),
             solar: Number(solarTemp.toFixed(1)),
             radiator: Number(radiatorTemp.toFixed(1)),
+            heaters: this.thermalNetwork.getHeaters(),
             status: this.getThermalStatus(processorTemp, batteryTemp, solarTemp)
         };
     }
     
-    generateCommunicationTelemetry(missionTime) {
+    generateCommunicationTelemetry(missionTime, timestamp, orbitModel = null) {
         const comm = this.subsystems.communication;
+        const stations = window.groundStations;
+        
+        // Without orbit geometry the link is modelled in continuous contact at a reference range
+        const contact = orbitModel ?
+            stations.getContact(orbitModel, timestamp) :
+            { station: null, range: comm.reference.range, elevation: comm.reference.elevation };
+        const pass = orbitModel ? stations.getNextPass(orbitModel, timestamp) : null;
         
-        // Signal strength varies with orbital position and atmospheric conditions
-        let signalStrength = comm.signalStrength.base + 
-            Math.sin(missionTime * 0.0012) * comm.signalStrength.range * 0.5 +
-            (Math.random() - 0.5) * 3;
+        let antennaTemp = comm.antennaTemp.base + 
+            this.noise(comm.antennaTemp.range);
+        antennaTemp = this.applyInjection('communication.antennaTemperature', antennaTemp);
+        
+        const telemetry = {
+            transmitter: this.redundancyState.transmitter.active,
+            contact: contact !== null,
+            station: contact?.station?.name ?? null,
+            elevation: contact ? Number(contact.elevation.toFixed(1)) : null,
+            range: contact ? Number(contact.range.toFixed(0)) : null,
+            signalStrength: null,
+            dataRate: null,
+            errorRate: null,
+            antennaTemperature: Number(antennaTemp.toFixed(1)),
+            passStation: pass?.station ?? null,
+            passAos: pass?.aos ?? null,
+            passLos: pass?.los ?? null,
+            status: 'normal'
+        };
+        
+        // Between passes, or while the transmitters change over, there is no downlink to measure
+        if (!contact || this.getSwitchoverTransient('transmitter', timestamp) > 0) return telemetry;
+        
+        let signalStrength = this.getLinkBudget(contact.range, contact.elevation, contact.station?.gain) +
+            this.noise(comm.signalStrength.noise);
             
-        let dataRate = comm.dataRate.base + 
-            Math.sin(missionTime * 0.0015) * comm.dataRate.range * 0.3 +
-            (Math.random() - 0.5) * 10;
+        // Downlink rate drops to the beacon rate when communication loads are shed
+        let dataRate = (comm.dataRate.base + 
+            this.noise(10)) * this.phaseProfile.loads.comms;
             
+        // Frame errors rise as the margin over the receiver threshold shrinks
+        const margin = signalStrength - comm.signalStrength.threshold;
         let errorRate = comm.errorRate.base + 
-            Math.max(0, Math.sin(missionTime * 0.002) * comm.errorRate.range * 0.5 +
-            (Math.random() - 0.5) * comm.errorRate.range * 0.2);
-            
-        let antennaTemp = comm.antennaTemp.base + 
-            (Math.random() - 0.5) * comm.antennaTemp.range;
+            comm.errorRate.range * Math.pow(10, -margin / 10) +
+            Math.max(0, this.noise(comm.errorRate.range * 0.2));
         
-        // Apply communication failure simulation
-        if (this.simulatedFailures.communication) {
-            signalStrength -= 20; // Severe signal degradation
-            dataRate *= 0.1; // Drastically reduced data rate
-            errorRate *= 10; // High error rate
-        }
+        // Apply failure injection
+        signalStrength = this.applyInjection('communication.signalStrength', signalStrength);
+        dataRate = this.applyInjection('communication.dataRate', dataRate);
+        errorRate = this.applyInjection('communication.errorRate', errorRate);
         
         return {
+            ...telemetry,
             signalStrength: Number(signalStrength.toFixed(1)),
             dataRate: Number(dataRate.toFixed(0)),
             errorRate: Number(errorRate.toFixed(4)),
-            antennaTemperature: Number(antennaTemp.toFixed(1)),
             status: this.getCommunicationStatus(signalStrength, errorRate)
         };
     }
     
+    // Received carrier power (dBm): EIRP plus station gain, less free-space and atmospheric loss
+    getLinkBudget(range, elevation, stationGain = 36) {
+        const link = this.subsystems.communication.link;
+        const freeSpaceLoss = 20 * Math.log10(range) + 20 * Math.log10(link.frequency) + 32.44; // km, MHz
+        
+        // Cosecant law: the path through the atmosphere lengthens towards the horizon
+        const atmosphericLoss = link.zenithAttenuation / Math.sin(Math.max(2, elevation) * Math.PI / 180);
+        
+        return link.power + link.antennaGain + stationGain - freeSpaceLoss - atmosphericLoss - link.losses;
+    }
+    
     generateAttitudeTelemetry(missionTime) {
         const attitude = this.subsystems.attitude;
+        const state = this.adcsState;
+        const phase = this.phaseProfile.attitude;
+        const dt = state.lastMissionTime === null ? 0 : Math.max(0, missionTime - state.lastMissionTime);
+        state.lastMissionTime = missionTime;
         
-        // Attitude with slow drift and control corrections
-        let roll = Math.sin(missionTime * 0.0001) * attitude.roll.range +
-            (Math.random() - 0.5) * attitude.roll.drift;
+        // Commanded attitude: slow pointing profile
+        const target = {
+            roll: Math.sin(missionTime * 0.0001) * attitude.roll.range,
+            pitch: Math.cos(missionTime * 0.0001) * attitude.pitch.range,
+            yaw: Math.sin(missionTime * 0.00005) * attitude.yaw.range
+        };
+        
+        // Environmental torques build wheel momentum; the magnetorquers unload it once speeds climb
+        const orbitAngle = 2 * Math.PI * missionTime / attitude.disturbance.period;
+        const maxSpeed = attitude.wheels.maxSpeed;
+        const highestSpeed = Math.max(...Object.values(state.wheelSpeeds).map(Math.abs));
+        let dutyCycle = Math.min(1, Math.max(0,
+            (highestSpeed - attitude.wheels.unloadThreshold) / attitude.wheels.unloadRange)) * 100;
+        dutyCycle = Math.min(100, this.applyInjection('attitude.magnetorquerDuty', dutyCycle));
+        
+        const wheels = {};
+        let saturatedAxes = 0;
+        ['x', 'y', 'z'].forEach((axis, index) => {
+            const sign = index === 1 ? -1 : 1;
+            let torque = sign * attitude.disturbance.bias +
+                Math.sin(orbitAngle + index * 2 * Math.PI / 3) * attitude.disturbance.amplitude +
+                phase.disturbance; // Thruster misalignment torque during burns
+            torque = this.applyInjection('attitude.disturbance', torque);
             
-        let pitch = Math.cos(missionTime * 0.0001) * attitude.pitch.range +
-            (Math.random() - 0.5) * attitude.pitch.drift;
+            const speed = state.wheelSpeeds[axis];
+            const unload = -Math.sign(speed) * attitude.magnetorquer.dumpRate * dutyCycle / 100;
+            let next = speed + (torque + unload) * dt;
             
-        let yaw = Math.sin(missionTime * 0.00005) * attitude.yaw.range +
-            (Math.random() - 0.5) * attitude.yaw.drift;
+            // A saturated wheel cannot absorb any more momentum
+            if (Math.abs(next) > maxSpeed) {
+                next = Math.sign(next) * maxSpeed;
+                saturatedAxes++;
+            }
+            state.wheelSpeeds[axis] = next;
             
-        let angularVelocity = attitude.angularVelocity.base + 
-            (Math.random() - 0.5) * attitude.angularVelocity.range;
+            let current = 0.08 + Math.abs(torque) * 0.04 + Math.abs(next) / maxSpeed * 0.25 +
+                this.noise(0.02);
+            current = this.applyInjection('attitude.wheelCurrent', current);
+            
+            wheels[axis] = {
+                speed: Number((next + (this.random.next() - 0.5) * 4).toFixed(0)),
+                current: Number(current.toFixed(3))
+            };
+        });
+        
+        // Uncontrolled momentum turns into pointing error; the controller recovers once wheels unsaturate
+        if (saturatedAxes > 0) {
+            state.saturationError += saturatedAxes * 0.002 * dt;
+        } else {
+            state.saturationError *= Math.exp(-dt / 30);
+        }
+        
+        // Star tracker blinded by the Sun once per orbit; the gyros propagate attitude meanwhile
+        const orbitFraction = (missionTime % attitude.disturbance.period) / attitude.disturbance.period;
+        const starTrackerValid = phase.starTracker && (orbitFraction < attitude.starTracker.blindStart ||
+            orbitFraction >= attitude.starTracker.blindEnd);
+        if (starTrackerValid) {
+            state.starTrackerLostAt = null;
+        } else if (state.starTrackerLostAt === null) {
+            state.starTrackerLostAt = missionTime;
+        }
+        const gyroDrift = starTrackerValid ? 0 :
+            (missionTime - state.starTrackerLostAt) * attitude.pointingError.gyroDrift;
+        
+        // Coarser control modes (detumbling, sun pointing) add their own offset
+        let pointingError = attitude.pointingError.base + gyroDrift + state.saturationError +
+            phase.pointingError + this.random.next() * attitude.pointingError.noise;
+        pointingError = Math.max(0, this.applyInjection('attitude.pointingError', pointingError));
+        
+        // Actual attitude is the target plus the control error
+        const errorAngle = missionTime * 0.05;
+        let roll = target.roll + pointingError * Math.cos(errorAngle);
+        let pitch = target.pitch + pointingError * Math.sin(errorAngle);
+        let yaw = target.yaw + this.noise(attitude.yaw.drift);
+            
+        let angularVelocity = (attitude.angularVelocity.base + 
+            this.noise(attitude.angularVelocity.range)) * phase.rate;
+        
+        const wheelSpeeds = Object.values(wheels).map(wheel => Math.abs(wheel.speed));
+        const wheelCurrents = Object.values(wheels).map(wheel => wheel.current);
         
         return {
             roll: Number(roll.toFixed(3)),
             pitch: Number(pitch.toFixed(3)),
             yaw: Number(yaw.toFixed(3)),
-            angularVelocity: Number(angularVelocity.toFixed(6))
+            angularVelocity: Number(angularVelocity.toFixed(6)),
+            target: {
+                roll: Number(target.roll.toFixed(3)),
+                pitch: Number(target.pitch.toFixed(3)),
+                yaw: Number(target.yaw.toFixed(3))
+            },
+            pointingError: Number(pointingError.toFixed(4)),
+            wheels,
+            magnetorquer: {
+                dutyCycle: Number(dutyCycle.toFixed(1))
+            },
+            starTracker: {
+                valid: starTrackerValid
+            },
+            status: this.getAttitudeStatus(Math.max(...wheelSpeeds), Math.max(...wheelCurrents),
+                pointingError, starTrackerValid)
         };
     }
     
+    generatePropulsionTelemetry(missionTime) {
+        const propulsion = this.subsystems.propulsion;
+        const state = this.propulsionState;
+        const phase = this.phaseProfile.propulsion;
+        const dt = state.lastMissionTime === null ? 0 : Math.max(0, missionTime - state.lastMissionTime);
+        state.lastMissionTime = missionTime;
+        
+        // Tank heaters hold the propellant near its loading temperature, with a small orbital swing
+        let tankTemp = propulsion.tank.temperature +
+            Math.sin(2 * Math.PI * missionTime / this.subsystems.attitude.disturbance.period) * propulsion.tank.swing;
+        tankTemp = this.applyInjection('propulsion.tankTemperature', tankTemp);
+        
+        // Ideal-gas pressurant in the ullage left by the remaining propellant
+        const ullage = propulsion.tank.volume - state.propellantMass / propulsion.propellant.density;
+        const pressure = state.pressurant * (tankTemp + 273.15) / ullage;
+        
+        // Burns draw propellant through every thruster; flow falls off with blowdown pressure
+        const firing = phase.firing && state.propellantMass > 0;
+        if (firing && state.burnStartedAt === null) {
+            state.burnStartedAt = missionTime;
+        } else if (!firing) {
+            state.burnStartedAt = null;
+        }
+        const flowRate = firing ?
+            propulsion.thrusters.count * propulsion.thrusters.flowRate * pressure / propulsion.tank.pressure : 0;
+        const leakRate = Math.max(0, this.applyInjection('propulsion.leakRate', 0)); // g/s
+        state.propellantMass = Math.max(0, state.propellantMass - (flowRate + leakRate) * dt / 1000);
+        
+        // Catalyst beds: preheated when the heaters are on, heated by decomposition while firing
+        const bed = propulsion.catalystBed;
+        const idleTemp = phase.catalystHeaters ? bed.heaterTemp : tankTemp;
+        const activity = Math.max(0, this.applyInjection('propulsion.catalystActivity', 1));
+        if (state.catalystBeds === null) {
+            state.catalystBeds = Array(propulsion.thrusters.count).fill(idleTemp);
+        }
+        
+        const thrusters = {};
+        state.catalystBeds.forEach((temperature, index) => {
+            const target = firing ? idleTemp + (bed.firingTemp - idleTemp) * activity : idleTemp;
+            const timeConstant = target > temperature ? bed.heatingTime : bed.coolingTime;
+            state.catalystBeds[index] = target + (temperature - target) * Math.exp(-dt / timeConstant);
+            
+            thrusters[`t${index + 1}`] = {
+                valveOpen: firing,
+                catalystBedTemperature: Number((state.catalystBeds[index] + this.noise(2)).toFixed(1))
+            };
+        });
+        
+        // Measured values; the propellant estimate is derived from them (PVT method)
+        const measuredPressure = pressure * (1 + this.noise(0.0006));
+        const measuredTemp = tankTemp + this.noise(0.2);
+        const gasVolume = state.pressurant * (measuredTemp + 273.15) / measuredPressure;
+        const propellantEstimate = Math.max(0,
+            (propulsion.tank.volume - gasVolume) * propulsion.propellant.density);
+        
+        const maxBedTemp = Math.max(...state.catalystBeds);
+        
+        return {
+            tankPressure: Number(measuredPressure.toFixed(3)),
+            tankTemperature: Number(measuredTemp.toFixed(2)),
+            propellantMass: Number(propellantEstimate.toFixed(2)),
+            thrusters,
+            burnDuration: firing ? Number((missionTime - state.burnStartedAt).toFixed(0)) : 0,
+            status: this.getPropulsionStatus(measuredPressure, measuredTemp, propellantEstimate, maxBedTemp)
+        };
+    }
+    
+    generatePayloadTelemetry(missionTime, timestamp) {
+        const payload = this.subsystems.payload;
+        const state = this.payloadState;
+        const mode = this.loadShedding.active ? 'off' : this.phaseProfile.payload;
+        const dt = state.lastMissionTime === null ? 0 : Math.max(0, missionTime - state.lastMissionTime);
+        state.lastMissionTime = missionTime;
+        
+        // Duty-cycle window this sample falls in; scheduled sessions skip eclipse when sunlitOnly is set
+        const schedule = payload.schedule;
+        const windowStart = schedule.offset +
+            Math.floor((missionTime - schedule.offset) / schedule.period) * schedule.period;
+        const inWindow = schedule.enabled && missionTime - windowStart < schedule.duration;
+        const sunlit = !this.phaseManager.getState(this.spacecraftId).eclipse;
+        
+        if (state.request && timestamp >= state.request.end) {
+            state.request = null;
+        }
+        
+        // Sessions wait for the cryocooler to bring the detector down to imaging temperature
+        const cooled = state.detectorTemp === null || state.detectorTemp <= payload.detector.readyTemp;
+        
+        let wanted = null;
+        if (mode === 'operate' && (state.active || cooled)) {
+            if (state.request) {
+                wanted = 'operator';
+            } else if (inWindow && (sunlit || !schedule.sunlitOnly) &&
+                       (state.active?.source === 'schedule' || state.lastScheduledWindow !== windowStart)) {
+                wanted = 'schedule';
+            }
+        }
+        
+        if (state.active && state.active.source !== wanted) {
+            let reason = 'complete';
+            if (this.loadShedding.active) {
+                reason = 'load shedding';
+            } else if (mode !== 'operate') {
+                reason = `${this.phaseProfile.name} phase`;
+            } else if (wanted === 'operator') {
+                reason = 'operator'; // Replaced by a commanded session
+            } else if (state.active.source === 'schedule' && inWindow && !sunlit) {
+                reason = 'eclipse';
+            }
+            this.endPayloadSession(timestamp, reason);
+        }
+        if (!state.active && wanted) {
+            state.active = {
+                id: `${this.spacecraftId}-PL${state.nextSessionId++}`,
+                source: wanted,
+                start: timestamp,
+                end: null,
+                plannedEnd: wanted === 'operator' ? state.request.end :
+                    this.startTime + (windowStart + schedule.duration) * 1000,
+                dataVolume: 0,
+                endReason: null
+            };
+            state.sessions.push(state.active);
+            if (state.sessions.length > 50) {
+                state.sessions.shift();
+            }
+        }
+        
+        // A window used by a scheduled session, or overlapped by an operator one, is not started again
+        if (state.active && inWindow) {
+            state.lastScheduledWindow = windowStart;
+        }
+        
+        const on = state.active !== null;
+        const power = on ? payload.power.on : (mode === 'off' ? 0 : payload.power.standby);
+        
+        // The cryocooler runs whenever the payload is powered; imaging adds heat load on the detector
+        const detector = payload.detector;
+        const detectorTarget = mode === 'off' ? detector.ambientTemp :
+            detector.operatingTemp + (on ? detector.imagingLoad : 0);
+        if (state.detectorTemp === null) {
+            state.detectorTemp = detectorTarget;
+        }
+        const timeConstant = detectorTarget < state.detectorTemp ? detector.coolingTime : detector.warmingTime;
+        state.detectorTemp = detectorTarget + (state.detectorTemp - detectorTarget) * Math.exp(-dt / timeConstant);
+        
+        const dataRate = on ? payload.dataRate * (0.95 + this.random.next() * 0.1) : 0;
+        const volume = dataRate * dt / 8; // MB
+        state.dataVolume += volume;
+        if (on) {
+            state.active.dataVolume += volume;
+        }
+        
+        const detectorTemp = state.detectorTemp + this.noise(0.3);
+        const measuredPower = power > 0 ? power + this.noise(2) : 0;
+        
+        return {
+            on,
+            power: Number(measuredPower.toFixed(1)),
+            detectorTemperature: Number(detectorTemp.toFixed(1)),
+            dataRate: Number(dataRate.toFixed(1)),
+            dataVolume: Number(state.dataVolume.toFixed(0)),
+            sessionId: on ? state.active.id : null,
+            status: this.getPayloadStatus(on, detectorTemp)
+        };
+    }
+    
+    endPayloadSession(timestamp, reason) {
+        const session = this.payloadState.active;
+        session.end = timestamp;
+        session.endReason = reason;
+        session.dataVolume = Number(session.dataVolume.toFixed(0));
+        this.payloadState.active = null;
+    }
+    
     // Status determination methods
-    getBatteryStatus(voltage, temperature, capacity) {
+    getBatteryStatus(voltage, temperature, capacity, stateOfCharge = 100) {
         if (temperature > this.subsystems.battery.temperature.threshold || 
-            voltage < 20 || capacity < 60) {
+            voltage < 20 || capacity < 60 || stateOfCharge < 30) {
             return 'critical';
         }
-        if (temperature > 35 || voltage < 22 || capacity < 80) {
+        if (temperature > 35 || voltage < 22 || capacity < 80 || stateOfCharge < 50) {
             return 'warning';
         }
         return 'normal';
@@ -336,6 +965,9 @@ class TelemetrySimulator {
     }
     
     getCommunicationStatus(signalStrength, errorRate) {
+        // Out of contact there is no link to assess
+        if (signalStrength === null) return 'normal';
+        
         if (signalStrength < this.subsystems.communication.signalStrength.threshold ||
             errorRate > this.subsystems.communication.errorRate.threshold) {
             return 'critical';
@@ -346,20 +978,247 @@ class TelemetrySimulator {
         return 'normal';
     }
     
+    getAttitudeStatus(maxWheelSpeed, maxWheelCurrent, pointingError, starTrackerValid) {
+        if (pointingError > 0.5 || maxWheelSpeed > 5700 || maxWheelCurrent > 1.2) {
+            return 'critical';
+        }
+        if (pointingError > 0.1 || maxWheelSpeed > 4800 || maxWheelCurrent > 0.8 || !starTrackerValid) {
+            return 'warning';
+        }
+        return 'normal';
+    }
+    
+    getPropulsionStatus(tankPressure, tankTemperature, propellantMass, maxCatalystBedTemp) {
+        if (tankPressure > 26 || tankPressure < 6 || tankTemperature < 5 || tankTemperature > 50 ||
+            propellantMass < 2 || maxCatalystBedTemp > 1100) {
+            return 'critical';
+        }
+        if (tankPressure > 24 || tankPressure < 8 || tankTemperature < 10 || tankTemperature > 40 ||
+            propellantMass < 5 || maxCatalystBedTemp > 1000) {
+            return 'warning';
+        }
+        return 'normal';
+    }
+    
+    getPayloadStatus(on, detectorTemperature) {
+        if (detectorTemperature > 50 || (on && detectorTemperature > -10)) {
+            return 'critical';
+        }
+        if (on && detectorTemperature > -30) {
+            return 'warning';
+        }
+        return 'normal';
+    }
+    
+    // Random noise, scaled by the current mission phase
+    noise(range) {
+        return (this.random.next() - 0.5) * range * this.phaseProfile.noise;
+    }
+    
     // Failure simulation methods
-    simulateFailure(subsystem) {
-        this.simulatedFailures[subsystem] = true;
-        console.log(`Simulated failure in ${subsystem} subsystem`);
+    applyInjection(quantity, value) {
+        const effect = this.injectedEffects[quantity];
+        return effect ? value * effect.scale + effect.offset : value;
+    }
+    
+    // Runs the named scenario, or the subsystem's default one, through the failure injection engine
+    simulateFailure(subsystem, scenario = null, options = {}) {
+        const injection = scenario ?
+            window.failureInjector.inject(this.spacecraftId, subsystem, scenario, options) :
+            window.failureInjector.injectDefault(this.spacecraftId, subsystem, options);
         
-        // Auto-clear failure after some time for demo purposes
-        setTimeout(() => {
-            this.clearFailure(subsystem);
-        }, 30000); // Clear after 30 seconds
+        if (injection) {
+            console.log(`Simulated failure in ${subsystem} subsystem: ${injection.name}`);
+        }
+        return injection;
+    }
+    
+    // Instrument fault on one channel: bias, drift, stuck, dropout or noise
+    simulateSensorFault(channelId, fault, options = {}) {
+        const injection = window.failureInjector.injectSensorFault(this.spacecraftId, channelId, fault, options);
+        
+        if (injection) {
+            console.log(`Simulated sensor fault: ${injection.name}`);
+        }
+        return injection;
+    }
+    
+    clearFailure(subsystem = null) {
+        const cleared = window.failureInjector.clear(this.spacecraftId, subsystem);
+        console.log(`Cleared ${cleared} failure injection(s) in ${subsystem || 'all'} subsystem(s)`);
+    }
+    
+    // Redundant units
+    getActiveUnits() {
+        const active = {};
+        Object.entries(this.redundancyState).forEach(([group, state]) => {
+            active[group] = state.active;
+        });
+        return active;
+    }
+    
+    // 'failed' when commanded so or hit by a critical unit failure, 'degraded' by any other
+    getUnitHealth(group, unit, timestamp = this.lastTimestamp) {
+        const commanded = this.redundancyState[group].health[unit] || 'nominal';
+        const injected = window.failureInjector ?
+            window.failureInjector.getUnitFaults(this.spacecraftId, timestamp)[group]?.[unit] : null;
+        
+        if (commanded === 'failed' || injected === 'failed') return 'failed';
+        return injected || commanded;
     }
     
-    clearFailure(subsystem) {
-        this.simulatedFailures[subsystem] = false;
-        console.log(`Cleared failure in ${subsystem} subsystem`);
+    setUnitHealth(group, unit, health) {
+        this.redundancyState[group].health[unit] = health;
+    }
+    
+    // Remaining fraction of a switchover under way, 1 as it starts down to 0 once complete
+    getSwitchoverTransient(group, timestamp) {
+        const switchover = this.redundancyState[group].switchover;
+        if (!switchover || timestamp < switchover.start || timestamp >= switchover.end) return 0;
+        return (switchover.end - timestamp) / (switchover.end - switchover.start);
+    }
+    
+    // Changes over to the other unit of a pair; the samples that follow carry the switching transient
+    switchUnit(group, unit, reason = 'operator') {
+        const config = this.subsystems.redundancy.units[group];
+        const state = this.redundancyState[group];
+        if (!config || !config.units.includes(unit)) {
+            console.warn(`${this.spacecraftId}: no ${group} unit ${unit}`);
+            return false;
+        }
+        if (unit === state.active) return true;
+        if (this.getSwitchoverTransient(group, this.lastTimestamp + 1) > 0) {
+            console.warn(`${this.spacecraftId}: ${config.name} switchover already under way`);
+            return false;
+        }
+        if (this.getUnitHealth(group, unit) === 'failed') {
+            console.warn(`${this.spacecraftId}: ${config.name} ${unit} has failed`);
+            return false;
+        }
+        
+        const start = this.lastTimestamp;
+        state.switchover = { from: state.active, to: unit, start, end: start + config.switchover * 1000, reason };
+        state.active = unit;
+        console.log(`${this.spacecraftId}: ${config.name} ${state.switchover.from} -> ${unit} (${reason})`);
+        
+        if (group === 'processor') {
+            this.emitEvent('PROCESSOR_REBOOT', 'warning', config.subsystem,
+                `Processor rebooted on unit ${unit} (${reason})`, { group, ...state.switchover }, start);
+        } else {
+            this.emitEvent('UNIT_SWITCHOVER', 'warning', config.subsystem,
+                `${config.name} ${state.switchover.from} -> ${unit} (${reason})`, { group, ...state.switchover }, start);
+        }
+        
+        window.dispatchEvent(new CustomEvent('unitSwitchover', {
+            detail: { spacecraftId: this.spacecraftId, group, ...state.switchover }
+        }));
+        
+        // Without cross-strapping each processor can only drive its own transmitter
+        if (group === 'processor' && !this.subsystems.redundancy.crossStrapped) {
+            this.switchUnit('transmitter', unit, 'processor switchover');
+        }
+        return true;
+    }
+    
+    // { group: { active, switching, units: { A: health, B: health } } }
+    getRedundancyTelemetry(timestamp) {
+        const telemetry = {};
+        Object.entries(this.subsystems.redundancy.units).forEach(([group, config]) => {
+            const units = {};
+            config.units.forEach(unit => {
+                units[unit] = this.getUnitHealth(group, unit, timestamp);
+            });
+            telemetry[group] = {
+                active: this.redundancyState[group].active,
+                switching: this.getSwitchoverTransient(group, timestamp) > 0,
+                units
+            };
+        });
+        return telemetry;
+    }
+    
+    // Payload configuration and operations
+    configurePayload(config) {
+        const payload = this.subsystems.payload;
+        Object.entries(config).forEach(([key, value]) => {
+            payload[key] = value !== null && typeof value === 'object' ? { ...payload[key], ...value } : value;
+        });
+    }
+    
+    // Operator session from now; only runs while the mission phase allows payload operations
+    startPayloadSession(duration = this.subsystems.payload.schedule.duration * 1000) {
+        if (this.phaseProfile.payload !== 'operate') {
+            console.warn(`${this.spacecraftId}: payload operations are not allowed in ${this.phaseProfile.name}`);
+            return false;
+        }
+        if (this.loadShedding.active) {
+            console.warn(`${this.spacecraftId}: payload is shed (${this.loadShedding.reason})`);
+            return false;
+        }
+        
+        const now = this.clock.now();
+        this.payloadState.request = { start: now, end: now + duration };
+        return true;
+    }
+    
+    // Ends the running session; a scheduled window stopped this way is not resumed
+    stopPayloadSession() {
+        this.payloadState.request = null;
+        if (this.payloadState.active) {
+            this.endPayloadSession(this.lastTimestamp, 'operator');
+        }
+    }
+    
+    // Load shedding: bus loads drop to subsystems.loadShedding.bus and the payload powers off from the next sample
+    shedLoads(reason = 'operator') {
+        if (this.loadShedding.active) return true;
+        
+        this.loadShedding = { active: true, since: this.lastTimestamp, reason };
+        console.log(`${this.spacecraftId}: non-essential loads shed (${reason})`);
+        this.emitEvent('LOAD_SHED', 'warning', 'power', `Non-essential loads shed, payload off (${reason})`, {}, this.lastTimestamp);
+        return true;
+    }
+    
+    restoreLoads(reason = 'operator') {
+        if (!this.loadShedding.active) return false;
+        
+        this.loadShedding = { active: false, since: null, reason: null };
+        console.log(`${this.spacecraftId}: loads restored (${reason})`);
+        this.emitEvent('LOADS_RESTORED', 'info', 'power', `Non-essential loads restored (${reason})`, {}, this.lastTimestamp);
+        return true;
+    }
+    
+    // Past and running sessions overlapping the window, plus the scheduled windows still to come
+    getPayloadSessions(from = -Infinity, to = Infinity) {
+        const state = this.payloadState;
+        const schedule = this.subsystems.payload.schedule;
+        const sessions = state.sessions
+            .filter(session => session.start <= to && (session.end ?? Infinity) >= from)
+            .map(session => ({ ...session, dataVolume: Number(session.dataVolume.toFixed(0)), planned: false }));
+        
+        if (schedule.enabled && Number.isFinite(to)) {
+            const missionTime = (this.lastTimestamp - this.startTime) / 1000;
+            let windowStart = schedule.offset +
+                Math.ceil((missionTime - schedule.offset) / schedule.period) * schedule.period;
+            while (this.startTime + windowStart * 1000 <= to) {
+                const start = this.startTime + windowStart * 1000;
+                if (start >= from && windowStart !== state.lastScheduledWindow) {
+                    sessions.push({
+                        id: null,
+                        source: 'schedule',
+                        start,
+                        end: null,
+                        plannedEnd: start + schedule.duration * 1000,
+                        dataVolume: 0,
+                        endReason: null,
+                        planned: true
+                    });
+                }
+                windowStart += schedule.period;
+            }
+        }
+        
+        return sessions;
     }
     
     // Data access methods
@@ -368,27 +1227,136 @@ class TelemetrySimulator {
         return this.dataHistory.power[this.dataHistory.power.length - 1];
     }
     
+    // Selected by timestamp, since the sample period grows with the clock rate
     getHistoricalData(subsystem, minutes = 5) {
         const history = this.dataHistory[subsystem] || this.dataHistory.power;
-        const pointsNeeded = minutes * 60; // 1 point per second
-        return history.slice(-pointsNeeded);
+        if (history.length === 0) return [];
+        
+        const since = history[history.length - 1].timestamp - minutes * 60000;
+        return history.filter(point => point.timestamp >= since);
     }
     
-    // Event broadcasting
-    broadcastUpdate() {
-        const latest = this.getLatestTelemetry();
-        if (latest) {
+    // Frames that reach the ground for a generated point: none when lost, two when duplicated, and a frame
+    // held back by reordering follows the next one. The link quality of the point decides the loss; out of
+    // contact the recorder plays frames back unimpaired, standing in for a store-and-forward dump.
+    downlink(point) {
+        const state = this.downlinkState;
+        const frames = this.subsystems.communication.frames;
+        const comm = point.communication;
+        
+        // A frame held over LOS still belongs to the pass that just ended
+        if (comm.contact === false) {
+            return [...this.releaseHeldFrame(), point];
+        }
+        
+        // No error rate means no carrier: the frame cannot be received
+        const loss = comm.errorRate === null ? 1 : Math.min(1, comm.errorRate * frames.lossPerError);
+        
+        const delivered = [];
+        if (state.random.next() >= loss) {
+            if (state.random.next() < frames.duplication) {
+                delivered.push(point, point);
+            } else if (!state.held && state.random.next() < frames.reordering) {
+                state.held = point;
+                return delivered;
+            } else {
+                delivered.push(point);
+            }
+        }
+        
+        delivered.push(...this.releaseHeldFrame());
+        return delivered;
+    }
+    
+    releaseHeldFrame() {
+        const held = this.downlinkState.held;
+        this.downlinkState.held = null;
+        return held ? [held] : [];
+    }
+    
+    // Onboard event messages, dispatched as onboardEvent next to the telemetry stream
+    emitEvent(type, severity, subsystem, message, data = {}, timestamp = this.clock.now()) {
+        const sequence = ++this.eventState.sequence;
+        const event = {
+            id: `${this.spacecraftId}-E${sequence}`,
+            spacecraftId: this.spacecraftId,
+            sequence,
+            timestamp,
+            type,
+            severity,
+            subsystem,
+            message,
+            data
+        };
+        
+        window.dispatchEvent(new CustomEvent('onboardEvent', {
+            detail: event
+        }));
+        return event;
+    }
+    
+    // Shadow boundaries; the first live point only sets the starting state
+    reportEclipse(eclipse, timestamp) {
+        const previous = this.eventState.eclipse;
+        this.eventState.eclipse = eclipse;
+        if (previous === null || previous === eclipse) return;
+        
+        this.emitEvent(eclipse ? 'ECLIPSE_ENTRY' : 'ECLIPSE_EXIT', 'info', 'power',
+            eclipse ? 'Entered eclipse, running on battery' : 'Left eclipse, array output restored', {}, timestamp);
+    }
+    
+    // Injected failures as the spacecraft sees them: once when the effects start, once when they end
+    reportInjections(timestamp) {
+        const injector = window.failureInjector;
+        if (!injector) return;
+        
+        const reported = this.eventState.injections;
+        injector.getActiveInjections(this.spacecraftId, timestamp).forEach(injection => {
+            if (reported.has(injection.id) || timestamp < injection.onsetAt) return;
+            
+            reported.add(injection.id);
+            this.emitEvent('FAILURE_ONSET', injection.severity === 'critical' ? 'critical' : 'warning', injection.subsystem,
+                `${injection.name} onset`, { injectionId: injection.id, scenario: injection.scenario }, timestamp);
+        });
+        
+        injector.injections
+            .filter(injection => reported.has(injection.id) && ['complete', 'cleared'].includes(injector.getPhase(injection, timestamp)))
+            .forEach(injection => {
+                reported.delete(injection.id);
+                this.emitEvent('FAILURE_ENDED', 'info', injection.subsystem,
+                    `${injection.name} ${injection.clearedAt !== null ? 'cleared' : 'recovered'}`, { injectionId: injection.id }, timestamp);
+            });
+    }
+    
+    onMissionPhaseChange({ spacecraftId, phase, previous, reason, timestamp }) {
+        if (spacecraftId !== this.spacecraftId) return;
+        
+        const phases = this.phaseManager.phases;
+        if (phase === 'safe_mode') {
+            this.emitEvent('SAFE_MODE_ENTRY', 'critical', 'system', `Safe mode entered (${reason})`, { previous }, timestamp);
+        } else {
+            this.emitEvent('MODE_CHANGE', 'info', 'system', `${phases[previous].name} -> ${phases[phase].name} (${reason})`,
+                { phase, previous }, timestamp);
+        }
+    }
+    
+    // Event broadcasting; the ground receiver discards duplicate frames
+    broadcastUpdate(point = this.getLatestTelemetry()) {
+        if (point && window.frameAccounting.receive(point)) {
             // Dispatch custom event for other modules to listen
             window.dispatchEvent(new CustomEvent('telemetryUpdate', {
-                detail: latest
+                detail: point
             }));
         }
     }
     
-    // Mission phase control
-    setMissionPhase(phase) {
-        this.missionPhase = phase;
-        console.log(`Mission phase changed to: ${phase}`);
+    // Mission phase control, subject to the phase manager's transition rules
+    getMissionPhase() {
+        return this.phaseManager.getPhase(this.spacecraftId);
+    }
+    
+    setMissionPhase(phase, reason = 'operator') {
+        return this.phaseManager.transition(this.spacecraftId, phase, reason);
     }
 }
 
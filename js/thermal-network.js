@@ -0,0 +1,172 @@
+/**
+ * Thermal Network Model
+ * Lumped-parameter nodes joined by conductive links, radiating to space and heated by dissipation and sunlight
+ */
+
+class ThermalNetwork {
+    constructor(config = {}) {
+        this.constants = {
+            stefanBoltzmann: 5.670374e-8, // W/m²K⁴
+            solarConstant: 1361, // W/m² at 1 AU
+            earthInfrared: 220, // W/m² of Earth emission reaching low orbit
+            spaceTemperature: 3 // K
+        };
+        
+        this.maxStep = config.maxStep || 10; // s; longer samples are integrated in sub-steps
+        
+        // capacity: J/K. emitter: emissivity × area radiating to space (m²).
+        // absorber: absorptivity × area facing the Sun (m²). earthView: emissivity × area facing the Earth (m²).
+        // Capacities are scaled down from a real bus so faults show within minutes.
+        this.nodes = {
+            processor: { name: 'Processor', capacity: 1500, temperature: 38 },
+            battery: {
+                name: 'Battery', capacity: 4000, temperature: 26,
+                heater: { power: 8, on: 15, off: 18 } // W, thermostat switching temperatures in °C
+            },
+            bay: { name: 'Equipment Bay', capacity: 6000, temperature: 24, emitter: 0.04 }, // Wrapped in MLI
+            radiator: { name: 'Radiator', capacity: 2500, temperature: -48, emitter: 1.55, earthView: 0.25 },
+            solar: { name: 'Solar Array', capacity: 40000, temperature: 20, emitter: 10, absorber: 5.3, earthView: 2.5 }
+        };
+        
+        // Conductances in W/K
+        this.links = [
+            { from: 'processor', to: 'radiator', conductance: 0.2, name: 'Heat pipe' },
+            { from: 'processor', to: 'bay', conductance: 0.5 },
+            { from: 'battery', to: 'bay', conductance: 1.0 },
+            { from: 'bay', to: 'radiator', conductance: 1.7 },
+            { from: 'solar', to: 'bay', conductance: 0.05, name: 'Array hinge' }
+        ];
+        
+        // Configured nodes are merged into the defaults; configured links replace them
+        Object.entries(config.nodes || {}).forEach(([id, node]) => {
+            this.nodes[id] = { ...this.nodes[id], ...node };
+        });
+        if (config.links) {
+            this.links = config.links;
+        }
+        
+        Object.values(this.nodes).forEach(node => {
+            if (node.heater) {
+                node.heater.enabled = node.heater.enabled ?? true;
+                node.heater.active = false;
+            }
+        });
+        
+        // Heat balance and injected offsets of the last step, for the thermal node view
+        this.flows = { links: [], nodes: {} };
+        this.offsets = {};
+    }
+    
+    getTemperature(id) {
+        return this.nodes[id].temperature;
+    }
+    
+    // Commanded heater enable; a disabled thermostat never switches on
+    setHeater(id, enabled) {
+        const heater = this.nodes[id]?.heater;
+        if (!heater) return false;
+        
+        heater.enabled = enabled;
+        if (!enabled) heater.active = false;
+        return true;
+    }
+    
+    // { node: { enabled, on } } for every node with a heater
+    getHeaters() {
+        const heaters = {};
+        Object.entries(this.nodes).forEach(([id, node]) => {
+            if (node.heater) heaters[id] = { enabled: node.heater.enabled, on: node.heater.active };
+        });
+        return heaters;
+    }
+    
+    // Advances the network by dt seconds.
+    // loads: W dissipated in each node, negative where power is drawn out (array electrical output).
+    // environment: { sunFactor } as fraction of full sunlight on the absorbing faces.
+    // offsets: °C injected on a node by a failure; its neighbours see and conduct the raised temperature.
+    // degradation: factors on the configured values, { links: { 'from-to': factor }, emitters: { node: factor } }.
+    step(dt, loads = {}, environment = {}, offsets = {}, degradation = {}) {
+        const steps = Math.max(1, Math.ceil(dt / this.maxStep));
+        this.offsets = offsets;
+        const h = dt / steps;
+        
+        for (let i = 0; i < steps; i++) {
+            this.flows = this.computeFlows(loads, environment, offsets, degradation);
+            Object.entries(this.nodes).forEach(([id, node]) => {
+                node.temperature += this.flows.nodes[id].net * h / node.capacity;
+            });
+        }
+        
+        // dt = 0 (first sample) still reports the balance
+        if (dt === 0) {
+            this.flows = this.computeFlows(loads, environment, offsets, degradation);
+        }
+        
+        return this.getReadings();
+    }
+    
+    computeFlows(loads, environment, offsets, degradation = {}) {
+        const { stefanBoltzmann, solarConstant, earthInfrared, spaceTemperature } = this.constants;
+        const sunFactor = environment.sunFactor || 0;
+        const effective = id => this.nodes[id].temperature + (offsets[id] || 0);
+        
+        const nodes = {};
+        Object.entries(this.nodes).forEach(([id, node]) => {
+            // Thermostatic heater with hysteresis
+            if (node.heater?.enabled) {
+                if (effective(id) < node.heater.on) node.heater.active = true;
+                else if (effective(id) > node.heater.off) node.heater.active = false;
+            }
+            
+            const kelvin = effective(id) + 273.15;
+            nodes[id] = {
+                dissipation: loads[id] || 0,
+                heater: node.heater?.active ? node.heater.power : 0,
+                solar: (node.absorber || 0) * solarConstant * sunFactor,
+                earth: (node.earthView || 0) * earthInfrared,
+                radiated: (node.emitter || 0) * (degradation.emitters?.[id] ?? 1) * stefanBoltzmann *
+                    (kelvin ** 4 - spaceTemperature ** 4),
+                conducted: 0 // Net heat in from linked nodes
+            };
+        });
+        
+        const links = this.links.map(link => {
+            const conductance = link.conductance * (degradation.links?.[`${link.from}-${link.to}`] ?? 1);
+            const power = conductance * (effective(link.from) - effective(link.to)); // W from → to
+            nodes[link.from].conducted -= power;
+            nodes[link.to].conducted += power;
+            return { ...link, conductance, power };
+        });
+        
+        Object.values(nodes).forEach(node => {
+            node.net = node.dissipation + node.heater + node.solar + node.earth + node.conducted - node.radiated;
+        });
+        
+        return { links, nodes };
+    }
+    
+    // Node temperatures as the sensors read them, injected offsets included
+    getReadings() {
+        const readings = {};
+        Object.entries(this.nodes).forEach(([id, node]) => {
+            readings[id] = node.temperature + (this.offsets[id] || 0);
+        });
+        return readings;
+    }
+    
+    // Snapshot for the thermal node view
+    getState() {
+        const readings = this.getReadings();
+        return {
+            nodes: Object.entries(this.nodes).map(([id, node]) => ({
+                id,
+                name: node.name,
+                temperature: readings[id],
+                heater: node.heater?.active || false,
+                heaterEnabled: node.heater ? node.heater.enabled : null,
+                ...this.flows.nodes[id]
+            })),
+            links: this.flows.links.map(({ from, to, name, conductance, power }) => ({ from, to, name, conductance, power }))
+        };
+    }
+}
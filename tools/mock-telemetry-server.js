@@ -0,0 +1,323 @@
+/**
+ * Mock Ground Segment Telemetry Server
+ * Replays TelemetrySimulator output over a WebSocket so the live source can be tested offline
+ *
+ * Usage: node tools/mock-telemetry-server.js [--port 8765] [--interval 1000] [--flat] [--ccsds | --frames] [--drop 0] [--seed N]
+ *   --port      TCP port to listen on (default 8765)
+ *   --interval  Milliseconds between telemetry frames (default 1000)
+ *   --flat      Send frames keyed by dotted path instead of nested objects
+ *   --ccsds     Send binary CCSDS Space Packets (one message per telemetry point)
+ *   --frames    Send binary CCSDS TM transfer frames (fixed length, packets may span frames)
+ *   --drop      Probability of dropping each CCSDS packet or frame, to exercise gap reporting
+ *              (JSON frames are lost, duplicated and reordered by the simulated link instead)
+ *   --seed      Seed the simulator so every run streams identical telemetry
+ *
+ * No dependencies: the WebSocket handshake and framing (RFC 6455) are implemented here.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function parseArgs(argv) {
+    const options = { port: 8765, interval: 1000, flat: false, binary: null, drop: 0, seed: null };
+    
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port':
+                options.port = Number(argv[++i]);
+                break;
+            case '--interval':
+                options.interval = Number(argv[++i]);
+                break;
+            case '--flat':
+                options.flat = true;
+                break;
+            case '--ccsds':
+                options.binary = 'packets';
+                break;
+            case '--frames':
+                options.binary = 'frames';
+                break;
+            case '--drop':
+                options.drop = Number(argv[++i]);
+                break;
+            case '--seed':
+                options.seed = argv[++i];
+                break;
+        }
+    }
+    
+    return options;
+}
+
+// Run the browser orbit model, simulator and CCSDS codec unchanged inside a sandbox with a minimal window
+function loadScripts(options) {
+    const sandbox = {
+        console: { log() {}, warn: console.warn, error: console.error },
+        URLSearchParams,
+        setInterval,
+        clearInterval,
+        setTimeout,
+        clearTimeout,
+        CustomEvent: class CustomEvent {
+            constructor(type, init = {}) {
+                this.type = type;
+                this.detail = init.detail;
+            }
+        }
+    };
+    sandbox.window = sandbox;
+    sandbox.window.addEventListener = () => {};
+    
+    // Onboard event messages are kept to be sent after the telemetry they came with
+    const events = [];
+    sandbox.window.dispatchEvent = (event) => {
+        if (event.type === 'onboardEvent') events.push(event.detail);
+        return true;
+    };
+    if (options.seed !== null) {
+        sandbox.SIMULATION_CONFIG = { seed: options.seed };
+    }
+    
+    vm.createContext(sandbox);
+    
+    const scripts = [
+        'random.js', 'data-dictionary.js', 'derived-channels.js', 'clock.js', 'mission-phase.js',
+        'orbit.js', 'ground-stations.js', 'thermal-network.js', 'fdir.js', 'telemetry.js', 'ccsds.js'
+    ];
+    scripts.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8');
+        vm.runInContext(source, sandbox, { filename: file });
+    });
+    
+    return {
+        clock: sandbox.window.simulationClock,
+        simulator: sandbox.window.telemetrySimulator,
+        codec: sandbox.window.ccsdsDecoder,
+        random: sandbox.window.simulationRandom,
+        events
+    };
+}
+
+// Packs telemetry points into Space Packets and, optionally, fixed-length TM transfer frames
+class CCSDSEncoder {
+    constructor(codec, options, random) {
+        this.codec = codec;
+        this.drop = options.drop;
+        this.random = random.fork('link-drops');
+        this.sequenceCounts = {};
+        
+        this.frameLength = 128;
+        this.spacecraftId = 0x2A;
+        this.virtualChannelId = 1;
+        this.frameCount = 0;
+        this.pending = Buffer.alloc(0);
+        this.packetStarts = []; // Offsets of packet headers within the pending bytes
+    }
+    
+    encodePackets(point, drop = this.drop) {
+        const packets = Object.keys(this.codec.packetDefinitions).map(apidKey => {
+            const apid = Number(apidKey);
+            const count = this.sequenceCounts[apid] ?? 0;
+            this.sequenceCounts[apid] = (count + 1) & 0x3FFF;
+            
+            return Buffer.from(this.codec.encodePacket(apid, count, point.timestamp, point));
+        });
+        
+        return packets.filter(() => this.random.next() >= drop);
+    }
+    
+    // Returns every frame that can be filled; leftover bytes wait for the next point
+    encodeFrames(point) {
+        const dataFieldLength = this.frameLength - 6 - 2;
+        const frames = [];
+        
+        // Packets are never dropped here: losses happen to whole frames instead
+        this.encodePackets(point, 0).forEach(packet => {
+            this.packetStarts.push(this.pending.length);
+            this.pending = Buffer.concat([this.pending, packet]);
+        });
+        
+        while (this.pending.length >= dataFieldLength) {
+            const frame = Buffer.alloc(this.frameLength);
+            const firstHeader = this.packetStarts.find(offset => offset < dataFieldLength);
+            
+            frame.writeUInt16BE((this.spacecraftId << 4) | (this.virtualChannelId << 1), 0);
+            frame[2] = this.frameCount & 0xFF;
+            frame[3] = this.frameCount & 0xFF;
+            frame.writeUInt16BE(0x1800 | (firstHeader ?? 0x7FF), 4);
+            this.pending.copy(frame, 6, 0, dataFieldLength);
+            frame.writeUInt16BE(this.codec.crc16(frame.subarray(0, this.frameLength - 2)), this.frameLength - 2);
+            
+            this.frameCount++;
+            this.pending = this.pending.subarray(dataFieldLength);
+            this.packetStarts = this.packetStarts
+                .map(offset => offset - dataFieldLength)
+                .filter(offset => offset >= 0);
+            
+            if (this.random.next() >= this.drop) frames.push(frame);
+        }
+        
+        return frames;
+    }
+}
+
+function flattenPoint(point, prefix = '', target = {}) {
+    Object.entries(point).forEach(([key, value]) => {
+        const fullKey = prefix ? `${prefix}.${key}` : key;
+        if (value !== null && typeof value === 'object') {
+            flattenPoint(value, fullKey, target);
+        } else {
+            target[fullKey] = value;
+        }
+    });
+    return target;
+}
+
+function encodeFrame(payload, opcode = 0x1) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    let header;
+    
+    if (data.length < 126) {
+        header = Buffer.from([0x80 | opcode, data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+    
+    return Buffer.concat([header, data]);
+}
+
+// Client frames are always masked; only control frames matter to this server
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+        
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+        
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length - offset < headerLength + maskLength + length) break;
+        
+        const mask = buffer.slice(offset + headerLength, offset + headerLength + maskLength);
+        const payload = Buffer.from(buffer.slice(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+        
+        frames.push({ opcode, payload });
+        offset += headerLength + maskLength + length;
+    }
+    
+    return { frames, remaining: buffer.slice(offset) };
+}
+
+function startServer(options) {
+    const { clock, simulator, codec, random, events } = loadScripts(options);
+    const encoder = new CCSDSEncoder(codec, options, random);
+    const clients = new Set();
+    
+    const server = http.createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('Mock telemetry server: connect with a WebSocket client\n');
+    });
+    
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || request.headers.upgrade?.toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write(
+            'HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+        );
+        
+        clients.add(socket);
+        console.log(`Client connected (${clients.size} total)`);
+        
+        let pending = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            const { frames, remaining } = decodeFrames(Buffer.concat([pending, chunk]));
+            pending = remaining;
+            
+            frames.forEach(frame => {
+                if (frame.opcode === 0x8) {
+                    socket.end(encodeFrame(frame.payload, 0x8));
+                } else if (frame.opcode === 0x9) {
+                    socket.write(encodeFrame(frame.payload, 0xA));
+                }
+            });
+        });
+        
+        const removeClient = () => {
+            if (clients.delete(socket)) {
+                console.log(`Client disconnected (${clients.size} total)`);
+            }
+        };
+        socket.on('close', removeClient);
+        socket.on('error', removeClient);
+    });
+    
+    setInterval(() => {
+        // The sandboxed clock advances one interval per message, so seeded streams repeat exactly
+        clock.advance(options.interval);
+        const point = simulator.generateTelemetryPoint(clock.now());
+        let messages;
+        
+        if (options.binary === 'packets') {
+            messages = [encodeFrame(Buffer.concat(encoder.encodePackets(point)), 0x2)];
+        } else if (options.binary === 'frames') {
+            messages = encoder.encodeFrames(point).map(frame => encodeFrame(frame, 0x2));
+        } else {
+            // JSON frames go through the simulated link: lost, duplicated or late as its quality dictates
+            messages = simulator.downlink(point)
+                .map(frame => encodeFrame(JSON.stringify(options.flat ? flattenPoint(frame) : frame)));
+            
+            // Event messages go in their own envelope; the CCSDS packet set has no event packet
+            events.forEach(event => messages.push(encodeFrame(JSON.stringify({ type: 'event', data: event }))));
+        }
+        events.length = 0;
+        
+        clients.forEach(socket => messages.forEach(message => socket.write(message)));
+    }, options.interval);
+    
+    server.listen(options.port, () => {
+        console.log(`Mock telemetry server listening on ws://localhost:${options.port} (${options.interval}ms cadence${options.flat ? ', flat frames' : ''}${options.binary ? `, CCSDS ${options.binary}` : ''}${options.seed !== null ? `, seed ${options.seed}` : ''})`);
+    });
+    
+    return server;
+}
+
+startServer(parseArgs(process.argv.slice(2)));